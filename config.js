@@ -7,6 +7,30 @@
  * All data is licensed under CC BY 4.0 and sourced from Water UK's National Storm Overflow Hub.
  */
 
+/**
+ * Default schema mapping ArcGIS attributes to normalized event fields.
+ *
+ * Most companies publish the hub's standard schema. `fields` lists candidate
+ * attribute names - the first one present on a feature wins. `type` is one of
+ * string | number | timestamp | status and values are coerced/validated to
+ * it. Fields with `warnIfMissing: false` are often absent and aren't
+ * reported as drift. Companies whose feeds differ set a `schema` with just
+ * the entries that change; shorthand ('Field' or ['FieldA', 'FieldB'])
+ * only replaces `fields`.
+ */
+export const DEFAULT_FEATURE_SCHEMA = {
+  siteId: { fields: ['Id'], type: 'string', required: true },
+  siteName: { fields: ['SiteName', 'PermitName', 'LocationName', 'Name'], type: 'string', warnIfMissing: false },
+  status: { fields: ['Status'], type: 'status', required: true }, // 0 = not discharging, 1 = discharging, -1 = offline/error
+  statusStart: { fields: ['StatusStart'], type: 'timestamp' },
+  latestEventStart: { fields: ['LatestEventStart'], type: 'timestamp' },
+  latestEventEnd: { fields: ['LatestEventEnd'], type: 'timestamp' },
+  receivingWatercourse: { fields: ['ReceivingWaterCourse'], type: 'string' },
+  latitude: { fields: ['Latitude'], type: 'number' },
+  longitude: { fields: ['Longitude'], type: 'number' },
+  lastUpdated: { fields: ['LastUpdated'], type: 'timestamp' }
+};
+
 export const WATER_COMPANIES = {
   anglian_water: {
     name: "Anglian Water",
@@ -43,15 +67,136 @@ export const WATER_COMPANIES = {
     endpoint: "https://services1.arcgis.com/NO7lTIlnxRMMG9Gw/arcgis/rest/services/Severn_Trent_Water_Storm_Overflow_Activity/FeatureServer",
     updateFrequencyMinutes: 60,
     layerId: 0
+  },
+  south_west_water: {
+    name: "South West Water",
+    endpoint: "https://services-eu1.arcgis.com/OMdMOtfhATJPcHe3/arcgis/rest/services/NEH_outlets_PROD/FeatureServer",
+    updateFrequencyMinutes: 15,
+    layerId: 0,
+    schema: {
+      siteId: ['ID', 'Id'],
+      receivingWatercourse: ['receivingWaterCourse', 'ReceivingWaterCourse'],
+      latitude: ['latitude', 'Latitude'],
+      longitude: ['longitude', 'Longitude']
+    }
+  },
+  wessex_water: {
+    name: "Wessex Water",
+    endpoint: "https://services.arcgis.com/3SZ6e0uCvPROr4mS/arcgis/rest/services/Wessex_Water_Storm_Overflow_Activity/FeatureServer",
+    updateFrequencyMinutes: 15,
+    layerId: 0
+  },
+  welsh_water: {
+    name: "Welsh Water",
+    endpoint: "https://services3.arcgis.com/KLNF7YxtENPLYVey/arcgis/rest/services/Spill_Prod__view/FeatureServer",
+    updateFrequencyMinutes: 15,
+    layerId: 0,
+    schema: {
+      siteId: ['Id', 'ID', 'Asset_Reference'],
+      siteName: ['SiteName', 'Asset_Name', 'Name'],
+      receivingWatercourse: ['ReceivingWaterCourse', 'Receiving_Water', 'Watercourse']
+    }
+  },
+  northumbrian_water: {
+    name: "Northumbrian Water",
+    endpoint: "https://services-eu1.arcgis.com/MSNNjkZ51iVh8yBj/arcgis/rest/services/Northumbrian_Water_Storm_Overflow_Activity_2_view/FeatureServer",
+    updateFrequencyMinutes: 15,
+    layerId: 0
   }
 };
 
-// Polling interval for the bot (in seconds)
-// Set to check every minute to catch events as soon as possible
+// Minimum polling interval for any company (in seconds)
+// Each company is otherwise polled at its own updateFrequencyMinutes
 export const POLL_INTERVAL_SECONDS = 60;
 
+// Random spread applied to each poll interval (0.1 = ±10%)
+export const POLL_JITTER_RATIO = 0.1;
+
+// Retry delay after a failed poll doubles from this, up to the maximum
+export const POLL_BACKOFF_BASE_SECONDS = 60;
+export const POLL_BACKOFF_MAX_MINUTES = 60;
+
+// ArcGIS request limits
+// Each request is abandoned after the timeout; timeouts, network errors and
+// 429/5xx responses are retried with exponential backoff from the base delay
+export const ARCGIS_TIMEOUT_SECONDS = 30;
+export const ARCGIS_MAX_RETRIES = 2;
+export const ARCGIS_RETRY_BASE_MS = 1000;
+
+// Circuit breaker per company feed
+// After this many consecutive failed requests the feed is left alone for
+// the reset period, then a single trial request decides whether to resume
+export const CIRCUIT_BREAKER_THRESHOLD = 5;
+export const CIRCUIT_BREAKER_RESET_MINUTES = 15;
+
+// A feed returning fewer than this share of its usual sites is treated as
+// suspect: missing sites are held open instead of ended, until the smaller
+// size has been seen for the confirmation number of polls in a row
+export const FEED_SHRINK_RATIO = 0.5;
+export const FEED_SHRINK_CONFIRM_POLLS = 3;
+
+// Feed health alerts
+// Stale when LastUpdated is older than the factor × updateFrequencyMinutes
+// (never less than the minimum); site count and offline-monitor share are
+// compared against the company's recent polls
+export const FEED_HEALTH_WINDOW = 20;
+export const FEED_STALE_FACTOR = 4;
+export const FEED_STALE_MIN_MINUTES = 60;
+export const FEED_COUNT_CHANGE_RATIO = 0.2;
+export const FEED_OFFLINE_ALERT_RATIO = 0.25;
+export const FEED_ERROR_RATE_ALERT = 0.5;
+
 // Database configuration
-export const DB_PATH = "./storm_overflow_events.db";
+// Event store journal, plus the old single-file JSON database it migrates from
+export const DB_PATH = "./data/storm_overflow_events.jsonl";
+export const LEGACY_DB_PATH = "./storm_overflow_events.json";
+
+// Append-only site status transition log (one journal per month)
+export const TRANSITIONS_DIR = "./data/transitions";
+
+// Durable post queue journal (unposted events + posted ledger)
+export const QUEUE_PATH = "./data/event-queue.jsonl";
+
+// Ledger of posts made, for the rolling daily/monthly posting limits
+export const POST_LEDGER_PATH = "./data/post-ledger.jsonl";
+
+// Posting slots the scheduler has completed (marker for missed-slot catch-up)
+export const POST_CYCLES_PATH = "./data/post-cycles.jsonl";
+
+// Lock file held while a post cycle runs, so cycles never overlap even
+// across processes; a lock older than this, or whose process has exited,
+// is treated as abandoned
+export const POST_LOCK_PATH = "./data/post-cycle.lock";
+export const POST_LOCK_STALE_MINUTES = 60;
+
+// Dry-run mode (DRY_RUN=true or --dry-run) sandbox: shadow copies of the
+// live state, website output and a report of the tweets, commits and
+// files that would have been produced
+export const DRY_RUN_DIR = "./data/dry-run";
+
+// Feed recording (RECORD_FEEDS=true or --record): raw ArcGIS query
+// responses, one journal per UTC day, for replaying through the tracker
+// offline (npm run replay). Replays run against an empty store in the
+// replay directory, this many times faster than real time by default
+// (a day in 4 minutes)
+export const FEED_RECORDINGS_DIR = "./data/recordings";
+export const REPLAY_DIR = "./data/replay";
+export const REPLAY_SPEED = 360;
+
+// Social publishers: request timeout, and the Bluesky PDS used when
+// BLUESKY_SERVICE isn't set
+export const PUBLISHER_TIMEOUT_SECONDS = 30;
+export const BLUESKY_SERVICE_URL = "https://bsky.social";
+
+// Map images attached to cycle posts: 16:9 so timelines show them uncropped,
+// framed on England and Wales ([west, south, east, north] in degrees)
+export const MAP_IMAGE_WIDTH = 1200;
+export const MAP_IMAGE_HEIGHT = 675;
+export const MAP_BOUNDS = [-5.9, 49.85, 2.0, 55.85];
+
+// Timezone for posting times, day boundaries and displayed times
+// (posting-config.json times are UK wall-clock times, BST/GMT applied)
+export const POSTING_TIMEZONE = "Europe/London";
 
 // Logging configuration
 export const LOG_LEVEL = "INFO";
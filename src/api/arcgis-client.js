@@ -5,17 +5,194 @@
  */
 
 import fetch from 'node-fetch';
+import { CircuitBreaker } from './circuit-breaker.js';
+import {
+  WATER_COMPANIES,
+  ARCGIS_TIMEOUT_SECONDS,
+  ARCGIS_MAX_RETRIES,
+  ARCGIS_RETRY_BASE_MS,
+  CIRCUIT_BREAKER_THRESHOLD,
+  CIRCUIT_BREAKER_RESET_MINUTES
+} from '../../config.js';
+
+// Safety limit on pages per query, so a misbehaving server can't loop forever
+const MAX_PAGES = 200;
+
+// Object IDs per request when falling back to ID batches
+const OBJECT_ID_BATCH_SIZE = 250;
+
+// HTTP statuses (and ArcGIS error codes) worth retrying
+const TRANSIENT_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// Longest Retry-After we'll honour before giving up on the request
+const MAX_RETRY_AFTER_MS = 60 * 1000;
 
 export class ArcGISClient {
   /**
-   * Query a FeatureServer layer for all features
+   * @param {object} options - { timeoutMs, maxRetries, retryBaseMs, breakerThreshold, breakerResetMs }
+   */
+  constructor(options = {}) {
+    this.timeoutMs = options.timeoutMs ?? ARCGIS_TIMEOUT_SECONDS * 1000;
+    this.maxRetries = options.maxRetries ?? ARCGIS_MAX_RETRIES;
+    this.retryBaseMs = options.retryBaseMs ?? ARCGIS_RETRY_BASE_MS;
+    this.breakerOptions = {
+      failureThreshold: options.breakerThreshold ?? CIRCUIT_BREAKER_THRESHOLD,
+      resetTimeoutMs: options.breakerResetMs ?? CIRCUIT_BREAKER_RESET_MINUTES * 60 * 1000
+    };
+    this.breakers = new Map(); // endpoint -> CircuitBreaker
+    this.statsUnsupported = new Set(); // endpoints that rejected an outStatistics query
+  }
+
+  /**
+   * Circuit breaker for an endpoint (one per company feed)
+   */
+  getBreaker(endpoint) {
+    if (!this.breakers.has(endpoint)) {
+      const company = Object.values(WATER_COMPANIES).find(c => c.endpoint === endpoint);
+      const name = company ? company.name : new URL(endpoint).hostname;
+      this.breakers.set(endpoint, new CircuitBreaker(name, this.breakerOptions));
+    }
+    return this.breakers.get(endpoint);
+  }
+
+  /**
+   * Breaker state for every feed contacted so far, keyed by company name
+   */
+  getHealth() {
+    const health = {};
+    for (const breaker of this.breakers.values()) {
+      health[breaker.name] = breaker.getState();
+    }
+    return health;
+  }
+
+  /**
+   * Whether requests to an endpoint are currently allowed
+   */
+  isAvailable(endpoint) {
+    return this.getBreaker(endpoint).isAvailable();
+  }
+
+  /**
+   * Fetch JSON from an ArcGIS URL with timeout, retries and circuit breaker
    *
-   * @param {string} endpoint - Base FeatureServer endpoint URL
-   * @param {number} layerId - Layer ID to query (default: 0)
-   * @param {object} options - Additional query options
-   * @returns {Promise<object>} - GeoJSON feature collection
+   * Transient failures (timeouts, network errors, 408/429/5xx, and the same
+   * codes inside an ArcGIS error body) are retried with exponential backoff.
+   * Only those count against the breaker - a 400 means the feed is up but
+   * didn't like the query, which is enough to settle a half-open trial.
+   *
+   * @param {string} endpoint - Base FeatureServer endpoint (breaker key)
+   * @param {string} url - Full request URL
+   * @returns {Promise<object>} - Parsed response body
    */
-  async queryLayer(endpoint, layerId = 0, options = {}) {
+  async request(endpoint, url) {
+    const breaker = this.getBreaker(endpoint);
+
+    if (!breaker.canRequest()) {
+      const error = new Error(`Circuit open for ${breaker.name} - skipping request`);
+      error.circuitOpen = true;
+      throw error;
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const data = await this.fetchJson(url);
+        breaker.recordSuccess();
+        return data;
+      } catch (error) {
+        if (!error.transient) {
+          breaker.recordAnswered();
+          throw error;
+        }
+
+        const delayMs = this.getRetryDelayMs(attempt, error.retryAfterMs);
+        if (attempt >= this.maxRetries || delayMs === null) {
+          breaker.recordFailure(error);
+          throw error;
+        }
+
+        console.warn(`⏳ ${breaker.name}: ${error.message} - retry ${attempt + 1}/${this.maxRetries} in ${Math.round(delayMs / 1000)}s`);
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+    }
+  }
+
+  /**
+   * Single fetch with a timeout, classifying errors as transient or not
+   */
+  async fetchJson(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    try {
+      const response = await fetch(url, { signal: controller.signal });
+
+      if (!response.ok) {
+        const error = new Error(`HTTP error! status: ${response.status}`);
+        error.transient = TRANSIENT_STATUSES.includes(response.status);
+        error.retryAfterMs = this.parseRetryAfter(response.headers.get('retry-after'));
+        throw error;
+      }
+
+      const data = await response.json();
+
+      if (data.error) {
+        const error = new Error(`ArcGIS API error: ${data.error.message}`);
+        error.transient = TRANSIENT_STATUSES.includes(data.error.code);
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        const timeout = new Error(`Request timed out after ${Math.round(this.timeoutMs / 1000)}s`);
+        timeout.transient = true;
+        throw timeout;
+      }
+      if (error.transient === undefined) {
+        // Network-level failure (DNS, reset connection, truncated body)
+        error.transient = error.name === 'FetchError' || error.type === 'system' || error instanceof SyntaxError;
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Delay before the next attempt: exponential with jitter, or the
+   * server's Retry-After. Null when Retry-After is too long to wait for.
+   */
+  getRetryDelayMs(attempt, retryAfterMs = null) {
+    if (retryAfterMs !== null && retryAfterMs !== undefined) {
+      return retryAfterMs <= MAX_RETRY_AFTER_MS ? retryAfterMs : null;
+    }
+    const backoff = this.retryBaseMs * Math.pow(2, attempt);
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+  }
+
+  /**
+   * Parse a Retry-After header (seconds or HTTP date) to milliseconds
+   */
+  parseRetryAfter(header) {
+    if (!header) {
+      return null;
+    }
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(header);
+    return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+  }
+
+  /**
+   * Full query URL for a layer query (see queryLayer for options)
+   *
+   * Geometry is always requested in WGS84 (outSR 4326), so point
+   * coordinates are degrees even on layers stored in Web Mercator.
+   */
+  buildQueryUrl(endpoint, layerId = 0, options = {}) {
     const queryUrl = `${endpoint}/${layerId}/query`;
 
     const params = new URLSearchParams({
@@ -23,42 +200,200 @@ export class ArcGISClient {
       outFields: options.outFields || '*', // Return all fields
       f: 'json', // Response format
       returnGeometry: options.returnGeometry !== false ? 'true' : 'false',
+      outSR: '4326', // Longitude/latitude, whatever the layer's own spatial reference
       ...options.additionalParams
     });
 
-    const url = `${queryUrl}?${params.toString()}`;
+    return `${queryUrl}?${params.toString()}`;
+  }
 
-    try {
-      const response = await fetch(url);
+  /**
+   * Query a FeatureServer layer (single request)
+   *
+   * Hosted FeatureServers cap each response at the layer's maxRecordCount
+   * and set exceededTransferLimit when there's more - use queryAll to get
+   * the complete result set.
+   *
+   * @param {string} endpoint - Base FeatureServer endpoint URL
+   * @param {number} layerId - Layer ID to query (default: 0)
+   * @param {object} options - Additional query options; `quiet` leaves
+   *   logging failures to the caller
+   * @returns {Promise<object>} - GeoJSON feature collection
+   */
+  async queryLayer(endpoint, layerId = 0, options = {}) {
+    const url = this.buildQueryUrl(endpoint, layerId, options);
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+    try {
+      return await this.request(endpoint, url);
+    } catch (error) {
+      if (!error.circuitOpen && !options.quiet) {
+        console.error(`Failed to query layer ${layerId} from ${endpoint}:`, error.message);
       }
+      throw error;
+    }
+  }
 
-      const data = await response.json();
+  /**
+   * Query every matching feature, paging past maxRecordCount
+   *
+   * Pages with resultOffset while the server reports exceededTransferLimit.
+   * If the layer doesn't support pagination, all object IDs are fetched
+   * first and the features are requested in ID batches instead. When the
+   * complete set can't be retrieved the result is flagged `truncated` so
+   * callers know sites may be missing.
+   *
+   * @param {string} endpoint - Base FeatureServer endpoint URL
+   * @param {number} layerId - Layer ID to query (default: 0)
+   * @param {object} options - Query options (as for queryLayer)
+   * @returns {Promise<object>} - Response with all features, plus pageCount and truncated
+   */
+  async queryAll(endpoint, layerId = 0, options = {}) {
+    const first = await this.queryLayer(endpoint, layerId, options);
 
-      if (data.error) {
-        throw new Error(`ArcGIS API error: ${data.error.message}`);
-      }
+    if (!first.exceededTransferLimit) {
+      return { ...first, pageCount: 1, truncated: false };
+    }
 
-      return data;
+    try {
+      return await this.queryByOffset(endpoint, layerId, options, first);
     } catch (error) {
-      console.error(`Failed to query layer ${layerId} from ${endpoint}:`, error.message);
-      throw error;
+      console.warn(`⚠️  Paging by offset failed for ${endpoint} (${error.message}) - fetching by object ID`);
+    }
+
+    try {
+      return await this.queryByObjectIds(endpoint, layerId, options, first);
+    } catch (error) {
+      console.warn(`⚠️  Object ID batching failed for ${endpoint}: ${error.message}`);
+      return { ...first, exceededTransferLimit: false, pageCount: 1, truncated: true };
+    }
+  }
+
+  /**
+   * Page through a result set with resultOffset
+   *
+   * Restarts from offset 0 ordered by object ID - the unordered first
+   * response can't be safely continued. A page with no object IDs we
+   * haven't already seen means the server is ignoring resultOffset, so
+   * this gives up and lets queryAll fall back to object ID batches.
+   */
+  async queryByOffset(endpoint, layerId, options, first) {
+    const features = [];
+    const seenIds = new Set();
+    let pageCount = 1;
+    let exceeded = true;
+
+    while (exceeded && pageCount <= MAX_PAGES) {
+      const page = await this.queryLayer(endpoint, layerId, {
+        ...options,
+        additionalParams: {
+          ...options.additionalParams,
+          resultOffset: String(features.length),
+          orderByFields: options.orderByFields || first.objectIdFieldName || 'ObjectId'
+        }
+      });
+
+      const pageFeatures = page.features || [];
+      if (pageFeatures.length === 0) {
+        break;
+      }
+
+      const ids = pageFeatures.map(feature => this.getObjectId(feature, first.objectIdFieldName));
+      const newIds = ids.filter(id => id === null || !seenIds.has(id));
+      if (newIds.length === 0) {
+        throw new Error(`page at offset ${features.length} repeated earlier features - resultOffset not supported`);
+      }
+      ids.forEach(id => id !== null && seenIds.add(id));
+
+      features.push(...pageFeatures);
+      exceeded = page.exceededTransferLimit;
+      pageCount++;
+    }
+
+    return {
+      ...first,
+      features: this.dedupeFeatures(features, first.objectIdFieldName),
+      exceededTransferLimit: false,
+      pageCount,
+      truncated: Boolean(exceeded)
+    };
+  }
+
+  /**
+   * Fetch every matching object ID, then the features in batches
+   */
+  async queryByObjectIds(endpoint, layerId, options, first) {
+    const ids = await this.queryLayer(endpoint, layerId, {
+      where: options.where,
+      returnGeometry: false,
+      additionalParams: { returnIdsOnly: 'true' }
+    });
+
+    const objectIds = ids.objectIds || [];
+    const features = [];
+    let pageCount = 1;
+
+    for (let i = 0; i < objectIds.length && pageCount < MAX_PAGES; i += OBJECT_ID_BATCH_SIZE) {
+      const batch = await this.queryLayer(endpoint, layerId, {
+        ...options,
+        where: '1=1',
+        additionalParams: {
+          ...options.additionalParams,
+          objectIds: objectIds.slice(i, i + OBJECT_ID_BATCH_SIZE).join(',')
+        }
+      });
+      features.push(...(batch.features || []));
+      pageCount++;
     }
+
+    return {
+      ...first,
+      features: this.dedupeFeatures(features, ids.objectIdFieldName),
+      exceededTransferLimit: false,
+      pageCount,
+      truncated: features.length < objectIds.length
+    };
+  }
+
+  /**
+   * A feature's object ID, or null if it has none
+   */
+  getObjectId(feature, objectIdField = 'ObjectId') {
+    const attrs = feature.attributes || {};
+    return attrs[objectIdField] ?? attrs.OBJECTID ?? null;
+  }
+
+  /**
+   * Drop repeated features (records can shift between pages)
+   */
+  dedupeFeatures(features, objectIdField = 'ObjectId') {
+    const seen = new Set();
+    return features.filter(feature => {
+      const id = this.getObjectId(feature, objectIdField);
+      if (id === null) {
+        return true;
+      }
+      if (seen.has(id)) {
+        return false;
+      }
+      seen.add(id);
+      return true;
+    });
   }
 
   /**
    * Get active storm overflow events (currently discharging)
    *
+   * Status uses the hub's numeric codes: 1 = discharging, 0 = not
+   * discharging, -1 = offline
+   *
    * @param {string} endpoint - Base FeatureServer endpoint URL
    * @param {number} layerId - Layer ID to query
    * @param {string} statusField - Name of the status field (varies by water company)
    * @returns {Promise<object>} - Features with active status
    */
   async getActiveEvents(endpoint, layerId = 0, statusField = 'Status') {
-    return await this.queryLayer(endpoint, layerId, {
-      where: `${statusField} = 'Discharging' OR ${statusField} = 'Active'`,
+    return await this.queryAll(endpoint, layerId, {
+      where: `${statusField} = 1`,
       outFields: '*'
     });
   }
@@ -68,41 +403,76 @@ export class ArcGISClient {
    *
    * @param {string} endpoint - Base FeatureServer endpoint URL
    * @param {number} layerId - Layer ID to query
-   * @returns {Promise<object>} - All features
+   * @returns {Promise<object>} - All features (check `truncated` before trusting absences)
    */
   async getAllOverflows(endpoint, layerId = 0) {
-    return await this.queryLayer(endpoint, layerId, {
+    return await this.queryAll(endpoint, layerId, {
       where: '1=1',
       outFields: '*'
     });
   }
 
   /**
-   * Get layer metadata/information
+   * Get the most recent LastUpdated value across a layer's features
+   *
+   * Uses an outStatistics query so only one number comes back, letting
+   * callers skip a full download when a feed hasn't changed. A feed that
+   * rejects the query is remembered and not asked again; transient
+   * failures are thrown as usual.
    *
    * @param {string} endpoint - Base FeatureServer endpoint URL
    * @param {number} layerId - Layer ID
-   * @returns {Promise<object>} - Layer metadata
+   * @param {string} field - Name of the last-updated field (default: 'LastUpdated')
+   * @returns {Promise<number|null>} - Epoch milliseconds, or null if unknown
    */
-  async getLayerInfo(endpoint, layerId = 0) {
-    const url = `${endpoint}/${layerId}?f=json`;
+  async getLastUpdated(endpoint, layerId = 0, field = 'LastUpdated') {
+    if (this.statsUnsupported.has(endpoint)) {
+      return null;
+    }
 
+    let data;
     try {
-      const response = await fetch(url);
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+      data = await this.queryLayer(endpoint, layerId, {
+        returnGeometry: false,
+        quiet: true,
+        additionalParams: {
+          outStatistics: JSON.stringify([{
+            statisticType: 'max',
+            onStatisticField: field,
+            outStatisticFieldName: 'maxLastUpdated'
+          }])
+        }
+      });
+    } catch (error) {
+      if (error.transient || error.circuitOpen) {
+        throw error;
       }
+      this.statsUnsupported.add(endpoint);
+      console.warn(`⚠️  ${this.getBreaker(endpoint).name} doesn't support LastUpdated statistics (${error.message}) - comparing full fetches instead`);
+      return null;
+    }
 
-      const data = await response.json();
+    const attrs = data.features && data.features[0] && data.features[0].attributes;
+    const value = attrs ? (attrs.maxLastUpdated ?? attrs.MAXLASTUPDATED) : null;
+    return typeof value === 'number' ? value : null;
+  }
 
-      if (data.error) {
-        throw new Error(`ArcGIS API error: ${data.error.message}`);
-      }
+  /**
+   * Get layer metadata/information
+   *
+   * @param {string} endpoint - Base FeatureServer endpoint URL
+   * @param {number} layerId - Layer ID
+   * @returns {Promise<object>} - Layer metadata
+   */
+  async getLayerInfo(endpoint, layerId = 0) {
+    const url = `${endpoint}/${layerId}?f=json`;
 
-      return data;
+    try {
+      return await this.request(endpoint, url);
     } catch (error) {
-      console.error(`Failed to get layer info from ${endpoint}:`, error.message);
+      if (!error.circuitOpen) {
+        console.error(`Failed to get layer info from ${endpoint}:`, error.message);
+      }
       throw error;
     }
   }
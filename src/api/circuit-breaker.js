@@ -0,0 +1,127 @@
+/**
+ * Circuit Breaker
+ *
+ * Stops hammering a feed that keeps failing. After `failureThreshold`
+ * consecutive failures the breaker opens and requests are refused until
+ * `resetTimeoutMs` has passed; then a single trial request is let through
+ * (half-open) and the rest are refused until it settles. A failure
+ * re-opens the breaker; a success, or any other answer from the feed,
+ * closes it.
+ */
+
+export class CircuitBreaker {
+  /**
+   * @param {string} name - Label used in logs (e.g. water company name)
+   * @param {object} options - { failureThreshold, resetTimeoutMs }
+   */
+  constructor(name, { failureThreshold = 5, resetTimeoutMs = 10 * 60 * 1000 } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+
+    this.state = 'closed'; // closed | open | half-open
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastError = null;
+    this.lastFailure = null;
+    this.lastSuccess = null;
+    this.totalRequests = 0;
+    this.totalFailures = 0;
+  }
+
+  /**
+   * Whether a request may be made now. While half-open this claims the
+   * single trial request, so only call it just before making one.
+   */
+  canRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = 'half-open';
+      console.log(`🔌 ${this.name}: circuit half-open, trying a request`);
+    }
+    if (this.state === 'half-open') {
+      if (this.trialInFlight) return false;
+      this.trialInFlight = true;
+      return true;
+    }
+    return this.state !== 'open';
+  }
+
+  /**
+   * Whether a request would be let through now, without claiming the trial
+   */
+  isAvailable() {
+    if (this.state === 'open') return Date.now() - this.openedAt >= this.resetTimeoutMs;
+    return this.state === 'closed' || !this.trialInFlight;
+  }
+
+  /**
+   * Record a successful request
+   */
+  recordSuccess() {
+    this.totalRequests++;
+    this.lastSuccess = Date.now();
+    this.consecutiveFailures = 0;
+    this.trialInFlight = false;
+
+    if (this.state !== 'closed') {
+      console.log(`🔌 ${this.name}: circuit closed, feed recovered`);
+    }
+    this.state = 'closed';
+    this.openedAt = null;
+  }
+
+  /**
+   * Record a failed request
+   */
+  recordFailure(error) {
+    this.totalRequests++;
+    this.totalFailures++;
+    this.consecutiveFailures++;
+    this.lastFailure = Date.now();
+    this.lastError = error ? error.message : null;
+    this.trialInFlight = false;
+
+    const shouldOpen = this.state === 'half-open' ||
+      (this.state === 'closed' && this.consecutiveFailures >= this.failureThreshold);
+
+    if (shouldOpen) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      console.warn(`🔌 ${this.name}: circuit OPEN after ${this.consecutiveFailures} failure(s) - pausing requests for ${Math.round(this.resetTimeoutMs / 60000)} min`);
+    }
+  }
+
+  /**
+   * Record a request the feed answered but refused (e.g. a bad query).
+   * Neither a success nor a failure, but the feed is up, so a trial closes.
+   */
+  recordAnswered() {
+    if (this.state === 'half-open') {
+      console.log(`🔌 ${this.name}: circuit closed, feed answered`);
+      this.state = 'closed';
+      this.openedAt = null;
+      this.consecutiveFailures = 0;
+    }
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Snapshot of breaker state
+   */
+  getState() {
+    return {
+      name: this.name,
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.openedAt ? new Date(this.openedAt + this.resetTimeoutMs).toISOString() : null,
+      lastError: this.lastError,
+      lastFailure: this.lastFailure ? new Date(this.lastFailure).toISOString() : null,
+      lastSuccess: this.lastSuccess ? new Date(this.lastSuccess).toISOString() : null,
+      totalRequests: this.totalRequests,
+      totalFailures: this.totalFailures,
+      errorRate: this.totalRequests > 0 ? this.totalFailures / this.totalRequests : 0
+    };
+  }
+}
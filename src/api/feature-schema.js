@@ -0,0 +1,177 @@
+/**
+ * Feature Schema
+ *
+ * Maps raw ArcGIS feature attributes to a normalized event using the
+ * declarative schema in WATER_COMPANIES, coerces and validates types, and
+ * reports schema drift (missing or renamed fields) as warnings instead of
+ * throwing or quietly producing null site IDs.
+ */
+
+import { DEFAULT_FEATURE_SCHEMA } from '../../config.js';
+
+// Status labels some feeds publish instead of numeric codes
+const STATUS_LABELS = {
+  discharging: 1,
+  active: 1,
+  'not discharging': 0,
+  inactive: 0,
+  offline: -1,
+  error: -1
+};
+
+export class FeatureSchema {
+  /**
+   * @param {string} companyName - Water company name (used in warnings)
+   * @param {object} overrides - Company schema entries replacing the defaults
+   */
+  constructor(companyName, overrides = {}) {
+    this.companyName = companyName;
+    this.fields = {};
+
+    for (const [key, entry] of Object.entries({ ...DEFAULT_FEATURE_SCHEMA, ...overrides })) {
+      this.fields[key] = {
+        ...(DEFAULT_FEATURE_SCHEMA[key] || {}),
+        ...this.expandEntry(entry)
+      };
+    }
+  }
+
+  /**
+   * Accept shorthand entries: 'Field' or ['FieldA', 'FieldB']
+   */
+  expandEntry(entry) {
+    if (typeof entry === 'string' || Array.isArray(entry)) {
+      return { fields: [].concat(entry) };
+    }
+    return { ...entry, fields: [].concat(entry.fields) };
+  }
+
+  /**
+   * Normalize one feature
+   *
+   * @param {object} feature - ArcGIS feature ({ attributes, geometry })
+   * @returns {object} - { event, issues } where issues lists type problems
+   */
+  normalize(feature) {
+    const attrs = feature.attributes || {};
+    const event = {};
+    const issues = [];
+
+    for (const [key, spec] of Object.entries(this.fields)) {
+      const raw = this.readRaw(attrs, spec.fields);
+      const value = raw === null ? null : this.coerce(raw, spec.type);
+
+      if (raw !== null && value === null) {
+        issues.push(`${key}: expected ${spec.type}, got ${JSON.stringify(raw)}`);
+      } else if (spec.required && value === null) {
+        issues.push(`${key}: required field missing`);
+      }
+
+      event[key] = value;
+    }
+
+    // Fall back to point geometry when coordinates aren't attributes
+    // (ArcGISClient asks for it in WGS84, so x/y are longitude/latitude)
+    if (feature.geometry && event.latitude === null && event.longitude === null) {
+      event.latitude = this.coerce(feature.geometry.y, 'number');
+      event.longitude = this.coerce(feature.geometry.x, 'number');
+    }
+
+    return { event, issues };
+  }
+
+  /**
+   * First non-empty attribute among the candidate names
+   */
+  readRaw(attrs, names) {
+    for (const name of names) {
+      if (attrs[name] !== undefined && attrs[name] !== null && attrs[name] !== '') {
+        return attrs[name];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Coerce a raw attribute value to a schema type, or null if it can't be
+   */
+  coerce(value, type) {
+    switch (type) {
+      case 'string':
+        return typeof value === 'string' || typeof value === 'number' ? String(value).trim() : null;
+
+      case 'number': {
+        const num = typeof value === 'number' ? value : Number(value);
+        return Number.isFinite(num) ? num : null;
+      }
+
+      case 'timestamp': {
+        if (typeof value === 'number' && Number.isFinite(value)) {
+          // Epoch seconds slip in occasionally - ArcGIS dates are milliseconds
+          return value < 1e11 ? value * 1000 : value;
+        }
+        const parsed = typeof value === 'string' ? Date.parse(value) : NaN;
+        return Number.isFinite(parsed) ? parsed : null;
+      }
+
+      case 'status': {
+        const num = typeof value === 'number' ? value : Number(value);
+        if ([-1, 0, 1].includes(num)) {
+          return num;
+        }
+        const label = typeof value === 'string' ? STATUS_LABELS[value.trim().toLowerCase()] : undefined;
+        return label !== undefined ? label : null;
+      }
+
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * Check a batch of features against the schema
+   *
+   * A field is reported when no feature in the batch carries any of its
+   * candidate names. Attributes that look like the missing field (same name
+   * ignoring case and underscores) are suggested as likely renames.
+   *
+   * @param {array} features - Features from one query
+   * @returns {array} - Warning strings (empty when the schema matches)
+   */
+  checkDrift(features) {
+    if (features.length === 0) {
+      return [];
+    }
+
+    const seen = new Set();
+    for (const feature of features) {
+      for (const name of Object.keys(feature.attributes || {})) {
+        seen.add(name);
+      }
+    }
+
+    const warnings = [];
+    for (const [key, spec] of Object.entries(this.fields)) {
+      if (spec.warnIfMissing === false || spec.fields.some(name => seen.has(name))) {
+        continue;
+      }
+
+      const wanted = spec.fields.map(name => this.simplify(name));
+      const renamed = [...seen].filter(name => wanted.includes(this.simplify(name)));
+      const level = spec.required ? 'required' : 'optional';
+
+      warnings.push(renamed.length > 0
+        ? `${level} field ${key} (${spec.fields.join('/')}) missing - possibly renamed to ${renamed.join('/')}`
+        : `${level} field ${key} (${spec.fields.join('/')}) missing from feed`);
+    }
+
+    return warnings;
+  }
+
+  /**
+   * Lowercase and strip separators for fuzzy field-name comparison
+   */
+  simplify(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+}
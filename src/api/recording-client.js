@@ -0,0 +1,83 @@
+/**
+ * Recording ArcGIS Client
+ *
+ * ArcGISClient that saves every raw queryLayer response (or failure) with
+ * the time it arrived, so a day of live feeds can be replayed through the
+ * EventTracker offline with ReplayClient. Enabled with RECORD_FEEDS=true
+ * or --record.
+ *
+ * Recordings are journals named by UTC day (2026-10-18.jsonl), one line
+ * per request: { at, endpoint, layerId, url, response } or { ..., error }.
+ * Full feeds are large - recording a day of every company takes a lot of
+ * disk, so only leave it on while capturing an incident.
+ */
+
+import path from 'path';
+import { ArcGISClient } from './arcgis-client.js';
+import { Journal } from '../database/journal.js';
+import { FEED_RECORDINGS_DIR } from '../../config.js';
+
+export class RecordingClient extends ArcGISClient {
+  /**
+   * @param {string} dir - Directory recordings are written to
+   * @param {object} options - ArcGISClient options
+   */
+  constructor(dir = FEED_RECORDINGS_DIR, options = {}) {
+    super(options);
+    this.dir = dir;
+    this.journal = null;
+    this.day = null;
+    this.recordedCount = 0;
+  }
+
+  /**
+   * Query a layer, recording the response or the error
+   *
+   * Requests refused by an open circuit breaker never reached the feed, so
+   * they aren't recorded.
+   */
+  async queryLayer(endpoint, layerId = 0, options = {}) {
+    const url = this.buildQueryUrl(endpoint, layerId, options);
+
+    try {
+      const response = await super.queryLayer(endpoint, layerId, options);
+      this.save({ at: Date.now(), endpoint, layerId, url, response });
+      return response;
+    } catch (error) {
+      if (!error.circuitOpen) {
+        this.save({ at: Date.now(), endpoint, layerId, url, error: { message: error.message, transient: Boolean(error.transient) } });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Append a record to the journal for its day
+   */
+  save(record) {
+    const day = new Date(record.at).toISOString().substring(0, 10);
+
+    try {
+      if (day !== this.day) {
+        this.close();
+        this.journal = new Journal(path.join(this.dir, `${day}.jsonl`));
+        this.day = day;
+      }
+      this.journal.append(record);
+      this.recordedCount++;
+    } catch (error) {
+      console.error('Failed to record feed response:', error.message);
+    }
+  }
+
+  /**
+   * Close the current recording
+   */
+  close() {
+    if (this.journal) {
+      this.journal.close();
+      this.journal = null;
+      this.day = null;
+    }
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * Replay ArcGIS Client
+ *
+ * Stand-in for ArcGISClient that answers queries from a recording made by
+ * RecordingClient instead of the live services. Each query gets the latest
+ * response recorded for the same URL at or before the replay clock's time,
+ * and recorded failures (timeouts, 5xx, ArcGIS errors) are thrown again,
+ * so feed outages replay as well as discharges.
+ *
+ * Paging, object ID batching and LastUpdated checks are inherited from
+ * ArcGISClient and make the same requests they made live.
+ */
+
+import { ArcGISClient } from './arcgis-client.js';
+import { Journal } from '../database/journal.js';
+import { ReplayClock } from '../monitor/replay-clock.js';
+
+// Requests to one feed closer together than this belong to the same poll
+const POLL_GAP_MS = 30 * 1000;
+
+export class ReplayClient extends ArcGISClient {
+  /**
+   * @param {string|array} recording - Recording file path, or its records
+   * @param {object} options - { clock } plus ArcGISClient options
+   */
+  constructor(recording, { clock = new ReplayClock(), ...options } = {}) {
+    super(options);
+    this.clock = clock;
+
+    const records = Array.isArray(recording) ? recording : new Journal(recording).load();
+    this.records = records
+      .filter(record => record.url && (record.response || record.error))
+      .sort((a, b) => a.at - b.at);
+
+    this.byUrl = new Map(); // url -> records in time order
+    for (const record of this.records) {
+      if (!this.byUrl.has(record.url)) {
+        this.byUrl.set(record.url, []);
+      }
+      this.byUrl.get(record.url).push(record);
+    }
+  }
+
+  /**
+   * Time of the first and last recorded response (ms), or null if empty
+   */
+  getRange() {
+    if (this.records.length === 0) {
+      return null;
+    }
+    return { from: this.records[0].at, to: this.records[this.records.length - 1].at };
+  }
+
+  /**
+   * Recorded polls in time order
+   *
+   * Consecutive requests to a feed within POLL_GAP_MS are one poll (the
+   * LastUpdated check, then the pages of the full fetch). A poll's time is
+   * its last response, so every request it made can be answered.
+   *
+   * @returns {array} - [{ endpoint, startedAt, time, requests }]
+   */
+  getPolls() {
+    const polls = [];
+    const current = new Map(); // endpoint -> poll being built
+
+    for (const record of this.records) {
+      const poll = current.get(record.endpoint);
+      if (poll && record.at - poll.time <= POLL_GAP_MS) {
+        poll.time = record.at;
+        poll.requests++;
+        continue;
+      }
+
+      const next = { endpoint: record.endpoint, startedAt: record.at, time: record.at, requests: 1 };
+      polls.push(next);
+      current.set(record.endpoint, next);
+    }
+
+    return polls.sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Latest record for a URL at or before a time
+   */
+  find(url, time) {
+    const records = this.byUrl.get(url) || [];
+    for (let i = records.length - 1; i >= 0; i--) {
+      if (records[i].at <= time) {
+        return records[i];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Answer a layer query from the recording
+   */
+  async queryLayer(endpoint, layerId = 0, options = {}) {
+    const url = this.buildQueryUrl(endpoint, layerId, options);
+    const record = this.find(url, this.clock.now());
+
+    if (!record) {
+      const error = new Error(`No recorded response for ${url} at ${new Date(this.clock.now()).toISOString()}`);
+      error.transient = false;
+      throw error;
+    }
+
+    if (record.error) {
+      const error = new Error(record.error.message);
+      error.transient = record.error.transient;
+      throw error;
+    }
+
+    // Callers keep references to feature attributes - don't share them
+    return structuredClone(record.response);
+  }
+
+  /**
+   * Layer metadata isn't recorded
+   */
+  async getLayerInfo() {
+    throw new Error('Layer info is not available when replaying a recording');
+  }
+}
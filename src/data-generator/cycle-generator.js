@@ -1,9 +1,12 @@
 /**
  * Cycle Data Generator
  *
- * Generates JSON data files for each 90-minute cycle
+ * Generates JSON data files for each posting cycle
  * Creates AI summary of events
  * Prepares data for GitHub Pages
+ *
+ * In dry-run mode files are written to the dry-run sandbox's website
+ * directory instead of website/.
  */
 
 import fs from 'fs';
@@ -15,12 +18,19 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 export class CycleGenerator {
-  constructor(githubPublisher, aiSummarizer) {
+  /**
+   * @param {GitHubPublisher} githubPublisher - Publishes generated files
+   * @param {AISummarizer} aiSummarizer - Writes the cycle summary
+   * @param {object} options - { dryRun } (DryRun instance)
+   */
+  constructor(githubPublisher, aiSummarizer, { dryRun = null } = {}) {
     this.githubPublisher = githubPublisher;
     this.aiSummarizer = aiSummarizer;
 
-    this.cyclesDir = path.join(__dirname, '../../website/cycles');
-    this.eventsDir = path.join(__dirname, '../../website/events');
+    const websiteDir = dryRun && dryRun.enabled ? dryRun.websiteDir : path.join(__dirname, '../../website');
+    this.cyclesDir = path.join(websiteDir, 'cycles');
+    this.eventsDir = path.join(websiteDir, 'events');
+    this.feedHealthPath = path.join(websiteDir, 'feed-health.json');
 
     // Ensure directories exist
     if (!fs.existsSync(this.cyclesDir)) {
@@ -52,6 +62,7 @@ export class CycleGenerator {
         summary: summary,
         events: events.map(e => ({
           id: e.id,
+          type: e.type || 'discharge',
           company: e.waterCompany,
           siteId: e.siteId,
           siteName: e.siteName || '', // Empty string if no name, don't duplicate site ID
@@ -60,8 +71,14 @@ export class CycleGenerator {
           longitude: e.longitude,
           startTime: e.startTime,
           endTime: e.endTime,
+          startSource: e.startSource || 'inferred',
+          endSource: e.endSource || 'inferred',
           durationMinutes: e.durationMinutes,
           durationFormatted: this.formatDuration(e.durationMinutes),
+          spillCount: e.block ? e.block.spillCount : null, // 12/24 spill blocks only
+          dischargeCount: e.block ? e.block.eventCount : null,
+          estimatedVolumeM3: e.estimatedVolumeM3 ?? null,
+          severity: e.severity || null,
           mapsLink: `https://maps.google.com/?q=${e.latitude},${e.longitude}`
         }))
       };
@@ -131,6 +148,11 @@ export class CycleGenerator {
       await this.githubPublisher.add(cycleData.filepath);
       await this.githubPublisher.add(manifestPath);
 
+      // Feed health is rewritten by the monitor on every poll - publish the latest
+      if (fs.existsSync(this.feedHealthPath)) {
+        await this.githubPublisher.add(this.feedHealthPath);
+      }
+
       // Commit
       const commitMessage = `Add cycle ${cycleData.cycleId} (${cycleData.data.eventCount} events)`;
       await this.githubPublisher.commit(commitMessage);
@@ -0,0 +1,441 @@
+/**
+ * Weekly Summary Generator
+ *
+ * Builds the Sunday digest from the past seven days in the event database:
+ * discharge hours per company, the longest spills, the most-hit
+ * watercourses and the change against the week before. The digest is
+ * published as website/weekly/<isoweek>.json (listed in weekly/manifest.json)
+ * and posted as a Twitter thread linking to weekly.html.
+ *
+ * run() is the PostScheduler's summaryJob for the sundaySummary slot.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { POSTING_TIMEZONE } from '../../config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// Rows kept in each ranking
+const TOP_SPILLS = 5;
+const TOP_WATERCOURSES = 5;
+
+export class WeeklySummary {
+  /**
+   * @param {EventDatabase} db - Event store to summarise
+   * @param {GitHubPublisher} githubPublisher - Publishes the weekly JSON
+   * @param {SocialPublishers} publishers - Networks the thread is posted to
+   * @param {string} weeklyDir - Output directory for weekly JSON files
+   */
+  constructor(db, githubPublisher, publishers, weeklyDir = path.join(__dirname, '../../website/weekly')) {
+    this.db = db;
+    this.githubPublisher = githubPublisher;
+    this.publishers = publishers;
+    this.weeklyDir = weeklyDir;
+
+    if (!fs.existsSync(this.weeklyDir)) {
+      fs.mkdirSync(this.weeklyDir, { recursive: true });
+    }
+  }
+
+  /**
+   * ISO 8601 week label for a date, e.g. "2026-W43"
+   *
+   * Weeks start on Monday and week 1 contains the year's first Thursday.
+   * Uses UTC so the label doesn't depend on the server's timezone.
+   */
+  getIsoWeek(date) {
+    const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    const weekday = day.getUTCDay() || 7;
+    day.setUTCDate(day.getUTCDate() + 4 - weekday); // Thursday of this week
+
+    const yearStart = Date.UTC(day.getUTCFullYear(), 0, 1);
+    const week = Math.ceil(((day.getTime() - yearStart) / DAY_MS + 1) / 7);
+    return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+  }
+
+  /**
+   * Discharge minutes that fall inside a period
+   *
+   * Events crossing the period's edges only count the overlapping part;
+   * ongoing events count up to the period end.
+   */
+  minutesWithin(event, from, to) {
+    const start = Math.max(event.startTime, from);
+    const end = Math.min(event.endTime || to, to);
+    return end > start ? Math.round((end - start) / (1000 * 60)) : 0;
+  }
+
+  /**
+   * Totals and per-company hours for one period
+   */
+  summarisePeriod(from, to) {
+    const { rows } = this.db.query({ from, to });
+    const byCompany = new Map();
+    const sites = new Set();
+    let minutes = 0;
+
+    for (const event of rows) {
+      const eventMinutes = this.minutesWithin(event, from, to);
+      minutes += eventMinutes;
+      sites.add(`${event.waterCompany}|${event.siteId}`);
+
+      if (!byCompany.has(event.waterCompany)) {
+        byCompany.set(event.waterCompany, { events: 0, minutes: 0 });
+      }
+      const company = byCompany.get(event.waterCompany);
+      company.events++;
+      company.minutes += eventMinutes;
+    }
+
+    return { rows, events: rows.length, sites: sites.size, minutes, byCompany };
+  }
+
+  /**
+   * Percentage change, or null when there's nothing to compare against
+   */
+  percentChange(current, previous) {
+    if (!previous) {
+      return null;
+    }
+    return Math.round(((current - previous) / previous) * 100);
+  }
+
+  /**
+   * Minutes to hours, one decimal place
+   */
+  toHours(minutes) {
+    return Math.round((minutes / 60) * 10) / 10;
+  }
+
+  /**
+   * Build the summary for the seven days up to `now`
+   *
+   * @param {number} now - End of the week (ms)
+   * @returns {object} - Weekly summary data
+   */
+  buildSummary(now = Date.now()) {
+    const weekStart = now - WEEK_MS;
+    const current = this.summarisePeriod(weekStart, now);
+    const previous = this.summarisePeriod(weekStart - WEEK_MS, weekStart);
+
+    const companies = [...new Set([...current.byCompany.keys(), ...previous.byCompany.keys()])]
+      .map(company => {
+        const thisWeek = current.byCompany.get(company) || { events: 0, minutes: 0 };
+        const lastWeek = previous.byCompany.get(company) || { events: 0, minutes: 0 };
+        return {
+          company,
+          events: thisWeek.events,
+          hours: this.toHours(thisWeek.minutes),
+          previousHours: this.toHours(lastWeek.minutes),
+          changePercent: this.percentChange(thisWeek.minutes, lastWeek.minutes)
+        };
+      })
+      .sort((a, b) => b.hours - a.hours || a.company.localeCompare(b.company));
+
+    const longestSpills = [...current.rows]
+      .sort((a, b) => this.db.effectiveDuration(b, now) - this.db.effectiveDuration(a, now))
+      .slice(0, TOP_SPILLS)
+      .map(event => ({
+        company: event.waterCompany,
+        siteId: event.siteId,
+        siteName: event.siteName || '',
+        watercourse: event.receivingWatercourse || '',
+        startTime: event.startTime,
+        endTime: event.endTime,
+        ongoing: !event.endTime,
+        durationMinutes: this.db.effectiveDuration(event, now),
+        durationFormatted: this.formatDuration(this.db.effectiveDuration(event, now))
+      }));
+
+    return {
+      id: this.getIsoWeek(new Date(now - 1)),
+      weekStart: new Date(weekStart).toISOString(),
+      weekEnd: new Date(now).toISOString(),
+      generatedAt: new Date().toISOString(),
+      totals: {
+        events: current.events,
+        sites: current.sites,
+        hours: this.toHours(current.minutes)
+      },
+      previousWeek: {
+        events: previous.events,
+        sites: previous.sites,
+        hours: this.toHours(previous.minutes)
+      },
+      change: {
+        eventsPercent: this.percentChange(current.events, previous.events),
+        hoursPercent: this.percentChange(current.minutes, previous.minutes)
+      },
+      companies,
+      longestSpills,
+      watercourses: this.rankWatercourses(current.rows, weekStart, now)
+    };
+  }
+
+  /**
+   * Watercourses ranked by number of discharges, then hours
+   */
+  rankWatercourses(events, from, to) {
+    const byName = new Map();
+
+    for (const event of events) {
+      const name = (event.receivingWatercourse || '').trim();
+      if (!name) continue;
+
+      const key = name.toLowerCase();
+      if (!byName.has(key)) {
+        byName.set(key, { name, events: 0, minutes: 0, sites: new Set(), companies: new Set() });
+      }
+      const entry = byName.get(key);
+      entry.events++;
+      entry.minutes += this.minutesWithin(event, from, to);
+      entry.sites.add(`${event.waterCompany}|${event.siteId}`);
+      entry.companies.add(event.waterCompany);
+    }
+
+    return Array.from(byName.values())
+      .sort((a, b) => b.events - a.events || b.minutes - a.minutes)
+      .slice(0, TOP_WATERCOURSES)
+      .map(entry => ({
+        name: entry.name,
+        events: entry.events,
+        sites: entry.sites.size,
+        hours: this.toHours(entry.minutes),
+        companies: [...entry.companies].sort()
+      }));
+  }
+
+  /**
+   * Render the summary as a thread, one section per tweet
+   *
+   * @param {object} summary - From buildSummary()
+   * @param {string} pageUrl - Link to the weekly page
+   * @param {SocialPublisher[]} publishers - Networks the thread must fit
+   * @returns {array} - Post texts
+   */
+  buildThread(summary, pageUrl, publishers = this.publishers.getEnabled()) {
+    const weekEnd = new Date(summary.weekEnd).toLocaleDateString('en-GB', { timeZone: POSTING_TIMEZONE, day: 'numeric', month: 'short' });
+    const thread = [];
+
+    thread.push(this.fitTweet([
+      `📰 Weekly sewage summary (${summary.id}, to ${weekEnd})`,
+      '',
+      `${summary.totals.events} discharge${summary.totals.events !== 1 ? 's' : ''} at ${summary.totals.sites} site${summary.totals.sites !== 1 ? 's' : ''}`,
+      `${this.formatHours(summary.totals.hours)} of sewage spills in total`,
+      this.formatChange(summary.change.hoursPercent, 'hours vs last week'),
+      '',
+      `📊 Full breakdown: ${pageUrl}`,
+      '🧵👇'
+    ], publishers));
+
+    if (summary.companies.length > 0) {
+      thread.push(this.fitTweet([
+        '🏭 Hours by company:',
+        ...summary.companies
+          .filter(c => c.hours > 0)
+          .map(c => `${this.shortCompany(c.company)}: ${this.formatHours(c.hours)}${this.formatChangeShort(c.changePercent)}`)
+      ], publishers));
+    }
+
+    if (summary.longestSpills.length > 0) {
+      thread.push(this.fitTweet([
+        '⏱️ Longest spills:',
+        ...summary.longestSpills.map((s, i) =>
+          `${i + 1}. ${s.durationFormatted}${s.ongoing ? '+' : ''} - ${this.shortCompany(s.company)}, ${s.watercourse || s.siteName || s.siteId}`)
+      ], publishers));
+    }
+
+    if (summary.watercourses.length > 0) {
+      thread.push(this.fitTweet([
+        '🌊 Most-hit watercourses:',
+        ...summary.watercourses.map((w, i) =>
+          `${i + 1}. ${w.name} - ${w.events} discharge${w.events !== 1 ? 's' : ''}, ${this.formatHours(w.hours)}`)
+      ], publishers));
+    }
+
+    thread.push('#SewageScandal #EndSewagePollution');
+    return thread;
+  }
+
+  /**
+   * Join lines into a post, dropping trailing list lines that don't fit
+   *
+   * Measured the way each network counts (links included), so the post
+   * fits all of them. Anything still too long is trimmed by each network
+   * when it's posted.
+   */
+  fitTweet(lines, publishers) {
+    const kept = lines.filter(line => line !== null);
+    const fits = text => publishers.every(publisher => publisher.countLength(text) <= publisher.capabilities.maxLength);
+
+    let text = kept.join('\n');
+    while (!fits(text) && kept.length > 2) {
+      kept.pop();
+      text = kept.join('\n');
+    }
+    return text;
+  }
+
+  /**
+   * Company name without the Water/Utilities suffix
+   */
+  shortCompany(company) {
+    return company.replace(' Water', '').replace(' Utilities', '');
+  }
+
+  /**
+   * Hours as e.g. "1,234h"
+   */
+  formatHours(hours) {
+    return `${Math.round(hours).toLocaleString('en-GB')}h`;
+  }
+
+  /**
+   * Week-over-week line, or null when there's no previous week
+   */
+  formatChange(percent, label) {
+    if (percent === null) {
+      return null;
+    }
+    const arrow = percent > 0 ? '📈' : percent < 0 ? '📉' : '➡️';
+    return `${arrow} ${percent > 0 ? '+' : ''}${percent}% ${label}`;
+  }
+
+  /**
+   * Compact change suffix for list lines
+   */
+  formatChangeShort(percent) {
+    if (percent === null) {
+      return '';
+    }
+    return ` (${percent > 0 ? '+' : ''}${percent}%)`;
+  }
+
+  /**
+   * Write the summary JSON and add it to the manifest
+   *
+   * @returns {object} - { success, filepath, filename, manifestPath, url, error }
+   */
+  saveSummary(summary) {
+    try {
+      const filename = `${summary.id}.json`;
+      const filepath = path.join(this.weeklyDir, filename);
+      fs.writeFileSync(filepath, JSON.stringify(summary, null, 2), 'utf8');
+
+      const manifestPath = path.join(this.weeklyDir, 'manifest.json');
+      let manifest = { weeks: [] };
+      if (fs.existsSync(manifestPath)) {
+        manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+      }
+
+      // Newest first; a re-run for the same week replaces its entry
+      manifest.weeks = [filename, ...manifest.weeks.filter(week => week !== filename)].slice(0, 104);
+      manifest.lastUpdated = new Date().toISOString();
+      fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2), 'utf8');
+
+      console.log(`✓ Saved weekly summary: ${filename}`);
+
+      return {
+        success: true,
+        filepath,
+        filename,
+        manifestPath,
+        url: this.githubPublisher.getUrl(`weekly.html?week=${summary.id}`)
+      };
+    } catch (error) {
+      console.error('Error saving weekly summary:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Commit and push the weekly files
+   */
+  async publishToGitHub(saved, summary) {
+    try {
+      await this.githubPublisher.add(saved.filepath);
+      await this.githubPublisher.add(saved.manifestPath);
+      await this.githubPublisher.commit(`Add weekly summary ${summary.id} (${summary.totals.events} events)`);
+      await this.githubPublisher.push();
+      return { success: true };
+    } catch (error) {
+      console.error('Error publishing weekly summary:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Build, publish and post this week's summary
+   *
+   * @param {number} now - End of the week (ms)
+   * @param {object} options - { postThread: async (texts, publishers) =>
+   *   result like SocialPublishers.postThreadAll(); the PostScheduler's
+   *   records the thread in its ledger }
+   * @returns {object} - { success, ref, networks, url, thread, error } where
+   *   success means the thread was posted to at least one network, ref is
+   *   the first post's ID there and networks the outcome on each network
+   */
+  async run(now = Date.now(), { postThread = (texts, publishers) => this.publishers.postThreadAll(texts, publishers) } = {}) {
+    console.log('📰 Building weekly summary...');
+    const summary = this.buildSummary(now);
+    console.log(`   ${summary.id}: ${summary.totals.events} events, ${summary.totals.hours}h across ${summary.companies.length} companies`);
+
+    const saved = this.saveSummary(summary);
+    if (!saved.success) {
+      return { success: false, error: saved.error };
+    }
+
+    const published = await this.publishToGitHub(saved, summary);
+    if (!published.success) {
+      return { success: false, error: published.error };
+    }
+    console.log('✓ Published weekly summary to GitHub');
+
+    const enabled = this.publishers.getEnabled();
+    const thread = this.buildThread(summary, saved.url, enabled);
+    console.log('Thread preview:');
+    console.log('-'.repeat(70));
+    console.log(thread.join('\n' + '-'.repeat(70) + '\n'));
+    console.log('-'.repeat(70));
+
+    if (enabled.length === 0) {
+      console.warn('⚠️  No social networks configured - skipping thread');
+      return { success: false, url: saved.url, thread, error: 'No social networks configured' };
+    }
+
+    const result = await postThread(thread, enabled);
+    for (const [name, outcome] of Object.entries(result.results)) {
+      if (outcome.success) {
+        console.log(`✅ Weekly summary thread posted to ${this.publishers.get(name).label}: ${outcome.url}`);
+      } else {
+        console.error(`❌ Weekly summary thread failed on ${this.publishers.get(name).label}: ${outcome.error}`);
+      }
+    }
+
+    if (!result.success) {
+      return { success: false, networks: result.networks, url: saved.url, thread, error: 'Thread failed on every network' };
+    }
+    return { success: true, ref: result.ref, networks: result.networks, url: saved.url, thread };
+  }
+
+  /**
+   * Format duration
+   */
+  formatDuration(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const mins = minutes % 60;
+    const days = Math.floor(hours / 24);
+    const remainingHours = hours % 24;
+
+    if (days > 0) {
+      return remainingHours > 0 ? `${days}d ${remainingHours}h` : `${days}d`;
+    }
+    return mins > 0 ? `${hours}h ${mins}m` : `${hours}h`;
+  }
+}
@@ -1,48 +1,208 @@
 /**
  * Database module for storing storm overflow events
  *
- * Uses JSON file storage to track event start times, durations, and status changes
+ * Embedded, indexed event store. Records live in memory with indexes on
+ * company, site and start time; every change is appended to a journal on
+ * disk (see journal.js) rather than rewriting the whole file, and the
+ * journal is compacted into a snapshot once it accumulates enough
+ * superseded lines.
+ *
+ * Three event types are stored: 'discharge' (status 1 spills),
+ * 'monitor_offline' (status -1 periods where the EDM monitor was down) and
+ * 'spill_block' (discharges grouped by the 12/24 counting method, with the
+ * details under `block`). Records written before types existed are treated
+ * as discharges.
+ *
+ * Every raw status change is also kept in a separate append-only
+ * transition log (see transition-log.js) for per-site timelines.
  */
 
 import fs from 'fs';
-import path from 'path';
-import { DB_PATH } from '../../config.js';
+import { Journal } from './journal.js';
+import { TransitionLog } from './transition-log.js';
+import { DB_PATH, LEGACY_DB_PATH, TRANSITIONS_DIR } from '../../config.js';
+
+// Compact once the journal holds this many more lines than live records
+const COMPACT_SLACK = 5000;
 
 export class EventDatabase {
-  constructor(dbPath = DB_PATH) {
-    this.dbPath = dbPath.replace('.db', '.json');
-    this.data = this.loadData();
-    console.log('Database initialized successfully');
+  constructor(dbPath = DB_PATH, legacyPath = LEGACY_DB_PATH, transitionsDir = TRANSITIONS_DIR) {
+    this.dbPath = dbPath;
+    this.journal = new Journal(dbPath);
+    this.transitions = new TransitionLog(transitionsDir);
+
+    this.events = new Map(); // id -> event record
+    this.nextId = 1;
+    this.migratedFrom = null; // legacy JSON file the store was first filled from
+
+    // Indexes
+    this.byKey = new Map(); // type|company|site|startTime -> id
+    this.byCompany = new Map(); // company -> Set of ids
+    this.bySite = new Map(); // company|siteId -> Set of ids
+    this.byStartTime = []; // [startTime, id] pairs sorted by startTime ascending
+    this.activeIds = new Set(); // ids with status 'active'
+
+    if (!fs.existsSync(dbPath) && legacyPath && fs.existsSync(legacyPath)) {
+      this.migrateLegacyDatabase(legacyPath);
+    }
+
+    this.loadData();
+    console.log(`Database initialized successfully (${this.events.size} events)`);
   }
 
   /**
-   * Load data from JSON file
+   * Replay the journal into memory and rebuild indexes
    */
   loadData() {
     try {
-      if (fs.existsSync(this.dbPath)) {
-        const rawData = fs.readFileSync(this.dbPath, 'utf8');
-        return JSON.parse(rawData);
+      for (const record of this.journal.load()) {
+        if (record.op === 'snapshot') {
+          this.clear();
+          this.nextId = record.nextId;
+          this.migratedFrom = record.migratedFrom ?? null;
+          for (const event of record.events) {
+            this.index(event);
+          }
+        } else if (record.op === 'put') {
+          this.index(record.event);
+          this.nextId = Math.max(this.nextId, record.event.id + 1);
+        }
       }
     } catch (error) {
       console.warn('Failed to load database, starting fresh:', error.message);
+      this.clear();
     }
-    return { events: [], nextId: 1 };
   }
 
   /**
-   * Save data to JSON file
+   * One-shot import of the old storm_overflow_events.json file
+   *
+   * Writes the legacy events as a single snapshot noting where they came
+   * from. The old file is left where it is (it's tracked in git); the
+   * import only runs while the store doesn't exist, so it never runs twice.
+   *
+   * @param {string} legacyPath - Path to the JSON database
+   * @returns {number} - Number of events migrated
    */
-  saveData() {
-    try {
-      const dir = path.dirname(this.dbPath);
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
+  migrateLegacyDatabase(legacyPath) {
+    console.log(`📦 Migrating legacy database ${legacyPath} → ${this.dbPath}`);
+
+    const legacy = JSON.parse(fs.readFileSync(legacyPath, 'utf8'));
+    const events = legacy.events || [];
+    const nextId = legacy.nextId || events.reduce((max, e) => Math.max(max, e.id + 1), 1);
+
+    this.journal.rewrite([{ op: 'snapshot', nextId, events, migratedFrom: legacyPath }]);
+
+    console.log(`✓ Migrated ${events.length} events`);
+    return events.length;
+  }
+
+  /**
+   * Reset in-memory state
+   */
+  clear() {
+    this.events.clear();
+    this.byKey.clear();
+    this.byCompany.clear();
+    this.bySite.clear();
+    this.byStartTime = [];
+    this.activeIds.clear();
+  }
+
+  /**
+   * Unique key for an event (one record per type/site/start)
+   */
+  eventKey(event) {
+    return `${event.type || 'discharge'}|${event.waterCompany}|${event.siteId}|${event.startTime}`;
+  }
+
+  /**
+   * Add a record to memory and all indexes, replacing any previous version
+   */
+  index(event) {
+    const previous = this.events.get(event.id);
+    if (previous) {
+      this.unindex(previous);
+    }
+
+    this.events.set(event.id, event);
+    this.byKey.set(this.eventKey(event), event.id);
+    this.addToSetIndex(this.byCompany, event.waterCompany, event.id);
+    this.addToSetIndex(this.bySite, `${event.waterCompany}|${event.siteId}`, event.id);
+
+    const pos = this.startTimePosition(event.startTime, event.id);
+    this.byStartTime.splice(pos, 0, [event.startTime, event.id]);
+
+    if (event.status === 'active') {
+      this.activeIds.add(event.id);
+    }
+  }
+
+  /**
+   * Remove a record from all indexes
+   */
+  unindex(event) {
+    this.byKey.delete(this.eventKey(event));
+    this.byCompany.get(event.waterCompany)?.delete(event.id);
+    this.bySite.get(`${event.waterCompany}|${event.siteId}`)?.delete(event.id);
+    this.activeIds.delete(event.id);
+
+    const pos = this.startTimePosition(event.startTime, event.id);
+    if (this.byStartTime[pos] && this.byStartTime[pos][1] === event.id) {
+      this.byStartTime.splice(pos, 1);
+    }
+  }
+
+  /**
+   * Add an id to a Map<key, Set> index
+   */
+  addToSetIndex(indexMap, key, id) {
+    if (!indexMap.has(key)) {
+      indexMap.set(key, new Set());
+    }
+    indexMap.get(key).add(id);
+  }
+
+  /**
+   * Binary search for the position of (startTime, id) in the start time index
+   */
+  startTimePosition(startTime, id) {
+    let low = 0;
+    let high = this.byStartTime.length;
+
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      const [midTime, midId] = this.byStartTime[mid];
+      if (midTime < startTime || (midTime === startTime && midId < id)) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Resolve ids to records, newest start first
+   */
+  collect(ids, filter = () => true) {
+    const results = [];
+    for (const id of ids) {
+      const event = this.events.get(id);
+      if (event && filter(event)) {
+        results.push(event);
       }
-      fs.writeFileSync(this.dbPath, JSON.stringify(this.data, null, 2), 'utf8');
-    } catch (error) {
-      console.error('Failed to save database:', error.message);
     }
+    return results.sort((a, b) => b.startTime - a.startTime);
+  }
+
+  /**
+   * Compare records ignoring the bookkeeping timestamp
+   */
+  isUnchanged(previous, next) {
+    const { lastUpdated: a, ...prevRest } = previous;
+    const { lastUpdated: b, ...nextRest } = next;
+    return JSON.stringify(prevRest) === JSON.stringify(nextRest);
   }
 
   /**
@@ -52,75 +212,290 @@ export class EventDatabase {
    * @returns {number} - Event ID
    */
   upsertEvent(event) {
-    const key = `${event.waterCompany}:${event.siteId}:${event.startTime}`;
-
-    // Find existing event
-    const existingIndex = this.data.events.findIndex(e =>
-      e.waterCompany === event.waterCompany &&
-      e.siteId === event.siteId &&
-      e.startTime === event.startTime
-    );
+    const type = event.type || 'discharge';
+    const existingId = this.byKey.get(this.eventKey({ ...event, type }));
+    const existing = existingId !== undefined ? this.events.get(existingId) : null;
 
     const eventData = {
-      id: existingIndex >= 0 ? this.data.events[existingIndex].id : this.data.nextId++,
+      id: existing ? existing.id : this.nextId++,
+      type,
       waterCompany: event.waterCompany,
       siteId: event.siteId,
       siteName: event.siteName || null,
       latitude: event.latitude || null,
       longitude: event.longitude || null,
       startTime: event.startTime,
+      startSource: event.startSource || null,
       endTime: event.endTime || null,
-      durationMinutes: event.durationMinutes || null,
+      endSource: event.endSource || null,
+      durationMinutes: event.durationMinutes ?? null,
       status: event.status,
       receivingWatercourse: event.receivingWatercourse || null,
+      hadMonitorOutage: event.hadMonitorOutage || false,
+      dataGaps: (event.dataGaps || []).map(gap => ({ ...gap })),
       lastUpdated: Date.now(),
       rawData: event.rawData || {}
     };
 
-    if (existingIndex >= 0) {
-      this.data.events[existingIndex] = eventData;
-    } else {
-      this.data.events.push(eventData);
+    if (event.block) {
+      eventData.block = { ...event.block };
+    }
+
+    // Repeat polls of an unchanged event only touch memory
+    if (existing && this.isUnchanged(existing, eventData)) {
+      existing.lastUpdated = eventData.lastUpdated;
+      return existing.id;
     }
 
-    this.saveData();
+    try {
+      this.journal.append({ op: 'put', event: eventData });
+    } catch (error) {
+      console.error('Failed to save database:', error.message);
+    }
+
+    this.index(eventData);
+    this.compactIfNeeded();
     return eventData.id;
   }
 
+  /**
+   * Rewrite the journal as a single snapshot once it has grown stale
+   */
+  compactIfNeeded() {
+    if (this.journal.lineCount - this.events.size < COMPACT_SLACK) {
+      return;
+    }
+
+    try {
+      this.journal.rewrite([{
+        op: 'snapshot',
+        nextId: this.nextId,
+        events: Array.from(this.events.values()),
+        ...(this.migratedFrom ? { migratedFrom: this.migratedFrom } : {})
+      }]);
+    } catch (error) {
+      console.error('Failed to compact database:', error.message);
+    }
+  }
+
+  /**
+   * Check an event record is of the given type
+   */
+  isType(event, type) {
+    return (event.type || 'discharge') === type;
+  }
+
   /**
    * Get active events (currently discharging)
    *
+   * @param {string} type - Event type (default: 'discharge')
    * @returns {array} - Active events
    */
-  getActiveEvents() {
-    return this.data.events
-      .filter(e => e.status === 'active')
-      .sort((a, b) => b.startTime - a.startTime);
+  getActiveEvents(type = 'discharge') {
+    return this.collect(this.activeIds, e => this.isType(e, type));
   }
 
   /**
    * Get all events for a specific water company
    *
    * @param {string} waterCompany - Water company name
+   * @param {string} type - Event type (default: 'discharge')
    * @returns {array} - Events
    */
-  getEventsByCompany(waterCompany) {
-    return this.data.events
-      .filter(e => e.waterCompany === waterCompany)
-      .sort((a, b) => b.startTime - a.startTime);
+  getEventsByCompany(waterCompany, type = 'discharge') {
+    return this.collect(this.byCompany.get(waterCompany) || [], e => this.isType(e, type));
+  }
+
+  /**
+   * Get all events for a specific site
+   *
+   * @param {string} waterCompany - Water company name
+   * @param {string} siteId - Site ID
+   * @param {string} type - Event type (default: 'discharge')
+   * @returns {array} - Events
+   */
+  getEventsBySite(waterCompany, siteId, type = 'discharge') {
+    return this.collect(this.bySite.get(`${waterCompany}|${siteId}`) || [], e => this.isType(e, type));
+  }
+
+  /**
+   * Get events that started within a time range
+   *
+   * @param {number} from - Start of range (inclusive, ms)
+   * @param {number} to - End of range (exclusive, ms)
+   * @param {string} type - Event type (default: 'discharge')
+   * @returns {array} - Events
+   */
+  getEventsStartedBetween(from, to, type = 'discharge') {
+    const ids = [];
+    for (let i = this.startTimePosition(from, -Infinity); i < this.byStartTime.length; i++) {
+      const [startTime, id] = this.byStartTime[i];
+      if (startTime >= to) break;
+      ids.push(id);
+    }
+    return this.collect(ids, e => this.isType(e, type));
+  }
+
+  /**
+   * Query historical events
+   *
+   * All criteria are optional and combine with AND. Example - every spill
+   * into the River Nene in March lasting over 6 hours:
+   *
+   *   db.query({
+   *     from: Date.parse('2025-03-01'), to: Date.parse('2025-04-01'),
+   *     watercourse: 'river nene', minDuration: 360
+   *   })
+   *
+   * @param {object} criteria
+   * @param {number} criteria.from - Only events still running at/after this time (ms)
+   * @param {number} criteria.to - Only events that started before this time (ms)
+   * @param {string|array} criteria.company - Water company name(s)
+   * @param {string} criteria.siteId - Site ID
+   * @param {string} criteria.watercourse - Case-insensitive match within the receiving watercourse
+   * @param {number} criteria.minDuration - Minimum duration in minutes (inclusive)
+   * @param {number} criteria.maxDuration - Maximum duration in minutes (inclusive)
+   * @param {string} criteria.status - 'active' or 'completed'
+   * @param {string} criteria.type - Event type (default: 'discharge')
+   * @param {string} criteria.sortBy - startTime | endTime | durationMinutes | waterCompany (default: startTime)
+   * @param {string} criteria.order - 'asc' or 'desc' (default: 'desc')
+   * @param {number} criteria.limit - Page size (default: all)
+   * @param {number} criteria.offset - Rows to skip (default: 0)
+   * @returns {object} - { rows, total, limit, offset, totals }
+   */
+  query(criteria = {}) {
+    const {
+      from = null,
+      to = null,
+      company = null,
+      siteId = null,
+      watercourse = null,
+      minDuration = null,
+      maxDuration = null,
+      status = null,
+      type = 'discharge',
+      sortBy = 'startTime',
+      order = 'desc',
+      limit = null,
+      offset = 0
+    } = criteria;
+
+    const now = Date.now();
+    const companies = company === null ? null : new Set([].concat(company));
+    const watercourseNeedle = watercourse ? watercourse.toLowerCase() : null;
+
+    // Start from the narrowest index available
+    let candidates;
+    if (siteId !== null && companies && companies.size === 1) {
+      candidates = this.bySite.get(`${[...companies][0]}|${siteId}`) || [];
+    } else if (companies) {
+      candidates = [...companies].flatMap(c => [...(this.byCompany.get(c) || [])]);
+    } else if (to !== null) {
+      candidates = this.byStartTime.slice(0, this.startTimePosition(to, -Infinity)).map(([, id]) => id);
+    } else {
+      candidates = this.events.keys();
+    }
+
+    const matches = [];
+    for (const id of candidates) {
+      const e = this.events.get(id);
+      if (!e || !this.isType(e, type)) continue;
+      if (status !== null && e.status !== status) continue;
+      if (companies && !companies.has(e.waterCompany)) continue;
+      if (siteId !== null && e.siteId !== siteId) continue;
+      if (to !== null && e.startTime >= to) continue;
+      if (from !== null && (e.endTime || now) < from) continue;
+      if (watercourseNeedle && !(e.receivingWatercourse || '').toLowerCase().includes(watercourseNeedle)) continue;
+
+      const duration = this.effectiveDuration(e, now);
+      if (minDuration !== null && duration < minDuration) continue;
+      if (maxDuration !== null && duration > maxDuration) continue;
+
+      matches.push(e);
+    }
+
+    const direction = order === 'asc' ? 1 : -1;
+    const sortValue = sortBy === 'durationMinutes'
+      ? e => this.effectiveDuration(e, now)
+      : e => e[sortBy] ?? 0;
+    matches.sort((a, b) => {
+      const va = sortValue(a);
+      const vb = sortValue(b);
+      if (va < vb) return -direction;
+      if (va > vb) return direction;
+      return b.startTime - a.startTime;
+    });
+
+    const rows = limit === null ? matches.slice(offset) : matches.slice(offset, offset + limit);
+
+    return {
+      rows,
+      total: matches.length,
+      limit,
+      offset,
+      totals: this.aggregate(matches, now)
+    };
+  }
+
+  /**
+   * Duration in minutes, counting open events up to now
+   *
+   * Completed events without a stored duration (older records) use their
+   * start and end times.
+   */
+  effectiveDuration(event, now = Date.now()) {
+    if (event.durationMinutes !== null && event.durationMinutes !== undefined) {
+      return event.durationMinutes;
+    }
+    return Math.round(((event.endTime ?? now) - event.startTime) / (1000 * 60));
+  }
+
+  /**
+   * Aggregate totals for a set of events
+   */
+  aggregate(events, now = Date.now()) {
+    const byCompany = {};
+    const sites = new Set();
+    let durationMinutes = 0;
+    let longestMinutes = 0;
+
+    for (const e of events) {
+      const duration = this.effectiveDuration(e, now);
+      durationMinutes += duration;
+      longestMinutes = Math.max(longestMinutes, duration);
+      sites.add(`${e.waterCompany}|${e.siteId}`);
+
+      if (!byCompany[e.waterCompany]) {
+        byCompany[e.waterCompany] = { events: 0, durationMinutes: 0 };
+      }
+      byCompany[e.waterCompany].events++;
+      byCompany[e.waterCompany].durationMinutes += duration;
+    }
+
+    return {
+      events: events.length,
+      spills: events.reduce((sum, e) => sum + (e.block ? e.block.spillCount : 1), 0),
+      sites: sites.size,
+      durationMinutes,
+      durationHours: Math.round((durationMinutes / 60) * 10) / 10,
+      averageMinutes: events.length > 0 ? Math.round(durationMinutes / events.length) : 0,
+      longestMinutes,
+      byCompany
+    };
   }
 
   /**
    * Get recently completed events (for potential social media posts)
    *
    * @param {number} hoursAgo - How many hours back to look
+   * @param {string} type - Event type (default: 'discharge')
    * @returns {array} - Recently completed events
    */
-  getRecentlyCompletedEvents(hoursAgo = 24) {
+  getRecentlyCompletedEvents(hoursAgo = 24, type = 'discharge') {
     const cutoffTime = Date.now() - (hoursAgo * 60 * 60 * 1000);
-    return this.data.events
-      .filter(e => e.status === 'completed' && e.endTime && e.endTime > cutoffTime)
-      .sort((a, b) => b.endTime - a.endTime);
+    return this.collect(this.events.keys(), e =>
+      e.status === 'completed' && e.endTime && e.endTime > cutoffTime && this.isType(e, type)
+    ).sort((a, b) => b.endTime - a.endTime);
   }
 
   /**
@@ -129,20 +504,116 @@ export class EventDatabase {
    * @param {string} waterCompany - Water company name
    * @param {string} siteId - Site ID
    * @param {number} startTime - Start timestamp
+   * @param {string} type - Event type (default: 'discharge')
    * @returns {object|null} - Event or null
    */
-  getEvent(waterCompany, siteId, startTime) {
-    return this.data.events.find(e =>
-      e.waterCompany === waterCompany &&
-      e.siteId === siteId &&
-      e.startTime === startTime
-    ) || null;
+  getEvent(waterCompany, siteId, startTime, type = 'discharge') {
+    const id = this.byKey.get(this.eventKey({ type, waterCompany, siteId, startTime }));
+    return id !== undefined ? this.events.get(id) : null;
+  }
+
+  /**
+   * Get monitor outage periods (status -1) for a water company
+   *
+   * @param {string} waterCompany - Water company name
+   * @returns {array} - Outage events, newest first
+   */
+  getOutagesByCompany(waterCompany) {
+    return this.getEventsByCompany(waterCompany, 'monitor_offline');
+  }
+
+  /**
+   * Summarise EDM monitor outages per water company
+   *
+   * Open outages count up to now, so "offline hours" is current.
+   *
+   * @param {number} hoursAgo - Only include outages overlapping this window (default: all)
+   * @returns {array} - One entry per company: { waterCompany, monitorsOfflineNow, outages, sitesAffected, offlineMinutes }
+   */
+  getOutageStats(hoursAgo = null) {
+    const now = Date.now();
+    const cutoffTime = hoursAgo === null ? 0 : now - (hoursAgo * 60 * 60 * 1000);
+    const byCompany = new Map();
+
+    for (const e of this.events.values()) {
+      if (!this.isType(e, 'monitor_offline')) continue;
+
+      const end = e.endTime || now;
+      if (end < cutoffTime) continue;
+
+      if (!byCompany.has(e.waterCompany)) {
+        byCompany.set(e.waterCompany, {
+          waterCompany: e.waterCompany,
+          monitorsOfflineNow: 0,
+          outages: 0,
+          sites: new Set(),
+          offlineMinutes: 0
+        });
+      }
+
+      const stats = byCompany.get(e.waterCompany);
+      stats.outages++;
+      stats.sites.add(e.siteId);
+      stats.offlineMinutes += Math.round((end - Math.max(e.startTime, cutoffTime)) / (1000 * 60));
+      if (e.status === 'active') {
+        stats.monitorsOfflineNow++;
+      }
+    }
+
+    return Array.from(byCompany.values())
+      .map(({ sites, ...stats }) => ({ ...stats, sitesAffected: sites.size }))
+      .sort((a, b) => b.offlineMinutes - a.offlineMinutes);
+  }
+
+  /**
+   * Log a site's status from a poll if it has changed
+   *
+   * @param {string} waterCompany - Water company name
+   * @param {object} parsed - Normalized feature
+   * @param {number} observedAt - Poll time (ms)
+   * @returns {object|null} - The logged transition, or null
+   */
+  recordTransition(waterCompany, parsed, observedAt = Date.now()) {
+    return this.transitions.record(waterCompany, parsed, observedAt);
+  }
+
+  /**
+   * Log every site's status from one poll, in a single write
+   *
+   * @param {string} waterCompany - Water company name
+   * @param {array} parsedFeatures - Normalized features
+   * @param {number} observedAt - Poll time (ms)
+   * @returns {array} - The logged transitions
+   */
+  recordTransitions(waterCompany, parsedFeatures, observedAt = Date.now()) {
+    return this.transitions.recordAll(waterCompany, parsedFeatures, observedAt);
+  }
+
+  /**
+   * Everything known about a site over a period
+   *
+   * @param {string} waterCompany - Water company name
+   * @param {string} siteId - Site ID
+   * @param {number} from - Start of period (ms)
+   * @param {number} to - End of period (ms, default now)
+   * @returns {object} - { initialStatus, transitions, events } where events
+   *   are the discharges and monitor outages overlapping the period
+   */
+  getSiteTimeline(waterCompany, siteId, from, to = Date.now()) {
+    const { initialStatus, transitions } = this.transitions.getSiteTimeline(waterCompany, siteId, from, to);
+    const events = this.collect(this.bySite.get(`${waterCompany}|${siteId}`) || [],
+      e => e.startTime <= to && (!e.endTime || e.endTime >= from))
+      .reverse();
+
+    return { waterCompany, siteId, from, to, initialStatus, transitions, events };
   }
 
   /**
    * Close database connection
    */
   close() {
-    this.saveData();
+    this.compactIfNeeded();
+    this.journal.close();
+    this.transitions.close();
   }
 }
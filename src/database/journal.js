@@ -0,0 +1,246 @@
+/**
+ * Append-only journal
+ *
+ * Durable JSON-lines log used by stores that must survive a crash.
+ * Every record is written as a single line and fsynced before append()
+ * returns, so a kill -9 can at worst leave one torn line at the tail,
+ * which is discarded on the next load. Compaction writes a replacement
+ * file and renames it over the journal, so it is atomic as well.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// Read size when scanning a journal line by line
+const SCAN_CHUNK_BYTES = 64 * 1024;
+
+export class Journal {
+  /**
+   * @param {string} filePath - Journal file location
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.fd = null;
+    this.lineCount = 0;
+  }
+
+  /**
+   * Read every intact record from the journal
+   *
+   * @returns {array} - Records in write order
+   */
+  load() {
+    const records = [];
+
+    if (!fs.existsSync(this.filePath)) {
+      this.lineCount = 0;
+      return records;
+    }
+
+    const content = fs.readFileSync(this.filePath, 'utf8');
+    const lines = content.split('\n');
+    let validBytes = 0;
+
+    for (const line of lines) {
+      if (line.trim() === '') {
+        validBytes += line.length + 1;
+        continue;
+      }
+
+      try {
+        records.push(JSON.parse(line));
+        validBytes += Buffer.byteLength(line, 'utf8') + 1;
+      } catch (error) {
+        // Torn write from a crash - everything after it is unreliable
+        console.warn(`⚠️  Discarding torn journal tail in ${path.basename(this.filePath)}`);
+        fs.truncateSync(this.filePath, validBytes);
+        break;
+      }
+    }
+
+    this.lineCount = records.length;
+    return records;
+  }
+
+  /**
+   * Append a record and flush it to disk
+   *
+   * @param {object} record - JSON-serialisable record
+   */
+  append(record) {
+    const fd = this.open();
+    fs.writeSync(fd, JSON.stringify(record) + '\n');
+    fs.fsyncSync(fd);
+    this.lineCount++;
+  }
+
+  /**
+   * Append several records with a single write and fsync
+   *
+   * @param {array} records - JSON-serialisable records
+   * @returns {array} - { offset, length } in bytes of each record's line
+   */
+  appendAll(records) {
+    if (records.length === 0) {
+      return [];
+    }
+
+    const fd = this.open();
+    let offset = fs.fstatSync(fd).size;
+    const positions = [];
+    const lines = records.map(record => {
+      const line = JSON.stringify(record) + '\n';
+      const length = Buffer.byteLength(line, 'utf8');
+      positions.push({ offset, length });
+      offset += length;
+      return line;
+    });
+
+    fs.writeSync(fd, lines.join(''));
+    fs.fsyncSync(fd);
+    this.lineCount += records.length;
+    return positions;
+  }
+
+  /**
+   * Call fn(record, { offset, length }) for every intact record, reading
+   * the file in chunks rather than all at once
+   *
+   * Like load(), a torn tail is truncated so later appends start on a
+   * fresh line.
+   */
+  scan(fn) {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const fd = fs.openSync(this.filePath, 'r');
+    const chunk = Buffer.alloc(SCAN_CHUNK_BYTES);
+    let pending = Buffer.alloc(0);
+    let validBytes = 0;
+    let torn = false;
+
+    try {
+      let bytesRead;
+      while (!torn && (bytesRead = fs.readSync(fd, chunk, 0, chunk.length, null)) > 0) {
+        pending = Buffer.concat([pending, chunk.subarray(0, bytesRead)]);
+
+        let newline;
+        while ((newline = pending.indexOf(0x0a)) !== -1) {
+          const line = pending.subarray(0, newline).toString('utf8');
+          const position = { offset: validBytes, length: newline + 1 };
+          pending = pending.subarray(newline + 1);
+
+          const record = this.parseLine(line);
+          if (record === null && line.trim() !== '') {
+            torn = true;
+            break;
+          }
+          validBytes += position.length;
+          if (record !== null) {
+            fn(record, position);
+          }
+        }
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    if (torn || pending.length > 0) {
+      // Torn write from a crash - everything after it is unreliable
+      console.warn(`⚠️  Discarding torn journal tail in ${path.basename(this.filePath)}`);
+      this.close();
+      fs.truncateSync(this.filePath, validBytes);
+    }
+  }
+
+  /**
+   * Read the records at known positions (from appendAll or scan)
+   *
+   * @param {array} positions - { offset, length } of each line
+   * @returns {array} - Records that could be read, in the given order
+   */
+  readAt(positions) {
+    if (positions.length === 0 || !fs.existsSync(this.filePath)) {
+      return [];
+    }
+
+    const fd = fs.openSync(this.filePath, 'r');
+    try {
+      return positions
+        .map(({ offset, length }) => {
+          const buffer = Buffer.alloc(length);
+          const bytesRead = fs.readSync(fd, buffer, 0, length, offset);
+          return this.parseLine(buffer.subarray(0, bytesRead).toString('utf8'));
+        })
+        .filter(record => record !== null);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Parse one line, or null if it is blank or torn
+   */
+  parseLine(line) {
+    if (line.trim() === '') {
+      return null;
+    }
+    try {
+      return JSON.parse(line);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Replace the journal with a compacted set of records
+   *
+   * @param {array} records - Records that fully describe the current state
+   */
+  rewrite(records) {
+    const tmpPath = `${this.filePath}.tmp`;
+    const content = records.map(r => JSON.stringify(r)).join('\n') + (records.length > 0 ? '\n' : '');
+
+    this.ensureDir();
+    const tmpFd = fs.openSync(tmpPath, 'w');
+    fs.writeSync(tmpFd, content);
+    fs.fsyncSync(tmpFd);
+    fs.closeSync(tmpFd);
+
+    this.close();
+    fs.renameSync(tmpPath, this.filePath);
+    this.lineCount = records.length;
+  }
+
+  /**
+   * Open the journal for appending
+   */
+  open() {
+    if (this.fd === null) {
+      this.ensureDir();
+      this.fd = fs.openSync(this.filePath, 'a');
+    }
+    return this.fd;
+  }
+
+  /**
+   * Create the journal's directory if needed
+   */
+  ensureDir() {
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  }
+
+  /**
+   * Close the file handle
+   */
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
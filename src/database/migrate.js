@@ -0,0 +1,26 @@
+/**
+ * Migrate the legacy JSON database into the event store
+ *
+ * Usage: npm run migrate-db
+ *
+ * Opening the EventDatabase performs the migration automatically when the
+ * store doesn't exist yet; this script just lets it be run ahead of time.
+ */
+
+import fs from 'fs';
+import { EventDatabase } from './db.js';
+import { DB_PATH, LEGACY_DB_PATH } from '../../config.js';
+
+if (fs.existsSync(DB_PATH)) {
+  console.log(`ℹ Event store already exists at ${DB_PATH} - nothing to migrate`);
+  process.exit(0);
+}
+
+if (!fs.existsSync(LEGACY_DB_PATH)) {
+  console.log(`ℹ No legacy database at ${LEGACY_DB_PATH} - nothing to migrate`);
+  process.exit(0);
+}
+
+const db = new EventDatabase();
+console.log(`✅ Event store ready: ${db.getActiveEvents().length} active events`);
+db.close();
@@ -0,0 +1,246 @@
+/**
+ * Site status transition log
+ *
+ * Append-only record of every status change the feeds report, one line per
+ * transition: when we saw it, old and new status, and the feed's own
+ * timestamps. Unlike the event store nothing is ever overwritten, so the
+ * 0 → 1 → 0 → -1 sequence at a site can be audited or replayed later.
+ *
+ * Records are partitioned into one journal per month (by observation time)
+ * so the log can grow indefinitely while a timeline query only reads the
+ * months it covers. Within a month, the byte position of each site's
+ * records is indexed the first time the month is scanned and kept up to
+ * date as records are appended, so a timeline reads just that site's lines.
+ *
+ * A poll's transitions are appended together, with one fsync.
+ */
+
+import path from 'path';
+import { Journal } from './journal.js';
+import { TRANSITIONS_DIR } from '../../config.js';
+
+// How far back to look for a site's last known status on startup
+const SEED_MONTHS = 2;
+
+export class TransitionLog {
+  /**
+   * @param {string} dir - Directory holding the monthly journals
+   */
+  constructor(dir = TRANSITIONS_DIR) {
+    this.dir = dir;
+    this.journals = new Map(); // YYYY-MM -> Journal
+    this.siteIndex = new Map(); // YYYY-MM -> Map(company|siteId -> [{ offset, length }])
+    this.lastStatus = new Map(); // company|siteId -> { status, statusStart }
+
+    this.seedLastStatus();
+  }
+
+  /**
+   * Site key, matching EventDatabase's bySite index
+   */
+  siteKey(waterCompany, siteId) {
+    return `${waterCompany}|${siteId}`;
+  }
+
+  /**
+   * Partition name for a timestamp (UTC month)
+   */
+  monthOf(timestamp) {
+    return new Date(timestamp).toISOString().substring(0, 7);
+  }
+
+  /**
+   * Journal for a month, opened on first use
+   */
+  getJournal(month) {
+    if (!this.journals.has(month)) {
+      this.journals.set(month, new Journal(path.join(this.dir, `${month}.jsonl`)));
+    }
+    return this.journals.get(month);
+  }
+
+  /**
+   * Start of the UTC month `offset` months from a timestamp's month
+   */
+  addMonths(timestamp, offset) {
+    const date = new Date(timestamp);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + offset, 1);
+  }
+
+  /**
+   * Months from one timestamp's month to another's, inclusive
+   */
+  monthsBetween(from, to) {
+    const months = [];
+    for (let cursor = this.addMonths(from, 0); cursor <= to; cursor = this.addMonths(cursor, 1)) {
+      months.push(this.monthOf(cursor));
+    }
+    return months;
+  }
+
+  /**
+   * Position index of a month's records by site, scanning the month on
+   * first use
+   *
+   * @param {string} month - YYYY-MM
+   * @param {function} onRecord - Also called with each record if this call scans the month
+   * @returns {Map} - company|siteId -> [{ offset, length }] in file order
+   */
+  getSiteIndex(month, onRecord = null) {
+    if (!this.siteIndex.has(month)) {
+      const index = new Map();
+      this.getJournal(month).scan((record, position) => {
+        const key = this.siteKey(record.waterCompany, record.siteId);
+        if (!index.has(key)) {
+          index.set(key, []);
+        }
+        index.get(key).push(position);
+        if (onRecord) {
+          onRecord(record);
+        }
+      });
+      this.siteIndex.set(month, index);
+    }
+    return this.siteIndex.get(month);
+  }
+
+  /**
+   * Rebuild each site's last known status from recent months
+   *
+   * Indexes those months as it goes.
+   */
+  seedLastStatus() {
+    const now = Date.now();
+
+    for (const month of this.monthsBetween(this.addMonths(now, 1 - SEED_MONTHS), now)) {
+      this.getSiteIndex(month, record => {
+        this.lastStatus.set(this.siteKey(record.waterCompany, record.siteId), {
+          status: record.newStatus,
+          statusStart: record.statusStart
+        });
+      });
+    }
+  }
+
+  /**
+   * Record a site's status as seen in a poll, if it has changed
+   *
+   * @returns {object|null} - The logged transition, or null if nothing changed
+   */
+  record(waterCompany, parsed, observedAt = Date.now()) {
+    return this.recordAll(waterCompany, [parsed], observedAt)[0] || null;
+  }
+
+  /**
+   * Record every site's status from one poll
+   *
+   * A transition is logged when the status differs from the last one seen,
+   * or when it's the same but StatusStart moved - the site went through a
+   * full cycle (e.g. 1 → 0 → 1) between two of our polls. All of the poll's
+   * transitions are written with a single append.
+   *
+   * @param {string} waterCompany - Water company name
+   * @param {array} parsedFeatures - Normalized features (siteId, status and feed timestamps)
+   * @param {number} observedAt - Poll time (ms)
+   * @returns {array} - The logged transitions (empty if nothing changed
+   *   or the write failed)
+   */
+  recordAll(waterCompany, parsedFeatures, observedAt = Date.now()) {
+    const transitions = [];
+
+    for (const parsed of parsedFeatures) {
+      const previous = this.lastStatus.get(this.siteKey(waterCompany, parsed.siteId));
+      if (previous && previous.status === parsed.status &&
+          (parsed.statusStart === null || previous.statusStart === parsed.statusStart)) {
+        continue;
+      }
+
+      const feedTime = parsed.statusStart !== null && parsed.statusStart <= observedAt;
+      transitions.push({
+        waterCompany,
+        siteId: parsed.siteId,
+        time: feedTime ? parsed.statusStart : observedAt,
+        timeSource: feedTime ? 'feed' : 'observed',
+        observedAt,
+        oldStatus: previous ? previous.status : null,
+        newStatus: parsed.status,
+        statusStart: parsed.statusStart,
+        latestEventStart: parsed.latestEventStart,
+        latestEventEnd: parsed.latestEventEnd,
+        lastUpdated: parsed.lastUpdated
+      });
+    }
+
+    if (transitions.length === 0) {
+      return [];
+    }
+
+    const month = this.monthOf(observedAt);
+    const index = this.getSiteIndex(month);
+    let positions;
+    try {
+      positions = this.getJournal(month).appendAll(transitions);
+    } catch (error) {
+      console.error('Failed to log status transitions:', error.message);
+      return [];
+    }
+
+    transitions.forEach((transition, i) => {
+      const key = this.siteKey(waterCompany, transition.siteId);
+      if (!index.has(key)) {
+        index.set(key, []);
+      }
+      index.get(key).push(positions[i]);
+      this.lastStatus.set(key, { status: transition.newStatus, statusStart: transition.statusStart });
+    });
+    return transitions;
+  }
+
+  /**
+   * A site's status transitions over a period
+   *
+   * Transitions are matched on their effective time (the feed's StatusStart
+   * where available). Months after `to` are also read, since a change can be
+   * observed some time after it happened (e.g. after downtime).
+   *
+   * @param {string} waterCompany - Water company name
+   * @param {string} siteId - Site ID
+   * @param {number} from - Start of period (ms)
+   * @param {number} to - End of period (ms, default now)
+   * @returns {object} - { initialStatus, transitions } where initialStatus
+   *   is the site's status going into the period (null if unknown)
+   */
+  getSiteTimeline(waterCompany, siteId, from, to = Date.now()) {
+    const lookback = this.addMonths(from, -1);
+    const lookahead = Math.min(this.addMonths(to, 1), Date.now());
+
+    const key = this.siteKey(waterCompany, siteId);
+    const records = [];
+    for (const month of this.monthsBetween(lookback, lookahead)) {
+      const positions = this.getSiteIndex(month).get(key) || [];
+      records.push(...this.getJournal(month).readAt(positions));
+    }
+    records.sort((a, b) => a.time - b.time || a.observedAt - b.observedAt);
+
+    let initialStatus = null;
+    const transitions = [];
+    for (const record of records) {
+      if (record.time < from) {
+        initialStatus = record.newStatus;
+      } else if (record.time <= to) {
+        transitions.push(record);
+      }
+    }
+
+    return { initialStatus, transitions };
+  }
+
+  /**
+   * Close every open journal
+   */
+  close() {
+    for (const journal of this.journals.values()) {
+      journal.close();
+    }
+  }
+}
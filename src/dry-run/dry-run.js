@@ -0,0 +1,138 @@
+/**
+ * Dry Run
+ *
+ * Shadow mode for the whole post pipeline, enabled with DRY_RUN=true or
+ * --dry-run. Everything runs as normal - polling, queueing, scoring,
+ * cycle and weekly generation, scheduling - but:
+ *
+ *   - State (event store, transitions, queue, post ledger, cycle marker,
+ *     lock) lives in a sandbox, seeded from a copy of the live files so
+ *     the run reflects current data without changing it.
+ *   - Website files are written to the sandbox's website/ directory.
+ *   - Tweets, threads and git add/commit/push are logged and appended to
+ *     report.jsonl instead of being sent. Images that would have been
+ *     attached are saved in media/.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { Journal } from '../database/journal.js';
+import {
+  DRY_RUN_DIR,
+  DB_PATH,
+  TRANSITIONS_DIR,
+  QUEUE_PATH,
+  POST_LEDGER_PATH,
+  POST_CYCLES_PATH,
+  POST_LOCK_PATH
+} from '../../config.js';
+
+export class DryRun {
+  /**
+   * @param {object} options - { enabled, dir }
+   */
+  constructor({
+    enabled = process.env.DRY_RUN === 'true' || process.argv.includes('--dry-run'),
+    dir = DRY_RUN_DIR
+  } = {}) {
+    this.enabled = enabled;
+    this.dir = dir;
+    this.websiteDir = path.join(dir, 'website');
+    this.report = enabled ? new Journal(path.join(dir, 'report.jsonl')) : null;
+    this.actionCount = 0;
+    this.mediaCount = 0;
+
+    // Live locations and their sandbox equivalents
+    const live = {
+      dbPath: DB_PATH,
+      transitionsDir: TRANSITIONS_DIR,
+      queuePath: QUEUE_PATH,
+      postLedgerPath: POST_LEDGER_PATH,
+      postCyclesPath: POST_CYCLES_PATH,
+      lockPath: POST_LOCK_PATH
+    };
+    this.livePaths = live;
+    this.paths = enabled
+      ? Object.fromEntries(Object.entries(live).map(([key, p]) => [key, path.join(dir, path.basename(p))]))
+      : live;
+  }
+
+  /**
+   * Create the sandbox and copy the live state into it
+   *
+   * Run once at startup; each dry run starts from the current live state
+   * with an empty report. The lock file is never copied.
+   */
+  prepare() {
+    if (!this.enabled) {
+      return;
+    }
+
+    fs.mkdirSync(this.websiteDir, { recursive: true });
+    this.report.rewrite([]); // One report per run
+
+    const copied = [];
+    for (const key of ['dbPath', 'transitionsDir', 'queuePath', 'postLedgerPath', 'postCyclesPath']) {
+      const source = this.livePaths[key];
+      if (!fs.existsSync(source)) continue;
+
+      fs.rmSync(this.paths[key], { recursive: true, force: true });
+      fs.cpSync(source, this.paths[key], { recursive: true });
+      copied.push(path.basename(source));
+    }
+
+    console.log('='.repeat(70));
+    console.log('🧪 DRY RUN - nothing will be tweeted, committed or pushed');
+    console.log(`   Sandbox: ${this.dir}`);
+    console.log(`   Seeded from live state: ${copied.length > 0 ? copied.join(', ') : 'none found'}`);
+    console.log(`   Report: ${path.join(this.dir, 'report.jsonl')}`);
+    console.log('='.repeat(70));
+  }
+
+  /**
+   * Record something that would have happened
+   *
+   * @param {string} action - e.g. 'tweet', 'thread', 'git-add', 'git-commit', 'git-push'
+   * @param {object} details - What would have been sent
+   * @returns {number} - Sequence number of this action
+   */
+  record(action, details = {}) {
+    this.actionCount++;
+    const entry = { at: new Date().toISOString(), seq: this.actionCount, action, ...details };
+
+    try {
+      this.report.append(entry);
+    } catch (error) {
+      console.error('Failed to write dry-run report:', error.message);
+    }
+    return this.actionCount;
+  }
+
+  /**
+   * Keep a copy of an image that would have been uploaded
+   *
+   * @param {Buffer} data - File contents
+   * @param {string} extension - e.g. 'png'
+   * @returns {string} - Path of the copy in the sandbox
+   */
+  saveMedia(data, extension) {
+    this.mediaCount++;
+    const filepath = path.join(this.dir, 'media', `media-${this.mediaCount}.${extension}`);
+    try {
+      fs.mkdirSync(path.dirname(filepath), { recursive: true });
+      fs.writeFileSync(filepath, data);
+    } catch (error) {
+      console.error('Failed to save dry-run media:', error.message);
+    }
+    return filepath;
+  }
+
+  /**
+   * Close the report
+   */
+  close() {
+    if (this.report) {
+      this.report.close();
+    }
+  }
+}
@@ -3,10 +3,14 @@
  *
  * Handles git operations for publishing to GitHub Pages
  * Commits and pushes data files to repository
+ *
+ * In dry-run mode the website directory is the dry-run sandbox and git
+ * commands are logged and written to the dry-run report instead of run.
  */
 
 import { exec } from 'child_process';
 import { promisify } from 'util';
+import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -16,10 +20,17 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 export class GitHubPublisher {
-  constructor(githubUsername, repoName) {
+  /**
+   * @param {string} githubUsername - GitHub account
+   * @param {string} repoName - Pages repository
+   * @param {object} options - { dryRun } (DryRun instance)
+   */
+  constructor(githubUsername, repoName, { dryRun = null } = {}) {
     this.githubUsername = githubUsername;
     this.repoName = repoName;
-    this.websiteDir = path.join(__dirname, '../../website');
+    this.dryRun = dryRun && dryRun.enabled ? dryRun : null;
+    this.websiteDir = this.dryRun ? this.dryRun.websiteDir : path.join(__dirname, '../../website');
+    this.staged = []; // Files added since the last commit (dry run only)
 
     // GitHub Pages URL - for .github.io repo, no repo name in URL
     if (repoName === '.github.io' || repoName === `${githubUsername}.github.io`) {
@@ -44,6 +55,13 @@ export class GitHubPublisher {
       // Make path relative to website dir
       const relativePath = path.relative(this.websiteDir, filepath);
 
+      if (this.dryRun) {
+        this.dryRun.record('git-add', { file: relativePath, bytes: fs.statSync(filepath).size });
+        this.staged.push(relativePath);
+        console.log(`🧪 DRY RUN - would git add ${relativePath}`);
+        return true;
+      }
+
       const { stdout, stderr } = await execAsync(`git add ${relativePath}`, {
         cwd: this.websiteDir
       });
@@ -63,6 +81,13 @@ export class GitHubPublisher {
    * Commit changes
    */
   async commit(message) {
+    if (this.dryRun) {
+      this.dryRun.record('git-commit', { message, files: this.staged });
+      console.log(`🧪 DRY RUN - would commit ${this.staged.length} file(s): ${message}`);
+      this.staged = [];
+      return true;
+    }
+
     try {
       const { stdout, stderr } = await execAsync(`git commit -m "${message}"`, {
         cwd: this.websiteDir
@@ -86,6 +111,12 @@ export class GitHubPublisher {
    * Push to GitHub
    */
   async push() {
+    if (this.dryRun) {
+      this.dryRun.record('git-push', { remote: 'origin', branch: 'main', url: this.baseUrl });
+      console.log('🧪 DRY RUN - would push to origin main');
+      return true;
+    }
+
     try {
       const { stdout, stderr } = await execAsync('git push origin main', {
         cwd: this.websiteDir
@@ -108,6 +139,11 @@ export class GitHubPublisher {
    * Initialize git repository (run once)
    */
   async init() {
+    if (this.dryRun) {
+      console.log('🧪 DRY RUN - git repository not initialized');
+      return true;
+    }
+
     try {
       console.log('Initializing Git repository...');
 
@@ -140,6 +176,10 @@ export class GitHubPublisher {
    * Check git status
    */
   async status() {
+    if (this.dryRun) {
+      return this.staged.map(file => `A  ${file}`).join('\n');
+    }
+
     try {
       const { stdout } = await execAsync('git status --short', {
         cwd: this.websiteDir
@@ -1,21 +1,36 @@
 /**
  * ShitWatch UK - Main Entry Point
  *
- * Production system that monitors EA API, posts every 90 minutes,
- * and publishes data to GitHub Pages
+ * Production system that monitors EA API, posts at the times set in
+ * config/posting-config.json, and publishes data to GitHub Pages
  */
 
 import dotenv from 'dotenv';
 import { EventTracker } from './monitor/event-tracker.js';
+import { PollScheduler } from './monitor/poll-scheduler.js';
 import { EventQueue } from './scheduler/event-queue.js';
 import { PostScheduler } from './scheduler/post-scheduler.js';
+import { PostingConfig } from './scheduler/posting-config.js';
 import { CycleGenerator } from './data-generator/cycle-generator.js';
+import { WeeklySummary } from './data-generator/weekly-summary.js';
 import { AISummarizer } from './data-generator/ai-summarizer.js';
 import { GitHubPublisher } from './github-publisher/github-publisher.js';
 import { TwitterPoster } from './social/twitter-poster.js';
+import { BlueskyPoster } from './social/bluesky-poster.js';
+import { MastodonPoster } from './social/mastodon-poster.js';
+import { SocialPublishers } from './social/social-publishers.js';
+import { EventDatabase } from './database/db.js';
+import { DryRun } from './dry-run/dry-run.js';
+import { RecordingClient } from './api/recording-client.js';
+import path from 'path';
 
 dotenv.config();
 
+const postingConfig = new PostingConfig();
+const dryRun = new DryRun();
+const recordFeeds = process.env.RECORD_FEEDS === 'true' || process.argv.includes('--record');
+const { limits, postingTimes } = postingConfig.get().twitter;
+
 console.log('='.repeat(70));
 console.log('💩 SHITWATCH UK - PRODUCTION SYSTEM');
 console.log('='.repeat(70));
@@ -24,12 +39,18 @@ console.log('📋 Configuration:');
 console.log(`   Ollama: ${process.env.OLLAMA_URL}`);
 console.log(`   GitHub: ${process.env.GITHUB_USERNAME}/${process.env.GITHUB_REPO_NAME}`);
 console.log(`   Twitter: ${process.env.TWITTER_API_KEY ? 'Configured' : 'Not configured'}`);
+console.log(`   Bluesky: ${process.env.BLUESKY_HANDLE ? 'Configured' : 'Not configured'}`);
+console.log(`   Mastodon: ${process.env.MASTODON_ACCESS_TOKEN ? 'Configured' : 'Not configured'}`);
+console.log(`   Mode: ${dryRun.enabled ? '🧪 DRY RUN (nothing is posted or pushed)' : 'Live'}`);
+if (recordFeeds) {
+  console.log('   Feed recording: 🎙️  on (raw responses saved for replay)');
+}
 console.log('');
 console.log('🎯 Settings:');
-console.log('   Monitoring interval: 1 minute');
-console.log('   Posting interval: 90 minutes');
-console.log('   Duration filter: ALL events (no minimum)');
-console.log('   Daily posts: 16 maximum');
+console.log('   Monitoring interval: per company feed frequency');
+console.log(`   Posting times: ${Object.entries(postingTimes).map(([name, time]) => `${name} ${time}`).join(', ')}`);
+console.log('   Event filter: severity score (config/posting-config.json)');
+console.log(`   Post limits: ${limits.maxPostsPerDay}/24h, ${limits.maxPostsPerMonth}/30 days`);
 console.log('');
 console.log('='.repeat(70));
 console.log('');
@@ -39,52 +60,73 @@ async function main() {
     // Initialize components
     console.log('🔧 Initializing components...');
 
+    // Dry run: shadow the live state in the sandbox before anything opens it
+    dryRun.prepare();
+
     const githubPublisher = new GitHubPublisher(
       process.env.GITHUB_USERNAME || 'bigchungustm',
-      process.env.GITHUB_REPO_NAME || '.github.io'
+      process.env.GITHUB_REPO_NAME || '.github.io',
+      { dryRun }
     );
 
     const aiSummarizer = new AISummarizer();
-    const cycleGenerator = new CycleGenerator(githubPublisher, aiSummarizer);
-    const twitterPoster = new TwitterPoster();
-    const eventQueue = new EventQueue();
-    const eventTracker = new EventTracker(eventQueue, twitterPoster);
+    const cycleGenerator = new CycleGenerator(githubPublisher, aiSummarizer, { dryRun });
+    const twitterPoster = new TwitterPoster({ dryRun });
+    const publishers = new SocialPublishers([
+      twitterPoster,
+      new BlueskyPoster({ dryRun }),
+      new MastodonPoster({ dryRun })
+    ], postingConfig);
+    const eventQueue = new EventQueue(dryRun.paths.queuePath);
+    const eventTracker = new EventTracker(eventQueue, twitterPoster, {
+      ...(dryRun.enabled ? {
+        db: new EventDatabase(dryRun.paths.dbPath, null, dryRun.paths.transitionsDir),
+        feedHealthPath: path.join(dryRun.websiteDir, 'feed-health.json')
+      } : {}),
+      ...(recordFeeds ? { apiClient: new RecordingClient() } : {})
+    });
+    const pollScheduler = new PollScheduler(eventTracker);
+    const weeklySummary = new WeeklySummary(eventTracker.db, githubPublisher, publishers,
+      dryRun.enabled ? path.join(dryRun.websiteDir, 'weekly') : undefined);
 
     const postScheduler = new PostScheduler(
       eventQueue,
-      twitterPoster,
-      cycleGenerator
+      publishers,
+      cycleGenerator,
+      { postingConfig, dryRun, summaryJob: options => weeklySummary.run(Date.now(), options) }
     );
 
+    console.log(`✓ Posting to: ${publishers.describe()}`);
     console.log('✓ All components initialized');
     console.log('');
 
-    // Start post scheduler (90-minute cycles)
+    // One-shot dry run: show what a cycle and the weekly summary would post
+    // from the current queue and event store, then exit
+    if (dryRun.enabled && process.argv.includes('--once')) {
+      await postScheduler.processNextPost();
+      await weeklySummary.run();
+      console.log(`🧪 Dry run complete - ${dryRun.actionCount} action(s) written to ${path.join(dryRun.dir, 'report.jsonl')}`);
+      eventTracker.db.close();
+      dryRun.close();
+      process.exit(0);
+    }
+
+    // Start post scheduler (configured posting times)
     console.log('⏰ Starting post scheduler...');
     postScheduler.start();
     console.log('');
 
-    // Start monitoring loop (every 5 minutes)
+    // Start per-company monitoring (each feed at its own update frequency)
     console.log('👀 Starting EA API monitoring...');
-
-    // Initial check
-    await eventTracker.checkAPI();
-
-    // Set up 1-minute monitoring interval
-    setInterval(async () => {
-      try {
-        await eventTracker.checkAPI();
-      } catch (error) {
-        console.error('❌ Error in monitoring loop:', error.message);
-      }
-    }, 60 * 1000); // 1 minute
+    pollScheduler.start();
 
     console.log('✅ System running!');
     console.log('');
     console.log('📊 Monitoring:');
-    console.log('   - Checking water company APIs every 1 minute');
+    console.log('   - Polling each water company at its feed update frequency');
     console.log('   - Tracking ALL completed discharge events');
-    console.log('   - Posting to Twitter every 90 minutes');
+    console.log('   - Posting to the enabled social networks at the configured times, within daily/monthly limits');
+    console.log('   - Weekly summary thread in the Sunday summary slot');
     console.log('   - Publishing to GitHub Pages automatically');
     console.log('');
     console.log('Press Ctrl+C to stop');
@@ -0,0 +1,289 @@
+/**
+ * Map Renderer
+ *
+ * Draws PNG map images to attach to discharge posts: a UK outline with a
+ * marker per discharge, sized and coloured by duration, and a side panel
+ * annotating the worst one (company, watercourse, duration).
+ *
+ * Two variants: renderCycle() maps every event in a cycle, renderEvent()
+ * just one. Events without coordinates, or outside England and Wales, are
+ * left off the map.
+ */
+
+import { Raster } from './raster.js';
+import { GLYPH_HEIGHT } from './bitmap-font.js';
+import { LANDMASSES } from './uk-outline.js';
+import { MAP_IMAGE_WIDTH, MAP_IMAGE_HEIGHT, MAP_BOUNDS } from '../../config.js';
+
+const COLORS = {
+  sea: [205, 222, 232],
+  land: [244, 241, 232],
+  coast: [128, 146, 160],
+  panel: [29, 39, 49],
+  text: [255, 255, 255],
+  muted: [160, 174, 186],
+  accent: [255, 92, 72],
+  ring: [29, 39, 49],
+  outline: [255, 255, 255]
+};
+
+// Marker colour by duration: under 6 hours, under a day, a day or more
+const DURATION_COLORS = [
+  { underMinutes: 6 * 60, color: [240, 160, 40] },
+  { underMinutes: 24 * 60, color: [225, 85, 45] },
+  { underMinutes: Infinity, color: [150, 30, 40] }
+];
+
+// Marker radius: grows with the square root of the hours, so area tracks duration
+const MIN_RADIUS = 5;
+const MAX_RADIUS = 38;
+const RADIUS_PER_ROOT_HOUR = 4;
+const MARKER_ALPHA = 0.85;
+
+// Share of the width given to the annotation panel
+const PANEL_SHARE = 0.46;
+const PANEL_PADDING = 36;
+
+export class MapRenderer {
+  /**
+   * @param {object} options - { width, height } in pixels, { bounds } as
+   *   [west, south, east, north] in degrees
+   */
+  constructor({ width = MAP_IMAGE_WIDTH, height = MAP_IMAGE_HEIGHT, bounds = MAP_BOUNDS } = {}) {
+    this.width = width;
+    this.height = height;
+    this.bounds = bounds;
+    this.panelWidth = Math.round(width * PANEL_SHARE);
+    this.mapWidth = width - this.panelWidth;
+
+    // Equirectangular, with longitude squashed for the middle latitude so
+    // the country isn't stretched sideways
+    const [west, south, east, north] = bounds;
+    this.lonScale = Math.cos((south + north) / 2 * Math.PI / 180);
+    this.scale = Math.min(this.mapWidth / ((east - west) * this.lonScale), height / (north - south));
+    this.offsetX = (this.mapWidth - (east - west) * this.lonScale * this.scale) / 2;
+    this.offsetY = (height - (north - south) * this.scale) / 2;
+  }
+
+  /**
+   * Pixel position of a coordinate
+   *
+   * @returns {number[]} - [x, y]
+   */
+  project(longitude, latitude) {
+    const [west, , , north] = this.bounds;
+    return [
+      this.offsetX + (longitude - west) * this.lonScale * this.scale,
+      this.offsetY + (north - latitude) * this.scale
+    ];
+  }
+
+  /**
+   * Whether an event has coordinates inside the map
+   */
+  isMappable(event) {
+    const [west, south, east, north] = this.bounds;
+    const { latitude, longitude } = event;
+    return Number.isFinite(latitude) && Number.isFinite(longitude) &&
+      longitude >= west && longitude <= east && latitude >= south && latitude <= north;
+  }
+
+  /**
+   * Marker radius in pixels for a duration
+   */
+  markerRadius(durationMinutes) {
+    const radius = MIN_RADIUS + Math.sqrt(Math.max(0, durationMinutes) / 60) * RADIUS_PER_ROOT_HOUR;
+    return Math.min(MAX_RADIUS, radius);
+  }
+
+  /**
+   * Marker colour for a duration
+   */
+  markerColor(durationMinutes) {
+    return DURATION_COLORS.find(band => durationMinutes < band.underMinutes).color;
+  }
+
+  /**
+   * Map of every event in a cycle, annotating the first (worst) one
+   *
+   * @param {object[]} events - Cycle events, worst first
+   * @returns {object|null} - { data (PNG Buffer), mimeType, width, height,
+   *   altText }, or null if no event can be placed on the map
+   */
+  renderCycle(events) {
+    const mapped = events.filter(event => this.isMappable(event));
+    if (mapped.length === 0) {
+      return null;
+    }
+
+    const worst = mapped[0];
+    const count = `${events.length} ${events.length === 1 ? 'DISCHARGE' : 'DISCHARGES'}`;
+    const data = this.render(mapped, worst, { heading: 'LATEST CYCLE', count });
+
+    const marked = mapped.length === events.length
+      ? `${events.length === 1 ? 'the sewage discharge' : `all ${events.length} sewage discharges`}`
+      : `${mapped.length} of the ${events.length} sewage discharges`;
+    return this.toMedia(data, `Map of England and Wales marking ${marked} in the latest cycle, sized by duration. ${this.describe(worst, 'Worst')}`);
+  }
+
+  /**
+   * Map of a single event
+   *
+   * @returns {object|null} - As renderCycle()
+   */
+  renderEvent(event) {
+    if (!this.isMappable(event)) {
+      return null;
+    }
+
+    const data = this.render([event], event, { heading: 'SEWAGE DISCHARGE', count: null });
+    return this.toMedia(data, `Map of England and Wales marking a sewage discharge. ${this.describe(event)}`);
+  }
+
+  /**
+   * Image attachment for a rendered map
+   */
+  toMedia(data, altText) {
+    return { data, mimeType: 'image/png', width: this.width, height: this.height, altText };
+  }
+
+  /**
+   * One-sentence description of an event for alt text
+   */
+  describe(event, prefix = null) {
+    const into = event.receivingWatercourse ? ` into ${event.receivingWatercourse}` : '';
+    const text = `${event.waterCompany}${into} for ${this.formatDuration(event.durationMinutes)}.`;
+    return prefix ? `${prefix}: ${text}` : text;
+  }
+
+  /**
+   * Draw the map and panel
+   *
+   * @param {object[]} events - Events to mark
+   * @param {object} highlight - Event to ring and annotate
+   * @param {object} labels - { heading, count }
+   * @returns {Buffer} - PNG
+   */
+  render(events, highlight, { heading, count }) {
+    const raster = new Raster(this.width, this.height, COLORS.sea);
+
+    for (const ring of LANDMASSES) {
+      const points = ring.map(([longitude, latitude]) => this.project(longitude, latitude));
+      raster.fillPolygon(points, COLORS.land);
+      raster.strokePolygon(points, COLORS.coast);
+    }
+
+    // Longest first, so shorter discharges aren't hidden underneath
+    const byDuration = [...events].sort((a, b) => b.durationMinutes - a.durationMinutes);
+    for (const event of byDuration) {
+      const [x, y] = this.project(event.longitude, event.latitude);
+      const radius = this.markerRadius(event.durationMinutes);
+      raster.fillCircle(x, y, radius, this.markerColor(event.durationMinutes), MARKER_ALPHA);
+      raster.strokeCircle(x, y, radius, COLORS.outline, 1.5);
+    }
+
+    const [hx, hy] = this.project(highlight.longitude, highlight.latitude);
+    raster.strokeCircle(hx, hy, this.markerRadius(highlight.durationMinutes) + 5, COLORS.ring, 3);
+
+    this.drawPanel(raster, highlight, { heading, count });
+    return raster.toPng();
+  }
+
+  /**
+   * Annotation panel down the right-hand side
+   */
+  drawPanel(raster, event, { heading, count }) {
+    const left = this.mapWidth + PANEL_PADDING;
+    const maxWidth = this.panelWidth - PANEL_PADDING * 2;
+    raster.fillRect(this.mapWidth, 0, this.panelWidth, this.height, COLORS.panel);
+
+    let y = PANEL_PADDING;
+    raster.drawText('SHITWATCH UK', left, y, COLORS.text, 4);
+    y += GLYPH_HEIGHT * 4 + 16;
+    raster.drawText(heading, left, y, COLORS.muted, 2);
+    y += GLYPH_HEIGHT * 2 + 10;
+    if (count) {
+      raster.drawText(count, left, y, COLORS.text, 3);
+      y += GLYPH_HEIGHT * 3 + 10;
+    }
+
+    y += 24;
+    raster.drawText(count ? 'WORST OFFENDER' : 'COMPANY', left, y, COLORS.muted, 2);
+    y += GLYPH_HEIGHT * 2 + 10;
+    y = this.drawWrapped(raster, event.waterCompany || 'Unknown company', left, y, maxWidth, 3);
+
+    y += 8;
+    raster.drawText('INTO', left, y, COLORS.muted, 2);
+    y += GLYPH_HEIGHT * 2 + 8;
+    y = this.drawWrapped(raster, event.receivingWatercourse || 'Unknown watercourse', left, y, maxWidth, 2);
+
+    y += 8;
+    raster.drawText('DURATION', left, y, COLORS.muted, 2);
+    y += GLYPH_HEIGHT * 2 + 8;
+    raster.drawText(this.formatDuration(event.durationMinutes), left, y, COLORS.accent, 4);
+
+    this.drawLegend(raster, left, this.height - PANEL_PADDING);
+  }
+
+  /**
+   * Marker size key along the bottom of the panel
+   *
+   * @param {number} bottom - Baseline of the key
+   */
+  drawLegend(raster, left, bottom) {
+    raster.drawText('MARKER SIZE = DURATION', left, bottom - this.markerRadius(72 * 60) * 2 - 30, COLORS.muted, 2);
+
+    let x = left;
+    for (const [label, minutes] of [['1H', 60], ['6H', 6 * 60], ['1 DAY', 24 * 60], ['3 DAYS', 72 * 60]]) {
+      const radius = this.markerRadius(minutes);
+      raster.fillCircle(x + radius, bottom - radius, radius, this.markerColor(minutes), MARKER_ALPHA);
+      raster.strokeCircle(x + radius, bottom - radius, radius, COLORS.outline, 1.5);
+      x += radius * 2 + 6;
+      x += raster.drawText(label, x, bottom - GLYPH_HEIGHT * 2, COLORS.muted, 2) + 18;
+    }
+  }
+
+  /**
+   * Draw text word-wrapped to a width
+   *
+   * @returns {number} - y below the last line
+   */
+  drawWrapped(raster, text, left, y, maxWidth, scale) {
+    const lineHeight = GLYPH_HEIGHT * scale + 6;
+    let line = '';
+
+    for (const word of String(text).split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && raster.textWidth(candidate, scale) > maxWidth) {
+        raster.drawText(line, left, y, COLORS.text, scale);
+        y += lineHeight;
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    if (line) {
+      raster.drawText(line, left, y, COLORS.text, scale);
+      y += lineHeight;
+    }
+    return y;
+  }
+
+  /**
+   * Format duration like the cycle tweet
+   */
+  formatDuration(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const mins = minutes % 60;
+    const days = Math.floor(hours / 24);
+    const remainingHours = hours % 24;
+
+    if (days > 0) {
+      return mins > 0
+        ? `${days}d ${remainingHours}h ${mins}m`
+        : `${days}d ${remainingHours}h`;
+    }
+
+    return mins > 0 ? `${hours}h ${mins}m` : `${hours}h`;
+  }
+}
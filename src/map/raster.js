@@ -0,0 +1,267 @@
+/**
+ * Raster
+ *
+ * Minimal RGB drawing surface for the map images: filled and outlined
+ * shapes with alpha blending, bitmap text, and PNG encoding with zlib from
+ * Node itself, so rendering needs no native canvas library.
+ *
+ * Colours are [r, g, b] arrays; coordinates are pixels from the top left.
+ */
+
+import zlib from 'zlib';
+import { GLYPHS, GLYPH_WIDTH, GLYPH_HEIGHT } from './bitmap-font.js';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// CRC-32 lookup table for PNG chunk checksums
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * CRC-32 of a buffer
+ */
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+export class Raster {
+  /**
+   * @param {number} width - Pixels
+   * @param {number} height - Pixels
+   * @param {number[]} background - Fill colour
+   */
+  constructor(width, height, background = [255, 255, 255]) {
+    this.width = width;
+    this.height = height;
+    this.pixels = new Uint8Array(width * height * 3);
+    this.fillRect(0, 0, width, height, background);
+  }
+
+  /**
+   * Blend a colour into one pixel
+   *
+   * @param {number} alpha - Coverage, 0-1
+   */
+  blend(x, y, color, alpha = 1) {
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height || alpha <= 0) {
+      return;
+    }
+    const i = (y * this.width + x) * 3;
+    const a = Math.min(1, alpha);
+    for (let c = 0; c < 3; c++) {
+      this.pixels[i + c] = Math.round(this.pixels[i + c] * (1 - a) + color[c] * a);
+    }
+  }
+
+  /**
+   * Colour of one pixel
+   */
+  getPixel(x, y) {
+    const i = (y * this.width + x) * 3;
+    return [this.pixels[i], this.pixels[i + 1], this.pixels[i + 2]];
+  }
+
+  /**
+   * Filled rectangle
+   */
+  fillRect(x, y, width, height, color, alpha = 1) {
+    const x0 = Math.max(0, Math.round(x));
+    const y0 = Math.max(0, Math.round(y));
+    const x1 = Math.min(this.width, Math.round(x + width));
+    const y1 = Math.min(this.height, Math.round(y + height));
+    for (let py = y0; py < y1; py++) {
+      for (let px = x0; px < x1; px++) {
+        this.blend(px, py, color, alpha);
+      }
+    }
+  }
+
+  /**
+   * Filled circle with an anti-aliased edge
+   */
+  fillCircle(cx, cy, radius, color, alpha = 1) {
+    this.forCircleBand(cx, cy, radius + 1, (px, py, distance) => {
+      this.blend(px, py, color, alpha * Math.max(0, Math.min(1, radius + 0.5 - distance)));
+    });
+  }
+
+  /**
+   * Circle outline, `lineWidth` pixels wide, centred on the radius
+   */
+  strokeCircle(cx, cy, radius, color, lineWidth = 1, alpha = 1) {
+    const half = lineWidth / 2;
+    this.forCircleBand(cx, cy, radius + half + 1, (px, py, distance) => {
+      const coverage = Math.max(0, Math.min(1, half + 0.5 - Math.abs(distance - radius)));
+      this.blend(px, py, color, alpha * coverage);
+    });
+  }
+
+  /**
+   * Call fn(x, y, distance from centre) for each pixel within `extent`
+   */
+  forCircleBand(cx, cy, extent, fn) {
+    const y0 = Math.max(0, Math.floor(cy - extent));
+    const y1 = Math.min(this.height - 1, Math.ceil(cy + extent));
+    const x0 = Math.max(0, Math.floor(cx - extent));
+    const x1 = Math.min(this.width - 1, Math.ceil(cx + extent));
+    for (let py = y0; py <= y1; py++) {
+      for (let px = x0; px <= x1; px++) {
+        const distance = Math.hypot(px + 0.5 - cx, py + 0.5 - cy);
+        if (distance <= extent) {
+          fn(px, py, distance);
+        }
+      }
+    }
+  }
+
+  /**
+   * Fill a polygon (even-odd rule, sampled at pixel centres)
+   *
+   * @param {number[][]} points - [[x, y], ...]; closed automatically
+   */
+  fillPolygon(points, color, alpha = 1) {
+    const ys = points.map(([, y]) => y);
+    const y0 = Math.max(0, Math.floor(Math.min(...ys)));
+    const y1 = Math.min(this.height - 1, Math.ceil(Math.max(...ys)));
+
+    for (let py = y0; py <= y1; py++) {
+      const sy = py + 0.5;
+      const crossings = [];
+      for (let i = 0; i < points.length; i++) {
+        const [ax, ay] = points[i];
+        const [bx, by] = points[(i + 1) % points.length];
+        if ((ay <= sy && by > sy) || (by <= sy && ay > sy)) {
+          crossings.push(ax + (sy - ay) / (by - ay) * (bx - ax));
+        }
+      }
+      crossings.sort((a, b) => a - b);
+
+      for (let i = 0; i + 1 < crossings.length; i += 2) {
+        const x0 = Math.max(0, Math.ceil(crossings[i] - 0.5));
+        const x1 = Math.min(this.width - 1, Math.floor(crossings[i + 1] - 0.5));
+        for (let px = x0; px <= x1; px++) {
+          this.blend(px, py, color, alpha);
+        }
+      }
+    }
+  }
+
+  /**
+   * Straight line, one pixel wide
+   */
+  drawLine(x0, y0, x1, y1, color, alpha = 1) {
+    const steps = Math.max(1, Math.ceil(Math.max(Math.abs(x1 - x0), Math.abs(y1 - y0))));
+    for (let i = 0; i <= steps; i++) {
+      const t = i / steps;
+      this.blend(Math.round(x0 + (x1 - x0) * t), Math.round(y0 + (y1 - y0) * t), color, alpha);
+    }
+  }
+
+  /**
+   * Closed outline through the points
+   */
+  strokePolygon(points, color, alpha = 1) {
+    for (let i = 0; i < points.length; i++) {
+      const [x0, y0] = points[i];
+      const [x1, y1] = points[(i + 1) % points.length];
+      this.drawLine(x0, y0, x1, y1, color, alpha);
+    }
+  }
+
+  /**
+   * Width of a line of text in pixels
+   */
+  textWidth(text, scale = 1) {
+    const length = this.toFontText(text).length;
+    return length === 0 ? 0 : length * (GLYPH_WIDTH + 1) * scale - scale;
+  }
+
+  /**
+   * Draw one line of text in the bitmap font (upper case)
+   *
+   * @param {number} x - Left edge
+   * @param {number} y - Top edge
+   * @param {number} scale - Pixels per font pixel
+   * @returns {number} - Width drawn
+   */
+  drawText(text, x, y, color, scale = 1) {
+    const chars = [...this.toFontText(text)];
+    chars.forEach((char, index) => {
+      const rows = GLYPHS[char] || GLYPHS['?'];
+      const left = x + index * (GLYPH_WIDTH + 1) * scale;
+      for (let row = 0; row < GLYPH_HEIGHT; row++) {
+        for (let col = 0; col < GLYPH_WIDTH; col++) {
+          if (rows[row][col] === '#') {
+            this.fillRect(left + col * scale, y + row * scale, scale, scale, color);
+          }
+        }
+      }
+    });
+    return this.textWidth(text, scale);
+  }
+
+  /**
+   * Text reduced to the characters the font has
+   *
+   * Accents are dropped, dashes become hyphens and anything else unknown
+   * becomes '?'.
+   */
+  toFontText(text) {
+    return String(text)
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[\u2010-\u2015]/g, '-')
+      .replace(/[\u2018\u2019]/g, "'")
+      .toUpperCase()
+      .replace(/[^\x20-\x7e]/gu, '?');
+  }
+
+  /**
+   * Encode as an 8-bit RGB PNG
+   *
+   * @returns {Buffer}
+   */
+  toPng() {
+    const rowLength = this.width * 3;
+    const raw = Buffer.alloc((rowLength + 1) * this.height);
+    for (let y = 0; y < this.height; y++) {
+      raw[y * (rowLength + 1)] = 0; // Filter: none
+      Buffer.from(this.pixels.buffer, y * rowLength, rowLength).copy(raw, y * (rowLength + 1) + 1);
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(this.width, 0);
+    header.writeUInt32BE(this.height, 4);
+    header[8] = 8; // Bit depth
+    header[9] = 2; // Colour type: RGB
+    // Compression, filter and interlace methods are all 0
+
+    return Buffer.concat([
+      PNG_SIGNATURE,
+      this.chunk('IHDR', header),
+      this.chunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+      this.chunk('IEND', Buffer.alloc(0))
+    ]);
+  }
+
+  /**
+   * One PNG chunk: length, type, data, CRC of type and data
+   */
+  chunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(typeAndData));
+    return Buffer.concat([length, typeAndData, crc]);
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * UK Outline
+ *
+ * Simplified coastlines as [longitude, latitude] rings, accurate to a few
+ * kilometres - enough for a basemap at map-image scale without any tile
+ * service. Great Britain is traced clockwise from Dunnet Head; the Isle of
+ * Wight and the Isle of Man are separate rings.
+ */
+
+export const GREAT_BRITAIN = [
+  [-3.37, 58.67], [-3.03, 58.64], [-3.09, 58.44], [-3.65, 58.12], [-3.77, 57.86],
+  [-4.22, 57.48], [-3.87, 57.59], [-3.28, 57.72], [-2.00, 57.69], [-1.78, 57.50],
+  [-2.08, 57.14], [-2.47, 56.71], [-2.58, 56.28], [-2.92, 56.20], [-3.19, 56.02],
+  [-2.52, 56.00], [-2.13, 55.91], [-2.00, 55.77], [-1.71, 55.61], [-1.58, 55.26],
+  [-1.42, 55.02], [-1.35, 54.88], [-1.18, 54.69], [-1.05, 54.60], [-0.61, 54.49],
+  [-0.40, 54.27], [-0.08, 54.12], [-0.21, 53.90], [0.11, 53.58], [-0.30, 53.71],
+  [-0.66, 53.71], [-0.28, 53.60], [0.04, 53.47], [0.34, 53.14], [0.20, 52.90],
+  [0.49, 52.95], [0.90, 52.96], [1.30, 52.93], [1.73, 52.61], [1.76, 52.47],
+  [1.60, 52.08], [1.35, 51.96], [1.15, 51.79], [0.90, 51.67], [0.71, 51.54],
+  [0.45, 51.50], [0.60, 51.45], [0.90, 51.36], [1.38, 51.39], [1.45, 51.37],
+  [1.31, 51.13], [0.97, 50.91], [0.60, 50.85], [0.24, 50.74], [-0.14, 50.82],
+  [-0.79, 50.72], [-1.09, 50.79], [-1.40, 50.83], [-1.55, 50.72], [-1.88, 50.72],
+  [-2.05, 50.60], [-2.46, 50.51], [-2.94, 50.72], [-3.40, 50.62], [-3.51, 50.45],
+  [-3.64, 50.22], [-4.14, 50.37], [-4.66, 50.32], [-5.05, 50.15], [-5.20, 49.96],
+  [-5.48, 50.04], [-5.71, 50.07], [-5.48, 50.21], [-5.08, 50.42], [-4.75, 50.58],
+  [-4.53, 51.02], [-4.20, 51.08], [-4.12, 51.21], [-3.47, 51.21], [-2.98, 51.35],
+  [-2.65, 51.60], [-2.99, 51.55], [-3.17, 51.46], [-3.64, 51.47], [-3.94, 51.62],
+  [-4.33, 51.56], [-4.30, 51.67], [-4.70, 51.67], [-5.10, 51.70], [-5.31, 51.90],
+  [-4.98, 52.00], [-4.66, 52.10], [-4.08, 52.41], [-4.05, 52.72], [-4.42, 52.89],
+  [-4.78, 52.78], [-4.27, 53.14], [-4.63, 53.31], [-4.34, 53.41], [-3.83, 53.33],
+  [-3.49, 53.32], [-3.10, 53.40], [-3.00, 53.45], [-3.01, 53.65], [-3.05, 53.82],
+  [-2.86, 54.07], [-3.23, 54.11], [-3.64, 54.52], [-3.56, 54.64], [-3.39, 54.87],
+  [-3.26, 54.98], [-3.60, 54.90], [-4.05, 54.84], [-4.42, 54.68], [-4.86, 54.64],
+  [-5.03, 54.91], [-5.16, 55.01], [-4.86, 55.24], [-4.63, 55.46], [-4.87, 55.79],
+  [-4.76, 55.95], [-5.30, 55.80], [-5.80, 55.31], [-5.60, 55.80], [-5.47, 56.41],
+  [-6.23, 56.73], [-5.83, 57.00], [-5.71, 57.28], [-5.69, 57.73], [-5.16, 57.90],
+  [-5.30, 58.25], [-5.00, 58.62], [-4.74, 58.57], [-4.42, 58.48], [-3.52, 58.59]
+];
+
+export const ISLE_OF_WIGHT = [
+  [-1.59, 50.66], [-1.30, 50.76], [-1.16, 50.73], [-1.08, 50.69], [-1.30, 50.58]
+];
+
+export const ISLE_OF_MAN = [
+  [-4.78, 54.06], [-4.40, 54.19], [-4.38, 54.32], [-4.37, 54.42], [-4.69, 54.22]
+];
+
+export const LANDMASSES = [GREAT_BRITAIN, ISLE_OF_WIGHT, ISLE_OF_MAN];
@@ -9,7 +9,11 @@ import { EventDatabase } from '../database/db.js';
 import { PostGenerator } from '../social/post-generator.js';
 import { TwitterPoster } from '../social/twitter-poster.js';
 import { TwitterSelector } from '../social/twitter-selector.js';
-import { WATER_COMPANIES } from '../../config.js';
+import { FeatureSchema } from '../api/feature-schema.js';
+import { FeedHealthMonitor } from './feed-health.js';
+import { SpillCounter } from './spill-counter.js';
+import { PostingConfig } from '../scheduler/posting-config.js';
+import { WATER_COMPANIES, FEED_SHRINK_RATIO, FEED_SHRINK_CONFIRM_POLLS } from '../../config.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -17,15 +21,251 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Reprocess a feed at least this often even if LastUpdated hasn't moved
+const FORCE_REFRESH_MS = 3 * 60 * 60 * 1000;
+
+// How far back to read a site's discharges when rebuilding its spill block
+const SPILL_LOOKBACK_MS = 90 * 24 * 60 * 60 * 1000;
+
 export class EventTracker {
-  constructor(eventQueue, twitterPoster) {
-    this.apiClient = new ArcGISClient();
-    this.db = new EventDatabase();
+  /**
+   * @param {EventQueue} eventQueue - Queue completed events are added to
+   * @param {TwitterPoster} twitterPoster - Passed in from main
+   * @param {object} options - { db, feedHealthPath } to use instead of the
+   *   default event store and website/feed-health.json (dry-run sandbox);
+   *   { apiClient, clock } to poll recorded feeds on a replayed clock
+   *   instead of the live services and the system time
+   */
+  constructor(eventQueue, twitterPoster, {
+    db = null,
+    feedHealthPath,
+    apiClient = new ArcGISClient(),
+    clock = { now: () => Date.now() }
+  } = {}) {
+    this.clock = clock;
+    this.apiClient = apiClient;
+    this.feedHealth = new FeedHealthMonitor(this.apiClient, WATER_COMPANIES, feedHealthPath, clock);
+    this.db = db || new EventDatabase();
     this.activeEvents = new Map(); // In-memory cache of active events
+    this.activeOutages = new Map(); // Sites whose EDM monitor is offline (status -1)
     this.siteMapping = this.loadSiteMapping(); // Load historical site mapping
     this.eventQueue = eventQueue; // Queue for 10+ hour events
     this.twitterPoster = twitterPoster; // Passed in from main
     this.configPath = path.join(__dirname, '../../config/autonomous-posting.json');
+    this.postingConfig = new PostingConfig();
+    this.spillCounter = new SpillCounter();
+
+    // Attribute schema per company name (defaults + company overrides)
+    this.schemas = new Map(Object.values(WATER_COMPANIES).map(company => [
+      company.name,
+      new FeatureSchema(company.name, company.schema)
+    ]));
+    this.schemaWarnings = new Map(); // company name -> latest drift warnings
+    this.feedState = new Map(); // company key -> { lastUpdated, processedAt, featureCount, shrunkPolls }
+    this.completedCount = 0; // Discharges completed since startup
+
+    this.rehydrateActiveEvents();
+  }
+
+  /**
+   * Reload in-flight discharges from the database after a restart
+   *
+   * Events stay flagged as rehydrated until the first successful poll that
+   * includes their site, whatever status it reports, so processFeatures can
+   * close anything that ended while we were down using the feed's own end
+   * time.
+   */
+  rehydrateActiveEvents() {
+    this.rehydrateActiveOutages();
+
+    const stored = this.db.getActiveEvents();
+    if (stored.length === 0) {
+      return;
+    }
+
+    // Keep the most recent record per site - older duplicates are stale
+    const latestBySite = new Map();
+    for (const record of stored) {
+      const eventKey = `${this.getCompanyKey(record.waterCompany)}:${record.siteId}`;
+      const current = latestBySite.get(eventKey);
+      if (!current || record.startTime > current.startTime) {
+        if (current) this.closeStaleRecord(current, record.startTime);
+        latestBySite.set(eventKey, record);
+      } else {
+        this.closeStaleRecord(record, current.startTime);
+      }
+    }
+
+    for (const [eventKey, record] of latestBySite.entries()) {
+      this.activeEvents.set(eventKey, {
+        id: `${eventKey}:${record.startTime}`,
+        type: 'discharge',
+        waterCompany: record.waterCompany,
+        siteId: record.siteId,
+        siteName: record.siteName,
+        latitude: record.latitude,
+        longitude: record.longitude,
+        startTime: record.startTime,
+        startSource: record.startSource || 'inferred',
+        endTime: null,
+        endSource: null,
+        durationMinutes: null,
+        status: 'active',
+        receivingWatercourse: record.receivingWatercourse,
+        rawData: record.rawData,
+        hadMonitorOutage: record.hadMonitorOutage || false,
+        dataGaps: (record.dataGaps || []).map(gap => ({ ...gap })),
+        rehydrated: true
+      });
+    }
+
+    console.log(`♻️  Rehydrated ${latestBySite.size} active event(s) from database`);
+  }
+
+  /**
+   * Reload open monitor outages from the database after a restart
+   */
+  rehydrateActiveOutages() {
+    for (const record of this.db.getActiveEvents('monitor_offline')) {
+      const eventKey = `${this.getCompanyKey(record.waterCompany)}:${record.siteId}`;
+      this.activeOutages.set(eventKey, { ...record, id: `${eventKey}:offline:${record.startTime}` });
+    }
+
+    if (this.activeOutages.size > 0) {
+      console.log(`♻️  Rehydrated ${this.activeOutages.size} monitor outage(s) from database`);
+    }
+  }
+
+  /**
+   * Close a duplicate active record superseded by a later event at the same site
+   */
+  closeStaleRecord(record, supersededAt) {
+    this.db.upsertEvent({
+      ...record,
+      endTime: supersededAt,
+      endSource: 'inferred',
+      durationMinutes: Math.round((supersededAt - record.startTime) / (1000 * 60)),
+      status: 'completed'
+    });
+  }
+
+  /**
+   * Company key used as the prefix of event IDs
+   */
+  getCompanyKey(waterCompany) {
+    return waterCompany.toLowerCase().replace(/\s+/g, '_');
+  }
+
+  /**
+   * Check a feed timestamp falls within [from, to]
+   */
+  isWithin(timestamp, from, to) {
+    return typeof timestamp === 'number' && timestamp >= from && timestamp <= to;
+  }
+
+  /**
+   * Pick the start time for a newly detected discharge
+   *
+   * StatusStart is when the site entered its current (discharging) status,
+   * LatestEventStart is the feed's own event start. Only when the feed has
+   * neither do we fall back to the time we noticed.
+   *
+   * @returns {{time: number, source: string}}
+   */
+  resolveStartTime(parsed, now) {
+    if (this.isWithin(parsed.statusStart, 0, now)) {
+      return { time: parsed.statusStart, source: 'feed' };
+    }
+    if (this.isWithin(parsed.latestEventStart, 0, now)) {
+      return { time: parsed.latestEventStart, source: 'feed' };
+    }
+    return { time: now, source: 'inferred' };
+  }
+
+  /**
+   * Record that we've lost sight of an open event
+   *
+   * Opens a data gap ({ start, end: null, reason }) on the event unless one
+   * is already open. The event itself is held - a feed we can't read says
+   * nothing about whether the site has stopped discharging.
+   */
+  openDataGap(event, reason, now) {
+    event.dataGaps = event.dataGaps || [];
+    const last = event.dataGaps[event.dataGaps.length - 1];
+    if (last && last.end === null) {
+      return;
+    }
+    event.dataGaps.push({ start: now, end: null, reason });
+    this.db.upsertEvent(event);
+  }
+
+  /**
+   * Close an event's open data gap now that the feed reports on it again
+   */
+  closeDataGap(event, now) {
+    const last = event.dataGaps && event.dataGaps[event.dataGaps.length - 1];
+    if (!last || last.end !== null) {
+      return;
+    }
+    last.end = now;
+    this.db.upsertEvent(event);
+  }
+
+  /**
+   * Hold every open discharge for a company whose feed is unavailable
+   *
+   * @param {string} waterCompany - Water company name
+   * @param {string} reason - feed_error | feed_empty | circuit_open
+   */
+  holdCompanyEvents(waterCompany, reason) {
+    const companyKey = this.getCompanyKey(waterCompany);
+    const now = this.clock.now();
+    let held = 0;
+
+    for (const [eventKey, event] of this.activeEvents.entries()) {
+      if (eventKey.startsWith(companyKey + ':')) {
+        this.openDataGap(event, reason, now);
+        held++;
+      }
+    }
+
+    if (held > 0) {
+      console.warn(`⏸️  ${waterCompany} feed unavailable (${reason}) - holding ${held} open event(s)`);
+    }
+  }
+
+  /**
+   * Whether any of a company's open events is waiting on a data gap to close
+   */
+  hasOpenDataGap(companyKey) {
+    for (const [eventKey, event] of this.activeEvents.entries()) {
+      const gaps = event.dataGaps || [];
+      if (eventKey.startsWith(companyKey + ':') && gaps.length > 0 && gaps[gaps.length - 1].end === null) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Pick the end time for an event that is no longer discharging
+   *
+   * Prefers the feed's LatestEventEnd, then the StatusStart of the site's
+   * new (non-discharging) status, so durations don't depend on our polling
+   * cadence or how often each company refreshes its feed. If the monitor was
+   * offline during the event, StatusStart is only when it came back, so that
+   * end time is treated as inferred.
+   *
+   * @returns {{time: number, source: string}}
+   */
+  resolveEndTime(event, parsed, now) {
+    if (parsed && this.isWithin(parsed.latestEventEnd, event.startTime, now)) {
+      return { time: parsed.latestEventEnd, source: 'feed' };
+    }
+    if (parsed && parsed.status === 0 && this.isWithin(parsed.statusStart, event.startTime, now)) {
+      return { time: parsed.statusStart, source: event.hadMonitorOutage ? 'inferred' : 'feed' };
+    }
+    return { time: now, source: 'inferred' };
   }
 
   /**
@@ -43,6 +283,42 @@ export class EventTracker {
     return false; // Default to disabled
   }
 
+  /**
+   * Which view of discharges is queued for posting and publishing
+   *
+   * 'raw' queues every completed discharge; '12/24' queues completed spill
+   * blocks instead (events.countingMethod in posting-config.json).
+   */
+  getCountingMethod() {
+    return this.postingConfig.getEvents().countingMethod === '12/24' ? '12/24' : 'raw';
+  }
+
+  /**
+   * Copy of an event with the site details the severity scorer needs
+   *
+   * Estimated volume uses the site's permitted flow rate from the historical
+   * mapping, so it's an upper-bound estimate rather than a measurement.
+   *
+   * @param {object} event - Completed discharge or spill block
+   * @returns {object} - Event plus estimatedVolumeM3 and historicalSpillCount
+   */
+  withSiteEstimates(event) {
+    const historicalData = this.siteMapping.get(event.siteId);
+    if (!historicalData) {
+      return { ...event, estimatedVolumeM3: null, historicalSpillCount: null };
+    }
+
+    const flowRate = parseFloat(historicalData.estimated_flow_m3_hour);
+    const hasFlowRate = historicalData.has_flow_rate === 'yes' && flowRate > 0;
+    const hours = (event.durationMinutes || 0) / 60;
+
+    return {
+      ...event,
+      estimatedVolumeM3: hasFlowRate ? Math.round(hours * flowRate) : null,
+      historicalSpillCount: parseInt(historicalData.spill_count_2023) || 0
+    };
+  }
+
   /**
    * Load site ID mapping (real-time to historical) with flow rates
    */
@@ -110,68 +386,109 @@ export class EventTracker {
     return values;
   }
 
+  /**
+   * Get the attribute schema for a company, creating a default one if needed
+   */
+  getSchema(waterCompany) {
+    if (!this.schemas.has(waterCompany)) {
+      this.schemas.set(waterCompany, new FeatureSchema(waterCompany));
+    }
+    return this.schemas.get(waterCompany);
+  }
+
   /**
    * Parse feature attributes to extract event information
-   * All water companies use consistent field names
+   * Field names and types come from the company's schema (see DEFAULT_FEATURE_SCHEMA)
    */
   parseFeature(feature, waterCompany) {
-    const attrs = feature.attributes;
-    const geom = feature.geometry;
-
-    // All companies use these standardized fields
-    const siteId = attrs.Id;
-    // Try to get site name from API, fallback to permit name or location name
-    const siteName = attrs.SiteName || attrs.PermitName || attrs.LocationName || attrs.Name || null;
-    const status = attrs.Status; // 0 = not discharging, 1 = discharging, -1 = offline/error
-    const statusStart = attrs.StatusStart; // When current status started
-    const latestEventStart = attrs.LatestEventStart;
-    const latestEventEnd = attrs.LatestEventEnd;
-    const receivingWatercourse = attrs.ReceivingWaterCourse;
-
-    // Coordinates from attributes
-    const latitude = attrs.Latitude;
-    const longitude = attrs.Longitude;
+    const { event, issues } = this.getSchema(waterCompany).normalize(feature);
 
     return {
-      siteId,
-      siteName,
-      status,
-      statusStart,
-      latestEventStart,
-      latestEventEnd,
-      receivingWatercourse,
-      latitude,
-      longitude,
-      rawData: attrs
+      ...event,
+      issues,
+      rawData: feature.attributes
     };
   }
 
+  /**
+   * Check a batch of features for schema drift and log any change in warnings
+   */
+  checkSchemaDrift(waterCompany, features) {
+    const warnings = this.getSchema(waterCompany).checkDrift(features);
+    const previous = this.schemaWarnings.get(waterCompany) || [];
+
+    // Only log when the set of warnings changes, not on every poll
+    if (warnings.join('\n') !== previous.join('\n')) {
+      for (const warning of warnings) {
+        console.warn(`⚠️  Schema drift in ${waterCompany} feed: ${warning}`);
+      }
+      if (warnings.length === 0 && previous.length > 0) {
+        console.log(`✓ ${waterCompany} feed matches schema again`);
+      }
+    }
+
+    this.schemaWarnings.set(waterCompany, warnings);
+    return warnings;
+  }
+
   /**
    * Generate event ID from feature
    */
   generateEventId(feature, waterCompany) {
     const parsed = this.parseFeature(feature, waterCompany);
-    const companyKey = waterCompany.toLowerCase().replace(/\s+/g, '_');
+    const companyKey = this.getCompanyKey(waterCompany);
     return `${companyKey}:${parsed.siteId}`;
   }
 
   /**
    * Process features from API response and update event tracking
+   *
+   * @param {string} waterCompany - Water company name
+   * @param {array} features - Features from the company's feed
+   * @param {object} options - { truncated: the result set is known to be incomplete,
+   *   gapReason: data gap reason recorded on events held because of it }
+   * @returns {Promise<object>} - { siteCount, offlineCount, invalidFeatures }
    */
-  async processFeatures(waterCompany, features) {
-    const companyKey = waterCompany.toLowerCase().replace(/\s+/g, '_');
-    const now = Date.now();
+  async processFeatures(waterCompany, features, { truncated = false, gapReason = 'feed_truncated' } = {}) {
+    const companyKey = this.getCompanyKey(waterCompany);
+    const now = this.clock.now();
     const activeSiteIds = new Set();
+    const parsedBySite = new Map();
+    let invalidFeatures = 0;
+    let offlineCount = 0;
+
+    this.checkSchemaDrift(waterCompany, features);
 
     for (const feature of features) {
       const parsed = this.parseFeature(feature, waterCompany);
 
-      if (!parsed.siteId) {
-        console.warn(`Skipping feature without site ID for ${waterCompany}`);
+      // Without a site ID or a valid status we can't track the feature
+      if (parsed.siteId === null || parsed.status === null) {
+        if (invalidFeatures === 0) {
+          console.warn(`⚠️  Skipping invalid ${waterCompany} feature: ${parsed.issues.join('; ')}`);
+        }
+        invalidFeatures++;
         continue;
       }
 
+      parsedBySite.set(parsed.siteId, parsed);
+      this.trackMonitorStatus(companyKey, waterCompany, parsed, now);
+
       // Status values: 0 = not discharging, 1 = discharging, -1 = offline/error
+      if (parsed.status === -1) {
+        offlineCount++;
+        // We can't see whether an open discharge is still going - hold it
+        const openEvent = this.activeEvents.get(`${companyKey}:${parsed.siteId}`);
+        if (openEvent) {
+          activeSiteIds.add(parsed.siteId);
+          if (!openEvent.hadMonitorOutage) {
+            openEvent.hadMonitorOutage = true;
+            this.db.upsertEvent(openEvent);
+          }
+        }
+        continue;
+      }
+
       const isDischarging = parsed.status === 1;
 
       if (isDischarging) {
@@ -179,14 +496,24 @@ export class EventTracker {
 
         // Event is active/discharging
         const eventKey = `${companyKey}:${parsed.siteId}`;
-        const startTime = parsed.statusStart || parsed.latestEventStart || now;
-
         // Check if this is a new event or existing event
-        const existingEvent = this.activeEvents.get(eventKey);
+        let existingEvent = this.activeEvents.get(eventKey);
+
+        // A rehydrated event whose site has since started a new discharge
+        // ended during downtime - close it at the new event's start
+        if (existingEvent && existingEvent.rehydrated &&
+            parsed.statusStart && parsed.statusStart > existingEvent.startTime) {
+          const gapEnd = this.isWithin(parsed.latestEventEnd, existingEvent.startTime, parsed.statusStart)
+            ? { time: parsed.latestEventEnd, source: 'feed' }
+            : { time: parsed.statusStart, source: 'inferred' };
+          this.completeEvent(eventKey, existingEvent, gapEnd, waterCompany);
+          existingEvent = null;
+        }
 
         if (!existingEvent) {
           // New event detected (new to our tracking, may have started earlier)
-          const actualStartTime = parsed.statusStart || now;
+          const start = this.resolveStartTime(parsed, now);
+          const actualStartTime = start.time;
           const durationMinutes = Math.round((now - actualStartTime) / (1000 * 60));
 
           console.log(`🚨 NEW EVENT DETECTED: ${waterCompany} - Site ${parsed.siteId}`);
@@ -212,22 +539,27 @@ export class EventTracker {
           }
 
           const event = {
-            id: eventKey, // Unique ID for this event
+            id: `${eventKey}:${actualStartTime}`, // Unique per discharge, not just per site
+            type: 'discharge',
             waterCompany,
             siteId: parsed.siteId,
             siteName: siteName,
             latitude: parsed.latitude,
             longitude: parsed.longitude,
             startTime: actualStartTime,
+            startSource: start.source,
             endTime: null,
+            endSource: null,
             durationMinutes: null, // Will be calculated when event ends
             status: 'active',
             receivingWatercourse: parsed.receivingWatercourse,
+            dataGaps: [],
             rawData: parsed.rawData
           };
 
           this.db.upsertEvent(event);
           this.activeEvents.set(eventKey, event);
+          this.updateSpillBlock(event, now);
         } else {
           // Existing active event - update if needed
           existingEvent.rawData = parsed.rawData;
@@ -237,25 +569,199 @@ export class EventTracker {
       }
     }
 
+    // One append for the whole poll rather than one per site
+    this.db.recordTransitions(waterCompany, [...parsedBySite.values()], now);
+
+    // Each site's first poll since a restart has been reconciled. Later
+    // StatusStart changes (e.g. after an outage) aren't downtime endings.
+    for (const [eventKey, event] of this.activeEvents.entries()) {
+      if (eventKey.startsWith(companyKey + ':') && parsedBySite.has(event.siteId)) {
+        delete event.rehydrated;
+      }
+    }
+
+    if (truncated) {
+      console.warn(`⚠️  ${waterCompany} feed incomplete (${gapReason}) - only closing events for sites present in the response`);
+    }
+
     // Check for events that have ended (were active but no longer discharging)
     for (const [eventKey, event] of this.activeEvents.entries()) {
       if (eventKey.startsWith(companyKey + ':')) {
         const siteId = event.siteId;
+        // A site missing from an incomplete response tells us nothing
+        if (truncated && !parsedBySite.has(siteId)) {
+          this.openDataGap(event, gapReason, now);
+          continue;
+        }
+        this.closeDataGap(event, now);
         if (!activeSiteIds.has(siteId)) {
           // Event has ended - EVENT END
-          const endTime = now;
-          const durationMinutes = Math.round((endTime - event.startTime) / (1000 * 60));
+          const end = this.resolveEndTime(event, parsedBySite.get(siteId), now);
+          this.completeEvent(eventKey, event, end, waterCompany);
+        }
+      }
+    }
 
-          event.endTime = endTime;
-          event.durationMinutes = durationMinutes;
-          event.status = 'completed';
+    if (invalidFeatures > 1) {
+      console.warn(`⚠️  Skipped ${invalidFeatures} invalid ${waterCompany} features in total`);
+    }
 
-          // Generate discharge summary
-          this.generateDischargeSummary(event, waterCompany);
+    this.closeSpillBlocks(waterCompany, now);
 
-          this.db.upsertEvent(event);
-          this.activeEvents.delete(eventKey);
-        }
+    return { siteCount: parsedBySite.size, offlineCount, invalidFeatures };
+  }
+
+  /**
+   * Open or close a monitor outage record for a site based on its status
+   *
+   * Status -1 means the EDM monitor is offline or faulty. Those periods are
+   * stored as their own 'monitor_offline' events rather than being read as
+   * "not discharging".
+   */
+  trackMonitorStatus(companyKey, waterCompany, parsed, now) {
+    const eventKey = `${companyKey}:${parsed.siteId}`;
+    const outage = this.activeOutages.get(eventKey);
+
+    if (parsed.status === -1) {
+      if (outage) {
+        return;
+      }
+
+      const start = this.resolveStartTime(parsed, now);
+      const newOutage = {
+        id: `${eventKey}:offline:${start.time}`,
+        type: 'monitor_offline',
+        waterCompany,
+        siteId: parsed.siteId,
+        siteName: parsed.siteName,
+        latitude: parsed.latitude,
+        longitude: parsed.longitude,
+        startTime: start.time,
+        startSource: start.source,
+        endTime: null,
+        endSource: null,
+        durationMinutes: null,
+        status: 'active',
+        receivingWatercourse: parsed.receivingWatercourse,
+        rawData: parsed.rawData
+      };
+
+      console.log(`📴 MONITOR OFFLINE: ${waterCompany} - Site ${parsed.siteId}`);
+      this.db.upsertEvent(newOutage);
+      this.activeOutages.set(eventKey, newOutage);
+      return;
+    }
+
+    if (outage) {
+      // Monitor is reporting again - its new StatusStart marks the recovery
+      const end = this.isWithin(parsed.statusStart, outage.startTime, now)
+        ? { time: parsed.statusStart, source: 'feed' }
+        : { time: now, source: 'inferred' };
+
+      outage.endTime = end.time;
+      outage.endSource = end.source;
+      outage.durationMinutes = Math.round((end.time - outage.startTime) / (1000 * 60));
+      outage.status = 'completed';
+
+      console.log(`📶 MONITOR BACK ONLINE: ${waterCompany} - Site ${parsed.siteId} (offline ${outage.durationMinutes} minutes)`);
+      this.db.upsertEvent(outage);
+      this.activeOutages.delete(eventKey);
+    }
+  }
+
+  /**
+   * Mark an active event as completed, queue it and persist it
+   */
+  completeEvent(eventKey, event, end, waterCompany) {
+    event.endTime = end.time;
+    event.endSource = end.source;
+    event.durationMinutes = Math.round((end.time - event.startTime) / (1000 * 60));
+    event.status = 'completed';
+    delete event.rehydrated;
+    this.completedCount++;
+
+    const lastGap = event.dataGaps && event.dataGaps[event.dataGaps.length - 1];
+    if (lastGap && lastGap.end === null) {
+      lastGap.end = this.clock.now();
+    }
+
+    // Generate discharge summary
+    this.generateDischargeSummary(event, waterCompany);
+
+    this.db.upsertEvent(event);
+    this.activeEvents.delete(eventKey);
+    this.updateSpillBlock(event);
+  }
+
+  /**
+   * Rebuild and store the 12/24 spill block a discharge belongs to
+   *
+   * @param {object} event - Discharge that started or ended
+   * @param {number} now - Current time (ms)
+   */
+  updateSpillBlock(event, now = this.clock.now()) {
+    const discharges = this.db.getEventsBySite(event.waterCompany, event.siteId)
+      .filter(e => e.startTime >= now - SPILL_LOOKBACK_MS);
+    const block = this.spillCounter.countBlocks(discharges, now)
+      .find(b => b.events.some(e => e.startTime === event.startTime));
+
+    if (block) {
+      this.saveSpillBlock(event, block);
+    }
+  }
+
+  /**
+   * Close spill blocks whose quiet 24-hour window has passed
+   */
+  closeSpillBlocks(waterCompany, now = this.clock.now()) {
+    for (const record of this.db.getActiveEvents('spill_block')) {
+      if (record.waterCompany === waterCompany && record.block.closesAt <= now) {
+        this.updateSpillBlock(record, now);
+      }
+    }
+  }
+
+  /**
+   * Persist a spill block, queueing it once it completes if posting uses
+   * the 12/24 view
+   */
+  saveSpillBlock(source, block) {
+    const companyKey = this.getCompanyKey(source.waterCompany);
+    const previous = this.db.getEvent(source.waterCompany, source.siteId, block.startTime, 'spill_block');
+    const last = block.events[block.events.length - 1];
+
+    const record = {
+      id: `${companyKey}:${source.siteId}:block:${block.startTime}`,
+      type: 'spill_block',
+      waterCompany: source.waterCompany,
+      siteId: source.siteId,
+      siteName: source.siteName,
+      latitude: source.latitude,
+      longitude: source.longitude,
+      startTime: block.startTime,
+      startSource: block.events[0].startSource,
+      endTime: block.open ? null : block.endTime,
+      endSource: block.open ? null : last.endSource,
+      durationMinutes: block.open ? null : block.dischargeMinutes,
+      status: block.open ? 'active' : 'completed',
+      receivingWatercourse: source.receivingWatercourse,
+      block: {
+        spillCount: block.spillCount,
+        eventCount: block.events.length,
+        eventIds: block.events.map(e => `${companyKey}:${e.siteId}:${e.startTime}`),
+        dischargeMinutes: block.dischargeMinutes,
+        lastDischargeEnd: block.endTime,
+        closesAt: block.closesAt
+      }
+    };
+
+    this.db.upsertEvent(record);
+
+    if (record.status === 'completed' && (!previous || previous.status !== 'completed')) {
+      console.log(`🧮 SPILL BLOCK COMPLETED: ${source.waterCompany} - Site ${source.siteId} - ${block.spillCount} spill(s) from ${block.events.length} discharge(s), ${block.dischargeMinutes} minutes`);
+
+      if (this.getCountingMethod() === '12/24' && this.eventQueue.addEvent(this.withSiteEstimates(record))) {
+        console.log(`✅ Spill block added to queue`);
       }
     }
   }
@@ -293,8 +799,11 @@ export class EventTracker {
     }
 
     console.log(`\nDischarge Duration: ${durationDisplay}`);
-    console.log(`Started: ${new Date(event.startTime).toLocaleString()}`);
-    console.log(`Ended: ${new Date(event.endTime).toLocaleString()}`);
+    console.log(`Started: ${new Date(event.startTime).toLocaleString()} (${event.startSource})`);
+    console.log(`Ended: ${new Date(event.endTime).toLocaleString()} (${event.endSource})`);
+    if (event.dataGaps && event.dataGaps.length > 0) {
+      console.log(`Data gaps: ${event.dataGaps.map(gap => gap.reason).join(', ')} - feed was unavailable for part of this event`);
+    }
 
     // Look up historical data
     const historicalData = this.siteMapping.get(event.siteId);
@@ -380,12 +889,18 @@ export class EventTracker {
 
     console.log('='.repeat(70) + '\n');
 
+    // With 12/24 counting the spill block is queued when it completes instead
+    if (this.getCountingMethod() !== 'raw') {
+      console.log(`🧮 Counted in this site's 12/24 spill block`);
+      return;
+    }
+
     // Add ALL completed events to queue
-    const added = this.eventQueue.addEvent(event);
+    const added = this.eventQueue.addEvent(this.withSiteEstimates(event));
 
     if (added) {
       console.log(`✅ Event added to queue`);
-      console.log(`   Will be included in next 90-minute cycle post`);
+      console.log(`   Will be included in the next posting cycle`);
     } else {
       console.log(`ℹ️  Event already posted in previous cycle`);
     }
@@ -435,58 +950,154 @@ export class EventTracker {
   }
 
   /**
-   * Main entry point - check all water company APIs for active events
+   * Poll one water company and process its features if the feed has changed
+   *
+   * The feed's LastUpdated is checked first with a cheap statistics query;
+   * when it hasn't advanced since we last processed the feed, the full
+   * download is skipped. If the statistics query isn't supported, the full
+   * feed is fetched and processing is skipped when its LastUpdated matches.
+   * Every outcome is recorded with the feed health monitor.
+   *
+   * @param {string} key - WATER_COMPANIES key
+   * @param {object} company - Company config
+   * @param {object} options - { force: process even when unchanged }
+   * @returns {Promise<object>} - { success, changed, featureCount, offlineCount, lastUpdated, error, circuitOpen }
    */
-  async checkAPI() {
-    const timestamp = new Date().toLocaleTimeString('en-GB');
-    console.log(`\n🔍 [${timestamp}] Checking water company APIs...`);
-
-    const previousActiveCount = this.activeEvents.size;
-    const previousQueueCount = this.eventQueue.getPostableEvents().length;
+  async checkCompany(key, company, { force = false } = {}) {
+    const result = await this.pollCompany(key, company, { force });
+    this.feedHealth.record(key, company, result);
+    return result;
+  }
 
-    let totalEvents = 0;
-    let newEventsStarted = 0;
-    let eventsEnded = 0;
+  /**
+   * Fetch and process one company's feed (see checkCompany)
+   */
+  async pollCompany(key, company, { force = false } = {}) {
+    // Feed has been failing - leave it alone until its breaker allows a trial request
+    if (!this.apiClient.isAvailable(company.endpoint)) {
+      const breaker = this.apiClient.getBreaker(company.endpoint).getState();
+      this.holdCompanyEvents(company.name, 'circuit_open');
+      return { success: false, circuitOpen: true, retryAt: breaker.retryAt, error: breaker.lastError };
+    }
 
-    // Track current event IDs from API
-    const currentEventIds = new Set();
+    const previous = this.feedState.get(key);
+    const due = force || !previous || this.clock.now() - previous.processedAt > FORCE_REFRESH_MS ||
+      this.hasOpenDataGap(this.getCompanyKey(company.name));
+    const lastUpdatedField = this.getSchema(company.name).fields.lastUpdated.fields[0];
 
-    // Check each water company
-    for (const [key, company] of Object.entries(WATER_COMPANIES)) {
+    try {
+      let lastUpdated = null;
       try {
-        const result = await this.apiClient.getAllOverflows(company.endpoint, company.layerId);
+        lastUpdated = await this.apiClient.getLastUpdated(company.endpoint, company.layerId, lastUpdatedField);
+      } catch (error) {
+        // Transient failure - fall back to a full fetch (feeds without
+        // statistics support just return null)
+      }
 
-        if (result.features && result.features.length > 0) {
-          totalEvents += result.features.length;
-          await this.processFeatures(company.name, result.features);
+      // Nothing new, but spill blocks still close when their quiet window ends
+      if (!due && lastUpdated !== null && lastUpdated === previous.lastUpdated) {
+        this.closeSpillBlocks(company.name, this.clock.now());
+        return { success: true, changed: false, lastUpdated };
+      }
 
-          // Track which events are currently active
-          for (const feature of result.features) {
-            const eventId = this.generateEventId(feature, company.name);
-            currentEventIds.add(eventId);
-          }
+      const result = await this.apiClient.getAllOverflows(company.endpoint, company.layerId);
+      const features = result.features || [];
+
+      if (lastUpdated === null) {
+        lastUpdated = this.getFeedLastUpdated(company.name, features);
+        if (!due && lastUpdated !== null && lastUpdated === previous.lastUpdated) {
+          this.closeSpillBlocks(company.name, this.clock.now());
+          return { success: true, changed: false, featureCount: features.length, lastUpdated };
         }
-      } catch (error) {
-        console.error(`  ❌ ${company.name} error:`, error.message);
       }
+
+      // An empty feed means the feed is broken, not that every site stopped
+      if (features.length === 0) {
+        this.holdCompanyEvents(company.name, 'feed_empty');
+        return { success: true, changed: false, featureCount: 0, dataGap: 'feed_empty', lastUpdated };
+      }
+
+      const shrink = this.checkFeedSize(previous, features.length);
+      if (shrink.suspect) {
+        console.warn(`⚠️  ${company.name} returned ${features.length} sites, usually ${previous.featureCount} - holding missing sites`);
+      }
+
+      const processed = await this.processFeatures(company.name, features, {
+        truncated: result.truncated || shrink.suspect,
+        gapReason: shrink.suspect ? 'feed_shrunk' : 'feed_truncated'
+      });
+
+      this.feedState.set(key, {
+        lastUpdated,
+        processedAt: this.clock.now(),
+        featureCount: shrink.featureCount,
+        shrunkPolls: shrink.shrunkPolls
+      });
+      return {
+        success: true,
+        changed: true,
+        featureCount: features.length,
+        offlineCount: processed.offlineCount,
+        truncated: result.truncated,
+        dataGap: shrink.suspect ? 'feed_shrunk' : null,
+        lastUpdated
+      };
+    } catch (error) {
+      console.error(`  ❌ ${company.name} error:`, error.message);
+      this.holdCompanyEvents(company.name, 'feed_error');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Compare a response's size with the feed's usual site count
+   *
+   * A sudden drop below FEED_SHRINK_RATIO is suspect. If the smaller size
+   * persists for FEED_SHRINK_CONFIRM_POLLS polls it's accepted as the new
+   * normal (sites really were removed).
+   *
+   * @returns {object} - { suspect, featureCount, shrunkPolls } for the next feedState
+   */
+  checkFeedSize(previous, count) {
+    const usual = previous && previous.featureCount;
+    if (!usual || count >= usual * FEED_SHRINK_RATIO) {
+      return { suspect: false, featureCount: count, shrunkPolls: 0 };
     }
 
-    // Detect ended events (in activeEvents but not in current API response)
-    for (const eventId of this.activeEvents.keys()) {
-      if (!currentEventIds.has(eventId)) {
-        eventsEnded++;
+    const shrunkPolls = (previous.shrunkPolls || 0) + 1;
+    if (shrunkPolls >= FEED_SHRINK_CONFIRM_POLLS) {
+      return { suspect: false, featureCount: count, shrunkPolls: 0 };
+    }
+    return { suspect: true, featureCount: usual, shrunkPolls };
+  }
+
+  /**
+   * Latest LastUpdated value across a batch of features
+   */
+  getFeedLastUpdated(waterCompany, features) {
+    let latest = null;
+    for (const feature of features) {
+      const { lastUpdated } = this.parseFeature(feature, waterCompany);
+      if (lastUpdated !== null && (latest === null || lastUpdated > latest)) {
+        latest = lastUpdated;
       }
     }
+    return latest;
+  }
 
-    // Detect new events
-    newEventsStarted = this.activeEvents.size - previousActiveCount + eventsEnded;
+  /**
+   * Log a one-line summary of tracker and queue state
+   */
+  logSummary(previousActiveCount, previousCompletedCount, previousQueueCount) {
+    const eventsEnded = this.completedCount - previousCompletedCount;
+    const newEventsStarted = this.activeEvents.size - previousActiveCount + eventsEnded;
 
     const activeCount = this.activeEvents.size;
     const queueStats = this.eventQueue.getStats();
     const queueCount = this.eventQueue.getPostableEvents().length;
 
     // Summary
-    console.log(`📊 Active: ${activeCount} | Queue: ${queueCount} (${queueStats.rawMapSize} total in map, ${queueStats.posted} marked posted)`);
+    console.log(`📊 Active: ${activeCount} | Offline monitors: ${this.activeOutages.size} | Queue: ${queueCount} (${queueStats.rawMapSize} total in map, ${queueStats.posted} marked posted)`);
 
     if (newEventsStarted > 0) {
       console.log(`   🆕 ${newEventsStarted} new event(s) started`);
@@ -499,6 +1110,28 @@ export class EventTracker {
     }
   }
 
+  /**
+   * Main entry point - check all water company APIs for active events
+   *
+   * Polls every company once, in sequence. The long-running monitor uses
+   * PollScheduler instead, which polls each company on its own cadence.
+   */
+  async checkAPI() {
+    const timestamp = new Date().toLocaleTimeString('en-GB');
+    console.log(`\n🔍 [${timestamp}] Checking water company APIs...`);
+
+    const previousActiveCount = this.activeEvents.size;
+    const previousCompletedCount = this.completedCount;
+    const previousQueueCount = this.eventQueue.getPostableEvents().length;
+
+    // Check each water company
+    for (const [key, company] of Object.entries(WATER_COMPANIES)) {
+      await this.checkCompany(key, company);
+    }
+
+    this.logSummary(previousActiveCount, previousCompletedCount, previousQueueCount);
+  }
+
   /**
    * Monitor a single water company
    */
@@ -512,14 +1145,16 @@ export class EventTracker {
       );
 
       if (result.features && result.features.length > 0) {
-        await this.processFeatures(companyConfig.name, result.features);
+        await this.processFeatures(companyConfig.name, result.features, { truncated: result.truncated });
         console.log(`  ✓ Processed ${result.features.length} overflow sites`);
       } else {
         console.log(`  ℹ No features returned`);
+        this.holdCompanyEvents(companyConfig.name, 'feed_empty');
       }
 
     } catch (error) {
       console.error(`Error monitoring ${companyConfig.name}:`, error.message);
+      this.holdCompanyEvents(companyConfig.name, 'feed_error');
     }
   }
 
@@ -533,7 +1168,11 @@ export class EventTracker {
     return {
       activeEvents: activeCount,
       completedLast24h: recentCompleted.length,
-      activeEventsList: Array.from(this.activeEvents.values())
+      activeEventsList: Array.from(this.activeEvents.values()),
+      monitorsOffline: this.activeOutages.size,
+      schemaWarnings: Object.fromEntries(this.schemaWarnings),
+      circuitBreakers: this.apiClient.getHealth(),
+      feedHealth: this.feedHealth.getReport()
     };
   }
 
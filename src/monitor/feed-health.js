@@ -0,0 +1,316 @@
+/**
+ * Feed Health Monitor
+ *
+ * Watches each water company's feed rather than the discharges in it:
+ * when we last read it successfully, how old its LastUpdated is, how many
+ * sites it returned, how many monitors are offline and how often requests
+ * fail. Anomalies are raised as alerts and the whole picture is written to
+ * website/feed-health.json so readers can see whose data to trust.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  WATER_COMPANIES,
+  FEED_HEALTH_WINDOW,
+  FEED_STALE_FACTOR,
+  FEED_STALE_MIN_MINUTES,
+  FEED_COUNT_CHANGE_RATIO,
+  FEED_OFFLINE_ALERT_RATIO,
+  FEED_ERROR_RATE_ALERT
+} from '../../config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Consecutive failed polls before a feed is reported as failing
+const FAILING_AFTER = 3;
+
+export class FeedHealthMonitor {
+  /**
+   * @param {ArcGISClient} apiClient - Client whose circuit breakers are reported
+   * @param {object} companies - Company configs (default: WATER_COMPANIES)
+   * @param {string} outputPath - Where to write the public JSON report
+   * @param {object} clock - Source of the current time ({ now() })
+   */
+  constructor(apiClient, companies = WATER_COMPANIES, outputPath = path.join(__dirname, '../../website/feed-health.json'), clock = { now: () => Date.now() }) {
+    this.apiClient = apiClient;
+    this.clock = clock;
+    this.companies = companies;
+    this.outputPath = outputPath;
+    this.feeds = new Map(); // company key -> health state
+  }
+
+  /**
+   * Health state for a company, created on first use
+   */
+  getFeed(key) {
+    if (!this.feeds.has(key)) {
+      this.feeds.set(key, {
+        lastSuccess: null,
+        lastFailure: null,
+        lastError: null,
+        lastUpdated: null,
+        featureCount: null,
+        offlineCount: null,
+        counts: [], // feature counts from recent full fetches
+        polls: [], // recent poll outcomes (true = success)
+        consecutiveFailures: 0,
+        alerts: new Map() // alert type -> { type, message, since }
+      });
+    }
+    return this.feeds.get(key);
+  }
+
+  /**
+   * Record the outcome of EventTracker.checkCompany and re-check alerts
+   *
+   * @param {string} key - WATER_COMPANIES key
+   * @param {object} company - Company config
+   * @param {object} result - checkCompany result
+   */
+  record(key, company, result) {
+    const feed = this.getFeed(key);
+    const now = this.clock.now();
+
+    feed.polls.push(result.success);
+    if (feed.polls.length > FEED_HEALTH_WINDOW) {
+      feed.polls.shift();
+    }
+
+    if (result.success) {
+      feed.lastSuccess = now;
+      feed.consecutiveFailures = 0;
+      if (result.lastUpdated) {
+        feed.lastUpdated = result.lastUpdated;
+      }
+      if (result.changed) {
+        feed.featureCount = result.featureCount;
+        feed.offlineCount = result.offlineCount ?? feed.offlineCount;
+        feed.counts.push(result.featureCount);
+        if (feed.counts.length > FEED_HEALTH_WINDOW) {
+          feed.counts.shift();
+        }
+      } else if (result.featureCount === 0) {
+        feed.featureCount = 0;
+      }
+    } else {
+      feed.lastFailure = now;
+      feed.lastError = result.error || null;
+      feed.consecutiveFailures++;
+    }
+
+    this.evaluate(key, company, now);
+    this.write();
+  }
+
+  /**
+   * Re-derive a company's alerts from its current state
+   *
+   * Alerts keep their original `since` while they persist, and are logged
+   * once when raised and once when cleared.
+   */
+  evaluate(key, company, now = this.clock.now()) {
+    const feed = this.getFeed(key);
+    const staleMinutes = this.getStaleMinutes(company);
+    const found = new Map();
+    const raise = (type, message) => found.set(type, message);
+
+    const updatedAge = this.getAgeMinutes(feed.lastUpdated, now);
+    if (updatedAge !== null && updatedAge > staleMinutes) {
+      raise('stale', `LastUpdated hasn't advanced for ${this.formatMinutes(updatedAge)}`);
+    }
+
+    if (feed.consecutiveFailures >= FAILING_AFTER) {
+      const since = feed.lastSuccess ? ` - last good read ${this.formatMinutes(this.getAgeMinutes(feed.lastSuccess, now))} ago` : '';
+      raise('failing', `${feed.consecutiveFailures} failed polls in a row${since}`);
+    }
+
+    const errorRate = this.getErrorRate(feed);
+    if (feed.polls.length >= 5 && errorRate > FEED_ERROR_RATE_ALERT) {
+      raise('error_rate', `${Math.round(errorRate * 100)}% of recent requests failed`);
+    }
+
+    if (feed.featureCount === 0) {
+      raise('empty', 'Feed returned no sites');
+    } else {
+      const usual = this.getUsualCount(feed);
+      if (usual && feed.featureCount !== null &&
+          Math.abs(feed.featureCount - usual) / usual > FEED_COUNT_CHANGE_RATIO) {
+        raise('site_count', `Returned ${feed.featureCount} sites, usually ${usual}`);
+      }
+    }
+
+    const offlineShare = this.getOfflineShare(feed);
+    if (offlineShare !== null && offlineShare > FEED_OFFLINE_ALERT_RATIO) {
+      raise('monitors_offline', `${Math.round(offlineShare * 100)}% of monitors are offline`);
+    }
+
+    const breaker = this.getBreakerState(company);
+    if (breaker && breaker.state === 'open') {
+      raise('circuit_open', `Requests paused after repeated failures until ${breaker.retryAt}`);
+    }
+
+    for (const [type, message] of found.entries()) {
+      const existing = feed.alerts.get(type);
+      if (existing) {
+        existing.message = message;
+      } else {
+        feed.alerts.set(type, { type, message, since: new Date(now).toISOString() });
+        console.warn(`🩺 FEED ALERT: ${company.name} - ${message}`);
+      }
+    }
+
+    for (const type of feed.alerts.keys()) {
+      if (!found.has(type)) {
+        feed.alerts.delete(type);
+        console.log(`🩺 Feed alert cleared: ${company.name} - ${type}`);
+      }
+    }
+  }
+
+  /**
+   * LastUpdated age after which a feed counts as stale (minutes)
+   */
+  getStaleMinutes(company) {
+    return Math.max((company.updateFrequencyMinutes || 15) * FEED_STALE_FACTOR, FEED_STALE_MIN_MINUTES);
+  }
+
+  /**
+   * Minutes since a timestamp, or null
+   */
+  getAgeMinutes(timestamp, now = this.clock.now()) {
+    return timestamp ? Math.max(0, Math.round((now - timestamp) / 60000)) : null;
+  }
+
+  /**
+   * Share of recent polls that failed
+   */
+  getErrorRate(feed) {
+    if (feed.polls.length === 0) {
+      return 0;
+    }
+    return feed.polls.filter(ok => !ok).length / feed.polls.length;
+  }
+
+  /**
+   * Median feature count over recent full fetches
+   */
+  getUsualCount(feed) {
+    if (feed.counts.length < 3) {
+      return null;
+    }
+    const sorted = [...feed.counts].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+  }
+
+  /**
+   * Share of sites reporting status -1
+   */
+  getOfflineShare(feed) {
+    if (!feed.featureCount || feed.offlineCount === null) {
+      return null;
+    }
+    return feed.offlineCount / feed.featureCount;
+  }
+
+  /**
+   * Circuit breaker state for a company's endpoint, if the client tracks one
+   */
+  getBreakerState(company) {
+    if (!this.apiClient || !this.apiClient.getBreaker) {
+      return null;
+    }
+    return this.apiClient.getBreaker(company.endpoint).getState();
+  }
+
+  /**
+   * Overall verdict for a feed
+   *
+   * unreliable - we can't currently read it, or it has stopped updating
+   * degraded   - readable, but something looks off
+   * ok         - no alerts
+   * unknown    - not polled yet
+   */
+  getStatus(feed) {
+    if (!feed.lastSuccess && !feed.lastFailure) {
+      return 'unknown';
+    }
+    const types = [...feed.alerts.keys()];
+    if (types.some(type => ['stale', 'failing', 'circuit_open', 'empty'].includes(type))) {
+      return 'unreliable';
+    }
+    return types.length > 0 ? 'degraded' : 'ok';
+  }
+
+  /**
+   * Per-company health report
+   *
+   * @returns {object} - { generatedAt, companies: [...] }
+   */
+  getReport() {
+    const now = this.clock.now();
+    const companies = Object.entries(this.companies).map(([key, company]) => {
+      const feed = this.getFeed(key);
+      const offlineShare = this.getOfflineShare(feed);
+      const breaker = this.getBreakerState(company);
+
+      return {
+        key,
+        company: company.name,
+        status: this.getStatus(feed),
+        lastSuccess: feed.lastSuccess ? new Date(feed.lastSuccess).toISOString() : null,
+        lastFailure: feed.lastFailure ? new Date(feed.lastFailure).toISOString() : null,
+        lastError: feed.lastError,
+        lastUpdated: feed.lastUpdated ? new Date(feed.lastUpdated).toISOString() : null,
+        lastUpdatedAgeMinutes: this.getAgeMinutes(feed.lastUpdated, now),
+        staleAfterMinutes: this.getStaleMinutes(company),
+        featureCount: feed.featureCount,
+        usualFeatureCount: this.getUsualCount(feed),
+        offlineCount: feed.offlineCount,
+        offlineShare: offlineShare === null ? null : Math.round(offlineShare * 1000) / 1000,
+        errorRate: Math.round(this.getErrorRate(feed) * 1000) / 1000,
+        recentPolls: feed.polls.length,
+        circuit: breaker ? breaker.state : null,
+        alerts: [...feed.alerts.values()]
+      };
+    });
+
+    return {
+      generatedAt: new Date(now).toISOString(),
+      companies
+    };
+  }
+
+  /**
+   * Companies whose data is currently unreliable
+   */
+  getUnreliableCompanies() {
+    return this.getReport().companies.filter(c => c.status === 'unreliable').map(c => c.company);
+  }
+
+  /**
+   * Write the report for the website
+   */
+  write() {
+    try {
+      const dir = path.dirname(this.outputPath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      fs.writeFileSync(this.outputPath, JSON.stringify(this.getReport(), null, 2), 'utf8');
+      return { success: true, filepath: this.outputPath };
+    } catch (error) {
+      console.error('Error writing feed health:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Format a minute count as "45 min" / "3.5 hours"
+   */
+  formatMinutes(minutes) {
+    return minutes < 120 ? `${minutes} min` : `${(minutes / 60).toFixed(1)} hours`;
+  }
+}
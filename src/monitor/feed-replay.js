@@ -0,0 +1,89 @@
+/**
+ * Feed Replay
+ *
+ * Plays a recorded day of ArcGIS responses back through an EventTracker:
+ * each recorded poll is re-run with checkCompany at its recorded time,
+ * faster than real time. The tracker must be built with the ReplayClient as
+ * its apiClient and the client's clock as its clock.
+ */
+
+import { WATER_COMPANIES, REPLAY_SPEED } from '../../config.js';
+
+export class FeedReplay {
+  /**
+   * @param {EventTracker} tracker - Tracker to feed the recording through
+   * @param {ReplayClient} client - Client serving the recording
+   * @param {object} options - { speed: multiple of real time (Infinity = no waiting), companies }
+   */
+  constructor(tracker, client, { speed = REPLAY_SPEED, companies = WATER_COMPANIES } = {}) {
+    this.tracker = tracker;
+    this.client = client;
+    this.speed = speed;
+    this.companies = companies;
+  }
+
+  /**
+   * Company config polled at an endpoint, as [key, company]
+   */
+  getCompany(endpoint) {
+    return Object.entries(this.companies).find(([, company]) => company.endpoint === endpoint) || null;
+  }
+
+  /**
+   * Real time to wait between two recorded polls
+   */
+  getDelayMs(from, to) {
+    if (!Number.isFinite(this.speed) || this.speed <= 0) {
+      return 0;
+    }
+    return Math.max(0, to - from) / this.speed;
+  }
+
+  /**
+   * Replay every recorded poll in order
+   *
+   * @returns {Promise<object>} - { polls, skipped, from, to, results } where
+   *   results are the checkCompany results with the company key and time
+   */
+  async run() {
+    const polls = this.client.getPolls();
+    const results = [];
+    const unknown = new Set();
+    let previous = null;
+
+    for (const poll of polls) {
+      const entry = this.getCompany(poll.endpoint);
+      if (!entry) {
+        if (!unknown.has(poll.endpoint)) {
+          console.warn(`⚠️  Recording contains an unknown feed, skipping it: ${poll.endpoint}`);
+          unknown.add(poll.endpoint);
+        }
+        continue;
+      }
+
+      if (previous !== null) {
+        const delayMs = this.getDelayMs(previous, poll.time);
+        if (delayMs > 0) {
+          await new Promise(resolve => setTimeout(resolve, delayMs));
+        }
+      }
+
+      const [key, company] = entry;
+      this.client.clock.set(poll.time);
+      console.log(`⏯️  [${new Date(poll.time).toISOString()}] Replaying ${company.name} poll (${poll.requests} request(s))`);
+
+      const result = await this.tracker.checkCompany(key, company);
+      results.push({ key, time: poll.time, ...result });
+      previous = poll.time;
+    }
+
+    const range = this.client.getRange();
+    return {
+      polls: results.length,
+      skipped: polls.length - results.length,
+      from: range ? range.from : null,
+      to: range ? range.to : null,
+      results
+    };
+  }
+}
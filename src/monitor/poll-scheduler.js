@@ -0,0 +1,170 @@
+/**
+ * Per-Company Poll Scheduler
+ *
+ * Polls each water company on its own cadence instead of hitting every
+ * feed every minute. Each company's interval comes from its
+ * updateFrequencyMinutes, with random jitter so requests don't line up,
+ * and consecutive failures back off exponentially.
+ */
+
+import {
+  WATER_COMPANIES,
+  POLL_INTERVAL_SECONDS,
+  POLL_JITTER_RATIO,
+  POLL_BACKOFF_BASE_SECONDS,
+  POLL_BACKOFF_MAX_MINUTES
+} from '../../config.js';
+
+export class PollScheduler {
+  constructor(eventTracker, companies = WATER_COMPANIES) {
+    this.eventTracker = eventTracker;
+    this.companies = companies;
+
+    this.timers = new Map(); // company key -> timeout
+    this.state = new Map(); // company key -> { failures, lastPoll, lastResult, nextPoll }
+    this.isRunning = false;
+  }
+
+  /**
+   * Normal interval between polls for a company (ms)
+   */
+  getIntervalMs(company) {
+    const minutes = company.updateFrequencyMinutes || 15;
+    return Math.max(minutes * 60, POLL_INTERVAL_SECONDS) * 1000;
+  }
+
+  /**
+   * Delay after a failed poll: doubles with each consecutive failure
+   */
+  getBackoffMs(failures) {
+    const backoff = POLL_BACKOFF_BASE_SECONDS * 1000 * Math.pow(2, failures - 1);
+    return Math.min(backoff, POLL_BACKOFF_MAX_MINUTES * 60 * 1000);
+  }
+
+  /**
+   * Spread a delay by ±POLL_JITTER_RATIO
+   */
+  withJitter(ms) {
+    const spread = ms * POLL_JITTER_RATIO;
+    return Math.round(ms - spread + Math.random() * spread * 2);
+  }
+
+  /**
+   * Start polling every company
+   *
+   * The first poll of each company is staggered over the first minute so
+   * startup doesn't fire every request at once.
+   */
+  start() {
+    if (this.isRunning) {
+      console.log('👀 Poll scheduler already running');
+      return;
+    }
+
+    this.isRunning = true;
+    const entries = Object.entries(this.companies);
+
+    console.log('👀 Polling schedule:');
+    entries.forEach(([key, company], index) => {
+      this.state.set(key, { failures: 0, lastPoll: null, lastResult: null, nextPoll: null });
+      console.log(`   ${company.name}: every ${Math.round(this.getIntervalMs(company) / 60000)} min`);
+
+      const initialDelay = Math.round(index * (60 * 1000 / entries.length));
+      this.schedule(key, company, initialDelay);
+    });
+  }
+
+  /**
+   * Schedule the next poll for a company
+   */
+  schedule(key, company, delayMs) {
+    if (!this.isRunning) {
+      return;
+    }
+
+    const state = this.state.get(key);
+    state.nextPoll = Date.now() + delayMs;
+
+    clearTimeout(this.timers.get(key));
+    this.timers.set(key, setTimeout(() => this.poll(key, company), delayMs));
+  }
+
+  /**
+   * Poll a company, then schedule the next poll based on the outcome
+   */
+  async poll(key, company) {
+    const state = this.state.get(key);
+    const tracker = this.eventTracker;
+
+    const previousActiveCount = tracker.activeEvents.size;
+    const previousCompletedCount = tracker.completedCount;
+    const previousQueueCount = tracker.eventQueue.getPostableEvents().length;
+
+    let result;
+    try {
+      result = await tracker.checkCompany(key, company);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    state.lastPoll = Date.now();
+    state.lastResult = result;
+
+    const timestamp = new Date().toLocaleTimeString('en-GB');
+    let delayMs;
+
+    if (result.success) {
+      state.failures = 0;
+      delayMs = this.withJitter(this.getIntervalMs(company));
+
+      if (result.changed) {
+        console.log(`\n🔍 [${timestamp}] ${company.name}: ${result.featureCount} sites processed`);
+        tracker.logSummary(previousActiveCount, previousCompletedCount, previousQueueCount);
+      } else {
+        console.log(`🔍 [${timestamp}] ${company.name}: feed unchanged, skipped`);
+      }
+    } else if (result.circuitOpen) {
+      // Breaker is open - wait for its trial window rather than backing off
+      delayMs = Math.max(Date.parse(result.retryAt) - Date.now(), 0) + this.withJitter(POLL_INTERVAL_SECONDS * 1000);
+      console.warn(`🔌 [${timestamp}] ${company.name} circuit open - next attempt in ${Math.round(delayMs / 60000)} min`);
+    } else {
+      state.failures++;
+      delayMs = this.withJitter(this.getBackoffMs(state.failures));
+      console.warn(`⚠️  [${timestamp}] ${company.name} poll failed (${state.failures} in a row) - retrying in ${Math.round(delayMs / 1000)}s`);
+    }
+
+    this.schedule(key, company, delayMs);
+  }
+
+  /**
+   * Stop all polling
+   */
+  stop() {
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+    this.isRunning = false;
+    console.log('👀 Poll scheduler stopped');
+  }
+
+  /**
+   * Get per-company polling status
+   */
+  getStatus() {
+    const status = {};
+    for (const [key, company] of Object.entries(this.companies)) {
+      const state = this.state.get(key) || {};
+      status[key] = {
+        name: company.name,
+        intervalMinutes: Math.round(this.getIntervalMs(company) / 60000),
+        failures: state.failures || 0,
+        lastPoll: state.lastPoll ? new Date(state.lastPoll).toISOString() : null,
+        nextPoll: state.nextPoll ? new Date(state.nextPoll).toISOString() : null,
+        lastChanged: state.lastResult ? state.lastResult.changed === true : null,
+        circuit: this.eventTracker.apiClient.getBreaker(company.endpoint).getState().state
+      };
+    }
+    return status;
+  }
+}
@@ -0,0 +1,31 @@
+/**
+ * Replay Clock
+ *
+ * Stand-in for the system time while replaying recorded feeds. The replay
+ * moves it to each recorded poll in turn, and the EventTracker, feed health
+ * monitor and ReplayClient all read the time from it, so start times,
+ * durations and data gaps come out as they would have live.
+ */
+
+export class ReplayClock {
+  /**
+   * @param {number} time - Starting time (ms)
+   */
+  constructor(time = 0) {
+    this.time = time;
+  }
+
+  /**
+   * Current replayed time (ms)
+   */
+  now() {
+    return this.time;
+  }
+
+  /**
+   * Move the clock to a time; it never goes backwards
+   */
+  set(time) {
+    this.time = Math.max(this.time, time);
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * Replay a recorded day of water company feeds
+ *
+ * Usage: npm run replay -- data/recordings/2026-10-18.jsonl [--speed=360|max]
+ *
+ * Feeds a recording made with RECORD_FEEDS=true (or --record) through the
+ * EventTracker on a replayed clock, against an empty event store and queue
+ * in the replay directory. Nothing is fetched, posted or pushed. Ends with
+ * a summary of the discharges, monitor outages and queued events the
+ * recording produced.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { EventTracker } from './monitor/event-tracker.js';
+import { FeedReplay } from './monitor/feed-replay.js';
+import { ReplayClock } from './monitor/replay-clock.js';
+import { ReplayClient } from './api/replay-client.js';
+import { EventQueue } from './scheduler/event-queue.js';
+import { EventDatabase } from './database/db.js';
+import { REPLAY_DIR, REPLAY_SPEED } from '../config.js';
+
+const recordingPath = process.argv.slice(2).find(arg => !arg.startsWith('--'));
+const speedArg = process.argv.find(arg => arg.startsWith('--speed='));
+const speed = speedArg ? (speedArg.endsWith('=max') ? Infinity : Number(speedArg.split('=')[1])) : REPLAY_SPEED;
+
+if (!recordingPath || !fs.existsSync(recordingPath)) {
+  console.error('Usage: npm run replay -- <recording.jsonl> [--speed=360|max]');
+  process.exit(1);
+}
+
+// Each replay starts from an empty store
+fs.rmSync(REPLAY_DIR, { recursive: true, force: true });
+fs.mkdirSync(REPLAY_DIR, { recursive: true });
+
+const clock = new ReplayClock();
+const client = new ReplayClient(recordingPath, { clock });
+const range = client.getRange();
+
+if (!range) {
+  console.error(`❌ No recorded responses in ${recordingPath}`);
+  process.exit(1);
+}
+
+console.log('='.repeat(70));
+console.log(`⏯️  REPLAYING ${path.basename(recordingPath)}`);
+console.log(`   ${new Date(range.from).toISOString()} → ${new Date(range.to).toISOString()}`);
+console.log(`   Speed: ${Number.isFinite(speed) ? `${speed}x` : 'as fast as possible'}`);
+console.log(`   Output: ${REPLAY_DIR}`);
+console.log('='.repeat(70));
+
+const eventQueue = new EventQueue(path.join(REPLAY_DIR, 'event-queue.jsonl'));
+const db = new EventDatabase(path.join(REPLAY_DIR, 'storm_overflow_events.jsonl'), null, path.join(REPLAY_DIR, 'transitions'));
+const tracker = new EventTracker(eventQueue, null, {
+  db,
+  feedHealthPath: path.join(REPLAY_DIR, 'feed-health.json'),
+  apiClient: client,
+  clock
+});
+
+const summary = await new FeedReplay(tracker, client, { speed }).run();
+const discharges = db.query({ type: 'discharge' }).total;
+const outages = db.query({ type: 'monitor_offline' }).total;
+
+console.log('');
+console.log('='.repeat(70));
+console.log(`✅ Replayed ${summary.polls} poll(s)${summary.skipped > 0 ? `, skipped ${summary.skipped} for unknown feeds` : ''}`);
+console.log(`   Discharges: ${discharges} (${tracker.activeEvents.size} still active)`);
+console.log(`   Monitor outages: ${outages} (${tracker.activeOutages.size} still offline)`);
+console.log(`   Failed polls: ${summary.results.filter(r => !r.success).length}`);
+console.log(`   Queued: ${eventQueue.getScoredEvents().length} (${eventQueue.getPostableEvents().length} above the posting threshold)`);
+console.log('='.repeat(70));
+
+tracker.close();
+eventQueue.close();
@@ -0,0 +1,150 @@
+/**
+ * Cycle Lock
+ *
+ * Single-flight guard for post cycles. Within the process a flag stops a
+ * second cycle starting while one is running (e.g. a config reload
+ * rescheduling mid-cycle); a lock file created with O_EXCL does the same
+ * across processes, such as a second bot instance or a manual run.
+ *
+ * The lock file records the holder's pid and start time. A lock left
+ * behind by a process that has exited, or older than the stale limit
+ * (a hung cycle), is taken over rather than blocking posting forever.
+ * So is one naming this process when nothing in it holds the lock: in a
+ * container the bot restarts as the same pid (often 1), so the crashed
+ * run's pid looks alive.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { POST_LOCK_PATH, POST_LOCK_STALE_MINUTES } from '../../config.js';
+
+// Lock files held by this process (resolved paths)
+const heldPaths = new Set();
+
+export class CycleLock {
+  /**
+   * @param {string} lockPath - Lock file location
+   * @param {number} staleMs - Age after which a lock is considered abandoned
+   */
+  constructor(lockPath = POST_LOCK_PATH, staleMs = POST_LOCK_STALE_MINUTES * 60 * 1000) {
+    this.lockPath = lockPath;
+    this.staleMs = staleMs;
+    this.held = false;
+  }
+
+  /**
+   * Try to take the lock
+   *
+   * @returns {boolean} - true if acquired, false if a cycle is already running
+   */
+  acquire() {
+    if (this.held) {
+      return false;
+    }
+
+    fs.mkdirSync(path.dirname(this.lockPath), { recursive: true });
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        const fd = fs.openSync(this.lockPath, 'wx');
+        fs.writeSync(fd, JSON.stringify({ pid: process.pid, host: os.hostname(), acquiredAt: Date.now() }));
+        fs.closeSync(fd);
+        this.held = true;
+        heldPaths.add(path.resolve(this.lockPath));
+        return true;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+        if (attempt > 0 || !this.isStale()) {
+          return false;
+        }
+
+        console.warn(`⚠️  Removing abandoned post cycle lock (${this.describeHolder()})`);
+        fs.rmSync(this.lockPath, { force: true });
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Release the lock if we hold it
+   */
+  release() {
+    if (!this.held) {
+      return;
+    }
+    this.held = false;
+    heldPaths.delete(path.resolve(this.lockPath));
+    fs.rmSync(this.lockPath, { force: true });
+  }
+
+  /**
+   * Current lock file contents, or null if unlocked or unreadable
+   */
+  readHolder() {
+    try {
+      return JSON.parse(fs.readFileSync(this.lockPath, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Whether the existing lock was abandoned
+   *
+   * Stale when its process is gone (same host only - pids mean nothing
+   * elsewhere), it names this process but no lock here holds it, or it
+   * has been held longer than the stale limit. A lock that can't be read
+   * is judged by the file's age.
+   */
+  isStale(now = Date.now()) {
+    const holder = this.readHolder();
+
+    let acquiredAt;
+    if (holder) {
+      acquiredAt = holder.acquiredAt;
+    } else {
+      try {
+        acquiredAt = fs.statSync(this.lockPath).mtimeMs;
+      } catch (error) {
+        return true; // Released in the meantime
+      }
+    }
+
+    if (now - acquiredAt > this.staleMs) {
+      return true;
+    }
+    if (!holder || holder.host !== os.hostname()) {
+      return false;
+    }
+    if (holder.pid === process.pid) {
+      return !heldPaths.has(path.resolve(this.lockPath));
+    }
+    return !this.isProcessAlive(holder.pid);
+  }
+
+  /**
+   * Whether a local process exists
+   */
+  isProcessAlive(pid) {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      return error.code === 'EPERM';
+    }
+  }
+
+  /**
+   * Who holds the lock, for log messages
+   */
+  describeHolder() {
+    const holder = this.readHolder();
+    if (!holder) {
+      return 'unknown holder';
+    }
+    return `pid ${holder.pid} on ${holder.host} since ${new Date(holder.acquiredAt).toISOString()}`;
+  }
+}
@@ -0,0 +1,72 @@
+/**
+ * Cycle Marker
+ *
+ * Durable record of the last posting slot the scheduler dealt with, so a
+ * restart (or a cycle that overran) can tell which slots were missed. Each
+ * completed, caught-up or skipped slot is appended to a journal; the newest
+ * slot time is the marker.
+ */
+
+import { Journal } from '../database/journal.js';
+import { POST_CYCLES_PATH } from '../../config.js';
+
+// Compact once the journal holds this many lines
+const COMPACT_LINES = 500;
+
+export class CycleMarker {
+  /**
+   * @param {string} markerPath - Journal file location
+   */
+  constructor(markerPath = POST_CYCLES_PATH) {
+    this.journal = new Journal(markerPath);
+    this.last = null;
+
+    for (const record of this.journal.load()) {
+      if (record.op === 'slot' && (!this.last || record.time > this.last.time)) {
+        this.last = record;
+      }
+    }
+  }
+
+  /**
+   * Time of the last slot dealt with (ms), or null on first run
+   */
+  getLastSlotTime() {
+    return this.last ? this.last.time : null;
+  }
+
+  /**
+   * Record a slot as dealt with
+   *
+   * Older slots than the current marker are ignored, so the marker only
+   * moves forward.
+   *
+   * @param {object} slot - { name, kind, time (Date or ms) }
+   * @param {string} outcome - 'completed', 'caught-up', 'skipped' or 'start'
+   */
+  complete(slot, outcome = 'completed', at = Date.now()) {
+    const time = new Date(slot.time).getTime();
+    if (this.last && time <= this.last.time) {
+      return;
+    }
+
+    const record = { op: 'slot', name: slot.name, kind: slot.kind, time, outcome, at };
+    try {
+      this.journal.append(record);
+    } catch (error) {
+      console.error('Failed to save cycle marker:', error.message);
+    }
+    this.last = record;
+
+    if (this.journal.lineCount >= COMPACT_LINES) {
+      this.journal.rewrite([record]);
+    }
+  }
+
+  /**
+   * Close the journal
+   */
+  close() {
+    this.journal.close();
+  }
+}
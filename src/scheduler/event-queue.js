@@ -2,28 +2,100 @@
  * Event Queue
  *
  * Manages ALL completed discharge events ready to be posted
- * Sorted by duration (longest first)
+ * Ranked by severity score (see severity-scorer.js), events under the
+ * configured minimumScore are held back
+ *
+ * Backed by an append-only journal so unposted events and the posted
+ * ledger survive restarts and crashes
  */
 
+import { Journal } from '../database/journal.js';
+import { SeverityScorer } from './severity-scorer.js';
+import { QUEUE_PATH } from '../../config.js';
+
+// Compact the journal once it holds this many more lines than live entries
+const COMPACT_SLACK = 500;
+
+// How long to remember posted IDs after they were posted
+const POSTED_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
 export class EventQueue {
-  constructor() {
+  constructor(queuePath = QUEUE_PATH, scorer = new SeverityScorer()) {
+    this.scorer = scorer;
     this.events = new Map(); // id -> event object
-    this.postedEvents = new Set(); // IDs of already-posted events
+    this.postedEvents = new Map(); // id -> timestamp the event was posted
+    this.journal = new Journal(queuePath);
+    this.load();
+  }
+
+  /**
+   * Replay the journal to rebuild queue state
+   */
+  load() {
+    for (const record of this.journal.load()) {
+      this.apply(record);
+    }
+
+    if (this.events.size > 0 || this.postedEvents.size > 0) {
+      const unposted = this.getPostableEvents().length;
+      console.log(`♻️  Restored queue: ${unposted} unposted, ${this.postedEvents.size} in posted ledger`);
+    }
+  }
+
+  /**
+   * Apply a journal record to in-memory state
+   */
+  apply(record) {
+    switch (record.op) {
+      case 'snapshot':
+        this.events = new Map(record.events.map(e => [e.id, e]));
+        this.postedEvents = new Map(record.posted);
+        break;
+      case 'enqueue':
+        this.events.set(record.event.id, record.event);
+        break;
+      case 'posted':
+        for (const id of record.ids) {
+          this.postedEvents.set(id, record.at);
+        }
+        break;
+      case 'remove':
+        for (const id of record.ids) {
+          this.events.delete(id);
+        }
+        for (const id of record.postedIds || []) {
+          this.postedEvents.delete(id);
+        }
+        break;
+      default:
+        console.warn(`⚠️  Unknown queue journal op: ${record.op}`);
+    }
+  }
+
+  /**
+   * Write a record to the journal, then apply it
+   */
+  commit(record) {
+    this.journal.append(record);
+    this.apply(record);
   }
 
   /**
    * Add event to queue (ALL events, no duration threshold)
    */
   addEvent(event) {
-    // Check if already posted
-    if (this.postedEvents.has(event.id)) {
+    // Check if already posted or already queued
+    if (this.postedEvents.has(event.id) || this.events.has(event.id)) {
       return false;
     }
 
     // Add to queue (no duration filter - capture everything!)
-    this.events.set(event.id, {
-      ...event,
-      addedToQueue: new Date().toISOString()
+    this.commit({
+      op: 'enqueue',
+      event: {
+        ...event,
+        addedToQueue: new Date().toISOString()
+      }
     });
 
     console.log(`✓ Added to queue: ${event.waterCompany} - ${event.siteId} (${this.formatDuration(event.durationMinutes)})`);
@@ -31,17 +103,30 @@ export class EventQueue {
   }
 
   /**
-   * Get all postable events (sorted by duration, longest first)
+   * Unposted events with their current severity breakdown attached
+   *
+   * Scored on every call so changes to the severity model apply to events
+   * already in the queue.
    */
-  getPostableEvents() {
-    const events = Array.from(this.events.values());
+  getScoredEvents() {
+    return Array.from(this.events.values())
+      .filter(e => !this.postedEvents.has(e.id))
+      .map(e => ({ ...e, severity: this.scorer.score(e) }));
+  }
 
-    // Filter out already posted
-    const unposted = events.filter(e => !this.postedEvents.has(e.id));
+  /**
+   * Get all postable events (highest severity first)
+   *
+   * Events scoring under minimumScore are left out.
+   */
+  getPostableEvents() {
+    const unposted = this.getScoredEvents().filter(e => e.severity.meetsMinimum);
 
-    // Sort by duration (longest first), then by end time
+    // Sort by severity, then duration (longest first), then by end time
     unposted.sort((a, b) => {
-      // Primary sort: duration (longest first)
+      if (a.severity.total !== b.severity.total) {
+        return b.severity.total - a.severity.total;
+      }
       if (a.durationMinutes !== b.durationMinutes) {
         return b.durationMinutes - a.durationMinutes;
       }
@@ -54,12 +139,39 @@ export class EventQueue {
     return unposted;
   }
 
+  /**
+   * Queued events by ID, in the order given
+   *
+   * IDs no longer in the queue are left out.
+   */
+  getEvents(eventIds) {
+    return eventIds.map(id => this.events.get(id)).filter(Boolean);
+  }
+
   /**
    * Mark event as posted
    */
   markAsPosted(eventId) {
-    this.postedEvents.add(eventId);
-    console.log(`✓ Marked as posted: ${eventId}`);
+    this.markAllAsPosted([eventId]);
+  }
+
+  /**
+   * Mark several events as posted in a single journal write
+   *
+   * A cycle's events are recorded together so a crash can never leave
+   * half of them marked. Events already marked are skipped, so a resumed
+   * cycle can mark its events again.
+   */
+  markAllAsPosted(eventIds) {
+    const unposted = eventIds.filter(id => !this.postedEvents.has(id));
+    if (unposted.length === 0) {
+      return;
+    }
+
+    this.commit({ op: 'posted', ids: unposted, at: Date.now() });
+    for (const eventId of unposted) {
+      console.log(`✓ Marked as posted: ${eventId}`);
+    }
   }
 
   /**
@@ -67,13 +179,16 @@ export class EventQueue {
    */
   getStats() {
     const all = Array.from(this.events.values());
-    const unposted = all.filter(e => !this.postedEvents.has(e.id));
+    const scored = this.getScoredEvents();
+    const belowMinimum = scored.filter(e => !e.severity.meetsMinimum).length;
 
     return {
       total: all.length,
-      unposted: unposted.length,
+      unposted: scored.length,
+      postable: scored.length - belowMinimum,
+      belowMinimum,
       posted: this.postedEvents.size,
-      threshold: 'ALL events (no minimum)',
+      threshold: `severity score >= ${this.scorer.postingConfig.getSeverity().minimumScore}`,
       rawMapSize: this.events.size
     };
   }
@@ -98,18 +213,54 @@ export class EventQueue {
    */
   cleanup() {
     const sevenDaysAgo = Date.now() - (7 * 24 * 60 * 60 * 1000);
-    let removed = 0;
+    const postedCutoff = Date.now() - POSTED_RETENTION_MS;
+    const ids = [];
+    const postedIds = [];
 
     for (const [id, event] of this.events.entries()) {
       const endTime = new Date(event.endTime).getTime();
       if (endTime < sevenDaysAgo) {
-        this.events.delete(id);
-        removed++;
+        ids.push(id);
+      }
+    }
+
+    for (const [id, postedAt] of this.postedEvents.entries()) {
+      if (postedAt < postedCutoff && !this.events.has(id)) {
+        postedIds.push(id);
       }
     }
 
-    if (removed > 0) {
-      console.log(`🗑️  Cleaned ${removed} old events from queue`);
+    if (ids.length > 0 || postedIds.length > 0) {
+      this.commit({ op: 'remove', ids, postedIds });
     }
+
+    if (ids.length > 0) {
+      console.log(`🗑️  Cleaned ${ids.length} old events from queue`);
+    }
+
+    this.compactIfNeeded();
+  }
+
+  /**
+   * Rewrite the journal as a single snapshot once it has grown stale
+   */
+  compactIfNeeded() {
+    const liveEntries = this.events.size + 1;
+    if (this.journal.lineCount - liveEntries < COMPACT_SLACK) {
+      return;
+    }
+
+    this.journal.rewrite([{
+      op: 'snapshot',
+      events: Array.from(this.events.values()),
+      posted: Array.from(this.postedEvents.entries())
+    }]);
+  }
+
+  /**
+   * Close the journal
+   */
+  close() {
+    this.journal.close();
   }
 }
@@ -0,0 +1,152 @@
+/**
+ * London Time
+ *
+ * Wall-clock calendar arithmetic in a fixed timezone (Europe/London by
+ * default) regardless of the host's TZ setting. The scheduler works in
+ * absolute timestamps and only uses this to turn "Sunday 10:00 in London"
+ * into one, so a UTC server and a BST laptop post at the same moment.
+ *
+ * Across the DST changes a wall-clock time can be missing (spring forward,
+ * 01:00-01:59 on the last Sunday in March) or happen twice (fall back,
+ * 01:00-01:59 on the last Sunday in October). Missing times move forward
+ * by the size of the gap; repeated times resolve to the first occurrence.
+ */
+
+import { POSTING_TIMEZONE } from '../../config.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+export class LondonTime {
+  /**
+   * @param {string} timeZone - IANA timezone name
+   */
+  constructor(timeZone = POSTING_TIMEZONE) {
+    this.timeZone = timeZone;
+    this.formatter = new Intl.DateTimeFormat('en-GB', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+  }
+
+  /**
+   * Wall-clock fields of a timestamp in this timezone
+   *
+   * @param {number|Date} time - Timestamp (ms) or Date
+   * @returns {object} - { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) }
+   */
+  parts(time) {
+    const fields = {};
+    for (const { type, value } of this.formatter.formatToParts(new Date(time))) {
+      fields[type] = value;
+    }
+
+    return {
+      year: Number(fields.year),
+      month: Number(fields.month),
+      day: Number(fields.day),
+      hour: Number(fields.hour),
+      minute: Number(fields.minute),
+      second: Number(fields.second),
+      weekday: WEEKDAYS[fields.weekday]
+    };
+  }
+
+  /**
+   * Offset from UTC at a given instant (ms, +3600000 during BST)
+   */
+  offsetMs(time) {
+    const ms = new Date(time).getTime();
+    const p = this.parts(ms);
+    const wallAsUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return wallAsUtc - Math.floor(ms / 1000) * 1000;
+  }
+
+  /**
+   * Timestamp of a wall-clock time in this timezone
+   *
+   * @param {number} year - Full year
+   * @param {number} month - Month (1-12)
+   * @param {number} day - Day of month
+   * @param {number} hour - Hour (0-23)
+   * @param {number} minute - Minute
+   * @returns {number} - Timestamp (ms)
+   */
+  toTimestamp(year, month, day, hour = 0, minute = 0) {
+    const wallAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+    // The offset either side of the wall time covers any transition that day
+    const before = wallAsUtc - this.offsetMs(wallAsUtc - DAY_MS);
+    const after = wallAsUtc - this.offsetMs(wallAsUtc + DAY_MS);
+
+    const valid = [before, after].filter(t => t + this.offsetMs(t) === wallAsUtc);
+    if (valid.length > 0) {
+      return Math.min(...valid);
+    }
+
+    // Skipped by spring forward: keep the pre-transition offset, which
+    // lands the same distance past the gap
+    return before;
+  }
+
+  /**
+   * Calendar date of a timestamp in this timezone
+   *
+   * @returns {object} - { year, month, day, weekday }
+   */
+  dateOf(time) {
+    const { year, month, day, weekday } = this.parts(time);
+    return { year, month, day, weekday };
+  }
+
+  /**
+   * Calendar date a number of days after another
+   */
+  addDays(date, days) {
+    const shifted = new Date(Date.UTC(date.year, date.month - 1, date.day + days));
+    return {
+      year: shifted.getUTCFullYear(),
+      month: shifted.getUTCMonth() + 1,
+      day: shifted.getUTCDate(),
+      weekday: shifted.getUTCDay()
+    };
+  }
+
+  /**
+   * Calendar date as YYYY-MM-DD, for comparing days
+   */
+  dateKey(time) {
+    const { year, month, day } = this.parts(time);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  }
+
+  /**
+   * Day of the week (0 = Sunday)
+   */
+  weekday(time) {
+    return this.parts(time).weekday;
+  }
+
+  /**
+   * Midnight at the start of a timestamp's day
+   */
+  startOfDay(time) {
+    const { year, month, day } = this.parts(time);
+    return this.toTimestamp(year, month, day, 0, 0);
+  }
+
+  /**
+   * Human-readable date and time in this timezone
+   */
+  format(time, options = {}) {
+    return new Date(time).toLocaleString('en-GB', { timeZone: this.timeZone, ...options });
+  }
+}
@@ -0,0 +1,221 @@
+/**
+ * Post Ledger
+ *
+ * Durable record of every post made, used to enforce the posting limits in
+ * posting-config.json across restarts. Both quotas are rolling windows:
+ * the daily limit counts posts in the last 24 hours and the monthly limit
+ * posts in the last 30 days, matching how the X API counts them.
+ *
+ * A cycle is also held here as pending while it goes out to each network,
+ * with every network's outcome written as it arrives. If the process dies
+ * mid-way the pending cycle is still here on restart, so it can be
+ * finished on the remaining networks without posting twice.
+ */
+
+import { Journal } from '../database/journal.js';
+import { POST_LEDGER_PATH } from '../../config.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTH_MS = 30 * DAY_MS;
+
+// Compact once the journal holds this many lines older than the monthly window
+const COMPACT_SLACK = 200;
+
+export class PostLedger {
+  /**
+   * @param {string} ledgerPath - Journal file location
+   */
+  constructor(ledgerPath = POST_LEDGER_PATH) {
+    this.journal = new Journal(ledgerPath);
+    this.posts = [];
+    this.pending = new Map(); // id -> { id, at, kind, ...details, networks }
+
+    for (const record of this.journal.load()) {
+      this.apply(record);
+    }
+    this.posts.sort((a, b) => a.at - b.at);
+  }
+
+  /**
+   * Apply a journal record to in-memory state
+   */
+  apply(record) {
+    switch (record.op) {
+      case 'post':
+        this.posts.push(record);
+        this.pending.delete(record.pendingId);
+        break;
+      case 'begin':
+        this.pending.set(record.id, { ...record, networks: {} });
+        break;
+      case 'attempt':
+        if (this.pending.has(record.id)) {
+          this.pending.get(record.id).networks[record.network] = record.outcome;
+        }
+        break;
+      case 'abandon':
+        this.pending.delete(record.id);
+        break;
+      default:
+        console.warn(`⚠️  Unknown post ledger op: ${record.op}`);
+    }
+  }
+
+  /**
+   * Write a record to the journal, then apply it
+   */
+  commit(record) {
+    this.journal.append(record);
+    this.apply(record);
+  }
+
+  /**
+   * Record a post
+   *
+   * @param {string} kind - What was posted ('cycle', 'summary', 'event')
+   * @param {string} ref - Identifier for the post (tweet ID, cycle ID)
+   * @param {number} at - Post time (ms)
+   * @param {object} networks - Per-network outcome ({ id, url } or { error })
+   *   when the post went out to several networks
+   * @param {string} pendingId - Pending post this settles, if any
+   */
+  record(kind, ref = null, at = Date.now(), networks = null, pendingId = null) {
+    this.commit({ op: 'post', at, kind, ref, ...(networks ? { networks } : {}), ...(pendingId ? { pendingId } : {}) });
+    this.compactIfNeeded(at);
+  }
+
+  /**
+   * Record that a post is about to go out
+   *
+   * Written before the first network is posted to. It stays pending until
+   * record() is called with its ID, or abandon() if nothing accepted it.
+   *
+   * @param {string} kind - What is being posted ('cycle')
+   * @param {object} details - What's needed to finish it after a restart
+   *   (e.g. { text, eventIds })
+   * @returns {object} - Pending post: { id, at, kind, ...details, networks }
+   */
+  begin(kind, details = {}, at = Date.now()) {
+    const id = `${kind}-${at}`;
+    this.commit({ op: 'begin', id, at, kind, ...details });
+    return this.pending.get(id);
+  }
+
+  /**
+   * Record one network's outcome for a pending post
+   *
+   * @param {string} id - Pending post ID
+   * @param {string} network - Network name
+   * @param {object} outcome - { id, url } or { error }
+   */
+  recordAttempt(id, network, outcome) {
+    this.commit({ op: 'attempt', id, network, outcome });
+  }
+
+  /**
+   * Drop a pending post that no network accepted
+   */
+  abandon(id) {
+    this.commit({ op: 'abandon', id });
+  }
+
+  /**
+   * Posts started but never settled, oldest first
+   */
+  getPending() {
+    return [...this.pending.values()].sort((a, b) => a.at - b.at);
+  }
+
+  /**
+   * Posts made within the last `windowMs`
+   */
+  countSince(windowMs, now = Date.now()) {
+    return this.posts.filter(post => post.at > now - windowMs).length;
+  }
+
+  /**
+   * Latest outcome on each network
+   *
+   * @returns {object} - network -> { at, kind, id, url } or { at, kind, error }
+   */
+  getNetworkStatus() {
+    const status = {};
+    for (const post of this.posts) {
+      for (const [name, outcome] of Object.entries(post.networks || {})) {
+        status[name] = { at: post.at, kind: post.kind, ...outcome };
+      }
+    }
+    return status;
+  }
+
+  /**
+   * Usage against the configured limits
+   *
+   * @param {object} limits - { maxPostsPerDay, maxPostsPerMonth }
+   * @param {number} reserve - Daily posts to hold back (e.g. for the Sunday summary)
+   * @returns {object} - { canPost, reason, last24h, last30d, dailyRemaining, monthlyRemaining, nextAvailable }
+   */
+  check(limits, reserve = 0, now = Date.now()) {
+    const last24h = this.countSince(DAY_MS, now);
+    const last30d = this.countSince(MONTH_MS, now);
+    const dailyLimit = Math.max(0, limits.maxPostsPerDay - reserve);
+    const dailyRemaining = Math.max(0, dailyLimit - last24h);
+    const monthlyRemaining = Math.max(0, limits.maxPostsPerMonth - last30d);
+
+    let reason = null;
+    let nextAvailable = null;
+    if (dailyRemaining === 0) {
+      reason = `Daily limit reached (${last24h}/${dailyLimit} in the last 24 hours)`;
+      nextAvailable = this.freesUpAt(DAY_MS, dailyLimit, now);
+    } else if (monthlyRemaining === 0) {
+      reason = `Monthly limit reached (${last30d}/${limits.maxPostsPerMonth} in the last 30 days)`;
+      nextAvailable = this.freesUpAt(MONTH_MS, limits.maxPostsPerMonth, now);
+    }
+
+    return {
+      canPost: reason === null,
+      reason,
+      last24h,
+      last30d,
+      dailyRemaining,
+      monthlyRemaining,
+      nextAvailable
+    };
+  }
+
+  /**
+   * When enough posts age out of a window to drop under a limit
+   */
+  freesUpAt(windowMs, limit, now = Date.now()) {
+    const recent = this.posts.filter(post => post.at > now - windowMs);
+    const index = recent.length - limit;
+    return index >= 0 && recent[index] ? recent[index].at + windowMs : now;
+  }
+
+  /**
+   * Drop posts older than the monthly window once enough have built up
+   */
+  compactIfNeeded(now = Date.now()) {
+    const cutoff = now - MONTH_MS;
+    const expired = this.posts.filter(post => post.at <= cutoff).length;
+    if (expired < COMPACT_SLACK) {
+      return;
+    }
+
+    this.posts = this.posts.filter(post => post.at > cutoff);
+
+    // Pending posts are kept as their begin record plus attempts so far
+    const pending = [...this.pending.values()].flatMap(({ networks, ...begin }) => [
+      begin,
+      ...Object.entries(networks).map(([network, outcome]) => ({ op: 'attempt', id: begin.id, network, outcome }))
+    ]);
+    this.journal.rewrite([...this.posts, ...pending]);
+  }
+
+  /**
+   * Close the journal
+   */
+  close() {
+    this.journal.close();
+  }
+}
@@ -1,165 +1,501 @@
 /**
- * 90-Minute Post Scheduler
+ * Post Scheduler
  *
- * Posts to Twitter at fixed times every 90 minutes (16 posts per day)
- * Schedule: 00:00, 01:30, 03:00, 04:30, 06:00, 07:30, 09:00, 10:30,
- *           12:00, 13:30, 15:00, 16:30, 18:00, 19:30, 21:00, 22:30
+ * Posts at the named times in posting-config.json (twitter.postingTimes),
+ * within the configured daily and monthly limits. The limits are enforced
+ * on rolling windows from a persistent ledger, so restarts don't reset
+ * them. On Sundays the sundaySummary slot is reserved for the weekly
+ * summary and one daily post is held back for it.
+ *
+ * Times are UK wall-clock times: slots, Sundays and day boundaries are
+ * worked out in Europe/London whatever the host timezone, so the schedule
+ * follows BST/GMT instead of drifting an hour twice a year.
+ *
+ * Only one cycle runs at a time (in-process flag plus a lock file), and the
+ * last slot dealt with is persisted so slots missed while the bot was down
+ * or busy can be caught up according to twitter.catchUp.
+ *
+ * Each cycle goes out to every enabled social network (publishers in
+ * posting-config.json). It counts as posted, against the limits and for
+ * the queue, once at least one network accepts it; the outcome on each
+ * network is kept in the ledger. A network that fails misses that cycle.
+ * The ledger holds the cycle (or weekly summary thread) as pending while
+ * it goes out, with each network's outcome as it arrives, so one cut
+ * short by a crash is finished on the remaining networks at the next run
+ * instead of being posted twice. Networks that take images also get a map of the cycle's
+ * discharges (media.map in posting-config.json).
+ *
+ * The config file is watched and the schedule rebuilt when it changes.
  */
 
+import { PostingConfig } from './posting-config.js';
+import { PostLedger } from './post-ledger.js';
+import { LondonTime } from './london-time.js';
+import { CycleMarker } from './cycle-marker.js';
+import { CycleLock } from './cycle-lock.js';
+import { MapRenderer } from '../map/map-renderer.js';
+
+// Slot name that is only used for the weekly summary
+const SUMMARY_SLOT = 'sundaySummary';
+
+// Ways of dealing with slots missed while the bot was down or busy
+const CATCH_UP_POLICIES = ['skip', 'run-once', 'coalesce'];
+
+// Map attached to cycle posts: every event, just the worst one, or none
+const MAP_MODES = ['cycle', 'worst', 'off'];
+
 export class PostScheduler {
-  constructor(eventQueue, twitterPoster, dataGenerator) {
+  /**
+   * @param {EventQueue} eventQueue - Source of postable events
+   * @param {SocialPublishers} publishers - Networks each cycle is posted to
+   * @param {CycleGenerator} dataGenerator - Generates and publishes cycle data
+   * @param {object} options - Collaborators; with `dryRun` (DryRun instance)
+   *   the default ledger, marker and lock live in the dry-run sandbox
+   */
+  constructor(eventQueue, publishers, dataGenerator, {
+    postingConfig = new PostingConfig(),
+    dryRun = null,
+    ledger = new PostLedger(dryRun?.paths.postLedgerPath),
+    summaryJob = null,
+    clock = new LondonTime(),
+    marker = new CycleMarker(dryRun?.paths.postCyclesPath),
+    lock = new CycleLock(dryRun?.paths.lockPath),
+    mapRenderer = new MapRenderer()
+  } = {}) {
     this.eventQueue = eventQueue;
-    this.twitterPoster = twitterPoster;
+    this.publishers = publishers;
     this.dataGenerator = dataGenerator;
+    this.postingConfig = postingConfig;
+    this.ledger = ledger;
+    this.summaryJob = summaryJob; // async ({ postThread }) => { success } - posts the weekly summary through postThread
+    this.clock = clock; // Europe/London calendar
+    this.marker = marker; // Last slot dealt with, for catch-up
+    this.lock = lock; // Single-flight guard
+    this.mapRenderer = mapRenderer;
+    this.dryRun = dryRun && dryRun.enabled ? dryRun : null;
+
+    this.timer = null;
+    this.nextSlot = null;
+    this.isRunning = false;
+  }
 
-    // 90 minutes = 5400 seconds = 5400000 ms
-    this.intervalMinutes = 90;
-    this.intervalMs = this.intervalMinutes * 60 * 1000;
+  /**
+   * Posting limits (twitter.limits)
+   */
+  getLimits() {
+    return this.postingConfig.get().twitter.limits;
+  }
 
-    // Fixed posting times (minutes from midnight)
-    // 00:00, 01:30, 03:00, 04:30, etc.
-    this.postingTimes = [];
-    for (let i = 0; i < 16; i++) {
-      this.postingTimes.push(i * 90); // 0, 90, 180, 270, etc.
+  /**
+   * Configured slots as { name, minutes } sorted by time of day
+   *
+   * Times that aren't valid HH:MM are skipped with a warning.
+   */
+  getConfiguredSlots() {
+    const slots = [];
+    for (const [name, time] of Object.entries(this.postingConfig.get().twitter.postingTimes)) {
+      const match = /^(\d{1,2}):(\d{2})$/.exec(time);
+      if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        console.warn(`⚠️  Ignoring invalid posting time ${name}: ${time}`);
+        continue;
+      }
+      slots.push({ name, minutes: Number(match[1]) * 60 + Number(match[2]) });
     }
+    return slots.sort((a, b) => a.minutes - b.minutes);
+  }
 
-    // Track posts
-    this.postsToday = 0;
-    this.maxPostsPerDay = 16;
-    this.lastPostDate = null;
+  /**
+   * Slots that apply on a given day
+   *
+   * The summary slot only runs on Sundays, and only when the Sunday
+   * summary is enabled; every other slot posts a regular cycle.
+   *
+   * @param {object} date - London calendar date ({ weekday, ... } from LondonTime)
+   */
+  getSlotsForDay(date) {
+    const summaryEnabled = this.getLimits().reserveSundayForSummary;
+    const isSunday = date.weekday === 0;
 
-    this.timer = null;
-    this.isRunning = false;
+    return this.getConfiguredSlots()
+      .filter(slot => slot.name !== SUMMARY_SLOT || (summaryEnabled && isSunday))
+      .map(slot => ({ ...slot, kind: slot.name === SUMMARY_SLOT ? 'summary' : 'cycle' }));
   }
 
   /**
-   * Get next scheduled post time
+   * Next slot after a given time
+   *
+   * A slot in the hour skipped by spring forward runs an hour later; one in
+   * the hour repeated by fall back runs once, at the first occurrence.
+   *
+   * @param {Date|number} from - Search start
+   * @returns {object|null} - { name, kind, time (Date) } or null if no slots are configured
    */
-  getNextScheduledTime() {
-    const now = new Date();
-    const currentMinutes = now.getHours() * 60 + now.getMinutes();
-
-    // Find next posting time
-    for (const postTime of this.postingTimes) {
-      if (postTime > currentMinutes) {
-        const hours = Math.floor(postTime / 60);
-        const minutes = postTime % 60;
-        const nextTime = new Date(now);
-        nextTime.setHours(hours, minutes, 0, 0);
-        return nextTime;
+  getNextSlot(from = new Date()) {
+    const fromMs = new Date(from).getTime();
+    const today = this.clock.dateOf(fromMs);
+
+    for (let dayOffset = 0; dayOffset <= 7; dayOffset++) {
+      const day = this.clock.addDays(today, dayOffset);
+
+      for (const slot of this.getSlotsForDay(day)) {
+        const time = this.clock.toTimestamp(day.year, day.month, day.day, Math.floor(slot.minutes / 60), slot.minutes % 60);
+        if (time > fromMs) {
+          return { name: slot.name, kind: slot.kind, time: new Date(time) };
+        }
       }
     }
+    return null;
+  }
 
-    // If no more posts today, return first post tomorrow
-    const tomorrow = new Date(now);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    tomorrow.setHours(0, 0, 0, 0);
-    return tomorrow;
+  /**
+   * Get next scheduled post time
+   *
+   * @param {Date|number} from - Search start (default: now)
+   */
+  getNextScheduledTime(from = new Date()) {
+    const slot = this.getNextSlot(from);
+    return slot ? slot.time : null;
   }
 
   /**
-   * Calculate ms until next scheduled post
+   * Daily posts to hold back for today's summary
+   *
+   * One is reserved on Sundays until the summary has been posted.
    */
-  getMsUntilNextPost() {
-    const next = this.getNextScheduledTime();
-    return next.getTime() - Date.now();
+  getReserve(now = Date.now()) {
+    if (!this.getLimits().reserveSundayForSummary || this.clock.weekday(now) !== 0) {
+      return 0;
+    }
+    const today = this.clock.dateKey(now);
+    const summaryPostedToday = this.ledger.posts.some(post =>
+      post.kind === 'summary' && this.clock.dateKey(post.at) === today
+    );
+    return summaryPostedToday ? 0 : 1;
+  }
+
+  /**
+   * Quota usage for a post of the given kind
+   */
+  checkQuota(kind = 'cycle') {
+    return this.ledger.check(this.getLimits(), kind === 'summary' ? 0 : this.getReserve());
   }
 
   /**
    * Start the scheduler
+   *
+   * Slots missed while the bot was down are dealt with first, according
+   * to the catch-up policy.
+   *
+   * @returns {Promise} - Resolves once catch-up is done and the next slot is scheduled
    */
   start() {
     if (this.isRunning) {
       console.log('⏰ Scheduler already running');
-      return;
+      return Promise.resolve();
     }
 
     this.isRunning = true;
+    const limits = this.getLimits();
+    const catchUp = this.getCatchUpConfig();
+
     console.log('='.repeat(70));
-    console.log('⏰ POST SCHEDULER STARTED (Fixed Schedule Mode)');
+    console.log(`⏰ POST SCHEDULER STARTED${this.dryRun ? ' (DRY RUN)' : ''}`);
     console.log('='.repeat(70));
-    console.log(`📅 Posting at fixed times every ${this.intervalMinutes} minutes`);
-    console.log(`📊 Schedule: 00:00, 01:30, 03:00, 04:30, 06:00, 07:30, 09:00, 10:30,`);
-    console.log(`            12:00, 13:30, 15:00, 16:30, 18:00, 19:30, 21:00, 22:30`);
-    console.log(`🕐 Next post: ${this.getNextScheduledTime().toLocaleTimeString('en-GB')}`);
+    console.log(`📅 Posting times (${this.clock.timeZone}): ${this.getConfiguredSlots().map(s => `${s.name} ${this.formatSlotTime(s.minutes)}`).join(', ')}`);
+    console.log(`📊 Limits: ${limits.maxPostsPerDay}/24h, ${limits.maxPostsPerMonth}/30 days${limits.reserveSundayForSummary ? ', Sunday summary reserved' : ''}`);
+    console.log(`🔁 Missed slots: ${catchUp.policy} (up to ${catchUp.maxAgeHours}h old)`);
     console.log('='.repeat(70));
 
-    // Schedule next post
-    this.scheduleNextPost();
+    // Rebuild the schedule whenever the config file changes
+    this.postingConfig.watch(() => {
+      console.log('🔄 Posting config changed - rescheduling');
+      this.scheduleNextPost();
+    });
+
+    return this.catchUp()
+      .catch(error => console.error('❌ Error catching up missed slots:', error.message))
+      .then(() => this.scheduleNextPost());
   }
 
   /**
    * Schedule the next post at the correct time
+   *
+   * @param {number} after - Only consider slots after this time (ms), so a
+   *   timer firing slightly early can't pick the same slot again
    */
-  scheduleNextPost() {
+  scheduleNextPost(after = Date.now()) {
     if (this.timer) {
       clearTimeout(this.timer);
+      this.timer = null;
     }
+    if (!this.isRunning) {
+      return;
+    }
+
+    const slot = this.getNextSlot(Math.max(Date.now(), after));
+    this.nextSlot = slot;
 
-    const msUntilNext = this.getMsUntilNextPost();
-    const nextTime = this.getNextScheduledTime();
+    if (!slot) {
+      console.warn('⚠️  No valid posting times configured - waiting for config change');
+      return;
+    }
 
-    console.log(`⏰ Next post scheduled for: ${nextTime.toLocaleString('en-GB')}`);
+    const msUntilNext = slot.time.getTime() - Date.now();
+    console.log(`⏰ Next post (${slot.name}) scheduled for: ${this.clock.format(slot.time)}`);
     console.log(`   (in ${Math.round(msUntilNext / 60000)} minutes)`);
 
     this.timer = setTimeout(async () => {
-      await this.processNextPost();
+      this.timer = null;
+      try {
+        await this.runSlot(slot);
+        // Slots that passed while this one ran, or while another process held the lock
+        await this.catchUp();
+      } catch (error) {
+        console.error('❌ Error in scheduled slot:', error.message);
+      }
       // Schedule the following post
-      this.scheduleNextPost();
+      this.scheduleNextPost(slot.time.getTime());
     }, msUntilNext);
   }
 
+  /**
+   * Run one slot under the single-flight lock
+   *
+   * The slot is marked as done afterwards whatever the outcome (nothing to
+   * post, limit reached, post failed), so it isn't caught up again. A slot
+   * that couldn't get the lock is left unmarked for catch-up.
+   *
+   * @param {object} slot - { name, kind, time }
+   * @param {string} outcome - Recorded against the slot ('completed' or 'caught-up')
+   * @returns {boolean} - false if another cycle was already running
+   */
+  async runSlot(slot, outcome = 'completed') {
+    let acquired;
+    try {
+      acquired = this.lock.acquire();
+    } catch (error) {
+      console.error('❌ Could not take the post cycle lock:', error.message);
+      return false;
+    }
+
+    if (!acquired) {
+      console.warn(`⏳ A post cycle is already running (${this.lock.describeHolder()}) - ${slot.name} slot deferred`);
+      return false;
+    }
+
+    try {
+      if (slot.kind === 'summary') {
+        await this.processSummary();
+      } else {
+        await this.processNextPost(slot);
+      }
+      this.marker.complete(slot, outcome);
+    } finally {
+      this.lock.release();
+    }
+    return true;
+  }
+
+  /**
+   * Catch-up settings (twitter.catchUp)
+   *
+   * An unknown policy falls back to 'skip' so a typo can't cause a burst
+   * of posts.
+   */
+  getCatchUpConfig() {
+    const { policy, maxAgeHours } = this.postingConfig.get().twitter.catchUp;
+    if (!CATCH_UP_POLICIES.includes(policy)) {
+      console.warn(`⚠️  Unknown catch-up policy "${policy}" - missed slots will be skipped`);
+      return { policy: 'skip', maxAgeHours };
+    }
+    return { policy, maxAgeHours };
+  }
+
+  /**
+   * Slots after `from` up to and including `now`
+   */
+  getMissedSlots(from, now = Date.now()) {
+    const missed = [];
+    let slot = this.getNextSlot(from);
+    while (slot && slot.time.getTime() <= now) {
+      missed.push(slot);
+      slot = this.getNextSlot(slot.time);
+    }
+    return missed;
+  }
+
+  /**
+   * Deal with slots that passed without running
+   *
+   * Policies (twitter.catchUp.policy):
+   *   - skip:     missed slots are dropped; posting resumes at the next slot
+   *   - run-once: each missed slot runs once, oldest first
+   *   - coalesce: missed slots collapse into a single catch-up cycle (plus
+   *               the weekly summary, if its slot was missed)
+   *
+   * Slots older than maxAgeHours are always dropped. On the very first run
+   * there is no marker, so nothing counts as missed.
+   */
+  async catchUp(now = Date.now()) {
+    const lastTime = this.marker.getLastSlotTime();
+    if (lastTime === null) {
+      this.marker.complete({ name: 'start', kind: 'start', time: now }, 'start');
+      return;
+    }
+
+    const { policy, maxAgeHours } = this.getCatchUpConfig();
+    const cutoff = now - maxAgeHours * 60 * 60 * 1000;
+
+    if (lastTime < cutoff && this.getNextSlot(lastTime)?.time.getTime() <= cutoff) {
+      console.log(`⏭️  Dropping slots missed more than ${maxAgeHours}h ago (last slot ${this.clock.format(lastTime)})`);
+      this.marker.complete({ name: 'expired', kind: 'expired', time: cutoff }, 'skipped');
+    }
+
+    const missed = this.getMissedSlots(Math.max(lastTime, cutoff), now);
+    if (missed.length === 0) {
+      return;
+    }
+
+    const latest = missed[missed.length - 1];
+    const names = missed.map(slot => `${slot.name} ${this.clock.format(slot.time)}`).join(', ');
+
+    if (policy === 'skip') {
+      console.log(`⏭️  Skipping ${missed.length} missed slot(s): ${names}`);
+      this.marker.complete(latest, 'skipped');
+      return;
+    }
+
+    let toRun = missed;
+    if (policy === 'coalesce') {
+      const summary = missed.filter(slot => slot.kind === 'summary').pop();
+      const cycle = missed.filter(slot => slot.kind === 'cycle').pop();
+      toRun = [summary, cycle].filter(Boolean);
+    }
+
+    console.log(`🔁 Catching up ${missed.length} missed slot(s) (${policy}): ${names}`);
+    for (const slot of toRun) {
+      if (!await this.runSlot(slot, 'caught-up')) {
+        return; // Lock busy - try again after the next slot
+      }
+    }
+    this.marker.complete(latest, 'caught-up');
+  }
+
   /**
    * Stop the scheduler
    */
   stop() {
     if (this.timer) {
-      clearInterval(this.timer);
+      clearTimeout(this.timer);
       this.timer = null;
     }
+    this.postingConfig.unwatch();
     this.isRunning = false;
     console.log('⏰ Scheduler stopped');
   }
 
   /**
-   * Reset daily counter if it's a new day
+   * Run the weekly summary in its reserved slot
+   */
+  async processSummary() {
+    console.log('\n' + '='.repeat(70));
+    console.log(`📰 WEEKLY SUMMARY SLOT - ${this.clock.format(Date.now())}`);
+    console.log('='.repeat(70));
+
+    if (!this.summaryJob) {
+      console.log('ℹ️  No weekly summary job configured - slot skipped');
+      return;
+    }
+
+    try {
+      // A summary cut short mid-post is finished rather than built again
+      const resumed = await this.resumePendingPosts();
+      if (resumed.includes('summary')) {
+        return;
+      }
+
+      const quota = this.checkQuota('summary');
+      if (!quota.canPost) {
+        console.warn(`⏸️  ${quota.reason} - summary skipped`);
+        return;
+      }
+
+      await this.summaryJob({ postThread: (texts, publishers) => this.postSummaryThread(texts, publishers) });
+    } catch (error) {
+      console.error('❌ Error in weekly summary:', error.message);
+    }
+  }
+
+  /**
+   * Post the weekly summary thread through the ledger
+   *
+   * Given to the summary job as its postThread. The thread is held as
+   * pending while it goes out, like a cycle, and recorded once any network
+   * has it.
+   *
+   * @param {string[]} texts - Posts in order
+   * @param {SocialPublisher[]} publishers - Networks to post to
+   * @returns {object} - { success, results, networks, ref, url } as from
+   *   SocialPublishers.postThreadAll()
    */
-  resetDailyCounterIfNeeded() {
-    const today = new Date().toISOString().split('T')[0];
+  async postSummaryThread(texts, publishers = this.publishers.getEnabled()) {
+    const pending = this.ledger.begin('summary', { texts });
+    return this.settleSummary(pending, publishers);
+  }
 
-    if (this.lastPostDate !== today) {
-      this.postsToday = 0;
-      this.lastPostDate = today;
-      console.log(`🗓️  New day detected. Counter reset to 0`);
+  /**
+   * Post a pending summary thread to networks and settle it
+   */
+  async settleSummary(pending, publishers) {
+    const result = await this.sendPending(pending, publishers);
+    const posted = Object.values(pending.networks).filter(outcome => !outcome.error);
+
+    if (posted.length === 0) {
+      this.ledger.abandon(pending.id);
+      return { ...result, success: false };
     }
+    this.ledger.record('summary', posted[0].id, Date.now(), pending.networks, pending.id);
+    return { ...result, success: true, networks: pending.networks, ref: posted[0].id, url: posted[0].url };
   }
 
   /**
    * Process the next post in the queue
+   *
+   * @param {object} slot - Slot being run (null for a manual run)
    */
-  async processNextPost() {
+  async processNextPost(slot = null) {
     try {
-      this.resetDailyCounterIfNeeded();
-
-      console.log('\\n' + '='.repeat(70));
-      console.log(`⏰ POST CYCLE ${this.postsToday + 1}/${this.maxPostsPerDay}`);
-      console.log(`🕐 ${new Date().toLocaleString('en-GB')}`);
+      console.log('\n' + '='.repeat(70));
+      console.log(`⏰ POST CYCLE (${slot ? slot.name : 'manual'})${this.dryRun ? ' - 🧪 DRY RUN' : ''}`);
+      console.log(`🕐 ${this.clock.format(Date.now())}`);
       console.log('='.repeat(70));
 
-      // Get all 10+ hour events from queue
+      await this.resumePendingPosts();
+
+      const quota = this.checkQuota('cycle');
+      if (!quota.canPost) {
+        const next = quota.nextAvailable ? ` - next post possible ${this.clock.format(quota.nextAvailable)}` : '';
+        console.log(`⏸️  ${quota.reason}${next}`);
+        console.log('='.repeat(70));
+        return;
+      }
+
+      // Get events that meet the minimum severity score, worst first
       const events = this.eventQueue.getPostableEvents();
 
       if (events.length === 0) {
         console.log('📭 No events in queue');
-        console.log(`🕐 Next cycle: ${this.getNextPostTime()}`);
+        const next = this.getNextSlot();
+        console.log(`🕐 Next cycle: ${next ? this.clock.format(next.time) : 'none scheduled'}`);
         console.log('='.repeat(70));
         return;
       }
 
-      console.log(`📦 Events in queue: ${events.length} (sorted by duration)`);
+      const queueStats = this.eventQueue.getStats();
+      console.log(`📦 Events in queue: ${events.length} (ranked by severity, ${queueStats.belowMinimum} below minimum score held back)`);
 
       // Generate GitHub Pages data for this cycle
-      console.log('\\n📊 Generating GitHub Pages data...');
+      console.log('\n📊 Generating GitHub Pages data...');
       const cycleData = await this.dataGenerator.generateCycleData(events);
 
       if (!cycleData.success) {
@@ -171,7 +507,7 @@ export class PostScheduler {
       console.log(`✓ URL: ${cycleData.url}`);
 
       // Commit and push to GitHub
-      console.log('\\n📤 Publishing to GitHub...');
+      console.log('\n📤 Publishing to GitHub...');
       const published = await this.dataGenerator.publishToGitHub(cycleData);
 
       if (!published.success) {
@@ -181,39 +517,30 @@ export class PostScheduler {
 
       console.log(`✓ Published to GitHub`);
 
-      // Generate tweet highlighting worst offenders
-      console.log('\\n🐦 Posting to Twitter...');
-      const tweetText = this.generateTweet(events, cycleData);
+      // Generate post highlighting worst offenders
+      const enabled = this.publishers.getEnabled();
+      console.log(`\n📣 Posting to ${enabled.length > 0 ? enabled.map(publisher => publisher.label).join(', ') : 'no networks'}...`);
+      const postText = this.generateTweet(events, cycleData);
 
-      console.log('Tweet preview:');
+      console.log('Post preview:');
       console.log('-'.repeat(70));
-      console.log(tweetText);
+      console.log(postText);
       console.log('-'.repeat(70));
-      console.log(`Characters: ${tweetText.length}/280`);
-
-      // Post to Twitter
-      if (this.twitterPoster.isConfigured) {
-        const result = await this.twitterPoster.tweet(tweetText);
-
-        if (result.success) {
-          this.postsToday++;
-          console.log(`\\n✅ POSTED TO TWITTER!`);
-          console.log(`   Tweet ID: ${result.tweetId}`);
-          console.log(`   URL: ${result.url}`);
-          console.log(`   Posts today: ${this.postsToday}/${this.maxPostsPerDay}`);
-
-          // Mark ALL events in this cycle as posted
-          for (const event of events) {
-            this.eventQueue.markAsPosted(event.id);
-          }
-          console.log(`   Marked ${events.length} events as posted`);
-        } else {
-          console.error(`❌ Twitter post failed: ${result.error}`);
-        }
+      for (const publisher of enabled) {
+        console.log(`${publisher.label}: ${publisher.countLength(postText)}/${publisher.capabilities.maxLength} characters`);
+      }
+
+      // Post to every enabled network
+      if (enabled.length > 0) {
+        const pending = this.ledger.begin('cycle', { text: postText, eventIds: events.map(event => event.id) });
+        await this.postCycle(pending, enabled, events);
       } else {
-        console.warn('⚠️  Twitter not configured - skipping post');
+        console.warn('⚠️  No social networks configured - skipping post');
       }
 
+      // Drop stale events and compact the queue journal
+      this.eventQueue.cleanup();
+
       console.log('='.repeat(70));
 
     } catch (error) {
@@ -223,10 +550,140 @@ export class PostScheduler {
   }
 
   /**
-   * Generate tweet highlighting worst offenders
+   * Post a pending cycle to networks and settle it
+   *
+   * Each network's outcome goes into the ledger as it arrives. Once any
+   * network has the cycle its events are marked posted and the ledger
+   * entry written; if none does, the cycle is dropped and its events stay
+   * queued.
+   *
+   * @param {object} pending - Pending cycle from the ledger ({ id, text, eventIds, networks })
+   * @param {SocialPublisher[]} publishers - Networks to post to now
+   * @param {object[]} events - Cycle events, worst first (for the map)
+   * @returns {boolean} - Whether any network has the cycle
+   */
+  async postCycle(pending, publishers, events) {
+    if (publishers.length > 0) {
+      const media = events.length > 0 && publishers.some(publisher => publisher.capabilities.maxImages > 0)
+        ? this.renderMap(events)
+        : [];
+      const result = await this.sendPending(pending, publishers, media);
+
+      for (const [name, outcome] of Object.entries(result.results)) {
+        const label = this.publishers.get(name).label;
+        if (outcome.success) {
+          console.log(`✅ Posted to ${label}${outcome.dryRun ? ' (dry run - not sent)' : ''}: ${outcome.url}`);
+        } else {
+          console.error(`❌ ${label} post failed: ${outcome.error}`);
+        }
+      }
+    }
+
+    const posted = Object.values(pending.networks).filter(outcome => !outcome.error);
+    if (posted.length === 0) {
+      this.ledger.abandon(pending.id);
+      console.error('❌ Post failed on every network - events stay queued');
+      return false;
+    }
+
+    // Events first: until the ledger entry is written the cycle is still
+    // pending, so a crash in between is finished off by the next run
+    this.eventQueue.markAllAsPosted(pending.eventIds);
+    this.ledger.record('cycle', posted[0].id, Date.now(), pending.networks, pending.id);
+
+    const limits = this.getLimits();
+    const usage = this.checkQuota('cycle');
+    console.log(`\n✅ CYCLE POSTED (${posted.length}/${Object.keys(pending.networks).length} networks)`);
+    console.log(`   Posts: ${usage.last24h}/${limits.maxPostsPerDay} in 24h, ${usage.last30d}/${limits.maxPostsPerMonth} in 30 days`);
+    console.log(`   Marked ${pending.eventIds.length} events as posted`);
+    return true;
+  }
+
+  /**
+   * Fan a pending post out to networks, writing each outcome to the ledger
+   *
+   * A pending cycle has `text` (and may carry media); a pending summary
+   * has the thread's `texts`. The pending id goes along as the post's key,
+   * so a network that deduplicates on it ignores a resumed repeat.
+   *
+   * @returns {object} - See SocialPublishers.fanOut()
+   */
+  async sendPending(pending, publishers, media = []) {
+    const onResult = (name, outcome) => this.ledger.recordAttempt(pending.id, name, outcome);
+    return pending.texts
+      ? this.publishers.postThreadAll(pending.texts, publishers, { key: pending.id, onResult })
+      : this.publishers.postAll(pending.text, publishers, { media, key: pending.id, onResult });
+  }
+
+  /**
+   * Finish posts cut short part way through posting
+   *
+   * A cycle or summary left pending by a crash goes out to the enabled
+   * networks that don't have it yet, then is settled as usual. It was
+   * within the limits when it started, so they aren't checked again.
+   *
+   * @returns {string[]} - Kinds of the posts resumed
+   */
+  async resumePendingPosts() {
+    const resumed = [];
+    for (const pending of this.ledger.getPending()) {
+      const done = Object.keys(pending.networks).filter(name => !pending.networks[name].error);
+      const remaining = this.publishers.getEnabled().filter(publisher => !done.includes(publisher.name));
+
+      console.log(`♻️  Resuming ${pending.kind} interrupted while posting (started ${this.clock.format(pending.at)}${done.length > 0 ? `, already on ${done.join(', ')}` : ''})`);
+      if (pending.kind === 'summary') {
+        await this.settleSummary(pending, remaining);
+      } else {
+        await this.postCycle(pending, remaining, this.eventQueue.getEvents(pending.eventIds));
+      }
+      resumed.push(pending.kind);
+    }
+    return resumed;
+  }
+
+  /**
+   * Map image for a cycle post (media.map)
+   *
+   * A map that fails to render is reported and the post goes out without
+   * it rather than not at all.
+   *
+   * @param {object[]} events - Cycle events, worst first
+   * @returns {object[]} - Media items to attach (empty for none)
+   */
+  renderMap(events) {
+    const { map } = this.postingConfig.getMedia();
+    if (map === 'off') {
+      return [];
+    }
+    let mode = map;
+    if (!MAP_MODES.includes(mode)) {
+      console.warn(`⚠️  Unknown map mode "${map}" - mapping the whole cycle`);
+      mode = 'cycle';
+    }
+
+    try {
+      const image = mode === 'worst'
+        ? this.mapRenderer.renderEvent(events[0])
+        : this.mapRenderer.renderCycle(events);
+      if (!image) {
+        console.log('🗺️  No mappable events - posting without a map');
+        return [];
+      }
+      console.log(`🗺️  Rendered ${mode} map (${Math.round(image.data.length / 1024)} KB)`);
+      return [image];
+    } catch (error) {
+      console.warn('⚠️  Map rendering failed - posting without a map:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Generate post highlighting worst offenders
+   *
+   * Written to fit a tweet, so it fits every network's limit
    */
   generateTweet(events, cycleData) {
-    // Get worst offender (longest duration - already sorted)
+    // Get worst offender (highest severity - already sorted)
     const worstEvent = events[0];
     const duration = this.formatDuration(worstEvent.durationMinutes);
 
@@ -243,7 +700,7 @@ export class PostScheduler {
     const feedUrl = `${baseUrl}/feed.html`;
 
     // Format: Highlight worst offender, encourage clicking link
-    const tweet = `🚨 Latest sewage discharges (90-min cycle)
+    const tweet = `🚨 Latest sewage discharges (latest cycle)
 
 Worst offender: ${shortCompany}
 Duration: ${duration}
@@ -313,17 +770,39 @@ ${hashtags}`;
     return questions[Math.floor(Math.random() * questions.length)];
   }
 
+
+  /**
+   * Format minutes from midnight as HH:MM
+   */
+  formatSlotTime(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  }
+
   /**
    * Get scheduler status
    */
   getStatus() {
+    const limits = this.getLimits();
+    const quota = this.checkQuota('cycle');
+    const next = this.getNextSlot();
+
     return {
       running: this.isRunning,
-      postsToday: this.postsToday,
-      maxPosts: this.maxPostsPerDay,
-      intervalMinutes: this.intervalMinutes,
-      nextPost: this.getNextScheduledTime().toLocaleTimeString('en-GB'),
-      schedule: '00:00, 01:30, 03:00, 04:30, 06:00, 07:30, 09:00, 10:30, 12:00, 13:30, 15:00, 16:30, 18:00, 19:30, 21:00, 22:30'
+      dryRun: Boolean(this.dryRun),
+      postsLast24h: quota.last24h,
+      postsLast30Days: quota.last30d,
+      maxPostsPerDay: limits.maxPostsPerDay,
+      maxPostsPerMonth: limits.maxPostsPerMonth,
+      canPost: quota.canPost,
+      blockedReason: quota.reason,
+      nextPost: next ? this.clock.format(next.time) : null,
+      timeZone: this.clock.timeZone,
+      nextSlot: next ? next.name : null,
+      lastSlot: this.marker.last ? `${this.marker.last.name} ${this.clock.format(this.marker.last.time)} (${this.marker.last.outcome})` : null,
+      cycleRunning: this.lock.held,
+      catchUpPolicy: this.getCatchUpConfig().policy,
+      networks: this.ledger.getNetworkStatus(),
+      schedule: this.getConfiguredSlots().map(s => `${s.name} ${this.formatSlotTime(s.minutes)}`).join(', ')
     };
   }
 }
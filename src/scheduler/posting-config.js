@@ -0,0 +1,164 @@
+/**
+ * Posting Config
+ *
+ * Loads config/posting-config.json (limits, severity model, posting times,
+ * social networks, map images, event options) on top of built-in defaults. The file is re-read whenever
+ * its modification time changes, so edits apply without a restart.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// How often fs.watchFile checks the config for changes
+const WATCH_INTERVAL_MS = 5000;
+
+// Used for anything the file doesn't specify
+const DEFAULTS = {
+  twitter: {
+    limits: {
+      maxPostsPerMonth: 100,
+      maxPostsPerDay: 3,
+      reserveSundayForSummary: true
+    },
+    severity: {
+      minimumScore: 0,
+      weights: {
+        duration: { maxPoints: 100, pointsPerHour: 8.33 },
+        volume: { maxPoints: 100, pointsPer10kLiters: 1 },
+        location: { bathingWater: 100, majorRiver: 80, coastal: 60, anyRiver: 40, other: 20 },
+        repeatOffender: { maxPoints: 50, over200Events: 50, over100Events: 30, over50Events: 15 },
+        notoriousCompanies: { bonus: 0, companies: [] }
+      }
+    },
+    postingTimes: {},
+    catchUp: {
+      policy: 'coalesce',
+      maxAgeHours: 6
+    }
+  },
+  publishers: {
+    twitter: { enabled: true },
+    bluesky: { enabled: false },
+    mastodon: { enabled: false }
+  },
+  media: {
+    map: 'cycle'
+  },
+  events: {
+    countingMethod: 'raw'
+  }
+};
+
+export class PostingConfig {
+  /**
+   * @param {string} configPath - Path to posting-config.json
+   */
+  constructor(configPath = path.join(__dirname, '../../config/posting-config.json')) {
+    this.configPath = configPath;
+    this.config = DEFAULTS;
+    this.mtimeMs = null;
+    this.listener = null;
+  }
+
+  /**
+   * Current config, reloading the file if it has changed
+   *
+   * A file that fails to parse is reported and the last good config kept.
+   *
+   * @returns {object} - Merged config
+   */
+  get() {
+    try {
+      const mtimeMs = fs.existsSync(this.configPath) ? fs.statSync(this.configPath).mtimeMs : null;
+      if (mtimeMs !== this.mtimeMs) {
+        const file = mtimeMs === null ? {} : JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+        this.config = this.merge(DEFAULTS, file);
+        this.mtimeMs = mtimeMs;
+      }
+    } catch (error) {
+      console.error('Error reading posting config:', error.message);
+    }
+    return this.config;
+  }
+
+  /**
+   * Call `onChange` whenever the config file is modified
+   *
+   * Uses fs.watchFile (polling) so it keeps working when editors replace
+   * the file instead of writing it in place.
+   *
+   * @param {function} onChange - Called with the reloaded config
+   */
+  watch(onChange) {
+    this.unwatch();
+    this.listener = (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        onChange(this.get());
+      }
+    };
+    fs.watchFile(this.configPath, { interval: WATCH_INTERVAL_MS }, this.listener);
+  }
+
+  /**
+   * Stop watching the config file
+   */
+  unwatch() {
+    if (this.listener) {
+      fs.unwatchFile(this.configPath, this.listener);
+      this.listener = null;
+    }
+  }
+
+  /**
+   * Severity model (twitter.severity)
+   */
+  getSeverity() {
+    return this.get().twitter.severity;
+  }
+
+  /**
+   * Social networks to post to (publishers), keyed by network name
+   */
+  getPublishers() {
+    return this.get().publishers;
+  }
+
+  /**
+   * Images attached to cycle posts (media)
+   */
+  getMedia() {
+    return this.get().media;
+  }
+
+  /**
+   * Event options (events)
+   */
+  getEvents() {
+    return this.get().events;
+  }
+
+  /**
+   * Recursively overlay plain objects; arrays and values replace
+   */
+  merge(base, override) {
+    if (!this.isObject(base) || !this.isObject(override)) {
+      return override === undefined ? base : override;
+    }
+    const result = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+      result[key] = this.merge(base[key], value);
+    }
+    return result;
+  }
+
+  /**
+   * Whether a value is a plain object
+   */
+  isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
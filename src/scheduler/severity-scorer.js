@@ -0,0 +1,111 @@
+/**
+ * Severity Scorer
+ *
+ * Scores completed events with the severity model in posting-config.json:
+ * duration, estimated volume, where the discharge went, the site's spill
+ * history and a bonus for notorious companies. The queue uses the total to
+ * rank events and drop those under minimumScore; the breakdown is published
+ * with each cycle.
+ */
+
+import { PostingConfig } from './posting-config.js';
+
+// Watercourse name patterns for each location type, checked in order.
+// Names that are also ordinary words (River Test, Lea, Wear) only count
+// with "River" in front of them.
+const LOCATION_PATTERNS = [
+  ['bathingWater', /\b(bathing|beach|sands|lido)\b/i],
+  ['coastal', /\b(sea|estuary|harbour|harbor|bay|english channel|bristol channel|firth|coastal|tidal|creek)\b/i],
+  ['majorRiver', /\b(thames|severn|trent|great ouse|wye|tyne|tees|mersey|avon|exe|dee|tamar|ribble|medway|itchen|kennet|usk|taff|towy|teifi|eden|derwent|aire|ouse|witham|nene|welland|yare|stour)\b/i],
+  ['majorRiver', /\briver (test|lea|wear)\b/i],
+  ['anyRiver', /\b(river|brook|stream|beck|burn|tributary|watercourse|ditch|drain|canal|rhyne|afon|nant)\b/i]
+];
+
+export class SeverityScorer {
+  /**
+   * @param {PostingConfig} postingConfig - Source of the severity model
+   */
+  constructor(postingConfig = new PostingConfig()) {
+    this.postingConfig = postingConfig;
+  }
+
+  /**
+   * Score an event
+   *
+   * Volume and spill history come from fields attached when the event was
+   * queued (estimatedVolumeM3, historicalSpillCount); missing values score 0.
+   *
+   * @param {object} event - Completed discharge or spill block
+   * @returns {object} - { total, duration, volume, location, locationType,
+   *   repeatOffender, notoriousCompany, minimumScore, meetsMinimum }
+   */
+  score(event) {
+    const { minimumScore, weights } = this.postingConfig.getSeverity();
+
+    const hours = (event.durationMinutes || 0) / 60;
+    const duration = Math.min(weights.duration.maxPoints, hours * weights.duration.pointsPerHour);
+
+    const litres = (event.estimatedVolumeM3 || 0) * 1000;
+    const volume = Math.min(weights.volume.maxPoints, (litres / 10000) * weights.volume.pointsPer10kLiters);
+
+    const locationType = this.getLocationType(event);
+    const location = weights.location[locationType] || 0;
+
+    const repeatOffender = this.getRepeatOffenderPoints(event.historicalSpillCount, weights.repeatOffender);
+
+    const notorious = weights.notoriousCompanies;
+    const notoriousCompany = notorious.companies.includes(event.waterCompany) ? notorious.bonus : 0;
+
+    const breakdown = {
+      duration: this.round(duration),
+      volume: this.round(volume),
+      location: this.round(location),
+      locationType,
+      repeatOffender: this.round(repeatOffender),
+      notoriousCompany: this.round(notoriousCompany)
+    };
+    const total = this.round(duration + volume + location + repeatOffender + notoriousCompany);
+
+    return {
+      total,
+      ...breakdown,
+      minimumScore,
+      meetsMinimum: total >= minimumScore
+    };
+  }
+
+  /**
+   * Classify where the discharge went from the site's watercourse
+   */
+  getLocationType(event) {
+    const watercourse = event.receivingWatercourse || '';
+    for (const [type, pattern] of LOCATION_PATTERNS) {
+      if (pattern.test(watercourse)) {
+        return type;
+      }
+    }
+    return 'other';
+  }
+
+  /**
+   * Points for a site's historical spill count
+   */
+  getRepeatOffenderPoints(spillCount, tiers) {
+    let points = 0;
+    if (spillCount > 200) {
+      points = tiers.over200Events;
+    } else if (spillCount > 100) {
+      points = tiers.over100Events;
+    } else if (spillCount > 50) {
+      points = tiers.over50Events;
+    }
+    return Math.min(points, tiers.maxPoints);
+  }
+
+  /**
+   * Round to one decimal place
+   */
+  round(value) {
+    return Math.round(value * 10) / 10;
+  }
+}
@@ -0,0 +1,258 @@
+/**
+ * Bluesky Poster
+ *
+ * Posts to Bluesky over the AT Protocol, signing in with an app password
+ * (Settings → App Passwords) rather than the account password.
+ *
+ * Bluesky doesn't shorten or auto-link URLs: links count in full towards
+ * the 300-character limit and are made clickable with link facets, which
+ * address the text by UTF-8 byte offsets. Hashtags get tag facets the
+ * same way. Images are uploaded as blobs and embedded in the post.
+ */
+
+import dotenv from 'dotenv';
+import { SocialPublisher } from './social-publisher.js';
+import { BLUESKY_SERVICE_URL } from '../../config.js';
+
+dotenv.config();
+
+const LINK_PATTERN = /https?:\/\/[^\s]+[^\s.,;:!?)'"]/g;
+const TAG_PATTERN = /(^|\s)(#[^\s#.,;:!?)]+)/g;
+
+export class BlueskyPoster extends SocialPublisher {
+  /**
+   * @param {object} options - { dryRun } (DryRun instance)
+   */
+  constructor({ dryRun = null } = {}) {
+    super('bluesky', { maxLength: 300, linkLength: null, threads: true, maxImages: 4 }, { dryRun });
+
+    this.service = (process.env.BLUESKY_SERVICE || BLUESKY_SERVICE_URL).replace(/\/$/, '');
+    this.handle = process.env.BLUESKY_HANDLE;
+    this.appPassword = process.env.BLUESKY_APP_PASSWORD;
+
+    this.isConfigured = Boolean(this.dryRun) || Boolean(this.handle && this.appPassword);
+  }
+
+  get label() {
+    return 'Bluesky';
+  }
+
+  get requiredEnv() {
+    return ['BLUESKY_HANDLE', 'BLUESKY_APP_PASSWORD'];
+  }
+
+  /**
+   * Test Bluesky connection
+   */
+  async testConnection() {
+    if (!this.isConfigured) {
+      return false;
+    }
+
+    if (this.dryRun) {
+      console.log('🧪 DRY RUN - Bluesky connection not tested');
+      return true;
+    }
+
+    try {
+      const session = await this.createSession();
+      console.log(`✓ Connected to Bluesky as @${session.handle}`);
+      return true;
+    } catch (error) {
+      console.error('❌ Bluesky connection failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Sign in with the app password
+   *
+   * A fresh session is opened per publish; at a handful of posts a day
+   * that stays well inside the session rate limits and avoids refreshing
+   * expired tokens.
+   *
+   * @returns {Promise<object>} - { accessJwt, did, handle }
+   */
+  async createSession() {
+    return this.requestJson(`${this.service}/xrpc/com.atproto.server.createSession`, {
+      method: 'POST',
+      body: { identifier: this.handle, password: this.appPassword }
+    });
+  }
+
+  /**
+   * Create one post record
+   *
+   * @param {object} session - From createSession()
+   * @param {string} text - Post text
+   * @param {object} reply - { root, parent } strong refs ({ uri, cid }), or null
+   * @param {object} embed - Images embed from uploadImages(), or null
+   * @returns {Promise<object>} - { uri, cid }
+   */
+  async createPost(session, text, reply = null, embed = null) {
+    const record = {
+      $type: 'app.bsky.feed.post',
+      text,
+      createdAt: new Date().toISOString(),
+      langs: ['en'],
+      facets: this.buildFacets(text)
+    };
+    if (reply) {
+      record.reply = reply;
+    }
+    if (embed) {
+      record.embed = embed;
+    }
+
+    return this.requestJson(`${this.service}/xrpc/com.atproto.repo.createRecord`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${session.accessJwt}` },
+      body: { repo: session.did, collection: 'app.bsky.feed.post', record }
+    });
+  }
+
+  /**
+   * Upload images as blobs
+   *
+   * @param {object} session - From createSession()
+   * @param {object[]} media - Images to attach
+   * @returns {Promise<object|null>} - app.bsky.embed.images embed, or null without images
+   */
+  async uploadImages(session, media) {
+    if (media.length === 0) {
+      return null;
+    }
+
+    const images = [];
+    for (const item of media.slice(0, this.capabilities.maxImages)) {
+      const uploaded = await this.requestJson(`${this.service}/xrpc/com.atproto.repo.uploadBlob`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${session.accessJwt}`, 'Content-Type': item.mimeType },
+        raw: item.data
+      });
+      images.push({
+        alt: item.altText || '',
+        image: uploaded.blob,
+        ...(item.width && item.height ? { aspectRatio: { width: item.width, height: item.height } } : {})
+      });
+    }
+    console.log(`✓ Uploaded ${images.length} image(s) to Bluesky`);
+
+    return { $type: 'app.bsky.embed.images', images };
+  }
+
+  /**
+   * Link and hashtag facets for a post
+   *
+   * Trailing punctuation isn't part of a link.
+   */
+  buildFacets(text) {
+    const facets = [];
+    const byteRange = (start, value) => {
+      const byteStart = Buffer.byteLength(text.slice(0, start));
+      return { byteStart, byteEnd: byteStart + Buffer.byteLength(value) };
+    };
+
+    for (const match of text.matchAll(LINK_PATTERN)) {
+      facets.push({
+        index: byteRange(match.index, match[0]),
+        features: [{ $type: 'app.bsky.richtext.facet#link', uri: match[0] }]
+      });
+    }
+
+    for (const match of text.matchAll(TAG_PATTERN)) {
+      const start = match.index + match[1].length;
+      facets.push({
+        index: byteRange(start, match[2]),
+        features: [{ $type: 'app.bsky.richtext.facet#tag', tag: match[2].slice(1) }]
+      });
+    }
+
+    return facets;
+  }
+
+  /**
+   * Web URL for a post record
+   */
+  getPostUrl(uri, handle = this.handle) {
+    return `https://bsky.app/profile/${handle}/post/${uri.split('/').pop()}`;
+  }
+
+  /**
+   * Publish a single post
+   *
+   * @param {string} text - Post text
+   * @param {object} options - { media } images to attach
+   */
+  async post(text, { media = [] } = {}) {
+    if (!this.isConfigured) {
+      throw new Error('Bluesky not configured');
+    }
+
+    text = this.fitText(text);
+
+    if (this.dryRun) {
+      const id = this.recordDryRun('post', [text], media);
+      return { success: true, id, url: this.getPostUrl(id, this.handle || 'user'), dryRun: true };
+    }
+
+    try {
+      const session = await this.createSession();
+      const embed = await this.uploadImages(session, media);
+      const created = await this.createPost(session, text, null, embed);
+      const url = this.getPostUrl(created.uri, session.handle);
+      console.log(`✓ Posted to Bluesky! ${url}`);
+
+      return { success: true, id: created.uri, url };
+
+    } catch (error) {
+      console.error('❌ Failed to post to Bluesky:', error.message);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Publish a thread, each post replying to the one before
+   */
+  async postThread(texts) {
+    if (!this.isConfigured) {
+      throw new Error('Bluesky not configured');
+    }
+
+    texts = texts.map(text => this.fitText(text));
+
+    if (this.dryRun) {
+      const id = this.recordDryRun('thread', texts);
+      const posts = texts.map((text, i) => ({ id: `${id}-${i + 1}`, url: this.getPostUrl(`${id}-${i + 1}`, this.handle || 'user'), text }));
+      return { success: true, posts, url: posts[0].url, dryRun: true };
+    }
+
+    try {
+      const session = await this.createSession();
+      const posts = [];
+      let root = null;
+      let parent = null;
+
+      for (let i = 0; i < texts.length; i++) {
+        const created = await this.createPost(session, texts[i], root ? { root, parent } : null);
+        parent = { uri: created.uri, cid: created.cid };
+        root = root || parent;
+        posts.push({ id: created.uri, url: this.getPostUrl(created.uri, session.handle), text: texts[i] });
+
+        console.log(`✓ Posted to Bluesky ${i + 1}/${texts.length}`);
+      }
+
+      return { success: true, posts, url: posts[0].url };
+
+    } catch (error) {
+      console.error('❌ Failed to post Bluesky thread:', error.message);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
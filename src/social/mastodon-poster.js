@@ -0,0 +1,215 @@
+/**
+ * Mastodon Poster
+ *
+ * Posts statuses to a Mastodon instance with an access token from
+ * Preferences → Development (write:statuses scope).
+ *
+ * Mastodon counts every link as 23 characters whatever its length, like
+ * Twitter. 500 characters is the stock limit; instances can raise it.
+ * Images are uploaded to the media endpoint first and attached by ID.
+ */
+
+import dotenv from 'dotenv';
+import crypto from 'crypto';
+import { FormData, Blob } from 'node-fetch';
+import { SocialPublisher } from './social-publisher.js';
+
+dotenv.config();
+
+// Waiting for an upload that is still processing
+const MEDIA_POLL_MS = 1000;
+const MEDIA_POLL_ATTEMPTS = 10;
+
+export class MastodonPoster extends SocialPublisher {
+  /**
+   * @param {object} options - { dryRun } (DryRun instance)
+   */
+  constructor({ dryRun = null } = {}) {
+    super('mastodon', { maxLength: 500, linkLength: 23, threads: true, maxImages: 4 }, { dryRun });
+
+    this.instanceUrl = (process.env.MASTODON_URL || '').replace(/\/$/, '');
+    this.accessToken = process.env.MASTODON_ACCESS_TOKEN;
+    this.visibility = process.env.MASTODON_VISIBILITY || 'public';
+
+    this.isConfigured = Boolean(this.dryRun) || Boolean(this.instanceUrl && this.accessToken);
+  }
+
+  get label() {
+    return 'Mastodon';
+  }
+
+  get requiredEnv() {
+    return ['MASTODON_URL', 'MASTODON_ACCESS_TOKEN'];
+  }
+
+  /**
+   * Test Mastodon connection
+   */
+  async testConnection() {
+    if (!this.isConfigured) {
+      return false;
+    }
+
+    if (this.dryRun) {
+      console.log('🧪 DRY RUN - Mastodon connection not tested');
+      return true;
+    }
+
+    try {
+      const account = await this.requestJson(`${this.instanceUrl}/api/v1/accounts/verify_credentials`, {
+        headers: { Authorization: `Bearer ${this.accessToken}` }
+      });
+      console.log(`✓ Connected to Mastodon as @${account.acct}`);
+      return true;
+    } catch (error) {
+      console.error('❌ Mastodon connection failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Upload images to the media endpoint
+   *
+   * Large files are processed asynchronously (202 with no URL yet); those
+   * are polled until ready, as a status can't attach them before then.
+   *
+   * @param {object[]} media - Images to attach
+   * @returns {Promise<string[]>} - Media attachment IDs
+   */
+  async uploadMedia(media) {
+    const mediaIds = [];
+    for (const [index, item] of media.slice(0, this.capabilities.maxImages).entries()) {
+      const form = new FormData();
+      form.append('file', new Blob([item.data], { type: item.mimeType }), `image-${index + 1}.${item.mimeType.split('/').pop()}`);
+      if (item.altText) {
+        form.append('description', item.altText.slice(0, 1500));
+      }
+
+      let attachment = await this.requestJson(`${this.instanceUrl}/api/v2/media`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${this.accessToken}` },
+        raw: form
+      });
+
+      for (let attempt = 0; !attachment.url && attempt < MEDIA_POLL_ATTEMPTS; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, MEDIA_POLL_MS));
+        attachment = await this.requestJson(`${this.instanceUrl}/api/v1/media/${attachment.id}`, {
+          headers: { Authorization: `Bearer ${this.accessToken}` }
+        });
+      }
+      mediaIds.push(attachment.id);
+    }
+    if (mediaIds.length > 0) {
+      console.log(`✓ Uploaded ${mediaIds.length} image(s) to Mastodon`);
+    }
+    return mediaIds;
+  }
+
+  /**
+   * Create one status
+   *
+   * Mastodon answers a repeated Idempotency-Key with the status it already
+   * made (for about an hour), so a post resumed after a crash passes the
+   * same key as the first attempt and doesn't go out twice.
+   *
+   * @param {string} text - Status text
+   * @param {string} inReplyToId - Status to reply to, or null
+   * @param {string[]} mediaIds - Attachments from uploadMedia()
+   * @param {string} idempotencyKey - Key for this status (default: a fresh one)
+   * @returns {Promise<object>} - Status ({ id, url, ... })
+   */
+  async createStatus(text, inReplyToId = null, mediaIds = [], idempotencyKey = crypto.randomUUID()) {
+    return this.requestJson(`${this.instanceUrl}/api/v1/statuses`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${this.accessToken}`,
+        'Idempotency-Key': idempotencyKey
+      },
+      body: {
+        status: text,
+        visibility: this.visibility,
+        language: 'en',
+        ...(inReplyToId ? { in_reply_to_id: inReplyToId } : {}),
+        ...(mediaIds.length > 0 ? { media_ids: mediaIds } : {})
+      }
+    });
+  }
+
+  /**
+   * Publish a single post
+   *
+   * @param {string} text - Post text
+   * @param {object} options - { media } images to attach, { key } see createStatus()
+   */
+  async post(text, { media = [], key } = {}) {
+    if (!this.isConfigured) {
+      throw new Error('Mastodon not configured');
+    }
+
+    text = this.fitText(text);
+
+    if (this.dryRun) {
+      const id = this.recordDryRun('post', [text], media);
+      return { success: true, id, url: `${this.instanceUrl || 'https://mastodon.example'}/statuses/${id}`, dryRun: true };
+    }
+
+    try {
+      const mediaIds = await this.uploadMedia(media);
+      const status = await this.createStatus(text, null, mediaIds, key);
+      console.log(`✓ Posted to Mastodon! ${status.url}`);
+
+      return { success: true, id: status.id, url: status.url };
+
+    } catch (error) {
+      console.error('❌ Failed to post to Mastodon:', error.message);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Publish a thread, each status replying to the one before
+   *
+   * @param {string[]} texts - Statuses in order
+   * @param {object} options - { key } each status's key is this plus its
+   *   place in the thread (see createStatus())
+   */
+  async postThread(texts, { key } = {}) {
+    if (!this.isConfigured) {
+      throw new Error('Mastodon not configured');
+    }
+
+    texts = texts.map(text => this.fitText(text));
+
+    if (this.dryRun) {
+      const id = this.recordDryRun('thread', texts);
+      const base = this.instanceUrl || 'https://mastodon.example';
+      const posts = texts.map((text, i) => ({ id: `${id}-${i + 1}`, url: `${base}/statuses/${id}-${i + 1}`, text }));
+      return { success: true, posts, url: posts[0].url, dryRun: true };
+    }
+
+    try {
+      const posts = [];
+      let previousId = null;
+
+      for (let i = 0; i < texts.length; i++) {
+        const status = await this.createStatus(texts[i], previousId, [], key && `${key}-${i + 1}`);
+        posts.push({ id: status.id, url: status.url, text: texts[i] });
+        previousId = status.id;
+
+        console.log(`✓ Posted to Mastodon ${i + 1}/${texts.length}`);
+      }
+
+      return { success: true, posts, url: posts[0].url };
+
+    } catch (error) {
+      console.error('❌ Failed to post Mastodon thread:', error.message);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
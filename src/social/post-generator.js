@@ -8,10 +8,13 @@ import fs from 'fs';
 import path from 'path';
 
 export class PostGenerator {
-  constructor() {
-    this.ollamaUrl = 'http://192.168.1.51:11434';
+  /**
+   * @param {object} options - { ollamaUrl, postsDir } (generated post archive)
+   */
+  constructor({ ollamaUrl = 'http://192.168.1.51:11434', postsDir = './generated_posts' } = {}) {
+    this.ollamaUrl = ollamaUrl;
     this.model = 'qwen3:4b';
-    this.postsDir = './generated_posts';
+    this.postsDir = postsDir;
     this.grokConfigPath = './config/grok-engagement.json';
 
     // Create posts directory if it doesn't exist
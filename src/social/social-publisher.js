@@ -0,0 +1,191 @@
+/**
+ * Social Publisher
+ *
+ * Common interface for the networks cycles and summaries are posted to.
+ * Each network subclasses this with its name, capabilities and the API
+ * calls behind post() and postThread().
+ *
+ * Capabilities describe what the network accepts:
+ *   - maxLength:  characters per post, counted the network's way
+ *   - linkLength: length every link counts as (null = counted in full)
+ *   - threads:    whether replies can be chained into a thread
+ *   - maxImages:  images per post (0 = no media)
+ *
+ * Images are passed to post() as media items: { data (Buffer), mimeType,
+ * width, height, altText }.
+ *
+ * In dry-run mode posts and threads are logged and written to the dry-run
+ * report instead of being sent, with or without credentials.
+ */
+
+import fetch from 'node-fetch';
+import { PUBLISHER_TIMEOUT_SECONDS } from '../../config.js';
+
+const URL_PATTERN = /https?:\/\/\S+/g;
+
+const segmenter = new Intl.Segmenter('en', { granularity: 'grapheme' });
+
+export class SocialPublisher {
+  /**
+   * @param {string} name - Network key, as used in posting-config.json (publishers)
+   * @param {object} capabilities - { maxLength, linkLength, threads, maxImages }
+   * @param {object} options - { dryRun } (DryRun instance)
+   */
+  constructor(name, capabilities, { dryRun = null } = {}) {
+    this.name = name;
+    this.capabilities = { linkLength: null, threads: false, maxImages: 0, ...capabilities };
+    this.dryRun = dryRun && dryRun.enabled ? dryRun : null;
+    this.isConfigured = false; // Set by the subclass once credentials are checked
+  }
+
+  /**
+   * Display name for logs
+   */
+  get label() {
+    return this.name;
+  }
+
+  /**
+   * Environment variables the network needs, for the not-configured message
+   */
+  get requiredEnv() {
+    return [];
+  }
+
+  /**
+   * Length of a post as the network counts it
+   *
+   * Characters are counted as user-perceived characters (graphemes), with
+   * links replaced by their fixed length where the network shortens them.
+   */
+  countLength(text) {
+    const { linkLength } = this.capabilities;
+    const counted = linkLength === null ? text : text.replace(URL_PATTERN, 'x'.repeat(linkLength));
+    return [...segmenter.segment(counted)].length;
+  }
+
+  /**
+   * Trim a post to the network's limit
+   *
+   * Whole graphemes are dropped from the end and an ellipsis added, so the
+   * opening of the post - where the point is made - survives.
+   */
+  fitText(text) {
+    const { maxLength } = this.capabilities;
+    if (this.countLength(text) <= maxLength) {
+      return text;
+    }
+
+    console.warn(`⚠️  ${this.label} post is ${this.countLength(text)} chars (max ${maxLength}). Truncating...`);
+    const graphemes = [...segmenter.segment(text)].map(part => part.segment);
+    while (graphemes.length > 0 && this.countLength(graphemes.join('') + '…') > maxLength) {
+      graphemes.pop();
+    }
+    return graphemes.join('').trimEnd() + '…';
+  }
+
+  /**
+   * Check the credentials work
+   */
+  async testConnection() {
+    return this.isConfigured;
+  }
+
+  /**
+   * Publish a single post
+   *
+   * @param {string} text - Post text
+   * @param {object} options - { media } images to attach (at most maxImages),
+   *   { key } stable across retries of the same post, for networks that
+   *   deduplicate on one
+   * @returns {object} - { success, id, url, dryRun, error }
+   */
+  async post(text, options = {}) {
+    throw new Error(`${this.label} does not implement post()`);
+  }
+
+  /**
+   * Publish posts as a reply chain
+   *
+   * @param {string[]} texts - Posts in order
+   * @param {object} options - { key } as for post()
+   * @returns {object} - { success, posts: [{ id, url, text }], url, dryRun, error }
+   */
+  async postThread(texts, options = {}) {
+    throw new Error(`${this.label} does not implement postThread()`);
+  }
+
+  /**
+   * JSON request to the network's API, with a timeout
+   *
+   * @param {string} url - Endpoint
+   * @param {object} options - { method, headers, body, raw } where body is
+   *   sent as JSON and raw (Buffer or FormData) as it is
+   * @returns {Promise<object>} - Parsed response body
+   */
+  async requestJson(url, { method = 'GET', headers = {}, body, raw } = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), PUBLISHER_TIMEOUT_SECONDS * 1000);
+
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: { Accept: 'application/json', ...(body ? { 'Content-Type': 'application/json' } : {}), ...headers },
+        body: raw ?? (body ? JSON.stringify(body) : undefined),
+        signal: controller.signal
+      });
+      const text = await response.text();
+      let data;
+      try {
+        data = text ? JSON.parse(text) : {};
+      } catch {
+        data = { message: text.slice(0, 200) }; // HTML error page from a proxy
+      }
+
+      if (!response.ok) {
+        throw new Error(`${this.label} API error: ${response.status} ${data.message || data.error || response.statusText}`);
+      }
+      return data;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`${this.label} request timed out after ${PUBLISHER_TIMEOUT_SECONDS}s`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Log and report a post that would have been sent
+   *
+   * Attached images are saved in the dry-run sandbox so they can be checked.
+   *
+   * @param {string} action - 'post' or 'thread'
+   * @param {string[]} texts - Post texts
+   * @param {object[]} media - Images attached to the post
+   * @returns {string} - Placeholder ID for the post
+   */
+  recordDryRun(action, texts, media = []) {
+    const seq = this.dryRun.record(action, {
+      network: this.name,
+      ...(action === 'thread' ? { posts: texts } : { text: texts[0], length: this.countLength(texts[0]) }),
+      ...(media.length > 0 ? { media: this.describeMedia(media) } : {})
+    });
+    console.log(`🧪 DRY RUN - would post ${action === 'thread' ? `a ${texts.length}-post thread ` : ''}to ${this.label}${media.length > 0 ? ` with ${media.length} image(s)` : ''}`);
+    texts.forEach((text, i) => console.log(`--- ${i + 1}/${texts.length} (${this.countLength(text)} chars)\n${text}`));
+    return `dry-run-${seq}`;
+  }
+
+  /**
+   * Report entries for images, saving a copy of each in the sandbox
+   */
+  describeMedia(media) {
+    return media.map(item => ({
+      file: this.dryRun.saveMedia(item.data, item.mimeType.split('/').pop()),
+      mimeType: item.mimeType,
+      bytes: item.data.length,
+      altText: item.altText
+    }));
+  }
+}
@@ -0,0 +1,163 @@
+/**
+ * Social Publishers
+ *
+ * The set of networks a post goes out to. Each post or thread fans out to
+ * every publisher enabled in posting-config.json (publishers) that has
+ * credentials, one network at a time; a failure on one network doesn't
+ * stop the others. Results are returned per network, and can be passed
+ * on as each network finishes so callers can persist them.
+ */
+
+import { PostingConfig } from '../scheduler/posting-config.js';
+
+export class SocialPublishers {
+  /**
+   * @param {SocialPublisher[]} publishers - One per network
+   * @param {PostingConfig} postingConfig - Which networks are enabled
+   */
+  constructor(publishers, postingConfig = new PostingConfig()) {
+    this.publishers = publishers;
+    this.postingConfig = postingConfig;
+  }
+
+  /**
+   * Publisher for a network
+   */
+  get(name) {
+    return this.publishers.find(publisher => publisher.name === name) || null;
+  }
+
+  /**
+   * Publishers that are enabled and have credentials
+   *
+   * Enabled networks without credentials are reported and left out.
+   */
+  getEnabled() {
+    const config = this.postingConfig.getPublishers();
+
+    return this.publishers.filter(publisher => {
+      if (!config[publisher.name]?.enabled) {
+        return false;
+      }
+      if (!publisher.isConfigured) {
+        console.warn(`⚠️  ${publisher.label} enabled but not configured - set ${publisher.requiredEnv.join(', ')} in .env`);
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Whether there is anywhere to post
+   */
+  get isConfigured() {
+    return this.getEnabled().length > 0;
+  }
+
+  /**
+   * Enabled networks and their limits, for logs
+   */
+  describe() {
+    const enabled = this.getEnabled();
+    if (enabled.length === 0) {
+      return 'none';
+    }
+    return enabled
+      .map(publisher => `${publisher.label} (${publisher.capabilities.maxLength} chars)`)
+      .join(', ');
+  }
+
+  /**
+   * Post the same text to every enabled network
+   *
+   * Images go to networks that take them, up to each network's limit;
+   * the rest get the text alone.
+   *
+   * @param {string} text - Post text; each network trims it to its own limit
+   * @param {SocialPublisher[]} publishers - Networks to post to (default: all enabled)
+   * @param {object} options - { media } images to attach, { key } see
+   *   SocialPublisher.post(), { onResult } see fanOut()
+   * @returns {object} - See fanOut()
+   */
+  async postAll(text, publishers = this.getEnabled(), { media = [], key, onResult = null } = {}) {
+    return this.fanOut(publisher => {
+      const attachments = media.slice(0, publisher.capabilities.maxImages || 0);
+      return attachments.length > 0
+        ? publisher.post(text, { media: attachments, key })
+        : publisher.post(text, { key });
+    }, publishers, onResult);
+  }
+
+  /**
+   * Post a thread to every enabled network
+   *
+   * Networks without threads get the first post only.
+   *
+   * @param {string[]} texts - Posts in order
+   * @param {SocialPublisher[]} publishers - Networks to post to (default: all enabled)
+   * @param {object} options - { key } see SocialPublisher.post(),
+   *   { onResult } see fanOut()
+   * @returns {object} - See fanOut()
+   */
+  async postThreadAll(texts, publishers = this.getEnabled(), { key, onResult = null } = {}) {
+    return this.fanOut(publisher => publisher.capabilities.threads
+      ? publisher.postThread(texts, { key })
+      : publisher.post(texts[0], { key }), publishers, onResult);
+  }
+
+  /**
+   * Run a publish call against each enabled network in turn
+   *
+   * @param {function} publish - async (publisher) => { success, id, url, posts, error }
+   * @param {SocialPublisher[]} publishers - Networks to post to
+   * @param {function} onResult - Called with (name, outcome) as each network
+   *   finishes, outcome being its ledger form (see getOutcome())
+   * @returns {object} - { success (any network posted), results (per network),
+   *   networks (per-network { id, url } or { error }, for the post ledger),
+   *   ref and url (first network that posted) }
+   */
+  async fanOut(publish, publishers, onResult = null) {
+    const results = {};
+
+    for (const publisher of publishers) {
+      try {
+        results[publisher.name] = await publish(publisher);
+      } catch (error) {
+        console.error(`❌ ${publisher.label} post failed:`, error.message);
+        results[publisher.name] = { success: false, error: error.message };
+      }
+      if (onResult) {
+        onResult(publisher.name, this.getOutcome(results[publisher.name]));
+      }
+    }
+
+    const networks = {};
+    let first = null;
+    for (const [name, result] of Object.entries(results)) {
+      networks[name] = this.getOutcome(result);
+      if (result.success && !first) {
+        first = { ref: networks[name].id, url: result.url };
+      }
+    }
+
+    return {
+      success: first !== null,
+      results,
+      networks,
+      ref: first ? first.ref : null,
+      url: first ? first.url : null
+    };
+  }
+
+  /**
+   * A network's result as kept in the post ledger: { id, url } or { error }
+   *
+   * The ID is the post's, or the first post's for a thread.
+   */
+  getOutcome(result) {
+    if (!result.success) {
+      return { error: result.error };
+    }
+    return { id: result.id ?? result.posts?.[0]?.id ?? null, url: result.url };
+  }
+}
@@ -3,15 +3,28 @@
  *
  * Posts sewage discharge alerts to Twitter/X
  * Uses Twitter API v2 with much simpler authentication than Facebook
+ *
+ * One of the social publishers: post() and postThread() wrap tweet() and
+ * tweetThread() in the common result shape.
+ *
+ * In dry-run mode tweets and threads are logged and written to the dry-run
+ * report instead of being posted, with or without credentials.
  */
 
 import { TwitterApi } from 'twitter-api-v2';
 import dotenv from 'dotenv';
+import { SocialPublisher } from './social-publisher.js';
 
 dotenv.config();
 
-export class TwitterPoster {
-  constructor() {
+export class TwitterPoster extends SocialPublisher {
+  /**
+   * @param {object} options - { dryRun } (DryRun instance)
+   */
+  constructor({ dryRun = null } = {}) {
+    // Links are shortened to t.co, which always counts as 23 characters
+    super('twitter', { maxLength: 280, linkLength: 23, threads: true, maxImages: 4 }, { dryRun });
+
     // Twitter API credentials
     this.apiKey = process.env.TWITTER_API_KEY;
     this.apiSecret = process.env.TWITTER_API_SECRET;
@@ -22,10 +35,22 @@ export class TwitterPoster {
     this.isConfigured = this.checkConfiguration();
   }
 
+  get label() {
+    return 'Twitter';
+  }
+
+  get requiredEnv() {
+    return ['TWITTER_API_KEY', 'TWITTER_API_SECRET', 'TWITTER_ACCESS_TOKEN', 'TWITTER_ACCESS_SECRET'];
+  }
+
   /**
    * Check if Twitter credentials are configured
    */
   checkConfiguration() {
+    if (this.dryRun) {
+      return true;
+    }
+
     if (!this.apiKey || !this.apiSecret || !this.accessToken || !this.accessSecret) {
       console.error('❌ Twitter not configured');
       console.error('   Please set Twitter credentials in .env:');
@@ -53,6 +78,11 @@ export class TwitterPoster {
       return false;
     }
 
+    if (this.dryRun) {
+      console.log('🧪 DRY RUN - Twitter connection not tested');
+      return true;
+    }
+
     try {
       const me = await this.client.v2.me();
       console.log(`✓ Connected to Twitter as @${me.data.username}`);
@@ -66,21 +96,35 @@ export class TwitterPoster {
 
   /**
    * Post a tweet
+   *
+   * @param {string} text - Tweet text
+   * @param {object} options - { media } images to attach
    */
-  async tweet(text) {
+  async tweet(text, { media = [] } = {}) {
     if (!this.isConfigured) {
       throw new Error('Twitter not configured');
     }
 
     // Twitter has 280 character limit (or 4000 for Twitter Blue)
     // We'll aim for 280 to be safe
-    if (text.length > 280) {
-      console.warn(`⚠️  Tweet is ${text.length} chars (max 280). Truncating...`);
-      text = text.substring(0, 277) + '...';
+    text = this.fitText(text);
+
+    if (this.dryRun) {
+      const length = this.countLength(text);
+      const tweetId = `dry-run-${this.dryRun.record('tweet', {
+        network: this.name,
+        text,
+        length,
+        ...(media.length > 0 ? { media: this.describeMedia(media) } : {})
+      })}`;
+      console.log(`🧪 DRY RUN - would tweet (${length} chars${media.length > 0 ? `, ${media.length} image(s)` : ''}):`);
+      console.log(text);
+      return { success: true, tweetId, url: `https://twitter.com/user/status/${tweetId}`, dryRun: true };
     }
 
     try {
-      const tweet = await this.client.v2.tweet(text);
+      const mediaIds = await this.uploadMedia(media);
+      const tweet = await this.client.v2.tweet(text, mediaIds.length > 0 ? { media: { media_ids: mediaIds } } : {});
       console.log(`✓ Posted tweet! ID: ${tweet.data.id}`);
 
       return {
@@ -98,6 +142,26 @@ export class TwitterPoster {
     }
   }
 
+  /**
+   * Upload images for a tweet, with their alt text
+   *
+   * @returns {Promise<string[]>} - Media IDs
+   */
+  async uploadMedia(media) {
+    const mediaIds = [];
+    for (const item of media.slice(0, this.capabilities.maxImages)) {
+      const mediaId = await this.client.v2.uploadMedia(item.data, { media_type: item.mimeType });
+      if (item.altText) {
+        await this.client.v2.createMediaMetadata(mediaId, { alt_text: { text: item.altText.slice(0, 1000) } });
+      }
+      mediaIds.push(mediaId);
+    }
+    if (mediaIds.length > 0) {
+      console.log(`✓ Uploaded ${mediaIds.length} image(s) to Twitter`);
+    }
+    return mediaIds;
+  }
+
   /**
    * Post a thread (for longer content)
    */
@@ -106,6 +170,18 @@ export class TwitterPoster {
       throw new Error('Twitter not configured');
     }
 
+    if (this.dryRun) {
+      const tweetId = `dry-run-${this.dryRun.record('thread', { network: this.name, tweets: texts, lengths: texts.map(t => this.countLength(t)) })}`;
+      console.log(`🧪 DRY RUN - would post a ${texts.length}-tweet thread`);
+      texts.forEach((text, i) => console.log(`--- ${i + 1}/${texts.length} (${this.countLength(text)} chars)\n${text}`));
+      return {
+        success: true,
+        tweets: texts.map((text, i) => ({ id: `${tweetId}-${i + 1}`, text })),
+        threadUrl: `https://twitter.com/user/status/${tweetId}-1`,
+        dryRun: true
+      };
+    }
+
     try {
       const tweets = [];
       let previousTweetId = null;
@@ -139,6 +215,30 @@ export class TwitterPoster {
     }
   }
 
+  /**
+   * Publish a single post (SocialPublisher)
+   */
+  async post(text, options = {}) {
+    const result = await this.tweet(text, options);
+    return { ...result, id: result.tweetId };
+  }
+
+  /**
+   * Publish a thread (SocialPublisher)
+   */
+  async postThread(texts) {
+    const result = await this.tweetThread(texts);
+    if (!result.success) {
+      return result;
+    }
+    return {
+      success: true,
+      posts: result.tweets.map(tweet => ({ id: tweet.id, url: `https://twitter.com/user/status/${tweet.id}`, text: tweet.text })),
+      url: result.threadUrl,
+      dryRun: result.dryRun
+    };
+  }
+
   /**
    * Get recent tweets from your account
    */
@@ -176,6 +276,12 @@ export class TwitterPoster {
       throw new Error('Twitter not configured');
     }
 
+    if (this.dryRun) {
+      this.dryRun.record('delete-tweet', { tweetId });
+      console.log(`🧪 DRY RUN - would delete tweet ${tweetId}`);
+      return { success: true, dryRun: true };
+    }
+
     try {
       await this.client.v2.deleteTweet(tweetId);
       console.log(`✓ Deleted tweet: ${tweetId}`);
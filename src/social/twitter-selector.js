@@ -1,53 +1,49 @@
 /**
  * Twitter Event Selector
  *
- * X API Free Tier: 17 posts per 24-hour rolling window
- * Post events that lasted over 6 HOURS (360 minutes)
+ * Posting limits come from posting-config.json (twitter.limits) and are
+ * counted on rolling windows in the shared post ledger
+ * Post events that lasted over 10 HOURS (600 minutes)
  */
 
-import fs from 'fs';
+import { PostingConfig } from '../scheduler/posting-config.js';
 
 export class TwitterSelector {
-  constructor() {
+  /**
+   * @param {PostingConfig} postingConfig - Source of the limits
+   * @param {PostLedger} ledger - The PostScheduler's ledger, so a dry run
+   *   counts against its sandbox rather than the live ledger
+   */
+  constructor(postingConfig = new PostingConfig(), ledger = null) {
+    if (!ledger) {
+      throw new Error('TwitterSelector needs the post ledger to count against');
+    }
+
     // Threshold: 10 hours = 600 minutes
     this.minDurationMinutes = 600; // 10 hours
 
-    // Posting limits (Free tier: 17 posts per 24 hours)
-    this.maxPostsPerDay = 17;
-    this.dailyPostCount = 0;
-
-    // Stats file for tracking daily posts
-    this.statsFile = './config/twitter-stats.json';
+    this.postingConfig = postingConfig;
+    this.ledger = ledger;
   }
 
   /**
-   * Load today's post count
+   * Configured daily limit
    */
-  loadStats() {
-    try {
-      if (fs.existsSync(this.statsFile)) {
-        const stats = JSON.parse(fs.readFileSync(this.statsFile, 'utf8'));
-        const today = new Date().toISOString().split('T')[0];
-        this.dailyPostCount = stats[today] || 0;
-      }
-    } catch (error) {
-      console.error('Error loading stats:', error.message);
-      this.dailyPostCount = 0;
-    }
+  get maxPostsPerDay() {
+    return this.postingConfig.get().twitter.limits.maxPostsPerDay;
   }
 
   /**
    * Should we post this event?
-   * Post events over 6 hours, up to 17 per day
+   * Post events over 10 hours, within the configured limits
    */
   shouldPost(event) {
-    this.loadStats();
+    const quota = this.ledger.check(this.postingConfig.get().twitter.limits);
 
-    // Check daily limit (17 posts per 24 hours)
-    if (this.dailyPostCount >= this.maxPostsPerDay) {
+    if (!quota.canPost) {
       return {
         shouldPost: false,
-        reason: `Daily limit reached (${this.dailyPostCount}/${this.maxPostsPerDay})`
+        reason: quota.reason
       };
     }
 
@@ -84,23 +80,12 @@ export class TwitterSelector {
    * Record that we posted an event
    */
   recordPost(event) {
-    // Increment in-memory counter
-    this.dailyPostCount++;
-
-    // Save to stats file
     try {
-      const today = new Date().toISOString().split('T')[0];
-      let stats = {};
-
-      if (fs.existsSync(this.statsFile)) {
-        stats = JSON.parse(fs.readFileSync(this.statsFile, 'utf8'));
-      }
-
-      stats[today] = (stats[today] || 0) + 1;
-      fs.writeFileSync(this.statsFile, JSON.stringify(stats, null, 2));
+      this.ledger.record('event', event.id || null);
     } catch (error) {
       console.error('Error saving post stats:', error.message);
     }
+    const dailyPostCount = this.ledger.check(this.postingConfig.get().twitter.limits).last24h;
 
     const durationHours = (event.durationMinutes / 60).toFixed(1);
     const durationDays = (event.durationMinutes / 60 / 24).toFixed(1);
@@ -109,7 +94,7 @@ export class TwitterSelector {
       ? `${durationDays} days`
       : `${durationHours} hours`;
 
-    console.log(`🚨 POSTED EVENT (${this.dailyPostCount}/${this.maxPostsPerDay} today)`);
+    console.log(`🚨 POSTED EVENT (${dailyPostCount}/${this.maxPostsPerDay} in 24h)`);
     console.log(`   Duration: ${duration}`);
     console.log(`   Company: ${event.waterCompany}`);
     console.log(`   Site: ${event.siteId}`);
@@ -119,10 +104,12 @@ export class TwitterSelector {
    * Get statistics for logging
    */
   getStats() {
-    this.loadStats();
+    const quota = this.ledger.check(this.postingConfig.get().twitter.limits);
     return {
-      dailyTotal: this.dailyPostCount,
-      dailyRemaining: this.maxPostsPerDay - this.dailyPostCount,
+      dailyTotal: quota.last24h,
+      dailyRemaining: quota.dailyRemaining,
+      monthlyTotal: quota.last30d,
+      monthlyRemaining: quota.monthlyRemaining,
       threshold: `10 hours`
     };
   }
@@ -1,11 +1,13 @@
 /**
  * Test GitHub Publisher
  * Creates a test cycle and publishes to GitHub Pages
+ * With --dry-run (or DRY_RUN=true) nothing is committed or pushed
  */
 
 import { GitHubPublisher } from './github-publisher/github-publisher.js';
 import { CycleGenerator } from './data-generator/cycle-generator.js';
 import { AISummarizer } from './data-generator/ai-summarizer.js';
+import { DryRun } from './dry-run/dry-run.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -55,9 +57,11 @@ async function runTest() {
 
     // Initialize components
     console.log(`\n🔧 Initializing components...`);
-    const githubPublisher = new GitHubPublisher(githubUsername, repoName);
+    const dryRun = new DryRun();
+    dryRun.prepare();
+    const githubPublisher = new GitHubPublisher(githubUsername, repoName, { dryRun });
     const aiSummarizer = new AISummarizer();
-    const cycleGenerator = new CycleGenerator(githubPublisher, aiSummarizer);
+    const cycleGenerator = new CycleGenerator(githubPublisher, aiSummarizer, { dryRun });
 
     // Generate test cycle
     console.log(`\n📊 Generating test cycle with ${testEvents.length} events...`);
@@ -0,0 +1,228 @@
+/**
+ * ArcGISClient against a local fake FeatureServer
+ */
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ArcGISClient } from '../src/api/arcgis-client.js';
+import { startFakeApi } from './fakes.js';
+
+let api = null;
+
+/**
+ * Client with no retry delays
+ */
+function createClient(options = {}) {
+  return new ArcGISClient({ retryBaseMs: 1, ...options });
+}
+
+/**
+ * Query parameters of a recorded request
+ */
+const paramsOf = request => new URL(request.path, 'http://localhost').searchParams;
+
+beforeEach(() => {
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(async () => {
+  if (api) {
+    await api.close();
+    api = null;
+  }
+  mock.restoreAll();
+});
+
+test('LastUpdated comes from a single statistics query', async () => {
+  api = await startFakeApi(() => ({ body: { features: [{ attributes: { maxLastUpdated: 1792303140000 } }] } }));
+
+  assert.equal(await createClient().getLastUpdated(api.url, 0), 1792303140000);
+  assert.match(paramsOf(api.requests[0]).get('outStatistics'), /"statisticType":"max"/);
+});
+
+test('a feed without statistics support is asked once and warned about once', async () => {
+  api = await startFakeApi(() => ({ body: { error: { code: 400, message: 'Unable to perform query' } } }));
+  const client = createClient();
+
+  assert.equal(await client.getLastUpdated(api.url, 0), null);
+  assert.equal(await client.getLastUpdated(api.url, 0), null);
+
+  assert.equal(api.requests.length, 1);
+  assert.equal(console.warn.mock.callCount(), 1);
+  assert.equal(console.error.mock.callCount(), 0);
+});
+
+test('a transient statistics failure is thrown and asked again next time', async () => {
+  let calls = 0;
+  api = await startFakeApi(() => (++calls === 1 ? { status: 503 } : { body: { features: [{ attributes: { maxLastUpdated: 5 } }] } }));
+  const client = createClient({ maxRetries: 0 });
+
+  await assert.rejects(client.getLastUpdated(api.url, 0), /status: 503/);
+  assert.equal(await client.getLastUpdated(api.url, 0), 5);
+});
+
+// Five sites, served two at a time like a layer with maxRecordCount 2
+const FEATURES = [1, 2, 3, 4, 5].map(id => ({ attributes: { OBJECTID: id, Id: `S${id}`, Status: 0 } }));
+const PAGE_SIZE = 2;
+
+/**
+ * Fake layer answering plain, offset, ID-only and ID-batch queries
+ *
+ * @param {object} options - { offset: false to ignore resultOffset, or
+ *   'error' to reject it; batches: false to reject objectIds queries }
+ */
+function layer({ offset = true, batches = true } = {}) {
+  return request => {
+    const params = paramsOf(request);
+
+    if (params.get('returnIdsOnly') === 'true') {
+      return { body: { objectIdFieldName: 'OBJECTID', objectIds: FEATURES.map(f => f.attributes.OBJECTID) } };
+    }
+    if (params.has('objectIds')) {
+      if (!batches) {
+        return { body: { error: { code: 400, message: 'objectIds not supported' } } };
+      }
+      const ids = params.get('objectIds').split(',').map(Number);
+      return { body: { features: FEATURES.filter(f => ids.includes(f.attributes.OBJECTID)) } };
+    }
+    if (params.has('resultOffset') && offset === 'error') {
+      return { body: { error: { code: 400, message: 'Pagination is not supported' } } };
+    }
+
+    const start = params.has('resultOffset') && offset === true ? Number(params.get('resultOffset')) : 0;
+    const features = FEATURES.slice(start, start + PAGE_SIZE);
+    return { body: { objectIdFieldName: 'OBJECTID', features, exceededTransferLimit: start + PAGE_SIZE < FEATURES.length } };
+  };
+}
+
+const siteIds = result => result.features.map(f => f.attributes.Id);
+
+test('a response under the record limit is a single page', async () => {
+  api = await startFakeApi(() => ({ body: { features: FEATURES.slice(0, 1) } }));
+
+  const result = await createClient().getAllOverflows(api.url, 0);
+
+  assert.deepEqual([result.pageCount, result.truncated, api.requests.length], [1, false, 1]);
+});
+
+test('pages by offset, ordered by object ID, until the limit is no longer exceeded', async () => {
+  api = await startFakeApi(layer());
+
+  const result = await createClient().getAllOverflows(api.url, 0);
+
+  assert.deepEqual(siteIds(result), ['S1', 'S2', 'S3', 'S4', 'S5']);
+  assert.deepEqual([result.truncated, result.exceededTransferLimit], [false, false]);
+  const offsets = api.requests.slice(1).map(request => paramsOf(request).get('resultOffset'));
+  assert.deepEqual(offsets, ['0', '2', '4']);
+  assert.equal(paramsOf(api.requests[1]).get('orderByFields'), 'OBJECTID');
+});
+
+test('a layer that rejects resultOffset is fetched in object ID batches', async () => {
+  api = await startFakeApi(layer({ offset: 'error' }));
+
+  const result = await createClient().getAllOverflows(api.url, 0);
+
+  assert.deepEqual(siteIds(result), ['S1', 'S2', 'S3', 'S4', 'S5']);
+  assert.equal(result.truncated, false);
+  assert.ok(api.requests.some(request => paramsOf(request).get('returnIdsOnly') === 'true'));
+});
+
+test('a layer that ignores resultOffset is noticed on the first repeated page', async () => {
+  api = await startFakeApi(layer({ offset: false }));
+
+  const result = await createClient().getAllOverflows(api.url, 0);
+
+  assert.deepEqual(siteIds(result), ['S1', 'S2', 'S3', 'S4', 'S5']);
+  const offsetRequests = api.requests.filter(request => paramsOf(request).has('resultOffset'));
+  assert.equal(offsetRequests.length, 2);
+});
+
+test('when neither way works the first page comes back flagged truncated', async () => {
+  api = await startFakeApi(layer({ offset: 'error', batches: false }));
+
+  const result = await createClient().getAllOverflows(api.url, 0);
+
+  assert.deepEqual(siteIds(result), ['S1', 'S2']);
+  assert.equal(result.truncated, true);
+});
+
+test('transient failures are retried, then succeed', async () => {
+  let calls = 0;
+  api = await startFakeApi(() => {
+    calls++;
+    if (calls === 1) return { status: 503 };
+    if (calls === 2) return { body: { error: { code: 504, message: 'Gateway timeout' } } };
+    return { body: { features: FEATURES } };
+  });
+  const client = createClient();
+
+  const result = await client.queryLayer(api.url, 0);
+
+  assert.equal(result.features.length, 5);
+  assert.equal(api.requests.length, 3);
+  assert.equal(client.getHealth()[new URL(api.url).hostname].consecutiveFailures, 0);
+});
+
+test('a bad query is not retried and does not count against the feed', async () => {
+  api = await startFakeApi(() => ({ body: { error: { code: 400, message: 'Invalid field: Statu' } } }));
+  const client = createClient();
+
+  await assert.rejects(client.queryLayer(api.url, 0), /Invalid field/);
+
+  assert.equal(api.requests.length, 1);
+  assert.equal(client.getBreaker(api.url).getState().totalFailures, 0);
+});
+
+test('a slow response times out as a transient failure', async () => {
+  api = await startFakeApi(() => new Promise(resolve => setTimeout(() => resolve({ body: {} }), 300)));
+  const client = createClient({ timeoutMs: 50, maxRetries: 1 });
+
+  await assert.rejects(client.queryLayer(api.url, 0), /timed out/);
+
+  assert.equal(api.requests.length, 2);
+  assert.equal(client.getBreaker(api.url).getState().consecutiveFailures, 1);
+});
+
+test('Retry-After is honoured, and one too long to wait for fails at once', async () => {
+  const client = createClient();
+  assert.equal(client.parseRetryAfter('2'), 2000);
+  assert.equal(client.parseRetryAfter(null), null);
+  assert.equal(client.getRetryDelayMs(0, 2000), 2000);
+  assert.equal(client.getRetryDelayMs(0, 10 * 60 * 1000), null);
+
+  api = await startFakeApi(() => ({ status: 429, headers: { 'Retry-After': '600' } }));
+
+  await assert.rejects(client.queryLayer(api.url, 0), /status: 429/);
+  assert.equal(api.requests.length, 1);
+});
+
+test('an open circuit refuses requests without contacting the feed', async () => {
+  api = await startFakeApi(() => ({ status: 502 }));
+  const client = createClient({ maxRetries: 0, breakerThreshold: 2 });
+
+  await assert.rejects(client.queryLayer(api.url, 0), /status: 502/);
+  await assert.rejects(client.queryLayer(api.url, 0), /status: 502/);
+  await assert.rejects(client.queryLayer(api.url, 0), error => error.circuitOpen === true);
+
+  assert.equal(api.requests.length, 2);
+  assert.equal(client.isAvailable(api.url), false);
+});
+
+test('a half-open feed gets one trial, and a bad query still settles it', async () => {
+  let status = 502;
+  api = await startFakeApi(() => new Promise(resolve => setTimeout(() => resolve({ status }), 20)));
+  const client = createClient({ maxRetries: 0, breakerThreshold: 1, breakerResetMs: 0 });
+
+  await assert.rejects(client.queryLayer(api.url, 0), /status: 502/);
+
+  // The trial is in flight, so a second request is refused without being made
+  status = 400;
+  const trial = client.queryLayer(api.url, 0);
+  await assert.rejects(client.queryLayer(api.url, 0), error => error.circuitOpen === true);
+  await assert.rejects(trial, /status: 400/);
+
+  assert.equal(api.requests.length, 2);
+  assert.equal(client.getBreaker(api.url).state, 'closed');
+  assert.equal(client.isAvailable(api.url), true);
+});
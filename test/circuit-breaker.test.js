@@ -0,0 +1,88 @@
+/**
+ * CircuitBreaker: opening after repeated failures, the half-open trial and
+ * recovery, on a mocked clock
+ */
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { CircuitBreaker } from '../src/api/circuit-breaker.js';
+
+const MINUTE = 60 * 1000;
+
+let breaker;
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-18T06:00:00Z') });
+  breaker = new CircuitBreaker('Thames Water', { failureThreshold: 3, resetTimeoutMs: 10 * MINUTE });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+  mock.restoreAll();
+});
+
+test('opens after the threshold of consecutive failures', () => {
+  breaker.recordFailure(new Error('HTTP 503'));
+  breaker.recordFailure(new Error('HTTP 503'));
+  assert.equal(breaker.canRequest(), true);
+
+  breaker.recordFailure(new Error('timed out'));
+  assert.equal(breaker.canRequest(), false);
+
+  const state = breaker.getState();
+  assert.deepEqual([state.state, state.consecutiveFailures, state.lastError], ['open', 3, 'timed out']);
+  assert.equal(state.retryAt, '2026-10-18T06:10:00.000Z');
+});
+
+test('a success in between resets the count', () => {
+  breaker.recordFailure();
+  breaker.recordFailure();
+  breaker.recordSuccess();
+  breaker.recordFailure();
+  breaker.recordFailure();
+
+  assert.equal(breaker.canRequest(), true);
+  assert.equal(breaker.getState().errorRate, 4 / 5);
+});
+
+test('after the reset timeout one trial request is let through', () => {
+  for (let i = 0; i < 3; i++) breaker.recordFailure();
+
+  mock.timers.tick(10 * MINUTE - 1);
+  assert.equal(breaker.canRequest(), false);
+  mock.timers.tick(1);
+  assert.equal(breaker.canRequest(), true);
+  assert.equal(breaker.state, 'half-open');
+});
+
+test('a failed trial re-opens straight away and a successful one closes', () => {
+  for (let i = 0; i < 3; i++) breaker.recordFailure();
+  mock.timers.tick(10 * MINUTE);
+  breaker.canRequest();
+
+  breaker.recordFailure();
+  assert.equal(breaker.canRequest(), false);
+  assert.equal(breaker.getState().retryAt, '2026-10-18T06:20:00.000Z');
+
+  mock.timers.tick(10 * MINUTE);
+  breaker.canRequest();
+  breaker.recordSuccess();
+  assert.deepEqual([breaker.state, breaker.consecutiveFailures, breaker.getState().retryAt], ['closed', 0, null]);
+});
+
+test('only one trial is let through while it is in flight', () => {
+  for (let i = 0; i < 3; i++) breaker.recordFailure();
+  mock.timers.tick(10 * MINUTE);
+
+  assert.equal(breaker.isAvailable(), true);
+  assert.equal(breaker.canRequest(), true);
+  assert.equal(breaker.isAvailable(), false);
+  assert.equal(breaker.canRequest(), false);
+
+  // A refused but answered trial closes the breaker without counting
+  breaker.recordAnswered();
+  assert.deepEqual([breaker.state, breaker.canRequest(), breaker.canRequest()], ['closed', true, true]);
+  assert.equal(breaker.getState().totalRequests, 3);
+});
@@ -0,0 +1,97 @@
+/**
+ * Dry-run mode: tweets and git operations are reported, not performed
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { DryRun } from '../src/dry-run/dry-run.js';
+import { GitHubPublisher } from '../src/github-publisher/github-publisher.js';
+import { TwitterPoster } from '../src/social/twitter-poster.js';
+
+let dir;
+let dryRun;
+
+/**
+ * Actions written to the dry-run report so far
+ */
+function readReport() {
+  return fs.readFileSync(path.join(dir, 'report.jsonl'), 'utf8')
+    .trim()
+    .split('\n')
+    .map(line => JSON.parse(line));
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shitwatch-dry-run-'));
+  dryRun = new DryRun({ enabled: true, dir });
+  dryRun.prepare();
+});
+
+afterEach(() => {
+  dryRun.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('state and website paths point into the sandbox', () => {
+  for (const value of Object.values(dryRun.paths)) {
+    assert.ok(value.startsWith(dir), value);
+  }
+  assert.equal(new GitHubPublisher('user', 'repo', { dryRun }).websiteDir, dryRun.websiteDir);
+});
+
+test('a disabled dry run uses the live paths', () => {
+  const live = new DryRun({ enabled: false, dir });
+  assert.deepEqual(live.paths, live.livePaths);
+  assert.equal(new GitHubPublisher('user', 'repo', { dryRun: live }).websiteDir.endsWith('website'), true);
+});
+
+test('tweets are reported without credentials', async () => {
+  const poster = new TwitterPoster({ dryRun });
+  assert.equal(poster.isConfigured, true);
+
+  const result = await poster.tweet('x'.repeat(300));
+  assert.equal(result.success, true);
+  assert.equal(result.dryRun, true);
+
+  const [entry] = readReport();
+  assert.equal(entry.action, 'tweet');
+  assert.equal(entry.length, 280);
+  assert.equal(result.tweetId, `dry-run-${entry.seq}`);
+});
+
+test('threads are reported as one action', async () => {
+  const result = await new TwitterPoster({ dryRun }).tweetThread(['one', 'two', 'three']);
+
+  assert.equal(result.tweets.length, 3);
+  assert.deepEqual(readReport().map(entry => [entry.action, entry.tweets]), [['thread', ['one', 'two', 'three']]]);
+});
+
+test('git add, commit and push are reported with the staged files', async () => {
+  const publisher = new GitHubPublisher('user', 'repo', { dryRun });
+  const file = path.join(dryRun.websiteDir, 'cycles', 'cycle.json');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, '{}');
+
+  await publisher.add(file);
+  await publisher.commit('Add cycle');
+  await publisher.push();
+
+  const report = readReport();
+  assert.deepEqual(report.map(entry => entry.action), ['git-add', 'git-commit', 'git-push']);
+  assert.deepEqual(report[1].files, [path.join('cycles', 'cycle.json')]);
+  assert.deepEqual(publisher.staged, []);
+});
+
+test('each run starts with an empty report', async () => {
+  await new TwitterPoster({ dryRun }).tweet('first run');
+  dryRun.close();
+
+  dryRun = new DryRun({ enabled: true, dir });
+  dryRun.prepare();
+  await new TwitterPoster({ dryRun }).tweet('second run');
+
+  assert.deepEqual(readReport().map(entry => entry.text), ['second run']);
+});
@@ -0,0 +1,116 @@
+/**
+ * EventDatabase.query: filters, sorting, pagination and totals
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { EventDatabase } from '../src/database/db.js';
+
+const utc = day => Date.parse(`2026-03-${day}T08:00:00Z`);
+const HOUR = 60 * 60 * 1000;
+
+let dir;
+let db;
+
+/**
+ * Completed discharge starting at 08:00 on a day in March
+ */
+function discharge(siteId, day, hours, overrides = {}) {
+  return {
+    waterCompany: 'Thames Water',
+    siteId,
+    startTime: utc(day),
+    endTime: utc(day) + hours * HOUR,
+    durationMinutes: hours * 60,
+    status: 'completed',
+    receivingWatercourse: 'River Thames',
+    ...overrides
+  };
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shitwatch-query-'));
+  db = new EventDatabase(path.join(dir, 'events.jsonl'), null, path.join(dir, 'transitions'));
+
+  db.upsertEvent(discharge('T1', '02', 2));
+  db.upsertEvent(discharge('T1', '05', 12));
+  db.upsertEvent(discharge('T2', '08', 30, { receivingWatercourse: 'River Kennet' }));
+  db.upsertEvent(discharge('S1', '03', 6, { waterCompany: 'Southern Water', receivingWatercourse: 'River Nene' }));
+  db.upsertEvent(discharge('S2', '10', 1, { waterCompany: 'Southern Water', receivingWatercourse: 'Chichester Harbour' }));
+  db.upsertEvent(discharge('A1', '04', 3, { waterCompany: 'Anglian Water', type: 'monitor_offline' }));
+});
+
+afterEach(() => {
+  db.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const sites = result => result.rows.map(e => e.siteId);
+
+test('with no criteria every discharge is returned, newest first', () => {
+  const result = db.query();
+
+  assert.deepEqual(sites(result), ['S2', 'T2', 'T1', 'S1', 'T1']);
+  assert.equal(result.total, 5);
+});
+
+test('a time window keeps events that overlap it', () => {
+  // T1 on the 5th runs to 20:00, so it is still going at 12:00
+  const result = db.query({ from: utc('05') + 4 * HOUR, to: utc('08') });
+
+  assert.deepEqual(sites(result), ['T1']);
+  assert.deepEqual(sites(db.query({ from: utc('08') + 20 * HOUR })), ['S2', 'T2']);
+});
+
+test('company, site, watercourse and type filters combine', () => {
+  assert.deepEqual(sites(db.query({ company: 'Southern Water' })), ['S2', 'S1']);
+  assert.deepEqual(sites(db.query({ company: ['Southern Water', 'Thames Water'], siteId: 'T1' })), ['T1', 'T1']);
+  assert.deepEqual(sites(db.query({ watercourse: 'river n' })), ['S1']);
+  assert.deepEqual(sites(db.query({ type: 'monitor_offline' })), ['A1']);
+});
+
+test('duration bounds are inclusive', () => {
+  assert.deepEqual(sites(db.query({ minDuration: 360, maxDuration: 720 })), ['T1', 'S1']);
+});
+
+test('open events count their duration up to now', () => {
+  db.upsertEvent({ waterCompany: 'Thames Water', siteId: 'T9', startTime: Date.now() - 10 * HOUR, status: 'active' });
+
+  assert.deepEqual(sites(db.query({ status: 'active', minDuration: 9 * 60 })), ['T9']);
+  assert.deepEqual(db.query({ status: 'active', maxDuration: 60 }).rows, []);
+});
+
+test('completed events count their own length, even a zero one', () => {
+  db.upsertEvent(discharge('T8', '12', 0));
+  db.upsertEvent(discharge('T7', '12', 2, { durationMinutes: undefined })); // Older record with no duration
+
+  assert.equal(db.query({ siteId: 'T8' }).rows[0].durationMinutes, 0);
+  assert.deepEqual(sites(db.query({ from: utc('12'), maxDuration: 120 })), ['T8', 'T7']);
+  assert.deepEqual(db.query({ from: utc('12') }).totals.longestMinutes, 120);
+  assert.deepEqual(sites(db.query({ from: utc('12'), sortBy: 'durationMinutes' })), ['T7', 'T8']);
+});
+
+test('results sort by any column in either direction', () => {
+  assert.deepEqual(sites(db.query({ sortBy: 'durationMinutes' })), ['T2', 'T1', 'S1', 'T1', 'S2']);
+  assert.deepEqual(sites(db.query({ sortBy: 'startTime', order: 'asc' })), ['T1', 'S1', 'T1', 'T2', 'S2']);
+
+  // Ties fall back to the newest start
+  assert.deepEqual(sites(db.query({ sortBy: 'waterCompany', order: 'asc' })), ['S2', 'S1', 'T2', 'T1', 'T1']);
+});
+
+test('pages slice the sorted results but totals cover every match', () => {
+  const page = db.query({ limit: 2, offset: 2 });
+
+  assert.deepEqual(sites(page), ['T1', 'S1']);
+  assert.deepEqual([page.total, page.limit, page.offset], [5, 2, 2]);
+  assert.equal(page.totals.events, 5);
+  assert.equal(page.totals.sites, 4);
+  assert.equal(page.totals.durationMinutes, 51 * 60);
+  assert.equal(page.totals.longestMinutes, 30 * 60);
+  assert.deepEqual(page.totals.byCompany['Southern Water'], { events: 2, durationMinutes: 7 * 60 });
+
+  assert.deepEqual(db.query({ limit: 2, offset: 10 }).rows, []);
+});
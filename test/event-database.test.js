@@ -0,0 +1,143 @@
+/**
+ * EventDatabase: upserts, indexes and persistence
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { EventDatabase } from '../src/database/db.js';
+
+const utc = hm => Date.parse(`2026-03-10T${hm}:00Z`);
+
+let dir;
+let db;
+
+function openDatabase() {
+  return new EventDatabase(path.join(dir, 'events.jsonl'), null, path.join(dir, 'transitions'));
+}
+
+function discharge(overrides = {}) {
+  return {
+    waterCompany: 'Thames Water',
+    siteId: 'T1',
+    startTime: utc('08:00'),
+    status: 'active',
+    receivingWatercourse: 'River Thames',
+    ...overrides
+  };
+}
+
+/**
+ * Lines in the journal on disk
+ */
+function journalLines() {
+  return fs.readFileSync(path.join(dir, 'events.jsonl'), 'utf8').trim().split('\n').length;
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shitwatch-db-'));
+  db = openDatabase();
+});
+
+afterEach(() => {
+  db.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('upserting the same site and start time updates one record', () => {
+  const id = db.upsertEvent(discharge());
+  const again = db.upsertEvent(discharge({ status: 'completed', endTime: utc('09:00'), durationMinutes: 60 }));
+
+  assert.equal(again, id);
+  const events = db.getEventsBySite('Thames Water', 'T1');
+  assert.equal(events.length, 1);
+  assert.deepEqual([events[0].status, events[0].endTime, events[0].durationMinutes], ['completed', utc('09:00'), 60]);
+});
+
+test('a new start time is a new record', () => {
+  const first = db.upsertEvent(discharge());
+  const second = db.upsertEvent(discharge({ startTime: utc('10:00') }));
+
+  assert.notEqual(first, second);
+  assert.deepEqual(db.getEventsBySite('Thames Water', 'T1').map(e => e.startTime), [utc('10:00'), utc('08:00')]);
+});
+
+test('types are stored separately for the same site and start', () => {
+  db.upsertEvent(discharge());
+  db.upsertEvent(discharge({ type: 'monitor_offline' }));
+
+  assert.equal(db.getEventsBySite('Thames Water', 'T1').length, 1);
+  assert.equal(db.getEventsBySite('Thames Water', 'T1', 'monitor_offline').length, 1);
+});
+
+test('missing fields are normalised and records default to discharges', () => {
+  db.upsertEvent({ waterCompany: 'Thames Water', siteId: 'T2', startTime: utc('08:00'), status: 'active' });
+
+  const [event] = db.getEventsBySite('Thames Water', 'T2');
+  assert.equal(event.type, 'discharge');
+  assert.equal(event.endTime, null);
+  assert.equal(event.hadMonitorOutage, false);
+  assert.deepEqual(event.dataGaps, []);
+  assert.deepEqual(event.rawData, {});
+});
+
+test('the active index follows status changes', () => {
+  db.upsertEvent(discharge());
+  assert.equal(db.getActiveEvents().length, 1);
+
+  db.upsertEvent(discharge({ status: 'completed', endTime: utc('09:00') }));
+  assert.equal(db.getActiveEvents().length, 0);
+});
+
+test('repeat upserts of an unchanged event are not journalled', () => {
+  db.upsertEvent(discharge());
+  db.upsertEvent(discharge());
+  db.upsertEvent(discharge());
+  assert.equal(journalLines(), 1);
+
+  db.upsertEvent(discharge({ siteName: 'Mogden' }));
+  assert.equal(journalLines(), 2);
+});
+
+test('data gaps are copied, not shared with the caller', () => {
+  const gaps = [{ start: utc('08:30'), end: null, reason: 'feed_error' }];
+  db.upsertEvent(discharge({ dataGaps: gaps }));
+  gaps[0].end = utc('08:45');
+
+  assert.equal(db.getEventsBySite('Thames Water', 'T1')[0].dataGaps[0].end, null);
+});
+
+test('records survive reopening the store', () => {
+  db.upsertEvent(discharge());
+  db.upsertEvent(discharge({ status: 'completed', endTime: utc('09:00'), durationMinutes: 60 }));
+  db.upsertEvent(discharge({ siteId: 'T2' }));
+  db.close();
+
+  db = openDatabase();
+  assert.equal(db.getEventsBySite('Thames Water', 'T1')[0].status, 'completed');
+  assert.deepEqual(db.getActiveEvents().map(e => e.siteId), ['T2']);
+
+  // IDs carry on from where they left off
+  const id = db.upsertEvent(discharge({ siteId: 'T3' }));
+  assert.equal(id, 3);
+});
+
+test('a legacy JSON database is imported once and left in place', () => {
+  const legacyPath = path.join(dir, 'legacy.json');
+  const events = [{ id: 4, ...discharge(), type: 'discharge' }];
+  fs.writeFileSync(legacyPath, JSON.stringify({ nextId: 5, events }));
+  const open = () => new EventDatabase(path.join(dir, 'migrated.jsonl'), legacyPath, path.join(dir, 'transitions'));
+
+  const migrated = open();
+  assert.deepEqual([migrated.events.get(4).siteId, migrated.nextId, migrated.migratedFrom], ['T1', 5, legacyPath]);
+  migrated.upsertEvent(discharge({ siteId: 'T2' }));
+  migrated.close();
+
+  // The legacy file is untouched and not imported over newer records
+  assert.deepEqual(JSON.parse(fs.readFileSync(legacyPath, 'utf8')).events, events);
+  const reopened = open();
+  assert.deepEqual([reopened.events.get(5).siteId, reopened.migratedFrom], ['T2', legacyPath]);
+  reopened.close();
+});
@@ -0,0 +1,109 @@
+/**
+ * EventQueue: ranking, posted ledger and cleanup
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { EventQueue } from '../src/scheduler/event-queue.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINIMUM_SCORE = 100;
+
+// Scores come straight from the event so ordering is easy to set up
+const scorer = {
+  postingConfig: { getSeverity: () => ({ minimumScore: MINIMUM_SCORE }) },
+  score: event => ({ total: event.score, meetsMinimum: event.score >= MINIMUM_SCORE })
+};
+
+let dir;
+let queuePath;
+let queue;
+
+function event(id, score, durationMinutes = 60, endedAgoMs = 60 * 60 * 1000) {
+  return {
+    id,
+    waterCompany: 'Southern Water',
+    siteId: id,
+    score,
+    durationMinutes,
+    endTime: new Date(Date.now() - endedAgoMs).toISOString()
+  };
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shitwatch-queue-'));
+  queuePath = path.join(dir, 'event-queue.jsonl');
+  queue = new EventQueue(queuePath, scorer);
+});
+
+afterEach(() => {
+  queue.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('postable events are ranked by severity, then duration, then most recent', () => {
+  queue.addEvent(event('low', 120));
+  queue.addEvent(event('high', 300));
+  queue.addEvent(event('long', 200, 600));
+  queue.addEvent(event('short', 200, 90));
+  queue.addEvent(event('older', 200, 90, 5 * 60 * 60 * 1000));
+
+  assert.deepEqual(queue.getPostableEvents().map(e => e.id), ['high', 'long', 'short', 'older', 'low']);
+});
+
+test('events under the minimum score are held back', () => {
+  queue.addEvent(event('minor', 40));
+  queue.addEvent(event('major', 250));
+
+  assert.deepEqual(queue.getPostableEvents().map(e => e.id), ['major']);
+  const stats = queue.getStats();
+  assert.deepEqual([stats.unposted, stats.postable, stats.belowMinimum], [2, 1, 1]);
+});
+
+test('an event is only queued once, and never after it was posted', () => {
+  assert.equal(queue.addEvent(event('a', 200)), true);
+  assert.equal(queue.addEvent(event('a', 200)), false);
+
+  queue.markAllAsPosted(['a']);
+  assert.deepEqual(queue.getPostableEvents(), []);
+  assert.equal(queue.addEvent(event('a', 200)), false);
+});
+
+test('queue and posted ledger survive a restart', () => {
+  queue.addEvent(event('a', 200));
+  queue.addEvent(event('b', 200));
+  queue.markAllAsPosted(['a']);
+  queue.close();
+
+  queue = new EventQueue(queuePath, scorer);
+  assert.deepEqual(queue.getPostableEvents().map(e => e.id), ['b']);
+  assert.equal(queue.addEvent(event('a', 200)), false);
+});
+
+test('cleanup drops events that ended over a week ago', () => {
+  queue.addEvent(event('stale', 200, 60, 8 * DAY_MS));
+  queue.addEvent(event('recent', 200, 60, 6 * DAY_MS));
+
+  queue.cleanup();
+  assert.deepEqual(queue.getScoredEvents().map(e => e.id), ['recent']);
+
+  queue.close();
+  queue = new EventQueue(queuePath, scorer);
+  assert.deepEqual(queue.getScoredEvents().map(e => e.id), ['recent']);
+});
+
+test('cleanup forgets posted IDs after 30 days', () => {
+  queue.close();
+  fs.writeFileSync(queuePath, [
+    { op: 'posted', ids: ['old'], at: Date.now() - 31 * DAY_MS },
+    { op: 'posted', ids: ['new'], at: Date.now() - 29 * DAY_MS }
+  ].map(record => JSON.stringify(record)).join('\n') + '\n');
+
+  queue = new EventQueue(queuePath, scorer);
+  queue.cleanup();
+
+  assert.deepEqual([...queue.postedEvents.keys()], ['new']);
+});
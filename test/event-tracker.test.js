@@ -0,0 +1,241 @@
+/**
+ * EventTracker: discharge and monitor state transitions, and polling a feed
+ * that hasn't changed
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { EventTracker } from '../src/monitor/event-tracker.js';
+import { ReplayClock } from '../src/monitor/replay-clock.js';
+import { EventQueue } from '../src/scheduler/event-queue.js';
+import { EventDatabase } from '../src/database/db.js';
+
+const COMPANY = 'Wessex Water';
+const utc = hm => Date.parse(`2026-03-10T${hm}:00Z`);
+
+let dir;
+let clock;
+let queue;
+let db;
+let tracker;
+
+/**
+ * Feed feature in the hub's standard schema
+ */
+function feature(id, status, { statusStart = null, eventStart = null, eventEnd = null } = {}) {
+  return {
+    attributes: {
+      Id: id,
+      Status: status,
+      StatusStart: statusStart,
+      LatestEventStart: eventStart,
+      LatestEventEnd: eventEnd,
+      ReceivingWaterCourse: 'River Avon',
+      Latitude: 51.38,
+      Longitude: -2.36,
+      LastUpdated: clock.now()
+    }
+  };
+}
+
+/**
+ * Process one poll at a time of day
+ */
+async function poll(hm, features, options) {
+  clock.set(utc(hm));
+  return tracker.processFeatures(COMPANY, features, options);
+}
+
+/**
+ * Tracker over the current store, as after a restart
+ */
+function openTracker() {
+  return new EventTracker(queue, null, { db, feedHealthPath: path.join(dir, 'feed-health.json'), clock });
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shitwatch-tracker-'));
+  clock = new ReplayClock(utc('00:00'));
+  queue = new EventQueue(path.join(dir, 'event-queue.jsonl'));
+  db = new EventDatabase(path.join(dir, 'events.jsonl'), null, path.join(dir, 'transitions'));
+  tracker = openTracker();
+});
+
+afterEach(() => {
+  tracker.close();
+  queue.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a discharging site opens one event using the feed start time', async () => {
+  await poll('08:00', [feature('W1', 1, { statusStart: utc('07:45') }), feature('W2', 0)]);
+  await poll('08:15', [feature('W1', 1, { statusStart: utc('07:45') }), feature('W2', 0)]);
+
+  const events = db.getEventsBySite(COMPANY, 'W1');
+  assert.equal(events.length, 1);
+  assert.equal(events[0].status, 'active');
+  assert.equal(events[0].startTime, utc('07:45'));
+  assert.equal(events[0].startSource, 'feed');
+  assert.equal(tracker.activeEvents.size, 1);
+  assert.deepEqual(db.getEventsBySite(COMPANY, 'W2'), []);
+});
+
+test('a site that stops discharging completes at the feed end time and is queued', async () => {
+  await poll('08:00', [feature('W1', 1, { statusStart: utc('07:45') })]);
+  await poll('10:00', [feature('W1', 0, { statusStart: utc('09:30'), eventEnd: utc('09:30') })]);
+
+  const [event] = db.getEventsBySite(COMPANY, 'W1');
+  assert.equal(event.status, 'completed');
+  assert.equal(event.endTime, utc('09:30'));
+  assert.equal(event.endSource, 'feed');
+  assert.equal(event.durationMinutes, 105);
+  assert.equal(tracker.activeEvents.size, 0);
+  assert.deepEqual(queue.getScoredEvents().map(e => e.siteId), ['W1']);
+});
+
+test('without feed timestamps start and end are inferred from polls', async () => {
+  await poll('08:00', [feature('W1', 1)]);
+  await poll('08:30', [feature('W1', 0)]);
+
+  const [event] = db.getEventsBySite(COMPANY, 'W1');
+  assert.deepEqual([event.startTime, event.startSource], [utc('08:00'), 'inferred']);
+  assert.deepEqual([event.endTime, event.endSource], [utc('08:30'), 'inferred']);
+  assert.equal(event.durationMinutes, 30);
+});
+
+test('a site missing from a complete response has ended', async () => {
+  await poll('08:00', [feature('W1', 1, { statusStart: utc('07:50') }), feature('W2', 0)]);
+  await poll('08:15', [feature('W2', 0)]);
+
+  const [event] = db.getEventsBySite(COMPANY, 'W1');
+  assert.equal(event.status, 'completed');
+  assert.equal(event.endTime, utc('08:15'));
+});
+
+test('a site missing from a truncated response is held with a data gap', async () => {
+  await poll('08:00', [feature('W1', 1, { statusStart: utc('07:50') }), feature('W2', 0)]);
+  await poll('08:15', [feature('W2', 0)], { truncated: true });
+
+  const held = tracker.activeEvents.get('wessex_water:W1');
+  assert.equal(held.status, 'active');
+  assert.deepEqual(held.dataGaps, [{ start: utc('08:15'), end: null, reason: 'feed_truncated' }]);
+
+  await poll('08:30', [feature('W1', 1, { statusStart: utc('07:50') }), feature('W2', 0)]);
+  assert.deepEqual(held.dataGaps, [{ start: utc('08:15'), end: utc('08:30'), reason: 'feed_truncated' }]);
+  assert.equal(db.getEventsBySite(COMPANY, 'W1').length, 1);
+});
+
+test('a flickering site records each discharge separately', async () => {
+  await poll('08:00', [feature('W1', 1, { statusStart: utc('07:55') })]);
+  await poll('08:15', [feature('W1', 0, { statusStart: utc('08:05'), eventEnd: utc('08:05') })]);
+  await poll('08:30', [feature('W1', 1, { statusStart: utc('08:20') })]);
+  await poll('08:45', [feature('W1', 0, { statusStart: utc('08:40'), eventEnd: utc('08:40') })]);
+
+  const events = db.getEventsBySite(COMPANY, 'W1').map(e => [e.startTime, e.endTime]);
+  assert.deepEqual(events, [[utc('08:20'), utc('08:40')], [utc('07:55'), utc('08:05')]]);
+});
+
+test('an offline monitor is an outage record and holds the open discharge', async () => {
+  await poll('08:00', [feature('W1', 1, { statusStart: utc('07:45') })]);
+  await poll('09:00', [feature('W1', -1, { statusStart: utc('08:40') })]);
+
+  const held = tracker.activeEvents.get('wessex_water:W1');
+  assert.equal(held.status, 'active');
+  assert.equal(held.hadMonitorOutage, true);
+  const [outage] = db.getActiveEvents('monitor_offline');
+  assert.equal(outage.startTime, utc('08:40'));
+
+  await poll('10:00', [feature('W1', 0, { statusStart: utc('09:50') })]);
+
+  const [closedOutage] = db.getEventsBySite(COMPANY, 'W1', 'monitor_offline');
+  assert.deepEqual([closedOutage.status, closedOutage.endTime, closedOutage.durationMinutes], ['completed', utc('09:50'), 70]);
+
+  // The monitor was down, so when the discharge stopped is a guess
+  const [event] = db.getEventsBySite(COMPANY, 'W1');
+  assert.deepEqual([event.status, event.endTime, event.endSource], ['completed', utc('09:50'), 'inferred']);
+  assert.equal(tracker.activeOutages.size, 0);
+});
+
+test('invalid features are skipped and counted', async () => {
+  const result = await poll('08:00', [
+    feature('W1', 1),
+    { attributes: { Status: 1 } },
+    { attributes: { Id: 'W3', Status: 'unknown' } }
+  ]);
+
+  assert.equal(result.invalidFeatures, 2);
+  assert.equal(result.siteCount, 1);
+  assert.equal(tracker.activeEvents.size, 1);
+});
+
+test('an event that ended while stopped closes on the first poll after a restart', async () => {
+  await poll('08:00', [feature('W1', 1, { statusStart: utc('07:45') })]);
+  tracker.close();
+
+  db = new EventDatabase(path.join(dir, 'events.jsonl'), null, path.join(dir, 'transitions'));
+  tracker = openTracker();
+  assert.equal(tracker.activeEvents.get('wessex_water:W1').rehydrated, true);
+
+  await poll('12:00', [feature('W1', 0, { statusStart: utc('10:10'), eventEnd: utc('10:10') })]);
+
+  const [event] = db.getEventsBySite(COMPANY, 'W1');
+  assert.deepEqual([event.status, event.startTime, event.endTime, event.endSource], ['completed', utc('07:45'), utc('10:10'), 'feed']);
+});
+
+test('a monitor outage after a restart does not split the discharge', async () => {
+  await poll('08:00', [feature('W1', 1, { statusStart: utc('07:45') })]);
+  tracker.close();
+
+  db = new EventDatabase(path.join(dir, 'events.jsonl'), null, path.join(dir, 'transitions'));
+  tracker = openTracker();
+
+  // First poll after the restart sees the monitor offline, then it comes
+  // back still discharging with a new StatusStart
+  await poll('09:00', [feature('W1', -1, { statusStart: utc('08:50') })]);
+  assert.equal(tracker.activeEvents.get('wessex_water:W1').rehydrated, undefined);
+  await poll('09:45', [feature('W1', 1, { statusStart: utc('09:40') })]);
+
+  const events = db.getEventsBySite(COMPANY, 'W1');
+  assert.equal(events.length, 1);
+  assert.deepEqual([events[0].status, events[0].startTime, events[0].hadMonitorOutage], ['active', utc('07:45'), true]);
+  assert.deepEqual(queue.getScoredEvents(), []);
+});
+
+test('a spill block closes on schedule even when the feed has not changed', async () => {
+  const HOUR = 60 * 60 * 1000;
+  const feed = { lastUpdated: 1, features: [] };
+  tracker.close();
+  tracker = new EventTracker(queue, null, {
+    db,
+    feedHealthPath: path.join(dir, 'feed-health.json'),
+    clock,
+    apiClient: {
+      isAvailable: () => true,
+      getLastUpdated: async () => feed.lastUpdated,
+      getAllOverflows: async () => ({ features: feed.features })
+    }
+  });
+  const company = { name: COMPANY, endpoint: 'https://wessex.example/FeatureServer', layerId: 0 };
+  const pollFeed = async (at, status) => {
+    clock.set(utc('00:00') + at * HOUR);
+    if (status !== undefined) {
+      feed.lastUpdated++;
+      feed.features = [feature('W1', status)];
+    }
+    return tracker.pollCompany('wessex_water', company);
+  };
+
+  await pollFeed(0, 1);
+  await pollFeed(1, 0);
+  await pollFeed(35, 0);
+  const [block] = db.getEventsBySite(COMPANY, 'W1', 'spill_block');
+  assert.deepEqual([block.status, block.block.closesAt], ['active', utc('00:00') + 36 * HOUR]);
+
+  // Quiet window over, nothing new in the feed
+  const result = await pollFeed(36.5);
+  assert.equal(result.changed, false);
+  assert.equal(db.getEventsBySite(COMPANY, 'W1', 'spill_block')[0].status, 'completed');
+});
@@ -0,0 +1,163 @@
+/**
+ * Offline stand-ins for the social networks, git publishing and Ollama
+ *
+ * Each records what it was asked to do so tests can assert on it.
+ */
+
+import http from 'http';
+import { SocialPublisher } from '../src/social/social-publisher.js';
+
+/**
+ * Social publisher that keeps posts in memory
+ *
+ * Counts and trims text like the real network it stands in for.
+ */
+export class FakePublisher extends SocialPublisher {
+  /**
+   * @param {string} name - Network key ('twitter', 'bluesky', 'mastodon')
+   * @param {object} options - { fail: error message to return instead of
+   *   posting, capabilities: overrides for the stand-in's capabilities }
+   */
+  constructor(name = 'twitter', { fail = null, capabilities = {} } = {}) {
+    super(name, { maxLength: 280, linkLength: 23, threads: true, maxImages: 4, ...capabilities });
+    this.isConfigured = true;
+    this.fail = fail;
+    this.posts = [];
+    this.media = [];
+    this.threads = [];
+    this.keys = [];
+  }
+
+  async post(text, { media = [], key } = {}) {
+    if (this.fail) {
+      return { success: false, error: this.fail };
+    }
+    this.keys.push(key);
+    this.posts.push(this.fitText(text));
+    this.media.push(media);
+    const id = `${this.name}-${this.posts.length}`;
+    return { success: true, id, url: `https://${this.name}.example/${id}` };
+  }
+
+  async postThread(texts, { key } = {}) {
+    if (this.fail) {
+      return { success: false, error: this.fail };
+    }
+    this.keys.push(key);
+    this.threads.push(texts);
+    const posts = texts.map((text, i) => {
+      const id = `${this.name}-thread-${this.threads.length}-${i + 1}`;
+      return { id, url: `https://${this.name}.example/${id}`, text };
+    });
+    return { success: true, posts, url: posts[0].url };
+  }
+}
+
+/**
+ * GitHubPublisher that records git operations instead of running git
+ */
+export class FakeGitHubPublisher {
+  /**
+   * @param {object} options - { failPush: make push throw }
+   */
+  constructor({ failPush = false } = {}) {
+    this.baseUrl = 'https://example.github.io';
+    this.failPush = failPush;
+    this.added = [];
+    this.commits = [];
+    this.pushes = 0;
+  }
+
+  getUrl(filepath) {
+    return `${this.baseUrl}/${filepath}`;
+  }
+
+  async add(filepath) {
+    this.added.push(filepath);
+    return true;
+  }
+
+  async commit(message) {
+    this.commits.push(message);
+    return true;
+  }
+
+  async push() {
+    if (this.failPush) {
+      throw new Error('push rejected');
+    }
+    this.pushes++;
+    return true;
+  }
+}
+
+/**
+ * Local HTTP server answering Ollama's /api/generate
+ *
+ * @param {string|function} reply - Response text, or (request body) => text
+ * @param {object} options - { status: HTTP status to answer with }
+ * @returns {Promise<object>} - { url, requests, close() }
+ */
+export async function startFakeOllama(reply, { status = 200 } = {}) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const parsed = body ? JSON.parse(body) : {};
+      requests.push({ path: req.url, body: parsed });
+
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      const text = typeof reply === 'function' ? reply(parsed) : reply;
+      res.end(JSON.stringify({ model: parsed.model, response: text, done: true }));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Local HTTP server answering JSON API requests
+ *
+ * JSON request bodies are parsed; anything else (uploads) is kept as a Buffer.
+ *
+ * @param {function} handler - (request) => { status, body, headers } (or a
+ *   promise of it, to answer slowly), where request is { method, path,
+ *   headers, body }
+ * @returns {Promise<object>} - { url, requests, close() }
+ */
+export async function startFakeApi(handler) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => { chunks.push(chunk); });
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks);
+      const isJson = (req.headers['content-type'] || '').includes('json');
+      const body = raw.length === 0 ? null : isJson ? JSON.parse(raw.toString()) : raw;
+      const request = { method: req.method, path: req.url, headers: req.headers, body };
+      requests.push(request);
+
+      Promise.resolve(handler(request)).then(({ status = 200, body: reply = {}, headers = {} }) => {
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(reply));
+      });
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
@@ -0,0 +1,89 @@
+/**
+ * FeatureSchema: field mapping, type coercion and drift warnings
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FeatureSchema } from '../src/api/feature-schema.js';
+import { ArcGISClient } from '../src/api/arcgis-client.js';
+
+const schema = new FeatureSchema('Test Water');
+
+test('each type coerces what the feeds publish, or null', () => {
+  assert.equal(schema.coerce(' SW01 ', 'string'), 'SW01');
+  assert.equal(schema.coerce(42, 'string'), '42');
+  assert.equal(schema.coerce({}, 'string'), null);
+
+  assert.equal(schema.coerce('51.5', 'number'), 51.5);
+  assert.equal(schema.coerce('north', 'number'), null);
+
+  // Milliseconds, epoch seconds and ISO strings
+  assert.equal(schema.coerce(1792303200000, 'timestamp'), 1792303200000);
+  assert.equal(schema.coerce(1792303200, 'timestamp'), 1792303200000);
+  assert.equal(schema.coerce('2026-10-18T06:00:00Z', 'timestamp'), 1792303200000);
+  assert.equal(schema.coerce('yesterday', 'timestamp'), null);
+
+  assert.equal(schema.coerce('1', 'status'), 1);
+  assert.equal(schema.coerce(-1, 'status'), -1);
+  assert.equal(schema.coerce(' Not Discharging ', 'status'), 0);
+  assert.equal(schema.coerce('Offline', 'status'), -1);
+  assert.equal(schema.coerce(2, 'status'), null);
+  assert.equal(schema.coerce('unknown', 'status'), null);
+});
+
+test('features normalize to events, with type problems reported', () => {
+  const { event, issues } = schema.normalize({
+    attributes: { Id: 'T1', Status: 'discharging', StatusStart: 'soon', ReceivingWaterCourse: '', Latitude: 51.5, Longitude: -0.6 }
+  });
+
+  assert.equal(event.siteId, 'T1');
+  assert.equal(event.status, 1);
+  assert.equal(event.statusStart, null);
+  assert.equal(event.receivingWatercourse, null);
+  assert.deepEqual([event.latitude, event.longitude], [51.5, -0.6]);
+  assert.deepEqual(issues, ['statusStart: expected timestamp, got "soon"']);
+
+  assert.deepEqual(schema.normalize({ attributes: { Status: 0 } }).issues, ['siteId: required field missing']);
+});
+
+test('company overrides accept shorthand and keep the default types', () => {
+  const custom = new FeatureSchema('Custom Water', { siteId: ['ID', 'Asset_Reference'], latitude: 'lat' });
+
+  assert.deepEqual(custom.fields.siteId, { fields: ['ID', 'Asset_Reference'], type: 'string', required: true });
+  assert.equal(custom.normalize({ attributes: { Asset_Reference: 7, Status: 1, lat: '52.1' } }).event.siteId, '7');
+  assert.equal(custom.normalize({ attributes: { lat: '52.1' } }).event.latitude, 52.1);
+});
+
+test('point geometry fills in missing coordinates', () => {
+  const { event } = schema.normalize({ attributes: { Id: 'T1', Status: 0 }, geometry: { x: -0.78, y: 50.83 } });
+
+  assert.deepEqual([event.latitude, event.longitude], [50.83, -0.78]);
+});
+
+test('geometry is always requested in WGS84, so x/y are degrees', () => {
+  const url = new URL(new ArcGISClient().buildQueryUrl('https://example.com/FeatureServer', 0, { additionalParams: { resultOffset: '0' } }));
+
+  assert.equal(url.searchParams.get('outSR'), '4326');
+});
+
+test('drift lists missing fields and suggests likely renames', () => {
+  const features = [
+    { attributes: { ID: 'T1', Status: 1, Status_Start: 1, LatestEventStart: 1, LatestEventEnd: 1, ReceivingWaterCourse: 'x', Latitude: 1, Longitude: 1 } },
+    { attributes: { ID: 'T2', Status: 0, LastUpdated: 1 } }
+  ];
+
+  assert.deepEqual(schema.checkDrift(features), [
+    'required field siteId (Id) missing - possibly renamed to ID',
+    'optional field statusStart (StatusStart) missing - possibly renamed to Status_Start'
+  ]);
+});
+
+test('fields marked warnIfMissing: false, and empty batches, give no warnings', () => {
+  const complete = {
+    attributes: { Id: 'T1', Status: 1, StatusStart: 1, LatestEventStart: 1, LatestEventEnd: 1, ReceivingWaterCourse: 'x', Latitude: 1, Longitude: 1, LastUpdated: 1 }
+  };
+
+  // siteName is optional and has no warning
+  assert.deepEqual(schema.checkDrift([complete]), []);
+  assert.deepEqual(schema.checkDrift([]), []);
+});
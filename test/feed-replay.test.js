@@ -0,0 +1,196 @@
+/**
+ * Feed record and replay: recorded ArcGIS responses played back through
+ * the EventTracker on a replayed clock
+ *
+ * fixtures/southern-water-2026-10-18.jsonl is a Southern Water recording
+ * polled every 15 minutes from 06:00 to 14:00Z with:
+ *   SW0001 - discharging 07:40-13:32, across a feed outage (503) at 12:00
+ *   SW0002 - flickering: discharges 08:55-09:05 and 09:20-09:35
+ *   SW0003 - monitor offline 09:50-10:58
+ *   SW0004 - never discharges
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { EventTracker } from '../src/monitor/event-tracker.js';
+import { FeedReplay } from '../src/monitor/feed-replay.js';
+import { ReplayClock } from '../src/monitor/replay-clock.js';
+import { ReplayClient } from '../src/api/replay-client.js';
+import { RecordingClient } from '../src/api/recording-client.js';
+import { EventQueue } from '../src/scheduler/event-queue.js';
+import { EventDatabase } from '../src/database/db.js';
+import { WATER_COMPANIES } from '../config.js';
+
+const FIXTURE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures/southern-water-2026-10-18.jsonl');
+const SOUTHERN = WATER_COMPANIES.southern_water;
+
+const utc = hm => Date.parse(`2026-10-18T${hm}:00Z`);
+
+let dir;
+let closers;
+
+/**
+ * Tracker wired to a replay of a recording, with its state in the temp dir
+ */
+function createReplay(recording = FIXTURE) {
+  const clock = new ReplayClock();
+  const client = new ReplayClient(recording, { clock });
+  const eventQueue = new EventQueue(path.join(dir, 'event-queue.jsonl'));
+  const db = new EventDatabase(path.join(dir, 'events.jsonl'), null, path.join(dir, 'transitions'));
+  const tracker = new EventTracker(eventQueue, null, {
+    db,
+    feedHealthPath: path.join(dir, 'feed-health.json'),
+    apiClient: client,
+    clock
+  });
+
+  closers.push(() => tracker.close(), () => eventQueue.close());
+  return { clock, client, eventQueue, db, tracker, replay: new FeedReplay(tracker, client, { speed: Infinity }) };
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shitwatch-replay-'));
+  closers = [];
+});
+
+afterEach(() => {
+  for (const close of closers) {
+    close();
+  }
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('replays a recorded day of starts, ends, flickers and outages', async () => {
+  const { db, tracker, eventQueue, replay } = createReplay();
+
+  const summary = await replay.run();
+  assert.equal(summary.polls, 33);
+  assert.deepEqual(summary.results.filter(r => !r.success).map(r => r.time), [utc('12:00') + 3400]);
+
+  // Long discharge, held through the feed outage and closed at the feed's end time
+  const [long] = db.getEventsBySite('Southern Water', 'SW0001');
+  assert.equal(long.status, 'completed');
+  assert.equal(long.startTime, utc('07:40'));
+  assert.equal(long.endTime, utc('13:32'));
+  assert.equal(long.endSource, 'feed');
+  assert.equal(long.durationMinutes, 352);
+  assert.deepEqual(long.dataGaps.map(gap => [gap.reason, gap.start, gap.end]),
+    [['feed_error', utc('12:00') + 3400, utc('12:15') + 2100]]);
+
+  // Flicker: two separate discharges
+  const flicker = db.getEventsBySite('Southern Water', 'SW0002')
+    .sort((a, b) => a.startTime - b.startTime)
+    .map(e => [e.startTime, e.endTime, e.durationMinutes]);
+  assert.deepEqual(flicker, [[utc('08:55'), utc('09:05'), 10], [utc('09:20'), utc('09:35'), 15]]);
+
+  // Monitor outage is its own record, not a discharge
+  assert.deepEqual(db.getEventsBySite('Southern Water', 'SW0003'), []);
+  const [outage] = db.getEventsBySite('Southern Water', 'SW0003', 'monitor_offline');
+  assert.equal(outage.startTime, utc('09:50'));
+  assert.equal(outage.endTime, utc('10:58'));
+  assert.equal(outage.durationMinutes, 68);
+
+  assert.deepEqual(db.getEventsBySite('Southern Water', 'SW0004'), []);
+  assert.equal(tracker.activeEvents.size, 0);
+  assert.equal(tracker.activeOutages.size, 0);
+  assert.equal(eventQueue.getScoredEvents().length, 3);
+});
+
+test('stopping part-way leaves the tracker as it was at that time', async () => {
+  const { client, clock, tracker, db } = createReplay();
+
+  const polls = client.getPolls().filter(poll => poll.time < utc('12:10'));
+  for (const poll of polls) {
+    clock.set(poll.time);
+    await tracker.checkCompany('southern_water', SOUTHERN);
+  }
+
+  const open = tracker.activeEvents.get('southern_water:SW0001');
+  assert.equal(open.startTime, utc('07:40'));
+  assert.equal(open.dataGaps.at(-1).end, null);
+  assert.equal(db.getEventsBySite('Southern Water', 'SW0002').length, 2);
+});
+
+test('recorded responses and failures replay by time', async () => {
+  const recordingsDir = path.join(dir, 'recordings');
+  const recorder = new RecordingClient(recordingsDir, { maxRetries: 0 });
+  closers.push(() => recorder.close());
+
+  const responses = [
+    { features: [{ attributes: { Id: 'A', Status: 1 } }] },
+    null, // 503
+    { features: [{ attributes: { Id: 'A', Status: 0 } }] }
+  ];
+  const times = [];
+  recorder.fetchJson = async () => {
+    const response = responses.shift();
+    if (!response) {
+      const error = new Error('HTTP error! status: 503');
+      error.transient = true;
+      throw error;
+    }
+    return response;
+  };
+
+  for (let i = 0; i < 3; i++) {
+    await recorder.queryLayer(SOUTHERN.endpoint, 0).catch(() => {});
+    times.push(Date.now());
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  recorder.close();
+
+  const [file] = fs.readdirSync(recordingsDir);
+  assert.match(file, /^\d{4}-\d{2}-\d{2}\.jsonl$/);
+
+  const clock = new ReplayClock();
+  const client = new ReplayClient(path.join(recordingsDir, file), { clock });
+
+  clock.set(times[0]);
+  assert.equal((await client.queryLayer(SOUTHERN.endpoint, 0)).features[0].attributes.Status, 1);
+
+  clock.set(times[1]);
+  await assert.rejects(client.queryLayer(SOUTHERN.endpoint, 0), /status: 503/);
+
+  clock.set(times[2]);
+  const last = await client.getAllOverflows(SOUTHERN.endpoint, 0);
+  assert.equal(last.features[0].attributes.Status, 0);
+  assert.equal(last.truncated, false);
+
+  // A query that was never made can't be answered
+  await assert.rejects(client.queryLayer(SOUTHERN.endpoint, 0, { where: 'Status = 1' }), /No recorded response/);
+});
+
+test('replay clock only moves forward', () => {
+  const clock = new ReplayClock(utc('10:00'));
+  clock.set(utc('09:00'));
+  assert.equal(clock.now(), utc('10:00'));
+  clock.set(utc('11:00'));
+  assert.equal(clock.now(), utc('11:00'));
+});
+
+test('requests close together form one poll, timed by their last response', () => {
+  const client = new ReplayClient([
+    { at: utc('10:00') + 20000, endpoint: 'b', url: 'b1', response: {} },
+    { at: utc('10:00'), endpoint: 'a', url: 'a1', response: {} },
+    { at: utc('10:00') + 5000, endpoint: 'a', url: 'a2', response: {} },
+    { at: utc('10:15'), endpoint: 'a', url: 'a1', error: { message: 'timeout', transient: true } }
+  ]);
+
+  assert.deepEqual(client.getPolls().map(poll => [poll.endpoint, poll.time, poll.requests]), [
+    ['a', utc('10:00') + 5000, 2],
+    ['b', utc('10:00') + 20000, 1],
+    ['a', utc('10:15'), 1]
+  ]);
+});
+
+test('replay speed scales the wait between polls', () => {
+  const replay = new FeedReplay(null, null, { speed: 60 });
+  assert.equal(replay.getDelayMs(utc('10:00'), utc('11:00')), 60 * 1000);
+
+  replay.speed = Infinity;
+  assert.equal(replay.getDelayMs(utc('10:00'), utc('11:00')), 0);
+});
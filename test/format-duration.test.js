@@ -0,0 +1,74 @@
+/**
+ * The formatDuration implementations
+ *
+ * Each output format is used somewhere different (tweets, cycle pages,
+ * AI prompts, logs, map images), so each one is pinned separately.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PostScheduler } from '../src/scheduler/post-scheduler.js';
+import { EventQueue } from '../src/scheduler/event-queue.js';
+import { CycleGenerator } from '../src/data-generator/cycle-generator.js';
+import { AISummarizer } from '../src/data-generator/ai-summarizer.js';
+import { WeeklySummary } from '../src/data-generator/weekly-summary.js';
+import { PostGenerator } from '../src/social/post-generator.js';
+import { MapRenderer } from '../src/map/map-renderer.js';
+
+// None of them depend on instance state
+const format = (Class, minutes) => Class.prototype.formatDuration.call(null, minutes);
+
+const MINUTES = [0, 1, 45, 60, 61, 135, 1440, 1441, 1500, 1505, 2880, 3000];
+
+/**
+ * Outputs for every sample duration
+ */
+function outputs(Class) {
+  return Object.fromEntries(MINUTES.map(minutes => [minutes, format(Class, minutes)]));
+}
+
+test('PostScheduler (tweets): days, hours and minutes, dropping zero parts', () => {
+  assert.deepEqual(outputs(PostScheduler), {
+    0: '0h', 1: '0h 1m', 45: '0h 45m', 60: '1h', 61: '1h 1m', 135: '2h 15m',
+    1440: '1d 0h', 1441: '1d 0h 1m', 1500: '1d 1h', 1505: '1d 1h 5m', 2880: '2d 0h', 3000: '2d 2h'
+  });
+});
+
+test('MapRenderer (map images): the same as the cycle tweet it is attached to', () => {
+  assert.deepEqual(outputs(MapRenderer), outputs(PostScheduler));
+});
+
+test('EventQueue (logs): always two units', () => {
+  assert.deepEqual(outputs(EventQueue), {
+    0: '0h 0m', 1: '0h 1m', 45: '0h 45m', 60: '1h 0m', 61: '1h 1m', 135: '2h 15m',
+    1440: '1d 0h', 1441: '1d 0h', 1500: '1d 1h', 1505: '1d 1h', 2880: '2d 0h', 3000: '2d 2h'
+  });
+});
+
+test('CycleGenerator (cycle pages): every non-zero part after days', () => {
+  assert.deepEqual(outputs(CycleGenerator), {
+    0: '0h', 1: '0h 1m', 45: '0h 45m', 60: '1h', 61: '1h 1m', 135: '2h 15m',
+    1440: '1d', 1441: '1d', 1500: '1d 1h', 1505: '1d 1h 5m', 2880: '2d', 3000: '2d 2h'
+  });
+});
+
+test('WeeklySummary (weekly thread): days and hours, or hours and minutes', () => {
+  assert.deepEqual(outputs(WeeklySummary), {
+    0: '0h', 1: '0h 1m', 45: '0h 45m', 60: '1h', 61: '1h 1m', 135: '2h 15m',
+    1440: '1d', 1441: '1d', 1500: '1d 1h', 1505: '1d 1h', 2880: '2d', 3000: '2d 2h'
+  });
+});
+
+test('AISummarizer (prompts): whole days and hours in words', () => {
+  assert.deepEqual(outputs(AISummarizer), {
+    0: '0 hour', 1: '0 hour', 45: '0 hour', 60: '1 hour', 61: '1 hour', 135: '2 hours',
+    1440: '1 day', 1441: '1 day', 1500: '1 day 1 hour', 1505: '1 day 1 hour', 2880: '2 days', 3000: '2 days 2 hours'
+  });
+});
+
+test('PostGenerator (per-event posts): minutes under an hour, then hours', () => {
+  assert.deepEqual(outputs(PostGenerator), {
+    0: '0min', 1: '1min', 45: '45min', 60: '1h', 61: '1h 1m', 135: '2h 15m',
+    1440: '24h', 1441: '24h 1m', 1500: '25h', 1505: '25h 5m', 2880: '48h', 3000: '50h'
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * LondonTime: wall-clock conversions across the 2026 DST changes
+ *
+ * Spring forward: 2026-03-29 01:00 GMT → 02:00 BST
+ * Fall back:      2026-10-25 02:00 BST → 01:00 GMT
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LondonTime } from '../src/scheduler/london-time.js';
+
+const clock = new LondonTime();
+const utc = iso => Date.parse(iso);
+
+test('offset is GMT in winter and BST in summer', () => {
+  assert.equal(clock.offsetMs(utc('2026-01-15T12:00:00Z')), 0);
+  assert.equal(clock.offsetMs(utc('2026-07-15T12:00:00Z')), 60 * 60 * 1000);
+});
+
+test('offset changes at 01:00 UTC on both transition days', () => {
+  assert.equal(clock.offsetMs(utc('2026-03-29T00:59:59Z')), 0);
+  assert.equal(clock.offsetMs(utc('2026-03-29T01:00:00Z')), 60 * 60 * 1000);
+  assert.equal(clock.offsetMs(utc('2026-10-25T00:59:59Z')), 60 * 60 * 1000);
+  assert.equal(clock.offsetMs(utc('2026-10-25T01:00:00Z')), 0);
+});
+
+test('wall-clock times on the spring-forward day', () => {
+  assert.equal(clock.toTimestamp(2026, 3, 29, 0, 30), utc('2026-03-29T00:30:00Z'));
+  assert.equal(clock.toTimestamp(2026, 3, 29, 2, 30), utc('2026-03-29T01:30:00Z'));
+  assert.equal(clock.toTimestamp(2026, 3, 29, 9, 0), utc('2026-03-29T08:00:00Z'));
+});
+
+test('a time skipped by spring forward moves an hour later', () => {
+  // 01:30 doesn't exist in London on 29 March - it becomes 02:30 BST
+  assert.equal(clock.toTimestamp(2026, 3, 29, 1, 30), utc('2026-03-29T01:30:00Z'));
+  assert.equal(clock.format(clock.toTimestamp(2026, 3, 29, 1, 30), { hour: '2-digit', minute: '2-digit' }), '02:30');
+});
+
+test('wall-clock times on the fall-back day', () => {
+  assert.equal(clock.toTimestamp(2026, 10, 25, 0, 30), utc('2026-10-24T23:30:00Z'));
+  assert.equal(clock.toTimestamp(2026, 10, 25, 9, 0), utc('2026-10-25T09:00:00Z'));
+});
+
+test('a time repeated by fall back resolves to the first occurrence', () => {
+  // 01:30 happens at 00:30Z (BST) and again at 01:30Z (GMT)
+  assert.equal(clock.toTimestamp(2026, 10, 25, 1, 30), utc('2026-10-25T00:30:00Z'));
+});
+
+test('calendar day follows London, not UTC', () => {
+  // 23:30Z on Saturday 24 October is 00:30 BST on Sunday
+  const time = utc('2026-10-24T23:30:00Z');
+  assert.equal(clock.dateKey(time), '2026-10-25');
+  assert.equal(clock.weekday(time), 0);
+
+  // In winter London and UTC agree
+  assert.equal(clock.dateKey(utc('2026-03-28T23:30:00Z')), '2026-03-28');
+  assert.equal(clock.weekday(utc('2026-03-28T23:30:00Z')), 6);
+});
+
+test('startOfDay is London midnight either side of a transition', () => {
+  assert.equal(clock.startOfDay(utc('2026-03-29T12:00:00Z')), utc('2026-03-29T00:00:00Z'));
+  assert.equal(clock.startOfDay(utc('2026-03-30T12:00:00Z')), utc('2026-03-29T23:00:00Z'));
+  assert.equal(clock.startOfDay(utc('2026-10-25T12:00:00Z')), utc('2026-10-24T23:00:00Z'));
+  assert.equal(clock.startOfDay(utc('2026-10-26T12:00:00Z')), utc('2026-10-26T00:00:00Z'));
+});
+
+test('addDays crosses month and year ends', () => {
+  assert.deepEqual(clock.addDays({ year: 2026, month: 10, day: 31 }, 1), { year: 2026, month: 11, day: 1, weekday: 0 });
+  assert.deepEqual(clock.addDays({ year: 2026, month: 12, day: 31 }, 1), { year: 2027, month: 1, day: 1, weekday: 5 });
+});
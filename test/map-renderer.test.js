@@ -0,0 +1,124 @@
+/**
+ * MapRenderer: PNG encoding, projection, marker sizing and colouring, and
+ * which events make it onto the map
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { MapRenderer } from '../src/map/map-renderer.js';
+import { Raster } from '../src/map/raster.js';
+
+const WIDTH = 600;
+const HEIGHT = 340;
+
+// Roughly Reading (inland) and a point in the North Sea
+const INLAND = { longitude: -0.97, latitude: 51.45 };
+const SEA = { longitude: 1.6, latitude: 54.5 };
+
+const event = (durationMinutes, at = INLAND) => ({
+  waterCompany: 'Thames Water',
+  receivingWatercourse: 'River Kennet',
+  durationMinutes,
+  ...at
+});
+
+/**
+ * Chunks of a PNG as { type, data }
+ */
+function readChunks(png) {
+  const chunks = [];
+  for (let offset = 8; offset < png.length;) {
+    const length = png.readUInt32BE(offset);
+    chunks.push({ type: png.toString('ascii', offset + 4, offset + 8), data: png.subarray(offset + 8, offset + 8 + length) });
+    offset += 12 + length;
+  }
+  return chunks;
+}
+
+/**
+ * RGB of one pixel in a PNG written by Raster (filter type 0 on every row)
+ */
+function pixelAt(png, x, y) {
+  const [header] = readChunks(png);
+  const width = header.data.readUInt32BE(0);
+  const idat = Buffer.concat(readChunks(png).filter(chunk => chunk.type === 'IDAT').map(chunk => chunk.data));
+  const raw = zlib.inflateSync(idat);
+  const i = y * (width * 3 + 1) + 1 + x * 3;
+  return [raw[i], raw[i + 1], raw[i + 2]];
+}
+
+test('renders a valid RGB PNG of the configured size', () => {
+  const image = new MapRenderer({ width: WIDTH, height: HEIGHT }).renderCycle([event(600)]);
+
+  assert.equal(image.mimeType, 'image/png');
+  assert.deepEqual(image.data.subarray(0, 8), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+
+  const chunks = readChunks(image.data);
+  assert.deepEqual(chunks.map(chunk => chunk.type), ['IHDR', 'IDAT', 'IEND']);
+  assert.equal(chunks[0].data.readUInt32BE(0), WIDTH);
+  assert.equal(chunks[0].data.readUInt32BE(4), HEIGHT);
+  assert.equal(chunks[0].data[9], 2);
+  assert.equal(zlib.inflateSync(chunks[1].data).length, HEIGHT * (1 + WIDTH * 3));
+  assert.deepEqual([image.width, image.height], [WIDTH, HEIGHT]);
+});
+
+test('markers are drawn at the projected position in the duration colour', () => {
+  const renderer = new MapRenderer({ width: WIDTH, height: HEIGHT });
+  const image = renderer.renderCycle([event(30 * 60)]);
+  const [x, y] = renderer.project(INLAND.longitude, INLAND.latitude).map(Math.floor);
+
+  // Blended over the land at 85%
+  const [r, g, b] = pixelAt(image.data, x, y);
+  const expected = renderer.markerColor(30 * 60);
+  assert.ok(Math.abs(r - expected[0]) < 20 && Math.abs(g - expected[1]) < 40 && Math.abs(b - expected[2]) < 40, `got ${[r, g, b]}`);
+});
+
+test('land and sea are shaded differently', () => {
+  const renderer = new MapRenderer({ width: WIDTH, height: HEIGHT });
+  const image = renderer.renderEvent(event(60, { longitude: -3.5, latitude: 50.9 }));
+
+  const land = pixelAt(image.data, ...renderer.project(-1.5, 52.5).map(Math.floor));
+  const sea = pixelAt(image.data, ...renderer.project(SEA.longitude, SEA.latitude).map(Math.floor));
+  assert.notDeepEqual(land, sea);
+  assert.ok(land[0] > sea[0], 'land is the warmer colour');
+});
+
+test('events without coordinates, or off the map, are left out', () => {
+  const renderer = new MapRenderer({ width: WIDTH, height: HEIGHT });
+
+  assert.equal(renderer.renderCycle([event(60, { latitude: null, longitude: null })]), null);
+  assert.equal(renderer.renderEvent(event(60, { longitude: -8, latitude: 40 })), null);
+
+  const image = renderer.renderCycle([event(600), event(60, { latitude: null, longitude: null })]);
+  assert.match(image.altText, /marking 1 of the 2 sewage discharges/);
+  assert.match(image.altText, /Worst: Thames Water into River Kennet for 10h\./);
+});
+
+test('alt text describes a single event', () => {
+  const image = new MapRenderer({ width: WIDTH, height: HEIGHT }).renderEvent(event(1505));
+
+  assert.equal(image.altText, 'Map of England and Wales marking a sewage discharge. Thames Water into River Kennet for 1d 1h 5m.');
+});
+
+test('markers grow with duration up to a cap, and darken past six hours and a day', () => {
+  const renderer = new MapRenderer({ width: WIDTH, height: HEIGHT });
+  const radii = [0, 60, 6 * 60, 24 * 60, 72 * 60, 1000 * 60].map(minutes => renderer.markerRadius(minutes));
+
+  assert.deepEqual(radii, [...radii].sort((a, b) => a - b));
+  assert.equal(radii[0], 5);
+  assert.equal(radii[5], 38);
+
+  const colors = [5 * 60, 6 * 60, 23 * 60, 24 * 60].map(minutes => renderer.markerColor(minutes));
+  assert.notDeepEqual(colors[0], colors[1]);
+  assert.deepEqual(colors[1], colors[2]);
+  assert.notDeepEqual(colors[2], colors[3]);
+});
+
+test('text outside the font is drawn as ? without breaking the width', () => {
+  const raster = new Raster(10, 10);
+
+  assert.equal(raster.toFontText('Wessex – Afon Tâf 🚨'), 'WESSEX - AFON TAF ?');
+  assert.equal(raster.textWidth('AB', 2), 2 * 6 * 2 - 2);
+  assert.equal(raster.textWidth(''), 0);
+});
@@ -0,0 +1,151 @@
+/**
+ * PollScheduler: per-company intervals, jitter, backoff after failures and
+ * one poll at a time per company, on mocked timers
+ */
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { PollScheduler } from '../src/monitor/poll-scheduler.js';
+
+const MINUTE = 60 * 1000;
+
+const COMPANIES = {
+  thames_water: { name: 'Thames Water', endpoint: 'https://example.com/thames', updateFrequencyMinutes: 5 },
+  anglian_water: { name: 'Anglian Water', endpoint: 'https://example.com/anglian', updateFrequencyMinutes: 60 }
+};
+
+/**
+ * Stand-in for the EventTracker that answers checkCompany with queued results
+ */
+function createTracker() {
+  return {
+    activeEvents: new Map(),
+    completedCount: 0,
+    eventQueue: { getPostableEvents: () => [] },
+    apiClient: { getBreaker: () => ({ getState: () => ({ state: 'closed' }) }) },
+    logSummary() {},
+    calls: [],
+    results: [],
+    async checkCompany(key) {
+      this.calls.push(key);
+      const next = this.results.shift() || { success: true, changed: false };
+      return typeof next === 'function' ? next() : next;
+    }
+  };
+}
+
+/**
+ * Let pending promise callbacks run
+ */
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+let scheduler;
+let tracker;
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  mock.method(Math, 'random', () => 0.5); // No jitter
+  mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  tracker = createTracker();
+  scheduler = new PollScheduler(tracker, { thames_water: COMPANIES.thames_water });
+});
+
+afterEach(() => {
+  scheduler.stop();
+  mock.timers.reset();
+  mock.restoreAll();
+});
+
+test('intervals follow each feed, but never faster than the poll floor', () => {
+  assert.equal(scheduler.getIntervalMs(COMPANIES.thames_water), 5 * MINUTE);
+  assert.equal(scheduler.getIntervalMs(COMPANIES.anglian_water), 60 * MINUTE);
+  assert.equal(scheduler.getIntervalMs({ updateFrequencyMinutes: 0.1 }), MINUTE);
+  assert.equal(scheduler.getIntervalMs({}), 15 * MINUTE);
+});
+
+test('backoff doubles with each failure up to an hour', () => {
+  assert.deepEqual([1, 2, 3, 4].map(failures => scheduler.getBackoffMs(failures)), [MINUTE, 2 * MINUTE, 4 * MINUTE, 8 * MINUTE]);
+  assert.equal(scheduler.getBackoffMs(20), 60 * MINUTE);
+});
+
+test('jitter spreads a delay by up to 10% either way', () => {
+  Math.random.mock.mockImplementation(() => 0);
+  assert.equal(scheduler.withJitter(10 * MINUTE), 9 * MINUTE);
+  Math.random.mock.mockImplementation(() => 0.999999);
+  assert.equal(scheduler.withJitter(10 * MINUTE), 11 * MINUTE);
+});
+
+test('first polls are staggered across the first minute', () => {
+  scheduler = new PollScheduler(tracker, COMPANIES);
+  scheduler.start();
+
+  mock.timers.tick(0);
+  assert.deepEqual(tracker.calls, ['thames_water']);
+  mock.timers.tick(30 * 1000);
+  assert.deepEqual(tracker.calls, ['thames_water', 'anglian_water']);
+});
+
+test('failures back off, and a success returns to the normal interval', async () => {
+  tracker.results.push({ success: false, error: 'HTTP 500' }, { success: false, error: 'HTTP 500' }, { success: true, changed: true, featureCount: 3 });
+  scheduler.start();
+
+  mock.timers.tick(0);
+  await settle();
+  assert.equal(scheduler.state.get('thames_water').failures, 1);
+  assert.equal(scheduler.state.get('thames_water').nextPoll - Date.now(), MINUTE);
+
+  mock.timers.tick(MINUTE);
+  await settle();
+  assert.equal(scheduler.state.get('thames_water').failures, 2);
+  assert.equal(scheduler.state.get('thames_water').nextPoll - Date.now(), 2 * MINUTE);
+
+  mock.timers.tick(2 * MINUTE);
+  await settle();
+  assert.equal(scheduler.state.get('thames_water').failures, 0);
+  assert.equal(scheduler.state.get('thames_water').nextPoll - Date.now(), 5 * MINUTE);
+  assert.equal(tracker.calls.length, 3);
+});
+
+test('an open circuit waits for the breaker trial window instead of backing off', async () => {
+  tracker.results.push(() => ({ success: false, circuitOpen: true, retryAt: new Date(Date.now() + 15 * MINUTE).toISOString() }));
+  scheduler.start();
+
+  mock.timers.tick(0);
+  await settle();
+
+  const state = scheduler.state.get('thames_water');
+  assert.equal(state.failures, 0);
+  assert.equal(state.nextPoll - Date.now(), 16 * MINUTE);
+});
+
+test('a slow poll is never overlapped by the next one', async () => {
+  let finish;
+  tracker.results.push(() => new Promise(resolve => { finish = resolve; }));
+  scheduler.start();
+
+  mock.timers.tick(0);
+  mock.timers.tick(30 * MINUTE);
+  await settle();
+  assert.equal(tracker.calls.length, 1);
+
+  // The next poll is an interval after this one finished
+  finish({ success: true, changed: false });
+  await settle();
+  mock.timers.tick(5 * MINUTE - 1);
+  assert.equal(tracker.calls.length, 1);
+  mock.timers.tick(1);
+  assert.equal(tracker.calls.length, 2);
+});
+
+test('a poll that throws counts as a failure', async () => {
+  tracker.results.push(() => { throw new Error('boom'); });
+  scheduler.start();
+
+  mock.timers.tick(0);
+  await settle();
+
+  const state = scheduler.state.get('thames_water');
+  assert.deepEqual([state.failures, state.lastResult], [1, { success: false, error: 'boom' }]);
+  assert.equal(scheduler.getStatus().thames_water.failures, 1);
+});
@@ -0,0 +1,114 @@
+/**
+ * PostGenerator: validating and cleaning model output, against a fake Ollama
+ */
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PostGenerator } from '../src/social/post-generator.js';
+import { startFakeOllama } from './fakes.js';
+
+const GOOD_TWEET = `Southern Water dumped sewage into River Lavant for 5h 52m.
+https://maps.google.com/?q=50.8381,-0.8153
+#SewageScandal #WaterPollution`;
+
+const EVENT = {
+  waterCompany: 'Southern Water',
+  siteId: 'SW0001',
+  receivingWatercourse: 'River Lavant',
+  latitude: 50.8381,
+  longitude: -0.8153,
+  startTime: Date.parse('2026-10-18T07:40:00Z'),
+  endTime: Date.parse('2026-10-18T13:32:00Z'),
+  durationMinutes: 352
+};
+
+let dir;
+let generator;
+let ollama = null;
+
+beforeEach(() => {
+  // Generation logs every attempt; heavy stdout can garble Node 20's test runner
+  mock.method(console, 'log', () => {});
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shitwatch-posts-'));
+  generator = new PostGenerator({ postsDir: dir });
+});
+
+afterEach(async () => {
+  if (ollama) {
+    await ollama.close();
+    ollama = null;
+  }
+  fs.rmSync(dir, { recursive: true, force: true });
+  mock.restoreAll();
+});
+
+test('a tweet needs sewage, a map link and a hashtag', () => {
+  assert.equal(generator.isValidTweet(GOOD_TWEET), true);
+  assert.equal(generator.isValidTweet(GOOD_TWEET.replace('dumped sewage', 'released water').replace('#SewageScandal', '#Rivers')), false);
+  assert.equal(generator.isValidTweet(GOOD_TWEET.replace('maps.google.com', 'example.com')), false);
+  assert.equal(generator.isValidTweet(GOOD_TWEET.replace(/#\w+/g, '')), false);
+
+  // "dumped" on its own is enough
+  assert.equal(generator.isValidTweet(GOOD_TWEET.replace('dumped sewage', 'dumped waste').replace('#SewageScandal', '#Rivers')), true);
+});
+
+test('code, greetings and explanations are rejected', () => {
+  for (const junk of ['print("hi")', '```js', 'def tweet():', 'Hello! ', "I'm here to help.", 'To solve this,', '### Tweet', 'Approach:', 'A Python program']) {
+    assert.equal(generator.isValidTweet(`${junk}\n${GOOD_TWEET}`), false, junk);
+  }
+});
+
+test('cleaning strips quotes and trailing notes', () => {
+  assert.equal(generator.cleanGeneratedText(`"${GOOD_TWEET}"`), GOOD_TWEET);
+  assert.equal(generator.cleanGeneratedText(`${GOOD_TWEET}\n(Note: 180 characters)`), GOOD_TWEET);
+  assert.equal(generator.cleanGeneratedText(`  ${GOOD_TWEET}  \n`), GOOD_TWEET);
+});
+
+test('cleaning rejects invalid output', () => {
+  assert.equal(generator.cleanGeneratedText('Hello! Here is your tweet.'), null);
+});
+
+test('an over-long tweet keeps only two hashtags', () => {
+  const long = `Southern Water dumped sewage into ${'a very long river name '.repeat(9)}for 5h.
+https://maps.google.com/?q=50.8381,-0.8153
+#SewageScandal #WaterPollution #EndSewagePollution #CleanWaterNow`;
+
+  const cleaned = generator.cleanGeneratedText(long);
+  assert.equal(cleaned.split('\n').pop(), '#SewageScandal #WaterPollution');
+});
+
+test('a generated post is cleaned and archived', async () => {
+  ollama = await startFakeOllama(`"${GOOD_TWEET}"`);
+  generator.ollamaUrl = ollama.url;
+
+  const result = await generator.generatePost(EVENT, null);
+
+  assert.equal(result.success, true);
+  assert.equal(result.post, GOOD_TWEET);
+  assert.ok(fs.readFileSync(result.filepath, 'utf8').includes(GOOD_TWEET));
+  assert.equal(ollama.requests[0].path, '/api/generate');
+  assert.match(ollama.requests[0].body.prompt, /Southern Water dumped sewage into River Lavant for 5h 52m/);
+});
+
+test('invalid model output fails without archiving', async () => {
+  ollama = await startFakeOllama('```python\nprint("Southern Water dumped sewage")\n```');
+  generator.ollamaUrl = ollama.url;
+
+  const result = await generator.generatePost(EVENT, null);
+
+  assert.equal(result.success, false);
+  assert.deepEqual(fs.readdirSync(dir), []);
+});
+
+test('an Ollama error is returned, not thrown', async () => {
+  ollama = await startFakeOllama('', { status: 500 });
+  generator.ollamaUrl = ollama.url;
+
+  const result = await generator.generatePost(EVENT, null);
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /Ollama API error: 500/);
+});
@@ -0,0 +1,211 @@
+/**
+ * PostScheduler: missed-slot catch-up policies and the single-flight lock
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PostScheduler } from '../src/scheduler/post-scheduler.js';
+import { PostingConfig } from '../src/scheduler/posting-config.js';
+import { PostLedger } from '../src/scheduler/post-ledger.js';
+import { CycleMarker } from '../src/scheduler/cycle-marker.js';
+import { CycleLock } from '../src/scheduler/cycle-lock.js';
+
+const utc = iso => Date.parse(iso);
+
+// Slots (BST): 09:00 = 08:00Z, 14:00 = 13:00Z, 19:00 = 18:00Z; Sunday summary 10:00 = 09:00Z
+const POSTING_TIMES = { morning: '09:00', afternoon: '14:00', evening: '19:00', sundaySummary: '10:00' };
+
+let dir;
+let schedulers;
+
+/**
+ * Scheduler whose cycles just record which slots ran
+ */
+function createScheduler(catchUp, { lastSlot = null } = {}) {
+  const configPath = path.join(dir, 'posting-config.json');
+  fs.writeFileSync(configPath, JSON.stringify({ twitter: { postingTimes: POSTING_TIMES, catchUp } }));
+
+  const marker = new CycleMarker(path.join(dir, 'post-cycles.jsonl'));
+  if (lastSlot) {
+    marker.complete({ name: 'previous', kind: 'cycle', time: lastSlot });
+  }
+
+  const scheduler = new PostScheduler(null, null, null, {
+    postingConfig: new PostingConfig(configPath),
+    ledger: new PostLedger(path.join(dir, 'post-ledger.jsonl')),
+    marker,
+    lock: new CycleLock(path.join(dir, 'post-cycle.lock'))
+  });
+
+  scheduler.runs = [];
+  scheduler.processNextPost = async slot => { scheduler.runs.push(`${slot.name} ${slot.time.toISOString()}`); };
+  scheduler.processSummary = async () => { scheduler.runs.push('summary'); };
+  schedulers.push(scheduler);
+  return scheduler;
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shitwatch-catch-up-'));
+  schedulers = [];
+});
+
+afterEach(() => {
+  for (const scheduler of schedulers) {
+    scheduler.stop();
+    scheduler.marker.close();
+    scheduler.ledger.close();
+  }
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('first run records a marker and catches nothing up', async () => {
+  const scheduler = createScheduler({ policy: 'run-once', maxAgeHours: 24 });
+
+  await scheduler.catchUp(utc('2026-10-21T20:00:00Z'));
+
+  assert.deepEqual(scheduler.runs, []);
+  assert.equal(scheduler.marker.getLastSlotTime(), utc('2026-10-21T20:00:00Z'));
+});
+
+test('skip drops missed slots and moves the marker past them', async () => {
+  const scheduler = createScheduler({ policy: 'skip', maxAgeHours: 24 }, { lastSlot: utc('2026-10-21T08:00:00Z') });
+
+  await scheduler.catchUp(utc('2026-10-21T20:00:00Z'));
+
+  assert.deepEqual(scheduler.runs, []);
+  assert.equal(scheduler.marker.getLastSlotTime(), utc('2026-10-21T18:00:00Z'));
+  assert.equal(scheduler.marker.last.outcome, 'skipped');
+});
+
+test('run-once runs each missed slot once, oldest first', async () => {
+  const scheduler = createScheduler({ policy: 'run-once', maxAgeHours: 24 }, { lastSlot: utc('2026-10-21T08:00:00Z') });
+
+  await scheduler.catchUp(utc('2026-10-21T20:00:00Z'));
+  await scheduler.catchUp(utc('2026-10-21T20:05:00Z'));
+
+  assert.deepEqual(scheduler.runs, [
+    'afternoon 2026-10-21T13:00:00.000Z',
+    'evening 2026-10-21T18:00:00.000Z'
+  ]);
+  assert.equal(scheduler.marker.getLastSlotTime(), utc('2026-10-21T18:00:00Z'));
+});
+
+test('coalesce runs one cycle for all missed slots', async () => {
+  const scheduler = createScheduler({ policy: 'coalesce', maxAgeHours: 48 }, { lastSlot: utc('2026-10-20T08:00:00Z') });
+
+  await scheduler.catchUp(utc('2026-10-21T20:00:00Z'));
+
+  assert.deepEqual(scheduler.runs, ['evening 2026-10-21T18:00:00.000Z']);
+  assert.equal(scheduler.marker.getLastSlotTime(), utc('2026-10-21T18:00:00Z'));
+});
+
+test('coalesce still runs a missed Sunday summary', async () => {
+  const scheduler = createScheduler({ policy: 'coalesce', maxAgeHours: 24 }, { lastSlot: utc('2026-10-18T07:00:00Z') });
+
+  // Down from before Sunday's 09:00 BST slot until Sunday evening
+  await scheduler.catchUp(utc('2026-10-18T16:00:00Z'));
+
+  assert.deepEqual(scheduler.runs, ['summary', 'afternoon 2026-10-18T13:00:00.000Z']);
+});
+
+test('slots older than maxAgeHours are dropped', async () => {
+  const scheduler = createScheduler({ policy: 'run-once', maxAgeHours: 6 }, { lastSlot: utc('2026-10-19T18:00:00Z') });
+
+  await scheduler.catchUp(utc('2026-10-21T20:00:00Z'));
+
+  // Only the 18:00Z slot is within 6 hours
+  assert.deepEqual(scheduler.runs, ['evening 2026-10-21T18:00:00.000Z']);
+});
+
+test('an unknown policy falls back to skip', async () => {
+  const scheduler = createScheduler({ policy: 'everything', maxAgeHours: 24 }, { lastSlot: utc('2026-10-21T08:00:00Z') });
+
+  await scheduler.catchUp(utc('2026-10-21T20:00:00Z'));
+
+  assert.deepEqual(scheduler.runs, []);
+});
+
+test('a second cycle cannot start while one is running', async () => {
+  const scheduler = createScheduler({ policy: 'skip', maxAgeHours: 6 });
+  const slot = { name: 'morning', kind: 'cycle', time: new Date(utc('2026-10-21T08:00:00Z')) };
+
+  let finish;
+  scheduler.processNextPost = () => new Promise(resolve => { finish = resolve; });
+
+  const first = scheduler.runSlot(slot);
+  assert.equal(await scheduler.runSlot(slot), false);
+
+  finish();
+  assert.equal(await first, true);
+  assert.equal(scheduler.lock.held, false);
+  assert.equal(fs.existsSync(path.join(dir, 'post-cycle.lock')), false);
+});
+
+test('a slot that could not get the lock is left for catch-up', async () => {
+  const scheduler = createScheduler({ policy: 'run-once', maxAgeHours: 24 }, { lastSlot: utc('2026-10-21T08:00:00Z') });
+  const other = new CycleLock(path.join(dir, 'post-cycle.lock'));
+  assert.equal(other.acquire(), true);
+
+  await scheduler.catchUp(utc('2026-10-21T14:00:00Z'));
+  assert.deepEqual(scheduler.runs, []);
+  assert.equal(scheduler.marker.getLastSlotTime(), utc('2026-10-21T08:00:00Z'));
+
+  other.release();
+  await scheduler.catchUp(utc('2026-10-21T14:00:00Z'));
+  assert.deepEqual(scheduler.runs, ['afternoon 2026-10-21T13:00:00.000Z']);
+});
+
+test('the marker survives a restart', () => {
+  const markerPath = path.join(dir, 'post-cycles.jsonl');
+  const marker = new CycleMarker(markerPath);
+  marker.complete({ name: 'morning', kind: 'cycle', time: utc('2026-10-21T08:00:00Z') });
+  marker.complete({ name: 'evening', kind: 'cycle', time: utc('2026-10-21T18:00:00Z') });
+  marker.complete({ name: 'afternoon', kind: 'cycle', time: utc('2026-10-21T13:00:00Z') }); // older - ignored
+  marker.close();
+
+  const reloaded = new CycleMarker(markerPath);
+  assert.equal(reloaded.getLastSlotTime(), utc('2026-10-21T18:00:00Z'));
+  assert.equal(reloaded.last.name, 'evening');
+  reloaded.close();
+});
+
+test('a lock left by an exited process is taken over', () => {
+  const lockPath = path.join(dir, 'post-cycle.lock');
+  fs.writeFileSync(lockPath, JSON.stringify({ pid: 2 ** 22 + 1, host: os.hostname(), acquiredAt: Date.now() }));
+
+  const lock = new CycleLock(lockPath);
+  assert.equal(lock.acquire(), true);
+  assert.equal(JSON.parse(fs.readFileSync(lockPath, 'utf8')).pid, process.pid);
+  lock.release();
+});
+
+test('a lock naming this pid from before a restart is taken over', () => {
+  // Containers restart the bot with the same pid, which is always alive
+  const lockPath = path.join(dir, 'post-cycle.lock');
+  fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, host: os.hostname(), acquiredAt: Date.now() - 60 * 1000 }));
+
+  const lock = new CycleLock(lockPath);
+  assert.equal(lock.acquire(), true);
+
+  // While held here it's live, for this and any other lock on the file
+  assert.equal(lock.isStale(), false);
+  assert.equal(new CycleLock(lockPath).acquire(), false);
+  lock.release();
+});
+
+test('a lock held longer than the stale limit is taken over', () => {
+  const lockPath = path.join(dir, 'post-cycle.lock');
+  fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, host: 'elsewhere', acquiredAt: Date.now() - 2 * 60 * 60 * 1000 }));
+
+  assert.equal(new CycleLock(lockPath, 60 * 60 * 1000).acquire(), true);
+});
+
+test('a live lock from another host is respected', () => {
+  const lockPath = path.join(dir, 'post-cycle.lock');
+  fs.writeFileSync(lockPath, JSON.stringify({ pid: 1, host: 'elsewhere', acquiredAt: Date.now() }));
+
+  assert.equal(new CycleLock(lockPath).acquire(), false);
+});
@@ -0,0 +1,120 @@
+/**
+ * PostScheduler: posting slots and day boundaries across the 2026 DST changes
+ *
+ * Slots are Europe/London wall-clock times, so the UTC instant moves by an
+ * hour at each transition while the local time stays put.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PostScheduler } from '../src/scheduler/post-scheduler.js';
+import { PostingConfig } from '../src/scheduler/posting-config.js';
+import { PostLedger } from '../src/scheduler/post-ledger.js';
+
+const utc = iso => Date.parse(iso);
+
+let dir;
+let ledger;
+
+/**
+ * Scheduler with the given posting times and no collaborators
+ */
+function createScheduler(postingTimes, limits = {}) {
+  const configPath = path.join(dir, `posting-config-${Math.random().toString(36).slice(2)}.json`);
+  fs.writeFileSync(configPath, JSON.stringify({ twitter: { postingTimes, limits } }));
+  return new PostScheduler(null, null, null, { postingConfig: new PostingConfig(configPath), ledger });
+}
+
+/**
+ * Every slot from `from` until `to`, in order
+ */
+function slotsBetween(scheduler, from, to) {
+  const slots = [];
+  let slot = scheduler.getNextSlot(from);
+  while (slot && slot.time.getTime() < to) {
+    slots.push({ name: slot.name, time: slot.time.toISOString() });
+    slot = scheduler.getNextSlot(slot.time);
+  }
+  return slots;
+}
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shitwatch-scheduler-'));
+  ledger = new PostLedger(path.join(dir, 'post-ledger.jsonl'));
+});
+
+after(() => {
+  ledger.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('slots keep their London time through spring forward', () => {
+  const scheduler = createScheduler({ morning: '09:00', sundaySummary: '10:00', evening: '19:00' });
+
+  assert.deepEqual(slotsBetween(scheduler, utc('2026-03-28T12:00:00Z'), utc('2026-03-30T12:00:00Z')), [
+    { name: 'evening', time: '2026-03-28T19:00:00.000Z' }, // Saturday, GMT
+    { name: 'morning', time: '2026-03-29T08:00:00.000Z' }, // Sunday, BST
+    { name: 'sundaySummary', time: '2026-03-29T09:00:00.000Z' },
+    { name: 'evening', time: '2026-03-29T18:00:00.000Z' },
+    { name: 'morning', time: '2026-03-30T08:00:00.000Z' }
+  ]);
+});
+
+test('slots keep their London time through fall back', () => {
+  const scheduler = createScheduler({ morning: '09:00', sundaySummary: '10:00', evening: '19:00' });
+
+  assert.deepEqual(slotsBetween(scheduler, utc('2026-10-24T12:00:00Z'), utc('2026-10-26T12:00:00Z')), [
+    { name: 'evening', time: '2026-10-24T18:00:00.000Z' }, // Saturday, BST
+    { name: 'morning', time: '2026-10-25T09:00:00.000Z' }, // Sunday, GMT
+    { name: 'sundaySummary', time: '2026-10-25T10:00:00.000Z' },
+    { name: 'evening', time: '2026-10-25T19:00:00.000Z' },
+    { name: 'morning', time: '2026-10-26T09:00:00.000Z' }
+  ]);
+});
+
+test('a slot in the skipped hour runs once, an hour later', () => {
+  const scheduler = createScheduler({ night: '01:30' });
+
+  assert.deepEqual(slotsBetween(scheduler, utc('2026-03-28T12:00:00Z'), utc('2026-03-30T12:00:00Z')), [
+    { name: 'night', time: '2026-03-29T01:30:00.000Z' }, // 02:30 BST
+    { name: 'night', time: '2026-03-30T00:30:00.000Z' }
+  ]);
+});
+
+test('a slot in the repeated hour runs once', () => {
+  const scheduler = createScheduler({ night: '01:30' });
+
+  assert.deepEqual(slotsBetween(scheduler, utc('2026-10-24T12:00:00Z'), utc('2026-10-26T12:00:00Z')), [
+    { name: 'night', time: '2026-10-25T00:30:00.000Z' }, // first 01:30 (BST)
+    { name: 'night', time: '2026-10-26T01:30:00.000Z' }
+  ]);
+});
+
+test('the summary slot follows the London Sunday', () => {
+  const scheduler = createScheduler({ sundaySummary: '00:30' });
+
+  // 00:30 BST on Sunday 25 October is still Saturday in UTC
+  const slot = scheduler.getNextSlot(utc('2026-10-24T12:00:00Z'));
+  assert.equal(slot.name, 'sundaySummary');
+  assert.equal(slot.time.toISOString(), '2026-10-24T23:30:00.000Z');
+});
+
+test('the Sunday reserve starts at London midnight', () => {
+  const scheduler = createScheduler({ morning: '09:00' }, { reserveSundayForSummary: true });
+
+  assert.equal(scheduler.getReserve(utc('2026-10-24T22:59:00Z')), 0); // Saturday 23:59 BST
+  assert.equal(scheduler.getReserve(utc('2026-10-24T23:00:00Z')), 1); // Sunday 00:00 BST
+  assert.equal(scheduler.getReserve(utc('2026-10-25T23:59:00Z')), 1); // Sunday 23:59 GMT
+  assert.equal(scheduler.getReserve(utc('2026-10-26T00:00:00Z')), 0); // Monday 00:00 GMT
+});
+
+test('a summary posted earlier that London day releases the reserve', () => {
+  const scheduler = createScheduler({ morning: '09:00' }, { reserveSundayForSummary: true });
+  ledger.record('summary', 'thread', utc('2026-03-29T00:15:00Z')); // 00:15 GMT, Sunday
+
+  assert.equal(scheduler.getReserve(utc('2026-03-29T22:00:00Z')), 0);
+  assert.equal(scheduler.getReserve(utc('2026-04-05T10:00:00Z')), 1); // next Sunday
+});
@@ -0,0 +1,441 @@
+/**
+ * PostScheduler: next posting time across day boundaries, and a full post
+ * cycle with fake social networks, git and Ollama
+ */
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PostScheduler } from '../src/scheduler/post-scheduler.js';
+import { PostingConfig } from '../src/scheduler/posting-config.js';
+import { PostLedger } from '../src/scheduler/post-ledger.js';
+import { CycleMarker } from '../src/scheduler/cycle-marker.js';
+import { CycleLock } from '../src/scheduler/cycle-lock.js';
+import { EventQueue } from '../src/scheduler/event-queue.js';
+import { CycleGenerator } from '../src/data-generator/cycle-generator.js';
+import { AISummarizer } from '../src/data-generator/ai-summarizer.js';
+import { DryRun } from '../src/dry-run/dry-run.js';
+import { SocialPublishers } from '../src/social/social-publishers.js';
+import { FakePublisher, FakeGitHubPublisher, startFakeOllama } from './fakes.js';
+
+const utc = iso => Date.parse(iso);
+
+const POSTING_TIMES = { morning: '09:00', afternoon: '14:00', evening: '19:00', sundaySummary: '10:00' };
+
+// Every queued event is postable, ranked by its own score
+const scorer = {
+  postingConfig: { getSeverity: () => ({ minimumScore: 0 }) },
+  score: event => ({ total: event.score, meetsMinimum: true })
+};
+
+let dir;
+let closers;
+let ollama;
+
+/**
+ * Scheduler over temp state with the given collaborators
+ */
+function createScheduler({
+  networks = [new FakePublisher('twitter')],
+  enabled = { twitter: { enabled: true } },
+  github = new FakeGitHubPublisher(),
+  limits = {},
+  media = { map: 'cycle' },
+  summaryJob = null
+} = {}) {
+  const configPath = path.join(dir, 'posting-config.json');
+  fs.writeFileSync(configPath, JSON.stringify({
+    twitter: { postingTimes: POSTING_TIMES, limits: { maxPostsPerDay: 3, maxPostsPerMonth: 100, reserveSundayForSummary: true, ...limits } },
+    publishers: enabled,
+    media
+  }));
+  const postingConfig = new PostingConfig(configPath);
+
+  const eventQueue = new EventQueue(path.join(dir, 'event-queue.jsonl'), scorer);
+  const summarizer = new AISummarizer();
+  summarizer.ollamaUrl = ollama.url;
+  const cycleGenerator = new CycleGenerator(github, summarizer, { dryRun: new DryRun({ enabled: true, dir }) });
+
+  const scheduler = new PostScheduler(eventQueue, new SocialPublishers(networks, postingConfig), cycleGenerator, {
+    postingConfig,
+    ledger: new PostLedger(path.join(dir, 'post-ledger.jsonl')),
+    marker: new CycleMarker(path.join(dir, 'post-cycles.jsonl')),
+    lock: new CycleLock(path.join(dir, 'post-cycle.lock')),
+    summaryJob
+  });
+
+  closers.push(() => {
+    scheduler.stop();
+    scheduler.ledger.close();
+    scheduler.marker.close();
+    eventQueue.close();
+  });
+  return { scheduler, eventQueue, twitter: networks[0], github };
+}
+
+function queueEvents(eventQueue) {
+  const endTime = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+  eventQueue.addEvent({ id: 'e1', waterCompany: 'Thames Water', siteId: 'T1', receivingWatercourse: 'River Thames', durationMinutes: 135, endTime, score: 90, latitude: 51.5, longitude: -0.6 });
+  eventQueue.addEvent({ id: 'e2', waterCompany: 'Southern Water', siteId: 'S1', receivingWatercourse: 'River Lavant', durationMinutes: 600, endTime, score: 300, latitude: 50.83, longitude: -0.78 });
+}
+
+beforeEach(async () => {
+  // A full cycle logs a lot; on Node 20 heavy stdout can garble the test
+  // runner's own messages from this process
+  mock.method(console, 'log', () => {});
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shitwatch-post-cycle-'));
+  closers = [];
+  ollama = await startFakeOllama('Two discharges were recorded this cycle.');
+});
+
+afterEach(async () => {
+  for (const close of closers) {
+    close();
+  }
+  await ollama.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+  mock.restoreAll();
+});
+
+test('the next posting time rolls over to the next day', () => {
+  const { scheduler } = createScheduler();
+
+  // Tuesday evening (BST) → Wednesday morning
+  assert.equal(scheduler.getNextScheduledTime(utc('2026-06-09T18:30:00Z')).toISOString(), '2026-06-10T08:00:00.000Z');
+
+  // Just before London midnight, which is 23:00Z in summer
+  assert.equal(scheduler.getNextScheduledTime(utc('2026-06-09T22:59:00Z')).toISOString(), '2026-06-10T08:00:00.000Z');
+
+  // A slot time itself → the following slot
+  assert.equal(scheduler.getNextScheduledTime(utc('2026-06-10T08:00:00Z')).toISOString(), '2026-06-10T13:00:00.000Z');
+});
+
+test('the next posting time crosses month and year ends', () => {
+  const { scheduler } = createScheduler();
+
+  // Saturday 31 October → Sunday 1 November morning, GMT
+  assert.equal(scheduler.getNextScheduledTime(utc('2026-10-31T19:30:00Z')).toISOString(), '2026-11-01T09:00:00.000Z');
+  assert.equal(scheduler.getNextScheduledTime(utc('2026-11-01T09:00:00Z')).toISOString(), '2026-11-01T10:00:00.000Z');
+
+  // New Year's Eve → New Year's Day
+  assert.equal(scheduler.getNextScheduledTime(utc('2026-12-31T19:00:00Z')).toISOString(), '2027-01-01T09:00:00.000Z');
+});
+
+test('a post cycle publishes the cycle, tweets once and marks events posted', async () => {
+  const { scheduler, eventQueue, twitter, github } = createScheduler({ limits: { reserveSundayForSummary: false } });
+  queueEvents(eventQueue);
+
+  await scheduler.processNextPost();
+
+  assert.equal(github.commits.length, 1);
+  assert.match(github.commits[0], /\(2 events\)$/);
+  assert.equal(github.pushes, 1);
+  assert.ok(github.added.some(file => file.endsWith('manifest.json')));
+
+  const [cycleFile] = fs.readdirSync(path.join(dir, 'website/cycles')).filter(f => f !== 'manifest.json');
+  const cycle = JSON.parse(fs.readFileSync(path.join(dir, 'website/cycles', cycleFile), 'utf8'));
+  assert.equal(cycle.summary.text, 'Two discharges were recorded this cycle.');
+  assert.deepEqual(cycle.events.map(e => e.id), ['e2', 'e1']);
+
+  assert.equal(twitter.posts.length, 1);
+  assert.match(twitter.posts[0], /Worst offender: Southern\nDuration: 10h/);
+  assert.match(twitter.posts[0], /https:\/\/example\.github\.io\/feed\.html/);
+
+  assert.deepEqual(eventQueue.getPostableEvents(), []);
+  assert.equal(scheduler.ledger.countSince(60 * 1000), 1);
+});
+
+test('a failed push stops the cycle before tweeting', async () => {
+  const { scheduler, eventQueue, twitter } = createScheduler({
+    github: new FakeGitHubPublisher({ failPush: true }),
+    limits: { reserveSundayForSummary: false }
+  });
+  queueEvents(eventQueue);
+
+  await scheduler.processNextPost();
+
+  assert.equal(twitter.posts.length, 0);
+  assert.equal(eventQueue.getPostableEvents().length, 2);
+});
+
+test('a failed tweet leaves the events queued', async () => {
+  const { scheduler, eventQueue } = createScheduler({
+    networks: [new FakePublisher('twitter', { fail: 'rate limited' })],
+    limits: { reserveSundayForSummary: false }
+  });
+  queueEvents(eventQueue);
+
+  await scheduler.processNextPost();
+
+  assert.equal(eventQueue.getPostableEvents().length, 2);
+  assert.deepEqual(scheduler.ledger.posts, []);
+});
+
+test('the cycle still posts with a fallback summary when Ollama fails', async () => {
+  await ollama.close();
+  ollama = await startFakeOllama('', { status: 500 });
+  const { scheduler, eventQueue, twitter } = createScheduler({ limits: { reserveSundayForSummary: false } });
+  queueEvents(eventQueue);
+
+  await scheduler.processNextPost();
+
+  const [cycleFile] = fs.readdirSync(path.join(dir, 'website/cycles')).filter(f => f !== 'manifest.json');
+  const cycle = JSON.parse(fs.readFileSync(path.join(dir, 'website/cycles', cycleFile), 'utf8'));
+  assert.equal(cycle.summary.fallback, true);
+  assert.equal(twitter.posts.length, 1);
+});
+
+test('nothing is generated once the daily limit is reached', async () => {
+  const { scheduler, eventQueue, twitter, github } = createScheduler({ limits: { maxPostsPerDay: 1, reserveSundayForSummary: false } });
+  queueEvents(eventQueue);
+  scheduler.ledger.record('cycle', 'earlier');
+
+  await scheduler.processNextPost();
+
+  assert.equal(github.commits.length, 0);
+  assert.equal(twitter.posts.length, 0);
+});
+
+test('a cycle goes out to every enabled network and records each outcome', async () => {
+  const twitter = new FakePublisher('twitter');
+  const bluesky = new FakePublisher('bluesky', { fail: 'rate limited', capabilities: { maxLength: 300, linkLength: null } });
+  const mastodon = new FakePublisher('mastodon', { capabilities: { maxLength: 500 } });
+  const { scheduler, eventQueue } = createScheduler({
+    networks: [twitter, bluesky, mastodon],
+    enabled: { twitter: { enabled: true }, bluesky: { enabled: true }, mastodon: { enabled: false } },
+    limits: { reserveSundayForSummary: false }
+  });
+  queueEvents(eventQueue);
+
+  await scheduler.processNextPost();
+
+  assert.equal(twitter.posts.length, 1);
+  assert.equal(mastodon.posts.length, 0);
+
+  // One network accepting it is enough to count the cycle as posted
+  assert.deepEqual(eventQueue.getPostableEvents(), []);
+  const [post] = scheduler.ledger.posts;
+  assert.equal(post.ref, 'twitter-1');
+  assert.deepEqual(post.networks, {
+    twitter: { id: 'twitter-1', url: 'https://twitter.example/twitter-1' },
+    bluesky: { error: 'rate limited' }
+  });
+  assert.deepEqual(Object.keys(scheduler.getStatus().networks), ['twitter', 'bluesky']);
+});
+
+test('a network that failed does not get the cycle later', async () => {
+  const twitter = new FakePublisher('twitter');
+  const bluesky = new FakePublisher('bluesky', { fail: 'rate limited' });
+  const { scheduler, eventQueue } = createScheduler({
+    networks: [twitter, bluesky],
+    enabled: { twitter: { enabled: true }, bluesky: { enabled: true } },
+    limits: { reserveSundayForSummary: false }
+  });
+  queueEvents(eventQueue);
+
+  await scheduler.processNextPost();
+  bluesky.fail = null;
+  await scheduler.processNextPost();
+
+  // The cycle was settled when Twitter took it, so Bluesky never gets it
+  assert.deepEqual([twitter.posts.length, bluesky.posts.length], [1, 0]);
+  assert.deepEqual(scheduler.ledger.getPending(), []);
+});
+
+test('a cycle killed part way through posting is finished on the remaining networks', async () => {
+  const networks = () => [new FakePublisher('twitter'), new FakePublisher('bluesky')];
+  const enabled = { twitter: { enabled: true }, bluesky: { enabled: true } };
+  const limits = { reserveSundayForSummary: false };
+
+  // Twitter posts, then the process dies while Bluesky is being posted to
+  const first = createScheduler({ networks: networks(), enabled, limits });
+  const [twitter, bluesky] = first.scheduler.publishers.publishers;
+  let killed;
+  let killedKey;
+  const reached = new Promise(resolve => { killed = resolve; });
+  bluesky.post = (text, { key }) => {
+    killedKey = key;
+    killed();
+    return new Promise(() => {});
+  };
+  queueEvents(first.eventQueue);
+  first.scheduler.processNextPost();
+  await reached;
+
+  // Restart over the same files
+  const restarted = createScheduler({ networks: networks(), enabled, limits });
+  const [twitterAgain, blueskyAgain] = restarted.scheduler.publishers.publishers;
+  await restarted.scheduler.processNextPost();
+
+  assert.equal(twitterAgain.posts.length, 0);
+  assert.deepEqual(blueskyAgain.posts, twitter.posts);
+  assert.equal(blueskyAgain.media[0].length, 1);
+  assert.equal(restarted.github.commits.length, 0);
+
+  // Sent with the same key as before, for networks that deduplicate on it
+  assert.deepEqual([twitter.keys[0], blueskyAgain.keys[0]], [killedKey, killedKey]);
+  assert.match(killedKey, /^cycle-\d+$/);
+
+  assert.deepEqual(restarted.eventQueue.getPostableEvents(), []);
+  const [post] = restarted.scheduler.ledger.posts;
+  assert.equal(post.ref, 'twitter-1');
+  assert.deepEqual(Object.keys(post.networks), ['twitter', 'bluesky']);
+  assert.deepEqual(restarted.scheduler.ledger.getPending(), []);
+});
+
+test('a cycle killed after posting, before it was recorded, is only settled', async () => {
+  const { scheduler, eventQueue, twitter } = createScheduler({ limits: { maxPostsPerDay: 1, reserveSundayForSummary: false } });
+  queueEvents(eventQueue);
+  const pending = scheduler.ledger.begin('cycle', { text: 'Cycle post', eventIds: ['e2', 'e1'] });
+  scheduler.ledger.recordAttempt(pending.id, 'twitter', { id: 'twitter-9', url: 'https://twitter.example/twitter-9' });
+
+  await scheduler.processNextPost();
+
+  assert.equal(twitter.posts.length, 0);
+  assert.deepEqual(eventQueue.getPostableEvents(), []);
+  assert.deepEqual(scheduler.ledger.posts.map(post => post.ref), ['twitter-9']);
+  assert.equal(scheduler.checkQuota('cycle').canPost, false);
+});
+
+test('a summary thread killed part way through is finished, not built again', async () => {
+  const networks = () => [new FakePublisher('twitter'), new FakePublisher('bluesky')];
+  const enabled = { twitter: { enabled: true }, bluesky: { enabled: true } };
+  const jobs = [];
+  const summaryJob = ({ postThread }) => {
+    jobs.push('summary');
+    return postThread(['Weekly summary', 'Hours by company']);
+  };
+
+  const first = createScheduler({ networks: networks(), enabled, summaryJob });
+  const [twitter, bluesky] = first.scheduler.publishers.publishers;
+  let killed;
+  const reached = new Promise(resolve => { killed = resolve; });
+  bluesky.postThread = () => {
+    killed();
+    return new Promise(() => {});
+  };
+  first.scheduler.processSummary();
+  await reached;
+
+  const restarted = createScheduler({ networks: networks(), enabled, summaryJob });
+  const [twitterAgain, blueskyAgain] = restarted.scheduler.publishers.publishers;
+  await restarted.scheduler.processSummary();
+
+  assert.deepEqual(jobs, ['summary']);
+  assert.deepEqual(twitter.threads, [['Weekly summary', 'Hours by company']]);
+  assert.deepEqual([twitterAgain.threads, blueskyAgain.threads], [[], twitter.threads]);
+
+  const [post] = restarted.scheduler.ledger.posts;
+  assert.deepEqual([post.kind, post.ref], ['summary', 'twitter-thread-1-1']);
+  assert.deepEqual(Object.keys(post.networks), ['twitter', 'bluesky']);
+  assert.deepEqual(restarted.scheduler.ledger.getPending(), []);
+});
+
+test('a summary thread no network took is dropped from the ledger', async () => {
+  const { scheduler } = createScheduler({
+    networks: [new FakePublisher('twitter', { fail: 'suspended' })],
+    summaryJob: ({ postThread }) => postThread(['Weekly summary'])
+  });
+
+  await scheduler.processSummary();
+
+  assert.deepEqual([scheduler.ledger.posts, scheduler.ledger.getPending()], [[], []]);
+});
+
+test('pending posts survive a restart and ledger compaction', () => {
+  const ledgerPath = path.join(dir, 'post-ledger.jsonl');
+  const ledger = new PostLedger(ledgerPath);
+  const pending = ledger.begin('cycle', { text: 'Cycle post', eventIds: ['e1'] });
+  ledger.recordAttempt(pending.id, 'twitter', { id: 'twitter-1', url: 'https://twitter.example/twitter-1' });
+  ledger.recordAttempt(pending.id, 'bluesky', { error: 'rate limited' });
+
+  for (let i = 0; i < 200; i++) {
+    ledger.record('cycle', `old-${i}`, Date.now() - 40 * 24 * 60 * 60 * 1000);
+  }
+  ledger.compactIfNeeded();
+  ledger.close();
+
+  const reloaded = new PostLedger(ledgerPath);
+  assert.deepEqual(reloaded.posts, []);
+  assert.deepEqual(reloaded.getPending().map(p => [p.id, p.text, p.networks]), [[pending.id, 'Cycle post', {
+    twitter: { id: 'twitter-1', url: 'https://twitter.example/twitter-1' },
+    bluesky: { error: 'rate limited' }
+  }]]);
+
+  reloaded.abandon(pending.id);
+  reloaded.close();
+  const settled = new PostLedger(ledgerPath);
+  assert.deepEqual(settled.getPending(), []);
+  settled.close();
+});
+
+test('events stay queued when every network fails', async () => {
+  const { scheduler, eventQueue } = createScheduler({
+    networks: [new FakePublisher('twitter', { fail: 'suspended' }), new FakePublisher('mastodon', { fail: 'instance down' })],
+    enabled: { twitter: { enabled: true }, mastodon: { enabled: true } },
+    limits: { reserveSundayForSummary: false }
+  });
+  queueEvents(eventQueue);
+
+  await scheduler.processNextPost();
+
+  assert.equal(eventQueue.getPostableEvents().length, 2);
+  assert.deepEqual(scheduler.ledger.posts, []);
+});
+
+test('an enabled network without credentials is skipped', async () => {
+  const twitter = new FakePublisher('twitter');
+  const mastodon = new FakePublisher('mastodon');
+  mastodon.isConfigured = false;
+  const { scheduler, eventQueue } = createScheduler({
+    networks: [twitter, mastodon],
+    enabled: { twitter: { enabled: true }, mastodon: { enabled: true } },
+    limits: { reserveSundayForSummary: false }
+  });
+  queueEvents(eventQueue);
+
+  await scheduler.processNextPost();
+
+  assert.equal(twitter.posts.length, 1);
+  assert.deepEqual(Object.keys(scheduler.ledger.posts[0].networks), ['twitter']);
+});
+
+test('the cycle post carries a map of every event in the cycle', async () => {
+  const { scheduler, eventQueue, twitter } = createScheduler({ limits: { reserveSundayForSummary: false } });
+  queueEvents(eventQueue);
+
+  await scheduler.processNextPost();
+
+  const [[image]] = twitter.media;
+  assert.equal(image.mimeType, 'image/png');
+  assert.match(image.altText, /marking all 2 sewage discharges/);
+  assert.match(image.altText, /Worst: Southern Water into River Lavant for 10h\./);
+});
+
+test('the map can be limited to the worst event or turned off', async () => {
+  const { scheduler } = createScheduler({ media: { map: 'worst' } });
+  const events = [
+    { waterCompany: 'Southern Water', receivingWatercourse: 'River Lavant', durationMinutes: 600, latitude: 50.83, longitude: -0.78 },
+    { waterCompany: 'Thames Water', receivingWatercourse: 'River Thames', durationMinutes: 135, latitude: 51.5, longitude: -0.6 }
+  ];
+
+  assert.match(scheduler.renderMap(events)[0].altText, /^Map of England and Wales marking a sewage discharge\. Southern Water/);
+
+  fs.writeFileSync(scheduler.postingConfig.configPath, JSON.stringify({ media: { map: 'off' } }));
+  scheduler.postingConfig.mtimeMs = null;
+  assert.deepEqual(scheduler.renderMap(events), []);
+});
+
+test('a map that fails to render does not stop the post', async () => {
+  const { scheduler, eventQueue, twitter } = createScheduler({ limits: { reserveSundayForSummary: false } });
+  mock.method(console, 'warn', () => {});
+  scheduler.mapRenderer = { renderCycle: () => { throw new Error('out of memory'); } };
+  queueEvents(eventQueue);
+
+  await scheduler.processNextPost();
+
+  assert.equal(twitter.posts.length, 1);
+  assert.deepEqual(twitter.media, [[]]);
+});
@@ -0,0 +1,114 @@
+/**
+ * SeverityScorer: the posting-config severity model, location types from
+ * watercourse names, and how the queue ranks and filters by score
+ */
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SeverityScorer } from '../src/scheduler/severity-scorer.js';
+import { PostingConfig } from '../src/scheduler/posting-config.js';
+import { EventQueue } from '../src/scheduler/event-queue.js';
+
+const SEVERITY = {
+  minimumScore: 100,
+  weights: {
+    duration: { maxPoints: 100, pointsPerHour: 10 },
+    volume: { maxPoints: 100, pointsPer10kLiters: 1 },
+    location: { bathingWater: 100, majorRiver: 80, coastal: 60, anyRiver: 40, other: 20 },
+    repeatOffender: { maxPoints: 50, over200Events: 50, over100Events: 30, over50Events: 15 },
+    notoriousCompanies: { bonus: 25, companies: ['Southern Water'] }
+  }
+};
+
+let dir;
+let scorer;
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shitwatch-severity-'));
+  const configPath = path.join(dir, 'posting-config.json');
+  fs.writeFileSync(configPath, JSON.stringify({ twitter: { severity: SEVERITY } }));
+  scorer = new SeverityScorer(new PostingConfig(configPath));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+  mock.restoreAll();
+});
+
+const locationOf = receivingWatercourse => scorer.getLocationType({ receivingWatercourse });
+
+test('each part of the model is weighted and capped as configured', () => {
+  const score = scorer.score({
+    waterCompany: 'Southern Water',
+    receivingWatercourse: 'River Itchen',
+    durationMinutes: 90,
+    estimatedVolumeM3: 45,
+    historicalSpillCount: 120
+  });
+
+  assert.deepEqual(
+    [score.duration, score.volume, score.location, score.locationType, score.repeatOffender, score.notoriousCompany],
+    [15, 4.5, 80, 'majorRiver', 30, 25]
+  );
+  assert.equal(score.total, 154.5);
+  assert.deepEqual([score.minimumScore, score.meetsMinimum], [100, true]);
+
+  const capped = scorer.score({ durationMinutes: 48 * 60, estimatedVolumeM3: 5000, historicalSpillCount: 900 });
+  assert.deepEqual([capped.duration, capped.volume, capped.repeatOffender], [100, 100, 50]);
+});
+
+test('missing volume and history score nothing', () => {
+  const score = scorer.score({ waterCompany: 'Thames Water', durationMinutes: 30 });
+
+  assert.deepEqual([score.volume, score.repeatOffender, score.notoriousCompany], [0, 0, 0]);
+  assert.deepEqual([score.locationType, score.total, score.meetsMinimum], ['other', 25, false]);
+});
+
+test('location types come from the receiving watercourse', () => {
+  assert.equal(locationOf('Bognor Regis bathing water'), 'bathingWater');
+  assert.equal(locationOf('West Wittering Beach'), 'bathingWater');
+  assert.equal(locationOf('Chichester Harbour'), 'coastal');
+  assert.equal(locationOf('English Channel'), 'coastal');
+  assert.equal(locationOf('River Thames'), 'majorRiver');
+  assert.equal(locationOf('GREAT OUSE'), 'majorRiver');
+  assert.equal(locationOf('Hogsmill Brook'), 'anyRiver');
+  assert.equal(locationOf('Unnamed ditch'), 'anyRiver');
+  assert.equal(locationOf(''), 'other');
+  assert.equal(scorer.getLocationType({}), 'other');
+});
+
+test('river names that are also ordinary words need "River" in front', () => {
+  assert.equal(locationOf('River Test'), 'majorRiver');
+  assert.equal(locationOf('river lea'), 'majorRiver');
+  assert.equal(locationOf('River Wear'), 'majorRiver');
+
+  assert.equal(locationOf('Test Stream'), 'anyRiver');
+  assert.equal(locationOf('Lea Brook'), 'anyRiver');
+  assert.equal(locationOf('Wear Farm soakaway'), 'other');
+  assert.equal(locationOf('Sound of the stream'), 'anyRiver');
+  assert.equal(locationOf('Drainage channel'), 'other');
+});
+
+test('names are only matched as whole words', () => {
+  assert.equal(locationOf('Seaford outfall'), 'other');
+  assert.equal(locationOf('Overbay Lane'), 'other');
+  assert.equal(locationOf('Testwood Lakes'), 'other');
+  assert.equal(locationOf('Leatherhead soakaway'), 'other');
+});
+
+test('the queue ranks by score and holds back events under the minimum', () => {
+  const queue = new EventQueue(path.join(dir, 'queue.jsonl'), scorer);
+  const event = (id, fields) => ({ id, waterCompany: 'Thames Water', endTime: '2026-10-18T06:00:00Z', ...fields });
+
+  queue.addEvent(event('short', { durationMinutes: 30 }));
+  queue.addEvent(event('river', { durationMinutes: 60, receivingWatercourse: 'River Thames' }));
+  queue.addEvent(event('beach', { durationMinutes: 60, receivingWatercourse: 'Worthing beach' }));
+  queue.addEvent(event('long', { durationMinutes: 12 * 60 }));
+
+  assert.deepEqual(queue.getPostableEvents().map(e => [e.id, e.severity.total]), [['long', 120], ['beach', 110]]);
+  queue.close();
+});
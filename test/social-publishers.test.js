@@ -0,0 +1,305 @@
+/**
+ * Social publishers: length counting per network, the Bluesky and Mastodon
+ * APIs against local fakes, dry runs and fanning out to several networks
+ */
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { TwitterPoster } from '../src/social/twitter-poster.js';
+import { BlueskyPoster } from '../src/social/bluesky-poster.js';
+import { MastodonPoster } from '../src/social/mastodon-poster.js';
+import { SocialPublishers } from '../src/social/social-publishers.js';
+import { PostingConfig } from '../src/scheduler/posting-config.js';
+import { DryRun } from '../src/dry-run/dry-run.js';
+import { FakePublisher, startFakeApi } from './fakes.js';
+
+const LINK = 'https://bigchungustm.github.io/cycles/2026-10-19_09-00-00.json';
+
+const IMAGE = {
+  data: Buffer.from([0x89, 0x50, 0x4e, 0x47, 1, 2, 3]),
+  mimeType: 'image/png',
+  width: 1200,
+  height: 675,
+  altText: 'Map of England and Wales marking a sewage discharge.'
+};
+
+const ENV_KEYS = ['BLUESKY_SERVICE', 'BLUESKY_HANDLE', 'BLUESKY_APP_PASSWORD', 'MASTODON_URL', 'MASTODON_ACCESS_TOKEN'];
+
+let dir;
+let api = null;
+
+/**
+ * Posting config enabling the given networks
+ */
+function configFor(...names) {
+  const configPath = path.join(dir, 'posting-config.json');
+  fs.writeFileSync(configPath, JSON.stringify({
+    publishers: Object.fromEntries(['twitter', 'bluesky', 'mastodon'].map(name => [name, { enabled: names.includes(name) }]))
+  }));
+  return new PostingConfig(configPath);
+}
+
+beforeEach(() => {
+  // Dry runs log every post; heavy stdout can garble Node 20's test runner
+  mock.method(console, 'log', () => {});
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shitwatch-publishers-'));
+  for (const key of ENV_KEYS) {
+    delete process.env[key];
+  }
+});
+
+afterEach(async () => {
+  if (api) {
+    await api.close();
+    api = null;
+  }
+  for (const key of ENV_KEYS) {
+    delete process.env[key];
+  }
+  fs.rmSync(dir, { recursive: true, force: true });
+  mock.restoreAll();
+});
+
+test('each network counts links its own way', () => {
+  const text = `Worst offender: Southern 🚨\n${LINK}`;
+
+  // Twitter and Mastodon count any link as 23; Bluesky counts it in full
+  assert.equal(new TwitterPoster().countLength(text), 27 + 23);
+  assert.equal(new MastodonPoster().countLength(text), 27 + 23);
+  assert.equal(new BlueskyPoster().countLength(text), 27 + LINK.length);
+});
+
+test('over-long posts are trimmed to the limit by whole characters', () => {
+  const bluesky = new BlueskyPoster();
+  const fitted = bluesky.fitText('💩'.repeat(400));
+
+  assert.equal(bluesky.countLength(fitted), 300);
+  assert.equal(fitted, '💩'.repeat(299) + '…');
+  assert.equal(bluesky.fitText('short'), 'short');
+});
+
+test('Bluesky link and hashtag facets use UTF-8 byte offsets', () => {
+  const text = `🚨 Sewage: ${LINK}.\n#SewageScandal #WaterPollution`;
+  const facets = new BlueskyPoster().buildFacets(text);
+  const bytes = Buffer.from(text);
+  const slice = ({ index }) => bytes.subarray(index.byteStart, index.byteEnd).toString();
+
+  assert.deepEqual(facets.map(slice), [LINK, '#SewageScandal', '#WaterPollution']);
+  assert.equal(facets[0].features[0].uri, LINK);
+  assert.deepEqual(facets.slice(1).map(facet => facet.features[0].tag), ['SewageScandal', 'WaterPollution']);
+});
+
+test('a Bluesky thread signs in once and chains replies to the first post', async () => {
+  let created = 0;
+  api = await startFakeApi(request => {
+    if (request.path === '/xrpc/com.atproto.server.createSession') {
+      return { body: { accessJwt: 'jwt', did: 'did:plc:abc', handle: 'shitwatch.bsky.social' } };
+    }
+    created++;
+    return { body: { uri: `at://did:plc:abc/app.bsky.feed.post/rkey${created}`, cid: `cid${created}` } };
+  });
+  Object.assign(process.env, { BLUESKY_SERVICE: api.url, BLUESKY_HANDLE: 'shitwatch.bsky.social', BLUESKY_APP_PASSWORD: 'app-pass' });
+
+  const result = await new BlueskyPoster().postThread(['one', 'two', 'three']);
+
+  assert.equal(result.success, true);
+  assert.equal(result.url, 'https://bsky.app/profile/shitwatch.bsky.social/post/rkey1');
+  assert.deepEqual(api.requests[0].body, { identifier: 'shitwatch.bsky.social', password: 'app-pass' });
+
+  const records = api.requests.slice(1);
+  assert.equal(records.length, 3);
+  assert.equal(records[0].headers.authorization, 'Bearer jwt');
+  assert.equal(records[0].body.repo, 'did:plc:abc');
+  assert.equal(records[0].body.record.reply, undefined);
+  assert.deepEqual(records[2].body.record.reply, {
+    root: { uri: 'at://did:plc:abc/app.bsky.feed.post/rkey1', cid: 'cid1' },
+    parent: { uri: 'at://did:plc:abc/app.bsky.feed.post/rkey2', cid: 'cid2' }
+  });
+});
+
+test('a Mastodon thread replies to the previous status', async () => {
+  let created = 0;
+  api = await startFakeApi(() => {
+    created++;
+    return { body: { id: String(created), url: `https://mastodon.example/@shitwatch/${created}` } };
+  });
+  Object.assign(process.env, { MASTODON_URL: `${api.url}/`, MASTODON_ACCESS_TOKEN: 'token' });
+
+  const result = await new MastodonPoster().postThread(['one', 'two']);
+
+  assert.equal(result.success, true);
+  assert.deepEqual(result.posts.map(post => post.id), ['1', '2']);
+  assert.equal(api.requests[0].path, '/api/v1/statuses');
+  assert.equal(api.requests[0].headers.authorization, 'Bearer token');
+  assert.ok(api.requests[0].headers['idempotency-key']);
+  assert.equal(api.requests[0].body.in_reply_to_id, undefined);
+  assert.equal(api.requests[1].body.in_reply_to_id, '1');
+});
+
+test('a Mastodon thread given a key sends the same idempotency keys every time', async () => {
+  api = await startFakeApi(request => ({ body: { id: request.headers['idempotency-key'], url: 'https://mastodon.example/@shitwatch/1' } }));
+  Object.assign(process.env, { MASTODON_URL: api.url, MASTODON_ACCESS_TOKEN: 'token' });
+  const poster = new MastodonPoster();
+
+  await poster.postThread(['one', 'two'], { key: 'summary-1760778000000' });
+  await poster.postThread(['one', 'two'], { key: 'summary-1760778000000' });
+  await poster.post('three');
+
+  const keys = api.requests.map(request => request.headers['idempotency-key']);
+  assert.deepEqual(keys.slice(0, 4), ['summary-1760778000000-1', 'summary-1760778000000-2', 'summary-1760778000000-1', 'summary-1760778000000-2']);
+  assert.equal(api.requests[1].body.in_reply_to_id, 'summary-1760778000000-1');
+  assert.ok(!keys.slice(0, 4).includes(keys[4]));
+});
+
+test('a Bluesky post uploads its images as blobs and embeds them', async () => {
+  const blob = { $type: 'blob', ref: { $link: 'bafkrei' }, mimeType: 'image/png', size: IMAGE.data.length };
+  api = await startFakeApi(request => {
+    if (request.path === '/xrpc/com.atproto.server.createSession') {
+      return { body: { accessJwt: 'jwt', did: 'did:plc:abc', handle: 'shitwatch.bsky.social' } };
+    }
+    if (request.path === '/xrpc/com.atproto.repo.uploadBlob') {
+      return { body: { blob } };
+    }
+    return { body: { uri: 'at://did:plc:abc/app.bsky.feed.post/rkey1', cid: 'cid1' } };
+  });
+  Object.assign(process.env, { BLUESKY_SERVICE: api.url, BLUESKY_HANDLE: 'shitwatch.bsky.social', BLUESKY_APP_PASSWORD: 'app-pass' });
+
+  const result = await new BlueskyPoster().post('hello', { media: [IMAGE] });
+
+  assert.equal(result.success, true);
+  const [, upload, create] = api.requests;
+  assert.equal(upload.path, '/xrpc/com.atproto.repo.uploadBlob');
+  assert.equal(upload.headers['content-type'], 'image/png');
+  assert.deepEqual(upload.body, IMAGE.data);
+  assert.deepEqual(create.body.record.embed, {
+    $type: 'app.bsky.embed.images',
+    images: [{ alt: IMAGE.altText, image: blob, aspectRatio: { width: 1200, height: 675 } }]
+  });
+});
+
+test('a Mastodon post uploads its images first and attaches them by ID', async () => {
+  api = await startFakeApi(request => {
+    if (request.path === '/api/v2/media') {
+      return { status: 202, body: { id: 'm1', url: null } };
+    }
+    if (request.path === '/api/v1/media/m1') {
+      return { body: { id: 'm1', url: 'https://mastodon.example/m1.png' } };
+    }
+    return { body: { id: '1', url: 'https://mastodon.example/@shitwatch/1' } };
+  });
+  Object.assign(process.env, { MASTODON_URL: api.url, MASTODON_ACCESS_TOKEN: 'token' });
+
+  const result = await new MastodonPoster().post('hello', { media: [IMAGE] });
+
+  assert.equal(result.success, true);
+  assert.deepEqual(api.requests.map(request => request.path), ['/api/v2/media', '/api/v1/media/m1', '/api/v1/statuses']);
+
+  const upload = api.requests[0];
+  assert.match(upload.headers['content-type'], /^multipart\/form-data/);
+  assert.ok(upload.body.includes(IMAGE.data));
+  assert.ok(upload.body.includes(IMAGE.altText));
+  assert.deepEqual(api.requests[2].body.media_ids, ['m1']);
+});
+
+test('an API error is returned, not thrown', async () => {
+  api = await startFakeApi(() => ({ status: 422, body: { error: 'Validation failed: Text character limit of 500 exceeded' } }));
+  Object.assign(process.env, { MASTODON_URL: api.url, MASTODON_ACCESS_TOKEN: 'token' });
+
+  const result = await new MastodonPoster().post('hello');
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /Mastodon API error: 422 Validation failed/);
+});
+
+test('dry runs report posts per network without credentials', async () => {
+  const dryRun = new DryRun({ enabled: true, dir });
+  dryRun.prepare();
+
+  const bluesky = new BlueskyPoster({ dryRun });
+  const mastodon = new MastodonPoster({ dryRun });
+  assert.equal(bluesky.isConfigured, true);
+
+  await bluesky.post('one');
+  await mastodon.postThread(['one', 'two']);
+  dryRun.close();
+
+  const report = fs.readFileSync(path.join(dir, 'report.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(report.map(entry => [entry.action, entry.network]), [['post', 'bluesky'], ['thread', 'mastodon']]);
+  assert.deepEqual(report[1].posts, ['one', 'two']);
+});
+
+test('dry runs save attached images in the sandbox', async () => {
+  const dryRun = new DryRun({ enabled: true, dir });
+  dryRun.prepare();
+
+  await new MastodonPoster({ dryRun }).post('one', { media: [IMAGE] });
+  dryRun.close();
+
+  const [entry] = fs.readFileSync(path.join(dir, 'report.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.equal(entry.media.length, 1);
+  assert.equal(entry.media[0].altText, IMAGE.altText);
+  assert.deepEqual(fs.readFileSync(entry.media[0].file), IMAGE.data);
+});
+
+test('only enabled networks are posted to, and one failing does not stop the rest', async () => {
+  const twitter = new FakePublisher('twitter');
+  const bluesky = new FakePublisher('bluesky');
+  const mastodon = new FakePublisher('mastodon');
+  bluesky.post = async () => { throw new Error('socket hang up'); };
+
+  const result = await new SocialPublishers([twitter, bluesky, mastodon], configFor('bluesky', 'mastodon')).postAll('hello');
+
+  assert.equal(result.success, true);
+  assert.equal(result.ref, 'mastodon-1');
+  assert.equal(twitter.posts.length, 0);
+  assert.deepEqual(result.networks, {
+    bluesky: { error: 'socket hang up' },
+    mastodon: { id: 'mastodon-1', url: 'https://mastodon.example/mastodon-1' }
+  });
+});
+
+test('each network is reported as it finishes, before the next is posted to', async () => {
+  const twitter = new FakePublisher('twitter');
+  const mastodon = new FakePublisher('mastodon');
+  const reported = [];
+  mastodon.post = async () => {
+    reported.push('mastodon posting');
+    return { success: false, error: 'instance down' };
+  };
+
+  await new SocialPublishers([twitter, mastodon], configFor('twitter', 'mastodon')).postAll('hello', undefined, {
+    onResult: (name, outcome) => reported.push([name, outcome])
+  });
+
+  assert.deepEqual(reported, [
+    ['twitter', { id: 'twitter-1', url: 'https://twitter.example/twitter-1' }],
+    'mastodon posting',
+    ['mastodon', { error: 'instance down' }]
+  ]);
+});
+
+test('images only go to networks that take them, up to their limit', async () => {
+  const twitter = new FakePublisher('twitter', { capabilities: { maxImages: 1 } });
+  const textOnly = new FakePublisher('mastodon', { capabilities: { maxImages: 0 } });
+  const media = [IMAGE, { ...IMAGE, altText: 'second' }];
+
+  await new SocialPublishers([twitter, textOnly], configFor('twitter', 'mastodon')).postAll('hello', undefined, { media });
+
+  assert.deepEqual(twitter.media, [[IMAGE]]);
+  assert.deepEqual(textOnly.media, [[]]);
+  assert.deepEqual(textOnly.posts, ['hello']);
+});
+
+test('networks without threads get the first post of a thread', async () => {
+  const twitter = new FakePublisher('twitter');
+  const mastodon = new FakePublisher('mastodon', { capabilities: { threads: false } });
+
+  const result = await new SocialPublishers([twitter, mastodon], configFor('twitter', 'mastodon')).postThreadAll(['one', 'two']);
+
+  assert.equal(result.ref, 'twitter-thread-1-1');
+  assert.deepEqual(twitter.threads, [['one', 'two']]);
+  assert.deepEqual(mastodon.posts, ['one']);
+});
@@ -0,0 +1,76 @@
+/**
+ * SpillCounter: grouping a site's discharges into 12/24 spill blocks
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SpillCounter } from '../src/monitor/spill-counter.js';
+
+const HOUR = 60 * 60 * 1000;
+const T = Date.parse('2026-10-18T06:00:00Z');
+
+const counter = new SpillCounter();
+
+/**
+ * Discharge starting `start` hours after T and lasting `hours` (open if null)
+ */
+const discharge = (start, hours) => ({
+  startTime: T + start * HOUR,
+  endTime: hours === null ? null : T + (start + hours) * HOUR
+});
+
+const summary = blocks => blocks.map(b => [b.spillCount, b.events.length]);
+
+test('one short discharge is one spill, closing 24 hours after the first 12', () => {
+  const [block] = counter.countBlocks([discharge(0, 2)], T + 48 * HOUR);
+
+  assert.deepEqual([block.spillCount, block.startTime, block.endTime], [1, T, T + 2 * HOUR]);
+  assert.equal(block.closesAt, T + 36 * HOUR);
+  assert.equal(block.open, false);
+  assert.equal(block.dischargeMinutes, 120);
+});
+
+test('flickers within the first 12 hours collapse into one spill', () => {
+  const blocks = counter.countBlocks([discharge(0, 0.25), discharge(1, 0.25), discharge(11.5, 0.25)], T + 48 * HOUR);
+
+  assert.deepEqual(summary(blocks), [[1, 3]]);
+  assert.equal(blocks[0].dischargeMinutes, 45);
+});
+
+test('each later 24-hour window with any discharge adds a spill', () => {
+  // First 12h, then the windows 12-36h and 36-60h
+  assert.deepEqual(summary(counter.countBlocks([discharge(0, 30)], T + 96 * HOUR)), [[2, 1]]);
+  assert.deepEqual(summary(counter.countBlocks([discharge(0, 1), discharge(20, 1), discharge(40, 1)], T + 120 * HOUR)), [[3, 3]]);
+
+  // Ending exactly on a window boundary doesn't reach into the next window
+  assert.deepEqual(summary(counter.countBlocks([discharge(0, 12)], T + 96 * HOUR)), [[1, 1]]);
+});
+
+test('a quiet 24-hour window ends the block', () => {
+  const blocks = counter.countBlocks([discharge(0, 1), discharge(36, 1)], T + 120 * HOUR);
+
+  assert.deepEqual(summary(blocks), [[1, 1], [1, 1]]);
+  assert.equal(blocks[1].startTime, T + 36 * HOUR);
+
+  // A discharge just before the block closes extends it instead
+  assert.deepEqual(summary(counter.countBlocks([discharge(0, 1), discharge(35, 0.5)], T + 120 * HOUR)), [[2, 2]]);
+});
+
+test('open discharges count up to now and keep the block open', () => {
+  const [block] = counter.countBlocks([discharge(0, null)], T + 20 * HOUR);
+
+  assert.deepEqual([block.spillCount, block.endTime, block.open], [2, null, true]);
+  assert.equal(block.dischargeMinutes, 20 * 60);
+});
+
+test('a finished block stays open until its quiet window has passed', () => {
+  assert.equal(counter.countBlocks([discharge(0, 1)], T + 35 * HOUR)[0].open, true);
+  assert.equal(counter.countBlocks([discharge(0, 1)], T + 36 * HOUR)[0].open, false);
+});
+
+test('discharges are counted in time order whatever order they arrive in', () => {
+  const blocks = counter.countBlocks([discharge(40, 1), discharge(0, 1), discharge(20, 1)], T + 120 * HOUR);
+
+  assert.deepEqual(blocks[0].events.map(e => e.startTime), [T, T + 20 * HOUR, T + 40 * HOUR]);
+  assert.deepEqual(counter.countBlocks([], T), []);
+});
@@ -0,0 +1,137 @@
+/**
+ * TransitionLog and site timelines: what counts as a transition, one
+ * write per poll, the per-site index and monthly partitions
+ */
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { TransitionLog } from '../src/database/transition-log.js';
+import { EventDatabase } from '../src/database/db.js';
+
+const COMPANY = 'Southern Water';
+const utc = iso => Date.parse(`2026-${iso}Z`);
+
+let dir;
+let log;
+
+/**
+ * Normalized feature as the tracker passes it on
+ */
+function site(siteId, status, statusStart = null) {
+  return { siteId, status, statusStart, latestEventStart: null, latestEventEnd: null, lastUpdated: null };
+}
+
+const lines = month => fs.readFileSync(path.join(dir, `${month}.jsonl`), 'utf8').trim().split('\n');
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['Date'], now: utc('10-18T14:00:00') });
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shitwatch-transitions-'));
+  log = new TransitionLog(dir);
+});
+
+afterEach(() => {
+  log.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+  mock.timers.reset();
+  mock.restoreAll();
+});
+
+test('a poll is logged with a single write and fsync', () => {
+  const fsync = mock.method(fs, 'fsyncSync');
+  const sites = Array.from({ length: 50 }, (_, i) => site(`SW${i}`, 0));
+
+  const logged = log.recordAll(COMPANY, sites, utc('10-18T06:00:00'));
+
+  assert.equal(logged.length, 50);
+  assert.equal(fsync.mock.callCount(), 1);
+  assert.equal(lines('2026-10').length, 50);
+});
+
+test('only changes of status or StatusStart are transitions', () => {
+  log.recordAll(COMPANY, [site('SW1', 0), site('SW2', 1, utc('10-18T05:40:00'))], utc('10-18T06:00:00'));
+
+  const logged = log.recordAll(COMPANY, [
+    site('SW1', 0),
+    site('SW2', 1, utc('10-18T06:10:00')) // Stopped and started again between polls
+  ], utc('10-18T06:15:00'));
+  assert.deepEqual(logged.map(t => [t.siteId, t.oldStatus, t.newStatus]), [['SW2', 1, 1]]);
+
+  assert.deepEqual(log.recordAll(COMPANY, [site('SW1', 0), site('SW2', 1, utc('10-18T06:10:00'))], utc('10-18T06:30:00')), []);
+  assert.equal(log.record(COMPANY, site('SW1', -1), utc('10-18T06:45:00')).timeSource, 'observed');
+});
+
+test('last known statuses survive a restart', () => {
+  log.recordAll(COMPANY, [site('SW1', 1, utc('10-18T05:40:00'))], utc('10-18T06:00:00'));
+  log.close();
+
+  log = new TransitionLog(dir);
+
+  assert.equal(log.record(COMPANY, site('SW1', 1, utc('10-18T05:40:00')), utc('10-18T07:00:00')), null);
+  assert.equal(log.record(COMPANY, site('SW1', 0, utc('10-18T06:50:00')), utc('10-18T07:00:00')).oldStatus, 1);
+});
+
+test('a timeline has the status going in and the transitions within the period', () => {
+  log.recordAll(COMPANY, [site('SW1', 1, utc('10-18T05:40:00')), site('SW2', 0)], utc('10-18T06:00:00'));
+  log.recordAll(COMPANY, [site('SW1', 0, utc('10-18T07:30:00'))], utc('10-18T07:45:00'));
+  log.recordAll(COMPANY, [site('SW1', 1, utc('10-18T09:05:00'))], utc('10-18T09:15:00'));
+
+  const timeline = log.getSiteTimeline(COMPANY, 'SW1', utc('10-18T07:00:00'), utc('10-18T09:00:00'));
+
+  assert.equal(timeline.initialStatus, 1);
+  assert.deepEqual(timeline.transitions.map(t => [t.time, t.newStatus]), [[utc('10-18T07:30:00'), 0]]);
+  assert.deepEqual(log.getSiteTimeline(COMPANY, 'SW9', 0).transitions, []);
+});
+
+test('a timeline reads only the requested site, from the index after a restart', () => {
+  log.recordAll(COMPANY, Array.from({ length: 20 }, (_, i) => site(`SW${i}`, 0)), utc('10-18T06:00:00'));
+  log.recordAll(COMPANY, [site('SW7', 1, utc('10-18T06:20:00'))], utc('10-18T06:30:00'));
+  log.close();
+
+  log = new TransitionLog(dir);
+  const journal = log.getJournal('2026-10');
+  const readAt = mock.method(journal, 'readAt');
+
+  const { transitions } = log.getSiteTimeline(COMPANY, 'SW7', utc('10-18T00:00:00'));
+
+  assert.deepEqual(transitions.map(t => t.newStatus), [0, 1]);
+  assert.equal(readAt.mock.calls[0].arguments[0].length, 2);
+});
+
+test('transitions are partitioned by month and timelines span them', () => {
+  log.recordAll(COMPANY, [site('SW1', 1, utc('09-30T22:00:00'))], utc('09-30T23:00:00'));
+  log.recordAll(COMPANY, [site('SW1', 0, utc('10-01T03:00:00'))], utc('10-01T04:00:00'));
+
+  assert.equal(lines('2026-09').length, 1);
+  assert.equal(lines('2026-10').length, 1);
+  const timeline = log.getSiteTimeline(COMPANY, 'SW1', utc('09-30T00:00:00'), utc('10-02T00:00:00'));
+  assert.deepEqual(timeline.transitions.map(t => t.newStatus), [1, 0]);
+});
+
+test('a torn tail is dropped before the next write', () => {
+  log.recordAll(COMPANY, [site('SW1', 1)], utc('10-18T06:00:00'));
+  log.close();
+  fs.appendFileSync(path.join(dir, '2026-10.jsonl'), '{"waterCompany":"Southern Wa');
+
+  mock.method(console, 'warn', () => {});
+  log = new TransitionLog(dir);
+  log.recordAll(COMPANY, [site('SW1', 0)], utc('10-18T07:00:00'));
+
+  assert.deepEqual(lines('2026-10').map(line => JSON.parse(line).newStatus), [1, 0]);
+  assert.deepEqual(log.getSiteTimeline(COMPANY, 'SW1', 0).transitions.map(t => t.newStatus), [1, 0]);
+});
+
+test('the database timeline adds the events overlapping the period', () => {
+  const db = new EventDatabase(path.join(dir, 'events.jsonl'), null, path.join(dir, 'db-transitions'));
+  db.recordTransitions(COMPANY, [site('SW1', 1, utc('10-18T05:40:00'))], utc('10-18T06:00:00'));
+  db.upsertEvent({ waterCompany: COMPANY, siteId: 'SW1', startTime: utc('10-18T05:40:00'), status: 'active' });
+  db.upsertEvent({ waterCompany: COMPANY, siteId: 'SW1', startTime: utc('10-10T05:00:00'), endTime: utc('10-10T06:00:00'), status: 'completed' });
+
+  const timeline = db.getSiteTimeline(COMPANY, 'SW1', utc('10-18T00:00:00'));
+  db.close();
+
+  assert.equal(timeline.transitions.length, 1);
+  assert.deepEqual(timeline.events.map(e => e.startTime), [utc('10-18T05:40:00')]);
+});
@@ -0,0 +1,150 @@
+/**
+ * WeeklySummary: overlap minutes, week-over-week change, ISO week labels
+ * and fitting the thread to each network
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { EventDatabase } from '../src/database/db.js';
+import { WeeklySummary } from '../src/data-generator/weekly-summary.js';
+import { FakePublisher } from './fakes.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Sunday summary slot, 10:00 BST; the week covered starts 7 days earlier
+const NOW = Date.parse('2026-10-18T09:00:00Z');
+const WEEK_START = NOW - 7 * DAY;
+
+let dir;
+let db;
+let weekly;
+
+/**
+ * Discharge starting `start` hours after the week start, lasting `hours`
+ * (null for ongoing)
+ */
+function discharge(siteId, start, hours, overrides = {}) {
+  return {
+    waterCompany: 'Thames Water',
+    siteId,
+    startTime: WEEK_START + start * HOUR,
+    endTime: hours === null ? null : WEEK_START + (start + hours) * HOUR,
+    durationMinutes: hours === null ? null : hours * 60,
+    status: hours === null ? 'active' : 'completed',
+    receivingWatercourse: 'River Thames',
+    ...overrides
+  };
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shitwatch-weekly-'));
+  db = new EventDatabase(path.join(dir, 'events.jsonl'), null, path.join(dir, 'transitions'));
+  weekly = new WeeklySummary(db, null, null, path.join(dir, 'weekly'));
+});
+
+afterEach(() => {
+  db.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('events crossing the week boundary are split between the weeks', () => {
+  db.upsertEvent(discharge('T1', -2, 5)); // 2h last week, 3h this week
+  db.upsertEvent(discharge('T2', 24, 1.5));
+  db.upsertEvent(discharge('T3', -30, 4)); // Entirely last week
+
+  const summary = weekly.buildSummary(NOW);
+
+  assert.deepEqual(summary.totals, { events: 2, sites: 2, hours: 4.5 });
+  assert.deepEqual(summary.previousWeek, { events: 2, sites: 2, hours: 6 });
+  assert.deepEqual([summary.weekStart, summary.weekEnd], [new Date(WEEK_START).toISOString(), new Date(NOW).toISOString()]);
+});
+
+test('ongoing discharges count up to the end of the week', () => {
+  db.upsertEvent(discharge('T1', 7 * 24 - 10, null));
+
+  const summary = weekly.buildSummary(NOW);
+
+  assert.equal(summary.totals.hours, 10);
+  assert.deepEqual([summary.longestSpills[0].ongoing, summary.longestSpills[0].durationMinutes], [true, 600]);
+  assert.equal(weekly.minutesWithin({ startTime: WEEK_START - HOUR, endTime: NOW + HOUR }, WEEK_START, NOW), 7 * 24 * 60);
+});
+
+test('zero-length and older records without a duration rank by their own length', () => {
+  db.upsertEvent(discharge('T1', 10, 0));
+  db.upsertEvent(discharge('T2', 20, 3, { durationMinutes: undefined }));
+  db.upsertEvent(discharge('T3', 30, 1));
+
+  const summary = weekly.buildSummary(NOW);
+
+  assert.deepEqual(summary.longestSpills.map(s => [s.siteId, s.durationMinutes]), [['T2', 180], ['T3', 60], ['T1', 0]]);
+  assert.equal(summary.longestSpills[2].durationFormatted, '0h');
+});
+
+test('each post fits every network, counting links the way each one does', () => {
+  for (let i = 1; i <= 5; i++) {
+    db.upsertEvent(discharge(`T${i}`, i * 10, i, { receivingWatercourse: `Tributary of the River Thames near Site Number ${i}` }));
+  }
+  const summary = weekly.buildSummary(NOW);
+  const pageUrl = `https://example.github.io/weekly.html?week=${summary.id}&from=${'x'.repeat(200)}`;
+  const twitter = new FakePublisher('twitter');
+  const bluesky = new FakePublisher('bluesky', { capabilities: { maxLength: 300, linkLength: null } });
+
+  // Twitter counts the long link as 23, so the first post keeps everything
+  const [first, spills] = weekly.buildThread(summary, pageUrl, [twitter]);
+  assert.match(first, /🧵👇$/);
+  assert.ok(twitter.countLength(spills) <= 280);
+  assert.ok(spills.split('\n').length < 6); // Not every spill fits
+
+  // Bluesky counts it in full, so lines are dropped until it fits there too
+  const both = weekly.buildThread(summary, pageUrl, [twitter, bluesky]);
+  assert.doesNotMatch(both[0], /🧵👇$/);
+  for (const post of both) {
+    assert.ok(twitter.countLength(post) <= 280 && bluesky.countLength(post) <= 300);
+  }
+});
+
+test('change against a quiet previous week is null, not infinite', () => {
+  db.upsertEvent(discharge('T1', 10, 2));
+  db.upsertEvent(discharge('S1', 20, 3, { waterCompany: 'Southern Water' }));
+  db.upsertEvent(discharge('S1', -20, 6, { waterCompany: 'Southern Water' }));
+  db.upsertEvent(discharge('A1', -40, 1, { waterCompany: 'Anglian Water' }));
+
+  const summary = weekly.buildSummary(NOW);
+
+  assert.deepEqual(summary.companies.map(c => [c.company, c.hours, c.previousHours, c.changePercent]), [
+    ['Southern Water', 3, 6, -50],
+    ['Thames Water', 2, 0, null],
+    ['Anglian Water', 0, 1, -100]
+  ]);
+  assert.deepEqual(summary.change, { eventsPercent: 0, hoursPercent: -29 });
+
+  assert.equal(weekly.percentChange(5, 0), null);
+  assert.equal(weekly.percentChange(0, 0), null);
+});
+
+test('a first week with nothing before it leaves the change line out of the thread', () => {
+  db.upsertEvent(discharge('T1', 10, 2));
+
+  const summary = weekly.buildSummary(NOW);
+  const [first] = weekly.buildThread(summary, 'https://example.com/weekly.html', [new FakePublisher('twitter')]);
+
+  assert.deepEqual(summary.change, { eventsPercent: null, hoursPercent: null });
+  assert.doesNotMatch(first, /vs last week/);
+});
+
+test('weeks are labelled by ISO 8601 week, including at year ends', () => {
+  // The summary is labelled with the week it covers, not the Monday after
+  assert.equal(weekly.buildSummary(NOW).id, '2026-W42');
+  assert.equal(weekly.buildSummary(Date.parse('2026-10-19T00:00:00Z')).id, '2026-W42');
+
+  const label = iso => weekly.getIsoWeek(new Date(`${iso}T12:00:00Z`));
+  assert.equal(label('2026-01-01'), '2026-W01'); // A Thursday
+  assert.equal(label('2027-01-01'), '2026-W53'); // 2026 has 53 weeks
+  assert.equal(label('2024-12-30'), '2025-W01');
+  assert.equal(label('2021-01-03'), '2020-W53');
+  assert.equal(label('2026-10-19'), '2026-W43');
+});
@@ -83,6 +83,67 @@ function showError() {
   container.innerHTML = '<p class="loading">Unable to load events. Please refresh the page.</p>';
 }
 
+// Load per-company feed health
+async function loadFeedHealth() {
+  const container = document.getElementById('feed-health-container');
+
+  try {
+    const response = await fetch('feed-health.json');
+
+    if (!response.ok) {
+      throw new Error('Feed health not found');
+    }
+
+    const report = await response.json();
+    displayFeedHealth(report);
+
+  } catch (error) {
+    console.error('Error loading feed health:', error);
+    container.innerHTML = '<p class="loading">Feed status unavailable.</p>';
+  }
+}
+
+// Display feed health table
+function displayFeedHealth(report) {
+  const container = document.getElementById('feed-health-container');
+  const labels = {
+    ok: '✅ OK',
+    degraded: '⚠️ Degraded',
+    unreliable: '❌ Unreliable',
+    unknown: '❔ Unknown'
+  };
+
+  const rows = report.companies.map(feed => `
+    <tr>
+      <td>${feed.company}</td>
+      <td><span class="feed-status feed-status-${feed.status}">${labels[feed.status] || feed.status}</span></td>
+      <td>${feed.lastUpdated ? formatTime(feed.lastUpdated) : '—'}</td>
+      <td>${feed.featureCount ?? '—'}</td>
+      <td>${feed.offlineShare !== null ? Math.round(feed.offlineShare * 100) + '%' : '—'}</td>
+      <td>${feed.alerts.map(alert => alert.message).join('<br>') || '—'}</td>
+    </tr>
+  `).join('');
+
+  container.innerHTML = `
+    <div class="table-wrapper">
+      <table class="event-table">
+        <thead>
+          <tr>
+            <th>Company</th>
+            <th>Status</th>
+            <th>Feed last updated</th>
+            <th>Sites</th>
+            <th>Monitors offline</th>
+            <th>Issues</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+    <p class="event-time">Checked: ${formatTime(report.generatedAt)}</p>
+  `;
+}
+
 // Open Google Maps
 function openMaps(lat, lon) {
   window.open(`https://maps.google.com/?q=${lat},${lon}`, '_blank');
@@ -103,4 +164,5 @@ function formatTime(timestamp) {
 // Load on page ready
 document.addEventListener('DOMContentLoaded', () => {
   loadTopEvents();
+  loadFeedHealth();
 });
@@ -1,6 +1,6 @@
 /**
  * ShitWatch UK - Feed Page JavaScript
- * Loads and displays 90-minute cycles with AI summaries
+ * Loads and displays posting cycles with AI summaries
  */
 
 // Load latest cycle
@@ -179,7 +179,7 @@ function formatTime(timestamp) {
 // Show no cycles message
 function showNoCycles() {
   document.getElementById('latest-cycle-container').innerHTML =
-    '<p class="loading">No cycles available yet. Check back in 90 minutes!</p>';
+    '<p class="loading">No cycles available yet. Check back later today!</p>';
   document.getElementById('previous-cycles-container').innerHTML = '';
 }
 
@@ -0,0 +1,235 @@
+/**
+ * ShitWatch UK - Weekly Summary Page JavaScript
+ * Loads the weekly digests (weekly/<isoweek>.json) published every Sunday
+ */
+
+// Load the requested week (?week=2026-W43) or the latest
+async function loadWeekly() {
+  try {
+    const response = await fetch('weekly/manifest.json');
+
+    if (!response.ok) {
+      throw new Error('Manifest not found');
+    }
+
+    const manifest = await response.json();
+
+    if (!manifest.weeks || manifest.weeks.length === 0) {
+      showNoWeeks();
+      return;
+    }
+
+    const requested = new URLSearchParams(window.location.search).get('week');
+    const selected = requested && manifest.weeks.includes(`${requested}.json`)
+      ? `${requested}.json`
+      : manifest.weeks[0];
+
+    await loadWeek(selected);
+    renderWeekList(manifest.weeks, selected);
+
+  } catch (error) {
+    console.error('Error loading weekly summaries:', error);
+    showError('weekly-container');
+  }
+}
+
+// Load and render a single week
+async function loadWeek(filename) {
+  const container = document.getElementById('weekly-container');
+
+  try {
+    const response = await fetch(`weekly/${filename}`);
+
+    if (!response.ok) {
+      throw new Error(`Week not found: ${filename}`);
+    }
+
+    const summary = await response.json();
+    container.innerHTML = renderWeek(summary);
+
+  } catch (error) {
+    console.error('Error loading week:', error);
+    container.innerHTML = '<p class="loading">Error loading weekly summary</p>';
+  }
+}
+
+// Render a week's summary
+function renderWeek(summary) {
+  return `
+    <div class="cycle-container">
+      <div class="cycle-header">
+        <div class="cycle-time">
+          ${summary.id}: ${formatDate(summary.weekStart)} - ${formatDate(summary.weekEnd)}
+        </div>
+        <div class="cycle-count">
+          ${summary.totals.events} event${summary.totals.events !== 1 ? 's' : ''}
+        </div>
+      </div>
+
+      <div class="stats-grid">
+        <div class="stat-card">
+          <div class="stat-value">${summary.totals.hours.toLocaleString('en-GB')}h</div>
+          <div class="stat-label">Hours of discharges ${formatChange(summary.change.hoursPercent)}</div>
+        </div>
+        <div class="stat-card">
+          <div class="stat-value">${summary.totals.events.toLocaleString('en-GB')}</div>
+          <div class="stat-label">Discharges ${formatChange(summary.change.eventsPercent)}</div>
+        </div>
+        <div class="stat-card">
+          <div class="stat-value">${summary.totals.sites.toLocaleString('en-GB')}</div>
+          <div class="stat-label">Sites</div>
+        </div>
+      </div>
+
+      <h3>🏭 Hours by Company</h3>
+      ${renderCompanies(summary.companies)}
+
+      <h3>⏱️ Longest Spills</h3>
+      ${renderLongestSpills(summary.longestSpills)}
+
+      <h3>🌊 Most-Hit Watercourses</h3>
+      ${renderWatercourses(summary.watercourses)}
+    </div>
+  `;
+}
+
+// Render hours per company with week-over-week change
+function renderCompanies(companies) {
+  if (!companies || companies.length === 0) {
+    return '<p class="loading">No discharges this week</p>';
+  }
+
+  const rows = companies.map(c => `
+    <tr>
+      <td><strong>${c.company}</strong></td>
+      <td>${c.events}</td>
+      <td>${c.hours}h</td>
+      <td>${c.previousHours}h</td>
+      <td>${formatChange(c.changePercent)}</td>
+    </tr>
+  `).join('');
+
+  return renderTable(['Company', 'Discharges', 'Hours', 'Previous Week', 'Change'], rows);
+}
+
+// Render the longest spills
+function renderLongestSpills(spills) {
+  if (!spills || spills.length === 0) {
+    return '<p class="loading">No discharges this week</p>';
+  }
+
+  const rows = spills.map(s => `
+    <tr>
+      <td><strong>${s.company}</strong></td>
+      <td>${s.siteName || s.siteId}</td>
+      <td>${s.watercourse}</td>
+      <td>${s.durationFormatted}${s.ongoing ? ' (ongoing)' : ''}</td>
+      <td>${formatTime(s.startTime)}</td>
+      <td>${s.endTime ? formatTime(s.endTime) : '-'}</td>
+    </tr>
+  `).join('');
+
+  return renderTable(['Company', 'Site', 'Watercourse', 'Duration', 'Started', 'Ended'], rows);
+}
+
+// Render the most-hit watercourses
+function renderWatercourses(watercourses) {
+  if (!watercourses || watercourses.length === 0) {
+    return '<p class="loading">No watercourse data this week</p>';
+  }
+
+  const rows = watercourses.map(w => `
+    <tr>
+      <td><strong>${w.name}</strong></td>
+      <td>${w.events}</td>
+      <td>${w.sites}</td>
+      <td>${w.hours}h</td>
+      <td>${w.companies.join(', ')}</td>
+    </tr>
+  `).join('');
+
+  return renderTable(['Watercourse', 'Discharges', 'Sites', 'Hours', 'Companies'], rows);
+}
+
+// Render a table with the shared event table styling
+function renderTable(headers, rows) {
+  return `
+    <div class="table-wrapper">
+      <table class="event-table">
+        <thead>
+          <tr>${headers.map(h => `<th>${h}</th>`).join('')}</tr>
+        </thead>
+        <tbody>
+          ${rows}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+// Render links to the other published weeks
+function renderWeekList(weeks, selected) {
+  const container = document.getElementById('previous-weeks-container');
+  const others = weeks.filter(week => week !== selected);
+
+  if (others.length === 0) {
+    container.innerHTML = '<p class="loading">No previous weeks yet</p>';
+    return;
+  }
+
+  container.innerHTML = `
+    <ul class="week-list">
+      ${others.map(week => {
+        const id = week.replace('.json', '');
+        return `<li><a href="weekly.html?week=${id}">${id}</a></li>`;
+      }).join('')}
+    </ul>
+  `;
+}
+
+// Week-over-week change, e.g. "▲ 12%"
+function formatChange(percent) {
+  if (percent === null || percent === undefined) {
+    return '';
+  }
+  if (percent === 0) {
+    return '(no change)';
+  }
+  return `(${percent > 0 ? '▲' : '▼'} ${Math.abs(percent)}%)`;
+}
+
+// Format date
+function formatDate(timestamp) {
+  return new Date(timestamp).toLocaleDateString('en-GB', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric'
+  });
+}
+
+// Format timestamp
+function formatTime(timestamp) {
+  const date = new Date(timestamp);
+  return date.toLocaleString('en-GB', {
+    day: '2-digit',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
+// Show no weeks message
+function showNoWeeks() {
+  document.getElementById('weekly-container').innerHTML =
+    '<p class="loading">No weekly summaries yet. The first one is published on Sunday!</p>';
+  document.getElementById('previous-weeks-container').innerHTML = '';
+}
+
+// Show error
+function showError(containerId) {
+  document.getElementById(containerId).innerHTML =
+    '<p class="loading">Error loading data. Please refresh the page.</p>';
+}
+
+// Load on page ready
+document.addEventListener('DOMContentLoaded', loadWeekly);